@@ -6,11 +6,47 @@
 const { Builder, By, until, Key } = require('selenium-webdriver');
 const chrome = require('selenium-webdriver/chrome');
 const { spawn } = require('child_process');
+const { createMockWordsApi } = require('./server/mockWordsApi');
+
+// The word service (server.js) runs against the local WordsAPI stand-in, not the live API
+const MOCK_WORDSAPI_PORT = 3002;
+const WORD_SERVICE_PORT = 3001;
 
 class DemoSeleniumTests {
   constructor() {
     this.driver = null;
     this.devServer = null;
+    this.mockWordsApi = null;
+    this.wordService = null;
+  }
+  
+  async startWordService() {
+    console.log('📚 Starting mock WordsAPI and word service...');
+    
+    await new Promise(resolve => {
+      this.mockWordsApi = createMockWordsApi().listen(MOCK_WORDSAPI_PORT, resolve);
+    });
+    
+    return new Promise((resolve, reject) => {
+      this.wordService = spawn('node', ['server.js'], {
+        stdio: 'pipe',
+        env: {
+          ...process.env,
+          PORT: String(WORD_SERVICE_PORT),
+          WORDS_API_KEY: 'mock',
+          WORDS_API_BASE_URL: `http://localhost:${MOCK_WORDSAPI_PORT}`
+        }
+      });
+      
+      this.wordService.stdout.on('data', (data) => {
+        if (data.toString().includes('Hurdle server running')) {
+          console.log('✅ Word service is ready!');
+          resolve();
+        }
+      });
+      
+      setTimeout(() => reject(new Error('Word service timeout')), 10000);
+    });
   }
   
   async startDevServer() {
@@ -180,10 +216,21 @@ class DemoSeleniumTests {
       this.devServer.kill('SIGTERM');
       console.log('✅ Dev server stopped');
     }
+    
+    if (this.wordService) {
+      this.wordService.kill('SIGTERM');
+      console.log('✅ Word service stopped');
+    }
+    
+    if (this.mockWordsApi) {
+      this.mockWordsApi.close();
+      console.log('✅ Mock WordsAPI stopped');
+    }
   }
   
   async run() {
     try {
+      await this.startWordService();
       await this.startDevServer();
       await this.createDriver();
       await this.runDemoTests();
@@ -0,0 +1,201 @@
+/**
+ * Word list generator for Hurdle
+ * Builds the bundled offline word lists in src/data/wordlists, one file per
+ * language and word length (en-5.json, es-6.json, ...).
+ *
+ * English:
+ *   - word-list: the set of valid English words (no proper nouns)
+ *   - subtlex-word-frequencies: SUBTLEX-US subtitle word counts
+ * Spanish, French and German:
+ *   - an-array-of-spanish-words, an-array-of-french-words, all-the-german-words:
+ *     valid words for each language
+ *   - most-common-words-by-language: the 10,000 most common words in
+ *     OpenSubtitles for each language, ranked but without counts
+ *
+ * Each output file maps a word to its Zipf frequency (log10 of occurrences
+ * per billion words), the same scale WordsAPI uses for frequencyMin/Max.
+ * Ranked lists have no counts, so their Zipf values are estimated from rank
+ * with a fit of SUBTLEX-US Zipf against the English ranks of the same source.
+ * Words without frequency data are kept as valid guesses with a score of 0
+ * so they are never picked as targets.
+ *
+ * Known gaps in the source data:
+ *   - the Spanish list spells many words without their accents (arbol, cafe),
+ *     so those are only accepted when accents are folded
+ *   - the French ranks drop words with accents other than é, so words like
+ *     être or fenêtre are valid guesses but never targets
+ *   - the German list includes some names and English loanwords
+ *
+ * Usage: node scripts/build-word-lists.js [language ...] [length ...]
+ *   e.g. node scripts/build-word-lists.js es fr 5
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// SUBTLEX-US is built from 51 million words of subtitles
+const CORPUS_SIZE_MILLIONS = 51;
+const DEFAULT_LENGTHS = [4, 5, 6, 7, 8];
+const OUTPUT_DIR = path.join(__dirname, '..', 'src', 'data', 'wordlists');
+
+// Letters each language pack accepts (must match src/languages)
+const LANGUAGES = {
+  en: { letters: 'a-z' },
+  es: { letters: 'a-zñáéíóúü', words: 'an-array-of-spanish-words', ranks: 'spanish' },
+  fr: { letters: 'a-zàâçéèêëîïôùûüÿ', words: 'an-array-of-french-words', ranks: 'french' },
+  de: { letters: 'a-zäöüß', words: 'all-the-german-words', ranks: 'german' }
+};
+
+/**
+ * Convert a raw SUBTLEX count to a Zipf frequency
+ * @param {number} count - Occurrences in the SUBTLEX corpus
+ * @returns {number} Zipf frequency
+ */
+function countToZipf(count) {
+  return Math.log10(count / CORPUS_SIZE_MILLIONS) + 3;
+}
+
+/**
+ * Round a Zipf frequency for output
+ * @param {number} zipf - Zipf frequency
+ * @returns {number} Zipf frequency rounded to two decimals (at least 0.01)
+ */
+function roundZipf(zipf) {
+  return Math.max(0.01, Math.round(zipf * 100) / 100);
+}
+
+/**
+ * Load SUBTLEX counts keyed by lowercase word
+ * Entries that differ only by case ("Grace", "grace") are merged
+ * @returns {Map<string, number>} Word counts
+ */
+function loadCounts() {
+  const counts = new Map();
+  for (const { word, count } of require('subtlex-word-frequencies')) {
+    const key = word.toLowerCase();
+    counts.set(key, (counts.get(key) || 0) + count);
+  }
+  return counts;
+}
+
+/**
+ * Load the English word list
+ * @returns {Promise<string[]>} All words in the list
+ */
+async function loadEnglishWords() {
+  // word-list is an ES module that exports the path to its words.txt
+  const { default: wordListPath } = await import('word-list');
+  return fs.readFileSync(wordListPath, 'utf8').split('\n');
+}
+
+/**
+ * Fit Zipf = a + b * log10(rank) on English, where both rank and count are known
+ * @param {Map<string, number>} counts - SUBTLEX counts
+ * @returns {function(number): number} Estimated Zipf frequency for a rank
+ */
+function fitRankToZipf(counts) {
+  const { getWordsList } = require('most-common-words-by-language');
+  let n = 0, sumX = 0, sumY = 0, sumXX = 0, sumXY = 0;
+
+  getWordsList('english').forEach((word, index) => {
+    const count = counts.get(word.toLowerCase());
+    if (!count) {
+      return;
+    }
+    const x = Math.log10(index + 1);
+    const y = countToZipf(count);
+    n++;
+    sumX += x;
+    sumY += y;
+    sumXX += x * x;
+    sumXY += x * y;
+  });
+
+  const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
+  const intercept = (sumY - slope * sumX) / n;
+  console.log(`Rank fit over ${n} English words: zipf = ${intercept.toFixed(2)} ${slope.toFixed(2)} * log10(rank)`);
+  return rank => intercept + slope * Math.log10(rank);
+}
+
+/**
+ * Load word frequencies for a language
+ * @param {string} language - Language code
+ * @param {Map<string, number>} counts - SUBTLEX counts (English)
+ * @returns {Promise<{words: Iterable<string>, frequencies: Map<string, number>}>} Words and Zipf frequencies
+ */
+async function loadLanguage(language, counts) {
+  if (language === 'en') {
+    const frequencies = new Map();
+    for (const [word, count] of counts) {
+      frequencies.set(word, countToZipf(count));
+    }
+    return { words: await loadEnglishWords(), frequencies };
+  }
+
+  const { words: wordsPackage, ranks } = LANGUAGES[language];
+  const { getWordsList } = require('most-common-words-by-language');
+  const rankToZipf = fitRankToZipf(counts);
+
+  // Case variants ("Sie", "sie") keep their best rank
+  const frequencies = new Map();
+  getWordsList(ranks).forEach((word, index) => {
+    const key = word.toLowerCase().normalize('NFC');
+    if (!frequencies.has(key)) {
+      frequencies.set(key, rankToZipf(index + 1));
+    }
+  });
+
+  // German capitalises nouns; every list is lowercased and deduplicated
+  const words = new Set(require(wordsPackage).map(word => word.toLowerCase().normalize('NFC')));
+  return { words, frequencies };
+}
+
+/**
+ * Build and write the word list for each requested language and length
+ * @param {string[]} languages - Language codes to generate
+ * @param {number[]} lengths - Word lengths to generate
+ */
+async function buildWordLists(languages, lengths) {
+  const counts = loadCounts();
+
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+  for (const language of languages) {
+    const { words, frequencies } = await loadLanguage(language, counts);
+
+    for (const length of lengths) {
+      // Unicode-aware so accented letters count as one letter
+      const pattern = new RegExp(`^[${LANGUAGES[language].letters}]{${length}}$`, 'u');
+      const entries = {};
+      let targetCount = 0;
+
+      for (const word of words) {
+        if (!pattern.test(word)) {
+          continue;
+        }
+
+        const zipf = frequencies.get(word);
+        entries[word] = zipf ? roundZipf(zipf) : 0;
+        if (zipf) {
+          targetCount++;
+        }
+      }
+
+      const outputPath = path.join(OUTPUT_DIR, `${language}-${length}.json`);
+      fs.writeFileSync(outputPath, JSON.stringify(entries) + '\n');
+      console.log(`Wrote ${Object.keys(entries).length} words (${targetCount} with frequencies) to ${path.relative(process.cwd(), outputPath)}`);
+    }
+  }
+}
+
+const args = process.argv.slice(2);
+const requestedLanguages = args.filter(arg => arg in LANGUAGES);
+const requestedLengths = args.map(Number).filter(Number.isInteger);
+
+buildWordLists(
+  requestedLanguages.length > 0 ? requestedLanguages : Object.keys(LANGUAGES),
+  requestedLengths.length > 0 ? requestedLengths : DEFAULT_LENGTHS
+).catch(error => {
+  console.error('Failed to build word lists:', error);
+  process.exit(1);
+});
@@ -1,9 +1,24 @@
 const express = require('express');
 const path = require('path');
+const { createWordsApiRouter } = require('./server/wordsApiProxy');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a load balancer, set TRUST_PROXY (e.g. 1 for one hop) so rate limits see client IPs
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
+// WordsAPI proxy - the RapidAPI key stays on the server (WORDS_API_KEY)
+app.use('/api/words', createWordsApiRouter());
+
+// Unknown API routes are errors, not client-side routes
+app.use('/api', (req, res) => {
+  res.status(404).json({ error: 'Not found' });
+});
+
 // Serve static files from dist directory
 app.use(express.static(path.join(__dirname, 'dist')));
 
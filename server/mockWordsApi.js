@@ -0,0 +1,197 @@
+/**
+ * Local WordsAPI stand-in for Hurdle development and e2e tests
+ * Implements the WordsAPI routes the game uses, with RapidAPI-style rate-limit
+ * headers, fixture words and scripted failures, so nothing needs the live API.
+ *
+ * Routes:
+ *   GET /words/:word                                            -> word entry or 404
+ *   GET /words/?letters=&frequencyMin=&frequencyMax=&random=true -> random matching entry or 404
+ * Control routes (not part of WordsAPI):
+ *   POST /__mock/failures   body: failure rule or array of rules, appended to the script
+ *   POST /__mock/reset      restores fixtures, quota and script from the startup options
+ *   GET  /__mock/requests   requests received so far
+ *
+ * A failure rule is { status?, latencyMs?, path?, times? }:
+ *   status    - respond with this status (403, 429, 500, ...) instead of the real answer
+ *   latencyMs - wait this long before responding (with or without a status)
+ *   path      - only apply to request paths containing this string
+ *   times     - how many matching requests it applies to (default 1, 0 for every request)
+ *
+ * Usage: node server/mockWordsApi.js
+ *   MOCK_WORDSAPI_PORT      port to listen on (default 3002)
+ *   MOCK_WORDSAPI_FIXTURES  path to a fixtures JSON file (default server/fixtures/wordsapi.json)
+ *   MOCK_WORDSAPI_FAILURES  JSON failure rule or array of rules to start with
+ *   MOCK_WORDSAPI_LIMIT     monthly request limit reported in headers (default 2500)
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PORT = 3002;
+const DEFAULT_LIMIT = 2500;
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'wordsapi.json');
+
+// Response bodies copied from WordsAPI and RapidAPI
+const ERROR_BODIES = {
+  401: { message: 'Invalid API key. Go to https://docs.rapidapi.com/docs/keys for more info.' },
+  403: { message: 'You are not subscribed to this API.' },
+  404: { success: false, message: 'word not found' },
+  429: { message: 'You have exceeded the MONTHLY quota for Requests on your current plan, BASIC.' },
+  500: { success: false, message: 'Internal server error' }
+};
+
+/**
+ * Load fixture entries from a JSON file
+ * @param {string} filePath - Path to a JSON array of WordsAPI word entries
+ * @returns {Object[]} Word entries
+ */
+function loadFixtures(filePath = DEFAULT_FIXTURES) {
+  const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(entries)) {
+    throw new Error(`Fixtures file ${filePath} must contain an array of word entries`);
+  }
+  return entries;
+}
+
+/**
+ * Normalise failure rules to an array with a remaining count
+ * @param {Object|Object[]} rules - One rule or an array of rules
+ * @returns {Object[]} Rules ready to be matched
+ */
+function normaliseFailures(rules) {
+  return (Array.isArray(rules) ? rules : [rules]).map(rule => ({
+    status: rule.status,
+    latencyMs: rule.latencyMs || 0,
+    path: rule.path || '',
+    remaining: rule.times === 0 ? Infinity : (rule.times || 1)
+  }));
+}
+
+/**
+ * Seconds until the quota resets at the start of next month (UTC)
+ * @returns {number} Seconds until reset
+ */
+function secondsUntilReset() {
+  const now = new Date();
+  const nextMonth = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+  return Math.ceil((nextMonth - now.getTime()) / 1000);
+}
+
+/**
+ * Create the mock WordsAPI app
+ * @param {Object} [options] - Mock options
+ * @param {Object[]} [options.fixtures] - Word entries (default: server/fixtures/wordsapi.json)
+ * @param {Object|Object[]} [options.failures] - Failure rules to start with
+ * @param {number} [options.limit] - Monthly request limit reported in headers
+ * @param {string} [options.apiKey] - Require this X-RapidAPI-Key (default: any key)
+ * @returns {express.Application} The mock app, with a `mock` property for inspecting state
+ */
+function createMockWordsApi(options = {}) {
+  const app = express();
+  const initialFixtures = options.fixtures || loadFixtures();
+  const limit = options.limit || DEFAULT_LIMIT;
+
+  const state = {};
+  const reset = () => {
+    state.entries = new Map(initialFixtures.map(entry => [entry.word.toLowerCase(), entry]));
+    state.failures = options.failures ? normaliseFailures(options.failures) : [];
+    state.remaining = limit;
+    state.requests = [];
+  };
+  reset();
+
+  app.use(express.json());
+
+  // Control routes
+  app.post('/__mock/failures', (req, res) => {
+    state.failures.push(...normaliseFailures(req.body));
+    res.json({ failures: state.failures.length });
+  });
+  app.post('/__mock/reset', (req, res) => {
+    reset();
+    res.json({ reset: true });
+  });
+  app.get('/__mock/requests', (req, res) => {
+    res.json(state.requests);
+  });
+
+  // Rate limiting, authentication and scripted failures for every WordsAPI route
+  app.use('/words', async (req, res, next) => {
+    state.requests.push({ method: req.method, path: req.originalUrl, at: new Date().toISOString() });
+
+    if (options.apiKey && req.get('X-RapidAPI-Key') !== options.apiKey) {
+      return res.status(401).json(ERROR_BODIES[401]);
+    }
+
+    const failure = state.failures.find(rule => rule.remaining > 0 && req.originalUrl.includes(rule.path));
+    if (failure) {
+      failure.remaining--;
+      if (failure.latencyMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, failure.latencyMs));
+      }
+    }
+
+    // RapidAPI counts every request that reaches the API, successful or not
+    if (state.remaining <= 0) {
+      return res.status(429).json(ERROR_BODIES[429]);
+    }
+    state.remaining--;
+    res.set({
+      'x-ratelimit-requests-limit': String(limit),
+      'x-ratelimit-requests-remaining': String(state.remaining),
+      'x-ratelimit-requests-reset': String(secondsUntilReset())
+    });
+
+    if (failure && failure.status) {
+      return res.status(failure.status).json(ERROR_BODIES[failure.status] || { message: `Scripted ${failure.status}` });
+    }
+    next();
+  });
+
+  app.get('/words', (req, res) => {
+    const letters = req.query.letters ? Number(req.query.letters) : null;
+    const min = req.query.frequencyMin !== undefined ? Number(req.query.frequencyMin) : -Infinity;
+    const max = req.query.frequencyMax !== undefined ? Number(req.query.frequencyMax) : Infinity;
+
+    const matches = Array.from(state.entries.values()).filter(entry =>
+      (letters === null || entry.word.length === letters) &&
+      typeof entry.frequency === 'number' && entry.frequency >= min && entry.frequency <= max
+    );
+
+    if (req.query.random !== 'true') {
+      return res.json({ query: { limit: 100, page: 1 }, results: { total: matches.length, data: matches.map(entry => entry.word) } });
+    }
+    if (matches.length === 0) {
+      return res.status(404).json(ERROR_BODIES[404]);
+    }
+    res.json(matches[Math.floor(Math.random() * matches.length)]);
+  });
+
+  app.get('/words/:word', (req, res) => {
+    const entry = state.entries.get(req.params.word.toLowerCase());
+    if (!entry) {
+      return res.status(404).json(ERROR_BODIES[404]);
+    }
+    res.json(entry);
+  });
+
+  app.mock = state;
+  return app;
+}
+
+module.exports = { createMockWordsApi, loadFixtures };
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_WORDSAPI_PORT) || DEFAULT_PORT;
+  const app = createMockWordsApi({
+    fixtures: loadFixtures(process.env.MOCK_WORDSAPI_FIXTURES || DEFAULT_FIXTURES),
+    failures: process.env.MOCK_WORDSAPI_FAILURES ? JSON.parse(process.env.MOCK_WORDSAPI_FAILURES) : undefined,
+    limit: Number(process.env.MOCK_WORDSAPI_LIMIT) || DEFAULT_LIMIT
+  });
+
+  app.listen(port, () => {
+    console.log(`Mock WordsAPI running on http://localhost:${port} (${app.mock.entries.size} fixture words)`);
+    console.log(`Point the word service at it: WORDS_API_BASE_URL=http://localhost:${port} WORDS_API_KEY=mock PORT=3001 npm start`);
+  });
+}
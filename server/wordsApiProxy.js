@@ -0,0 +1,487 @@
+/**
+ * WordsAPI proxy for the Hurdle server
+ * Calls WordsAPI with a server-held RapidAPI key so the key never ships to
+ * browsers, and keeps one quota count for every player instead of one per browser.
+ *
+ * Routes (mounted at /api/words by server.js):
+ *   GET /validate/:word                  -> { word, valid, results?, pronunciation? }
+ *   GET /random?min=&max=&length=        -> { word, results, pronunciation }
+ *   GET /:word/definition                -> { word, results, pronunciation }
+ *   GET /usage                           -> quota stats, with the WORDS_API_USAGE_TOKEN bearer token
+ *
+ * The word routes are rate limited per client IP so one client can't spend the
+ * shared quota; they answer 429 with a Retry-After header when over the limit.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_HOST = 'wordsapiv1.p.rapidapi.com';
+const DEFAULT_BASE_URL = 'https://wordsapiv1.p.rapidapi.com';
+const DEFAULT_MONTHLY_LIMIT = 2500;
+const RANDOM_WORD_ATTEMPTS = 3;
+const MIN_WORD_LENGTH = 4;
+const MAX_WORD_LENGTH = 8;
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 5000;
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const LOOKUP_REQUESTS_PER_WINDOW = 60;
+// Each /random call can make RANDOM_WORD_ATTEMPTS WordsAPI requests, so it gets a tighter limit
+const RANDOM_REQUESTS_PER_WINDOW = 10;
+
+/**
+ * Keep only the fields of a WordsAPI entry that the game uses
+ * @param {Object} data - A WordsAPI word entry
+ * @returns {Object} { results, pronunciation } with the fields DefinitionService displays and filters on
+ */
+function slimEntry(data) {
+  const results = (Array.isArray(data.results) ? data.results : []).map(
+    ({ definition, partOfSpeech, typeOf, instanceOf, synonyms, examples, derivation }) => ({
+      definition, partOfSpeech, typeOf, instanceOf, synonyms, examples, derivation
+    })
+  );
+  return { results, pronunciation: data.pronunciation };
+}
+
+/**
+ * Check that a word entry has a common-concept definition
+ * Same rule as DefinitionService.isTargetDefinition: needs typeOf, rejects instanceOf
+ * @param {Object[]} results - Results from a WordsAPI word entry
+ * @returns {boolean} True if the word is usable as a target
+ */
+function hasCommonDefinition(results) {
+  return results.some(result =>
+    result.definition &&
+    result.definition.trim().length > 10 &&
+    result.typeOf &&
+    !result.instanceOf
+  );
+}
+
+/**
+ * Server-wide WordsAPI quota
+ * Prefers the x-ratelimit headers WordsAPI returns; until one arrives, counts
+ * requests in the same .wordsapi-usage.json file WordsAPITracker uses
+ */
+class ServerQuota {
+  /**
+   * Create a ServerQuota instance
+   * @param {Object} [options] - Quota options
+   * @param {number} [options.monthlyLimit] - Requests per month when headers are unavailable
+   * @param {string|null} [options.usageFile] - Usage file path, or null to count in memory only
+   */
+  constructor(options = {}) {
+    this.monthlyLimit = options.monthlyLimit || DEFAULT_MONTHLY_LIMIT;
+    this.usageFile = options.usageFile === undefined
+      ? path.join(process.cwd(), '.wordsapi-usage.json')
+      : options.usageFile;
+    this.remaining = null;
+    this.usage = this._readUsage();
+  }
+
+  /**
+   * Get current month identifier (YYYY-MM)
+   * @returns {string} Current month identifier
+   * @private
+   */
+  _currentMonth() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  /**
+   * Read the stored request count, starting over in a new month
+   * @returns {Object} Usage data with count and month
+   * @private
+   */
+  _readUsage() {
+    try {
+      if (this.usageFile && fs.existsSync(this.usageFile)) {
+        const data = JSON.parse(fs.readFileSync(this.usageFile, 'utf8'));
+        if (data.month === this._currentMonth()) {
+          return data;
+        }
+      }
+    } catch (error) {
+      console.warn('Error reading WordsAPI usage data:', error.message);
+    }
+    return { count: 0, month: this._currentMonth(), lastReset: new Date().toISOString() };
+  }
+
+  /**
+   * Record a request made to WordsAPI
+   * @param {Response} response - The WordsAPI response
+   */
+  record(response) {
+    const remaining = response.headers.get('x-ratelimit-requests-remaining');
+    const limit = response.headers.get('x-ratelimit-requests-limit');
+
+    if (remaining !== null) {
+      this.remaining = parseInt(remaining);
+      if (limit !== null) {
+        this.monthlyLimit = parseInt(limit);
+      }
+      return;
+    }
+
+    if (this.usage.month !== this._currentMonth()) {
+      this.usage = { count: 0, month: this._currentMonth(), lastReset: new Date().toISOString() };
+    }
+    this.usage.count += 1;
+    this.usage.lastRequest = new Date().toISOString();
+
+    if (this.usageFile) {
+      try {
+        fs.writeFileSync(this.usageFile, JSON.stringify(this.usage, null, 2));
+      } catch (error) {
+        console.warn('Error saving WordsAPI usage data:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Check if another request may be made
+   * @returns {boolean} True if at least one request remains
+   */
+  hasQuota() {
+    return this.getStats().remaining > 0;
+  }
+
+  /**
+   * Get quota statistics
+   * @returns {Object} Used, limit, remaining and whether headers were the source
+   */
+  getStats() {
+    if (this.remaining !== null) {
+      return {
+        used: this.monthlyLimit - this.remaining,
+        limit: this.monthlyLimit,
+        remaining: this.remaining,
+        reliable: true
+      };
+    }
+    return {
+      used: this.usage.count,
+      limit: this.monthlyLimit,
+      remaining: Math.max(0, this.monthlyLimit - this.usage.count),
+      reliable: false
+    };
+  }
+}
+
+/**
+ * Per-client request limit over a fixed window
+ */
+class ClientRateLimiter {
+  /**
+   * Create a ClientRateLimiter instance
+   * @param {Object} [options] - Limiter options
+   * @param {number} [options.limit] - Requests each client may make per window
+   * @param {number} [options.windowMs] - Window length in milliseconds
+   * @param {Function} [options.now] - Clock returning milliseconds (default: Date.now)
+   */
+  constructor(options = {}) {
+    this.limit = options.limit || LOOKUP_REQUESTS_PER_WINDOW;
+    this.windowMs = options.windowMs || RATE_LIMIT_WINDOW_MS;
+    this.now = options.now || Date.now;
+    this.clients = new Map(); // client id -> { count, resetAt }
+    this.sweepAt = this.now() + this.windowMs;
+  }
+
+  /**
+   * Count a request from a client
+   * @param {string} clientId - Who made the request (the client IP)
+   * @returns {Object} { allowed, retryAfterMs } where retryAfterMs is 0 for allowed requests
+   */
+  take(clientId) {
+    const now = this.now();
+    this._sweep(now);
+
+    let client = this.clients.get(clientId);
+    if (!client || client.resetAt <= now) {
+      client = { count: 0, resetAt: now + this.windowMs };
+      this.clients.set(clientId, client);
+    }
+
+    if (client.count >= this.limit) {
+      return { allowed: false, retryAfterMs: client.resetAt - now };
+    }
+    client.count += 1;
+    return { allowed: true, retryAfterMs: 0 };
+  }
+
+  /**
+   * Forget clients whose window has ended, at most once a window
+   * @param {number} now - Current time in milliseconds
+   * @private
+   */
+  _sweep(now) {
+    if (now < this.sweepAt) {
+      return;
+    }
+    for (const [clientId, client] of this.clients) {
+      if (client.resetAt <= now) {
+        this.clients.delete(clientId);
+      }
+    }
+    this.sweepAt = now + this.windowMs;
+  }
+}
+
+/**
+ * WordsApiProxy class
+ * Answers the proxy routes; each method resolves to { status, body } so it can
+ * be used without Express
+ */
+class WordsApiProxy {
+  /**
+   * Create a WordsApiProxy instance
+   * @param {Object} [options] - Proxy options
+   * @param {string} [options.apiKey] - RapidAPI key (default: WORDS_API_KEY environment variable)
+   * @param {string} [options.host] - RapidAPI host header
+   * @param {string} [options.baseUrl] - WordsAPI base URL
+   * @param {ServerQuota} [options.quota] - Quota tracker
+   * @param {Function} [options.fetch] - fetch implementation (default: global fetch)
+   */
+  constructor(options = {}) {
+    this.apiKey = options.apiKey !== undefined ? options.apiKey : process.env.WORDS_API_KEY;
+    this.host = options.host || process.env.WORDS_API_HOST || DEFAULT_HOST;
+    this.baseUrl = (options.baseUrl || process.env.WORDS_API_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.quota = options.quota || new ServerQuota();
+    this.fetch = options.fetch || (typeof fetch !== 'undefined' ? fetch : null);
+    this.cache = new Map(); // word -> { entry, expiresAt }, null entry for unknown words
+
+    if (!this.apiKey) {
+      console.warn('WORDS_API_KEY is not set - /api/words will answer 503 and clients will use their bundled word list');
+    }
+  }
+
+  /**
+   * Check if the proxy can reach WordsAPI
+   * @returns {boolean} True if an API key and fetch are available
+   */
+  isConfigured() {
+    return Boolean(this.apiKey && this.fetch);
+  }
+
+  /**
+   * Make a GET request to WordsAPI, enforcing and recording the quota
+   * @param {string} requestPath - Path relative to the base URL
+   * @returns {Promise<Response>} The WordsAPI response
+   * @private
+   */
+  async _request(requestPath) {
+    if (!this.quota.hasQuota()) {
+      const error = new Error('WordsAPI monthly quota reached');
+      error.status = 503;
+      throw error;
+    }
+
+    const response = await this.fetch(`${this.baseUrl}${requestPath}`, {
+      method: 'GET',
+      headers: {
+        'X-RapidAPI-Key': this.apiKey,
+        'X-RapidAPI-Host': this.host
+      }
+    });
+    this.quota.record(response);
+    return response;
+  }
+
+  /**
+   * Look up a word entry, answering repeat lookups from memory
+   * @param {string} word - Lowercase word
+   * @returns {Promise<Object|null>} Slimmed { results, pronunciation }, or null if WordsAPI doesn't know the word
+   * @private
+   */
+  async _lookup(word) {
+    const cached = this.cache.get(word);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.entry;
+    }
+
+    const response = await this._request(`/words/${encodeURIComponent(word)}`);
+    if (response.status === 404) {
+      this._remember(word, null);
+      return null;
+    }
+    if (!response.ok) {
+      const error = new Error(`WordsAPI returned ${response.status}`);
+      error.status = 502;
+      throw error;
+    }
+
+    const entry = slimEntry(await response.json());
+    this._remember(word, entry);
+    return entry;
+  }
+
+  /**
+   * Cache a lookup, dropping the oldest entry when full
+   * @param {string} word - Lowercase word
+   * @param {Object|null} entry - Slimmed entry, or null for unknown words
+   * @private
+   */
+  _remember(word, entry) {
+    this.cache.delete(word);
+    this.cache.set(word, { entry, expiresAt: Date.now() + CACHE_TTL_MS });
+    if (this.cache.size > CACHE_MAX_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  /**
+   * Run a handler, turning thrown errors into JSON error responses
+   * @param {Function} handler - Async function returning { status, body }
+   * @returns {Promise<Object>} { status, body }
+   * @private
+   */
+  async _respond(handler) {
+    if (!this.isConfigured()) {
+      return { status: 503, body: { error: 'Word service is not configured' } };
+    }
+
+    try {
+      return await handler();
+    } catch (error) {
+      console.warn('WordsAPI proxy request failed:', error.message);
+      return { status: error.status || 502, body: { error: error.message } };
+    }
+  }
+
+  /**
+   * Validate a word
+   * @param {string} word - Word from the request path
+   * @returns {Promise<Object>} { status, body } with body { word, valid, results?, pronunciation? }
+   */
+  async validate(word) {
+    const normalized = String(word).toLowerCase();
+    if (!/^[a-z]+$/.test(normalized) || normalized.length < MIN_WORD_LENGTH || normalized.length > MAX_WORD_LENGTH) {
+      return { status: 400, body: { error: `Word must be ${MIN_WORD_LENGTH} to ${MAX_WORD_LENGTH} letters` } };
+    }
+
+    return this._respond(async () => {
+      const entry = await this._lookup(normalized);
+      return entry === null
+        ? { status: 200, body: { word: normalized, valid: false } }
+        : { status: 200, body: { word: normalized, valid: true, ...entry } };
+    });
+  }
+
+  /**
+   * Get the definitions of a word
+   * @param {string} word - Word from the request path
+   * @returns {Promise<Object>} { status, body } with body { word, results, pronunciation }
+   */
+  async definition(word) {
+    const normalized = String(word).toLowerCase();
+    if (!/^[a-z]+$/.test(normalized)) {
+      return { status: 400, body: { error: 'Word must contain only letters' } };
+    }
+
+    return this._respond(async () => {
+      const entry = await this._lookup(normalized);
+      return entry === null
+        ? { status: 404, body: { error: `"${normalized}" is not in WordsAPI` } }
+        : { status: 200, body: { word: normalized, ...entry } };
+    });
+  }
+
+  /**
+   * Pick a random target word with a common-concept definition
+   * @param {Object} query - Request query with min, max and optional length
+   * @returns {Promise<Object>} { status, body } with body { word, results, pronunciation }
+   */
+  async random(query) {
+    const min = Number(query.min);
+    const max = Number(query.max);
+    const length = query.length === undefined ? 5 : Number(query.length);
+
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min < 0 || max > 10 || min >= max) {
+      return { status: 400, body: { error: 'min and max must be a frequency range between 0 and 10' } };
+    }
+    if (!Number.isInteger(length) || length < MIN_WORD_LENGTH || length > MAX_WORD_LENGTH) {
+      return { status: 400, body: { error: `length must be between ${MIN_WORD_LENGTH} and ${MAX_WORD_LENGTH}` } };
+    }
+
+    return this._respond(async () => {
+      for (let attempt = 0; attempt < RANDOM_WORD_ATTEMPTS; attempt++) {
+        const response = await this._request(`/words/?letters=${length}&frequencyMin=${min}&frequencyMax=${max}&random=true`);
+        if (!response.ok) {
+          const error = new Error(`WordsAPI returned ${response.status}`);
+          error.status = 502;
+          throw error;
+        }
+
+        const data = await response.json();
+        const word = typeof data.word === 'string' ? data.word.toLowerCase() : '';
+        if (word.length !== length || !/^[a-z]+$/.test(word)) {
+          continue;
+        }
+
+        const entry = Array.isArray(data.results) ? slimEntry(data) : await this._lookup(word);
+        if (entry && hasCommonDefinition(entry.results)) {
+          this._remember(word, entry);
+          return { status: 200, body: { word, ...entry } };
+        }
+      }
+
+      return { status: 404, body: { error: 'No word with a definition found in that range' } };
+    });
+  }
+}
+
+/**
+ * Check a request's bearer token against the expected one
+ * @param {string|undefined} header - The Authorization header
+ * @param {string} token - The expected token
+ * @returns {boolean} True if the header carries the token
+ */
+function hasBearerToken(header, token) {
+  const given = Buffer.from(typeof header === 'string' ? header.replace(/^Bearer\s+/i, '') : '');
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Create an Express router for the proxy routes
+ * @param {WordsApiProxy} [proxy] - Proxy to answer requests (default: configured from the environment)
+ * @param {Object} [options] - Router options
+ * @param {ClientRateLimiter} [options.lookupLimiter] - Limit for /validate and /:word/definition
+ * @param {ClientRateLimiter} [options.randomLimiter] - Limit for /random
+ * @param {string} [options.usageToken] - Bearer token for /usage (default: WORDS_API_USAGE_TOKEN
+ *   environment variable); without one /usage answers 404
+ * @returns {express.Router} Router to mount at /api/words
+ */
+function createWordsApiRouter(proxy = new WordsApiProxy(), options = {}) {
+  const router = express.Router();
+  const send = (res, { status, body }) => res.status(status).json(body);
+  const lookupLimiter = options.lookupLimiter || new ClientRateLimiter({ limit: LOOKUP_REQUESTS_PER_WINDOW });
+  const randomLimiter = options.randomLimiter || new ClientRateLimiter({ limit: RANDOM_REQUESTS_PER_WINDOW });
+  const usageToken = options.usageToken !== undefined ? options.usageToken : process.env.WORDS_API_USAGE_TOKEN;
+
+  const rateLimit = limiter => (req, res, next) => {
+    const { allowed, retryAfterMs } = limiter.take(req.ip);
+    if (allowed) {
+      return next();
+    }
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    return res.status(429).json({ error: 'Too many requests - try again shortly' });
+  };
+
+  router.get('/validate/:word', rateLimit(lookupLimiter), async (req, res) => send(res, await proxy.validate(req.params.word)));
+  router.get('/random', rateLimit(randomLimiter), async (req, res) => send(res, await proxy.random(req.query)));
+  router.get('/usage', (req, res) => {
+    if (!usageToken || !hasBearerToken(req.get('Authorization'), usageToken)) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    return res.json(proxy.quota.getStats());
+  });
+  router.get('/:word/definition', rateLimit(lookupLimiter), async (req, res) => send(res, await proxy.definition(req.params.word)));
+
+  return router;
+}
+
+module.exports = { WordsApiProxy, ServerQuota, ClientRateLimiter, createWordsApiRouter };
@@ -9,7 +9,9 @@ const chrome = require('selenium-webdriver/chrome');
 async function runDemo() {
   console.log('🎮 Hard Wordle Selenium Demo');
   console.log('👀 A Chrome browser window will open - watch the automated tests!');
-  console.log('📍 Make sure the dev server is running on http://localhost:3000\n');
+  console.log('📍 Make sure the dev server is running on http://localhost:3000');
+  console.log('📚 For word lookups without the live API, also run: npm run mock:wordsapi');
+  console.log('   and: WORDS_API_BASE_URL=http://localhost:3002 WORDS_API_KEY=mock PORT=3001 npm start\n');
   
   let driver;
   
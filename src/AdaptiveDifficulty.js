@@ -0,0 +1,216 @@
+/**
+ * AdaptiveDifficulty module for Hurdle
+ * Picks the frequency band targets come from for the 'adaptive' difficulty,
+ * moving to rarer or more common words to keep the player's recent solve rate
+ * near a target. The band and recent results are remembered across sessions.
+ */
+
+import { ADAPTIVE_DIFFICULTY_CONFIG } from './config.js';
+
+/**
+ * DifficultyBand type definition
+ * @typedef {Object} DifficultyBand
+ * @property {number|null} level - 1-based adaptive band (higher is rarer), or null for a fixed difficulty
+ * @property {number} min - Lowest Zipf frequency of the band's targets
+ * @property {number} max - Highest Zipf frequency of the band's targets
+ */
+
+class AdaptiveDifficulty {
+  /**
+   * Create an AdaptiveDifficulty instance
+   * @param {Object} [options] - Difficulty options
+   * @param {Storage|null} [options.storage] - Where the band and results are kept (default: localStorage
+   *   when available; null keeps them in memory for this session only)
+   * @param {Object} [options.config] - Settings in the shape of ADAPTIVE_DIFFICULTY_CONFIG
+   */
+  constructor(options = {}) {
+    this.storage = options.storage !== undefined
+      ? options.storage
+      : (typeof localStorage !== 'undefined' ? localStorage : null);
+    this.config = options.config || ADAPTIVE_DIFFICULTY_CONFIG;
+    this.storageKey = this.config.STORAGE_KEY;
+
+    const saved = this._load();
+    this.level = saved.level;
+    this.results = saved.results; // Solve credits, oldest first
+    this.resultsAtLevel = saved.resultsAtLevel;
+  }
+
+  /**
+   * Get the current band level
+   * @returns {number} 1-based level, 1 being the most common words
+   */
+  getLevel() {
+    return this.level;
+  }
+
+  /**
+   * Get the number of bands
+   * @returns {number} Highest level
+   */
+  getLevelCount() {
+    return this.config.BANDS.length;
+  }
+
+  /**
+   * Get the band targets are currently picked from
+   * @returns {DifficultyBand} The current band
+   */
+  getBand() {
+    return { level: this.level, ...this.getFrequencyRange() };
+  }
+
+  /**
+   * Get the frequency range of the current band
+   * @returns {Object} Object with min and max frequency values
+   */
+  getFrequencyRange() {
+    const { min, max } = this.config.BANDS[this.level - 1];
+    return { min, max };
+  }
+
+  /**
+   * Get the recent solve rate
+   * @returns {number|null} Average solve credit of recent results (0 to 1), or null without results
+   */
+  getSolveRate() {
+    if (this.results.length === 0) {
+      return null;
+    }
+    return this.results.reduce((total, credit) => total + credit, 0) / this.results.length;
+  }
+
+  /**
+   * Record how the player did on a hurdle and move the band if needed
+   * @param {Object} result - The hurdle result
+   * @param {boolean} result.solved - Whether the hurdle was solved
+   * @param {number} result.guessCount - Guesses used
+   * @param {number} result.maxGuesses - Guesses allowed
+   * @param {number} [result.durationMs] - Time spent on the hurdle
+   * @returns {Object} {level, previousLevel, changed, solveRate}
+   */
+  recordResult(result) {
+    if (!result || typeof result.solved !== 'boolean') {
+      throw new Error('Result must say whether the hurdle was solved');
+    }
+
+    this.results = [...this.results, this._getSolveCredit(result)].slice(-this.config.WINDOW);
+    this.resultsAtLevel++;
+
+    const previousLevel = this.level;
+    const solveRate = this.getSolveRate();
+    if (this.resultsAtLevel >= this.config.MIN_RESULTS) {
+      if (solveRate > this.config.TARGET_SOLVE_RATE + this.config.TOLERANCE) {
+        this.level = Math.min(this.getLevelCount(), this.level + 1);
+      } else if (solveRate < this.config.TARGET_SOLVE_RATE - this.config.TOLERANCE) {
+        this.level = Math.max(1, this.level - 1);
+      }
+    }
+
+    const changed = this.level !== previousLevel;
+    if (changed) {
+      this.resultsAtLevel = 0;
+      console.log(`Adaptive difficulty moved from band ${previousLevel} to ${this.level} (solve rate ${Math.round(solveRate * 100)}%)`);
+    }
+    this._save();
+
+    return { level: this.level, previousLevel, changed, solveRate };
+  }
+
+  /**
+   * Go back to the starting band and forget recent results
+   */
+  reset() {
+    this.level = this._clampLevel(this.config.START_LEVEL);
+    this.results = [];
+    this.resultsAtLevel = 0;
+    this._save();
+  }
+
+  /**
+   * Work out how much a result counts towards the solve rate
+   * @param {Object} result - The hurdle result
+   * @returns {number} 1 for a solve, 0.5 for a close call, 0 for a failure
+   * @private
+   */
+  _getSolveCredit(result) {
+    if (!result.solved) {
+      return 0;
+    }
+
+    // Needing the last guess or a long think means the band is about right or too hard
+    const usedLastGuess = result.guessCount >= result.maxGuesses;
+    const slow = typeof result.durationMs === 'number' && result.durationMs > this.config.SLOW_SOLVE_MS;
+    return usedLastGuess || slow ? 0.5 : 1;
+  }
+
+  /**
+   * Keep a level inside the configured bands
+   * @param {number} level - The level to check
+   * @returns {number} A level from 1 to the number of bands
+   * @private
+   */
+  _clampLevel(level) {
+    if (!Number.isInteger(level)) {
+      return Math.ceil(this.getLevelCount() / 2);
+    }
+    return Math.min(this.getLevelCount(), Math.max(1, level));
+  }
+
+  /**
+   * Load the band and results from storage
+   * @returns {Object} {level, results, resultsAtLevel}
+   * @private
+   */
+  _load() {
+    const initial = { level: this._clampLevel(this.config.START_LEVEL), results: [], resultsAtLevel: 0 };
+    if (!this.storage) {
+      return initial;
+    }
+
+    try {
+      const stored = JSON.parse(this.storage.getItem(this.storageKey));
+      if (!stored) {
+        return initial;
+      }
+      return {
+        level: this._clampLevel(stored.level),
+        results: Array.isArray(stored.results)
+          ? stored.results.filter(credit => typeof credit === 'number').slice(-this.config.WINDOW)
+          : [],
+        resultsAtLevel: Number.isInteger(stored.resultsAtLevel) ? stored.resultsAtLevel : 0
+      };
+    } catch (error) {
+      console.warn('Failed to load adaptive difficulty:', error);
+      return initial;
+    }
+  }
+
+  /**
+   * Save the band and results to storage
+   * @private
+   */
+  _save() {
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify({
+        level: this.level,
+        results: this.results,
+        resultsAtLevel: this.resultsAtLevel
+      }));
+    } catch (error) {
+      console.warn('Failed to save adaptive difficulty:', error);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AdaptiveDifficulty;
+}
+
+// ES6 export for modern bundlers
+export default AdaptiveDifficulty;
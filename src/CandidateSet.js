@@ -0,0 +1,137 @@
+/**
+ * CandidateSet module for Hurdle
+ * Tracks the words an evil game's target could still be
+ */
+
+import FeedbackGenerator from './FeedbackGenerator.js';
+
+// Weight of each status when breaking ties; buckets that reveal less are kept
+const REVEALED_WEIGHTS = { correct: 2, present: 1, absent: 0 };
+
+/**
+ * CandidateSet class
+ * Splits the remaining words into buckets by the feedback a guess would get from
+ * each of them, and keeps the bucket with the most words alive. The set only
+ * commits to a word when every other bucket is gone.
+ */
+class CandidateSet {
+  /**
+   * Create a CandidateSet instance
+   * @param {string[]} words - Words the target could be
+   * @param {function(string): string} [normalizeLetter] - Maps each lowercase letter to the form
+   *   it is compared in (default: letters compare as-is)
+   */
+  constructor(words, normalizeLetter = null) {
+    if (!Array.isArray(words)) {
+      throw new Error('Candidate words must be an array');
+    }
+
+    this.words = [...new Set(words.filter(word => typeof word === 'string').map(word => word.toLowerCase()))];
+    if (this.words.length === 0) {
+      throw new Error('Candidate set needs at least one word');
+    }
+
+    this.normalizeLetter = normalizeLetter;
+  }
+
+  /**
+   * Get the words the target could still be
+   * @returns {string[]} Candidate words (copy of the list)
+   */
+  getWords() {
+    return [...this.words];
+  }
+
+  /**
+   * Get the number of words the target could still be
+   * @returns {number} Number of candidates
+   */
+  size() {
+    return this.words.length;
+  }
+
+  /**
+   * Check if only one word is left
+   * @returns {boolean} True once the target is settled
+   */
+  isCommitted() {
+    return this.words.length === 1;
+  }
+
+  /**
+   * Group the candidates by the feedback a guess would get from them
+   * @param {string} guess - The guessed word
+   * @returns {Map<string, {feedback: LetterFeedback[], words: string[]}>} Buckets keyed by feedback pattern
+   */
+  partition(guess) {
+    const buckets = new Map();
+    for (const word of this.words) {
+      const feedback = FeedbackGenerator.generateFeedback(guess, word, this.normalizeLetter);
+      const key = CandidateSet.getPatternKey(feedback);
+      if (!buckets.has(key)) {
+        buckets.set(key, { feedback, words: [] });
+      }
+      buckets.get(key).words.push(word);
+    }
+    return buckets;
+  }
+
+  /**
+   * Keep only the bucket a guess leaves the most words in
+   * Ties go to a bucket that doesn't solve the game, then to the one revealing the
+   * fewest letters, then to the first pattern in sort order
+   * @param {string} guess - The guessed word
+   * @returns {LetterFeedback[]} The feedback every remaining candidate gives the guess
+   */
+  narrow(guess) {
+    const buckets = [...this.partition(guess).entries()].map(([key, bucket]) => ({ key, ...bucket }));
+    buckets.sort((a, b) =>
+      b.words.length - a.words.length ||
+      CandidateSet._isSolved(a.feedback) - CandidateSet._isSolved(b.feedback) ||
+      CandidateSet._revealed(a.feedback) - CandidateSet._revealed(b.feedback) ||
+      (a.key < b.key ? -1 : a.key > b.key ? 1 : 0)
+    );
+
+    const chosen = buckets[0];
+    console.log(`CandidateSet kept ${chosen.words.length} of ${this.words.length} words for "${guess}" (${buckets.length} buckets)`);
+    this.words = chosen.words;
+    return chosen.feedback;
+  }
+
+  /**
+   * Get the key of a feedback pattern, one character per letter
+   * @param {LetterFeedback[]} feedback - Feedback for a guess
+   * @returns {string} 'c' for correct, 'p' for present and 'a' for absent letters
+   */
+  static getPatternKey(feedback) {
+    return feedback.map(letterFeedback => letterFeedback.status[0]).join('');
+  }
+
+  /**
+   * Check if a feedback pattern solves the game
+   * @param {LetterFeedback[]} feedback - Feedback for a guess
+   * @returns {number} 1 if every letter is correct, otherwise 0
+   * @private
+   */
+  static _isSolved(feedback) {
+    return feedback.every(letterFeedback => letterFeedback.status === 'correct') ? 1 : 0;
+  }
+
+  /**
+   * Weigh how much a feedback pattern gives away
+   * @param {LetterFeedback[]} feedback - Feedback for a guess
+   * @returns {number} Sum of REVEALED_WEIGHTS over the letters
+   * @private
+   */
+  static _revealed(feedback) {
+    return feedback.reduce((total, letterFeedback) => total + REVEALED_WEIGHTS[letterFeedback.status], 0);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CandidateSet;
+}
+
+// ES6 export for modern bundlers
+export default CandidateSet;
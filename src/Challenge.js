@@ -0,0 +1,305 @@
+/**
+ * Challenge module for Hurdle
+ * A challenge is a seed plus the settings that shape a hurdle chain (word list,
+ * difficulty, guesses, hard mode...). Everyone who plays the same challenge gets
+ * the same targets, so a player can send a code or link and dare a friend to
+ * beat their score.
+ */
+
+import { CHALLENGE_CONFIG, LANGUAGE_CONFIG, MULTI_BOARD_CONFIG, SCORING_RULES, isSupportedWordLength } from './config.js';
+import { isSupportedLanguage } from './languages/languagePacks.js';
+import { createRandom, hashString } from './seededRandom.js';
+import CustomWordList from './CustomWordList.js';
+
+const SEED_ALPHABET = 'abcdefghijkmnpqrstuvwxyz23456789';
+const INVALID_CODE = 'Challenge code is not valid';
+
+/**
+ * ChallengeSettings type definition
+ * The GameConfig settings a challenge replays; everything else stays the player's own
+ * @typedef {Object} ChallengeSettings
+ * @property {number} maxGuesses - Guesses per hurdle (3 to 6)
+ * @property {string} difficulty - Difficulty the challenge was made with
+ * @property {Object} frequencyRange - Frequency range {min, max} targets are picked from
+ * @property {boolean|'strict'} hardMode - Whether hard mode is enforced, or 'strict' for strict hard mode
+ * @property {number} wordLength - Number of letters in targets
+ * @property {boolean} varyWordLength - Whether every hurdle picks its own length
+ * @property {string} language - Language pack code
+ * @property {string} accentMode - 'distinct' or 'fold'
+ * @property {Object<string, boolean>} contentFilter - Blocklist category -> enabled
+ * @property {Object|null} customWordList - Custom word list saved with CustomWordList.toJSON
+ * @property {number} blitzDuration - Minutes on the blitz clock, 0 for no clock
+ * @property {number} boardCount - Boards every guess is played on
+ * @property {boolean} evilMode - Whether targets dodge guesses for as long as they can
+ */
+
+class Challenge {
+  /**
+   * Create a Challenge from a seed and settings that are already validated
+   * Use Challenge.create for new challenges and Challenge.fromCode for shared ones
+   * @param {Object} options - Challenge contents
+   * @param {string} options.seed - Seed every target is picked with
+   * @param {ChallengeSettings} options.settings - Settings the chain is played with
+   * @param {Object|null} [options.result] - Sender's result to beat {score, completedHurdles}
+   */
+  constructor(options) {
+    const { seed, settings, result = null } = options || {};
+
+    if (typeof seed !== 'string' || seed.length === 0) {
+      throw new Error('Challenge seed is required');
+    }
+    if (!settings || typeof settings !== 'object') {
+      throw new Error('Challenge settings are required');
+    }
+
+    this.seed = seed;
+    this.settings = { ...settings };
+    this.result = result ? { score: result.score, completedHurdles: result.completedHurdles } : null;
+  }
+
+  /**
+   * Create a new challenge from the player's settings with a fresh seed
+   * @param {Object} allSettings - Settings from GameConfig.getAllSettings()
+   * @param {Object} frequencyRange - Range targets are picked from; for the adaptive
+   *   difficulty this is the player's current band
+   * @param {Object} [options] - Creation options
+   * @param {string} [options.seed] - Seed to use instead of a random one
+   * @returns {Challenge} The new challenge
+   */
+  static create(allSettings, frequencyRange, options = {}) {
+    const settings = {
+      maxGuesses: allSettings.maxGuesses,
+      difficulty: allSettings.difficulty,
+      frequencyRange: { min: frequencyRange.min, max: frequencyRange.max },
+      hardMode: allSettings.hardMode ? (allSettings.hardModeLevel === 'strict' ? 'strict' : true) : false,
+      wordLength: allSettings.wordLength,
+      varyWordLength: Boolean(allSettings.varyWordLength),
+      language: allSettings.language || LANGUAGE_CONFIG.DEFAULT,
+      accentMode: allSettings.accentMode || LANGUAGE_CONFIG.DEFAULT_ACCENT_MODE,
+      contentFilter: { ...allSettings.contentFilter },
+      customWordList: allSettings.customWordList || null,
+      blitzDuration: allSettings.blitzDuration || 0,
+      boardCount: allSettings.boardCount || 1,
+      evilMode: Boolean(allSettings.evilMode)
+    };
+
+    return new Challenge({ seed: options.seed || Challenge._createSeed(), settings });
+  }
+
+  /**
+   * Read a challenge from a code or a challenge link
+   * @param {string} text - The code, or a link carrying it
+   * @returns {Challenge} The challenge
+   */
+  static fromCode(text) {
+    const code = Challenge._extractCode(text);
+    if (!code.startsWith(CHALLENGE_CONFIG.PREFIX)) {
+      throw new Error(INVALID_CODE);
+    }
+
+    let data;
+    try {
+      const body = code.slice(CHALLENGE_CONFIG.PREFIX.length);
+      const salt = body.slice(0, 4);
+      const unscrambled = Challenge._scramble(Challenge._fromBase64Url(body.slice(4)), salt);
+      const checksum = unscrambled.slice(0, 8);
+      const json = Challenge._fromBinary(unscrambled.slice(8));
+      if (hashString(json).toString(16).padStart(8, '0') !== checksum) {
+        throw new Error('Checksum mismatch');
+      }
+      data = JSON.parse(json);
+    } catch (error) {
+      console.warn('Failed to read challenge code:', error.message);
+      throw new Error(INVALID_CODE);
+    }
+
+    if (data.v !== CHALLENGE_CONFIG.VERSION) {
+      throw new Error('Challenge code was made with a different version of Hurdle');
+    }
+    Challenge._validateSettings(data.c);
+
+    return new Challenge({ seed: data.s, settings: data.c, result: data.r });
+  }
+
+  /**
+   * Get the seed every target is picked with
+   * @returns {string} The seed
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * Get the settings the chain is played with
+   * @returns {ChallengeSettings} A copy of the settings
+   */
+  getSettings() {
+    return { ...this.settings, frequencyRange: { ...this.settings.frequencyRange } };
+  }
+
+  /**
+   * Get the custom word list the challenge picks targets from
+   * @returns {CustomWordList|null} The list, or null to use the dictionary
+   */
+  getCustomWordList() {
+    return CustomWordList.fromJSON(this.settings.customWordList);
+  }
+
+  /**
+   * Get the sender's result
+   * @returns {Object|null} {score, completedHurdles}, or null for a challenge nobody has played
+   */
+  getResult() {
+    return this.result ? { ...this.result } : null;
+  }
+
+  /**
+   * Get the same challenge carrying a result for the next player to beat
+   * @param {Object} result - The result {score, completedHurdles}
+   * @returns {Challenge} A new challenge with the result
+   */
+  withResult(result) {
+    return new Challenge({ seed: this.seed, settings: this.settings, result });
+  }
+
+  /**
+   * Encode the challenge as a shareable code
+   * The settings are scrambled so the word list can't be read off the code
+   * @returns {string} The code
+   */
+  toCode() {
+    const json = JSON.stringify({ v: CHALLENGE_CONFIG.VERSION, s: this.seed, c: this.settings, r: this.result });
+    const checksum = hashString(json).toString(16).padStart(8, '0');
+    const salt = Challenge._createSeed(4);
+    return CHALLENGE_CONFIG.PREFIX + salt + Challenge._toBase64Url(Challenge._scramble(checksum + Challenge._toBinary(json), salt));
+  }
+
+  /**
+   * Build a link that opens the challenge
+   * @param {string} baseUrl - Page the game is served from
+   * @returns {string} The link
+   */
+  toURL(baseUrl) {
+    const url = new URL(baseUrl);
+    url.searchParams.set(CHALLENGE_CONFIG.URL_PARAM, this.toCode());
+    return url.toString();
+  }
+
+  /**
+   * Get the challenge code carried by a link
+   * @param {string} url - The link (e.g. window.location.href)
+   * @returns {string|null} The code, or null if the link has none
+   */
+  static getCodeFromURL(url) {
+    try {
+      return new URL(url).searchParams.get(CHALLENGE_CONFIG.URL_PARAM);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Pull the code out of pasted text, which may be a link
+   * @param {string} text - Pasted code or link
+   * @returns {string} The code
+   * @private
+   */
+  static _extractCode(text) {
+    if (typeof text !== 'string' || text.trim() === '') {
+      throw new Error('Challenge code is required');
+    }
+    const trimmed = text.trim();
+    return Challenge.getCodeFromURL(trimmed) || trimmed;
+  }
+
+  /**
+   * Check decoded settings before a session is started with them
+   * @param {ChallengeSettings} settings - Decoded settings
+   * @private
+   */
+  static _validateSettings(settings) {
+    const valid = settings && typeof settings === 'object' &&
+      SCORING_RULES.MAX_GUESS_OPTIONS.includes(settings.maxGuesses) &&
+      [true, false, 'strict'].includes(settings.hardMode) &&
+      isSupportedWordLength(settings.wordLength) &&
+      isSupportedLanguage(settings.language) &&
+      LANGUAGE_CONFIG.ACCENT_MODES.includes(settings.accentMode) &&
+      (settings.boardCount === undefined || MULTI_BOARD_CONFIG.BOARD_OPTIONS.includes(settings.boardCount)) &&
+      settings.frequencyRange && typeof settings.frequencyRange.min === 'number' && typeof settings.frequencyRange.max === 'number';
+
+    if (!valid) {
+      throw new Error(INVALID_CODE);
+    }
+  }
+
+  /**
+   * XOR a binary string with a key stream seeded from the salt
+   * Scrambling twice with the same salt gives back the original
+   * @param {string} binary - One character per byte
+   * @param {string} salt - Salt stored with the code
+   * @returns {string} Scrambled binary string
+   * @private
+   */
+  static _scramble(binary, salt) {
+    const random = createRandom(`${CHALLENGE_CONFIG.KEY}|${salt}`);
+    return Array.from(binary, char => String.fromCharCode(char.charCodeAt(0) ^ Math.floor(random() * 256))).join('');
+  }
+
+  /**
+   * Create a random seed
+   * @param {number} [length] - Characters (default: CHALLENGE_CONFIG.SEED_LENGTH)
+   * @returns {string} The seed
+   * @private
+   */
+  static _createSeed(length = CHALLENGE_CONFIG.SEED_LENGTH) {
+    return Array.from({ length }, () => SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)]).join('');
+  }
+
+  /**
+   * Encode text as UTF-8, one character per byte
+   * @param {string} text - Text to encode
+   * @returns {string} Binary string
+   * @private
+   */
+  static _toBinary(text) {
+    return encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+
+  /**
+   * Decode a UTF-8 binary string
+   * @param {string} binary - One character per byte
+   * @returns {string} The text
+   * @private
+   */
+  static _fromBinary(binary) {
+    return decodeURIComponent(Array.from(binary, char => '%' + char.charCodeAt(0).toString(16).padStart(2, '0')).join(''));
+  }
+
+  /**
+   * Encode a binary string as URL-safe base64 without padding
+   * @param {string} binary - One character per byte
+   * @returns {string} Base64url text
+   * @private
+   */
+  static _toBase64Url(binary) {
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Decode URL-safe base64
+   * @param {string} text - Base64url text
+   * @returns {string} Binary string
+   * @private
+   */
+  static _fromBase64Url(text) {
+    return atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Challenge;
+}
+
+// ES6 export for modern bundlers
+export default Challenge;
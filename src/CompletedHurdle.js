@@ -3,6 +3,9 @@
  * Represents an individual completed hurdle with scoring information
  */
 
+import ScoreCalculator from './ScoreCalculator.js';
+import { WORD_LENGTH_CONFIG, SCORING_RULES, isSupportedWordLength } from './config.js';
+
 /**
  * CompletedHurdle class
  * Tracks data for a single completed hurdle including score and performance metrics
@@ -12,60 +15,104 @@ class CompletedHurdle {
    * Create a CompletedHurdle instance
    * @param {number} hurdleNumber - The hurdle number (1-based)
    * @param {string} targetWord - The target word that was guessed
-   * @param {number} guessCount - Number of guesses used to solve (1-4)
+   * @param {number} guessCount - Number of guesses used to solve (1 to maxGuesses)
    * @param {number} score - Points earned for this hurdle
    * @param {Guess[]} guesses - Array of Guess objects made for this hurdle
+   * @param {Object} [options] - How the hurdle was played and scored
+   * @param {DifficultyBand|null} [options.difficultyBand] - Frequency band the target was picked from
+   *   (see AdaptiveDifficulty), or null when targets weren't limited by frequency
+   * @param {Object|null} [options.timing] - How long the hurdle took
+   * @param {number|null} [options.timing.elapsedMs] - Time from the hurdle starting to it being solved
+   * @param {number} [options.timing.speedBonus] - Blitz speed bonus included in the score (default: 0)
+   * @param {string[]|null} [options.targetWords] - Every board's target on multi-board hurdles (the first
+   *   is targetWord); guessCount then leaves out the extra guess each extra board adds
+   * @param {number} [options.maxGuesses] - Guesses the hurdle allowed (default: SCORING_RULES.DEFAULT_MAX_GUESSES)
+   * @param {Object|null} [options.combo] - The combo the hurdle was scored with
+   * @param {number} [options.combo.count] - Hurdles in a row solved quickly, this one included (default: 0)
+   * @param {number} [options.combo.bonus] - Combo bonus included in the score (default: 0)
+   * @param {Array<{type: string, cost: number}>} [options.hints] - Hints bought during the hurdle, with the
+   *   points each one took (see ScoreCalculator.chargeHints); the score is after their cost
    */
-  constructor(hurdleNumber, targetWord, guessCount, score, guesses) {
+  constructor(hurdleNumber, targetWord, guessCount, score, guesses, options = {}) {
+    const {
+      difficultyBand = null,
+      timing = null,
+      targetWords = null,
+      maxGuesses = SCORING_RULES.DEFAULT_MAX_GUESSES,
+      combo = null,
+      hints = []
+    } = options;
+    
     // Validate inputs
     if (typeof hurdleNumber !== 'number' || hurdleNumber < 1) {
       throw new Error('Hurdle number must be a positive number');
     }
     
-    if (typeof targetWord !== 'string' || targetWord.length !== 5) {
-      throw new Error('Target word must be a 5-letter string');
+    if (typeof targetWord !== 'string' || !isSupportedWordLength(targetWord.length)) {
+      throw new Error(`Target word must be a ${WORD_LENGTH_CONFIG.MIN} to ${WORD_LENGTH_CONFIG.MAX} letter string`);
     }
     
-    if (typeof guessCount !== 'number' || guessCount < 1 || guessCount > 4) {
-      throw new Error('Guess count must be between 1 and 4');
+    if (!Number.isInteger(maxGuesses) || maxGuesses < 1) {
+      throw new Error('Max guesses must be a positive whole number');
+    }
+    
+    if (typeof guessCount !== 'number' || guessCount < 1 || guessCount > maxGuesses) {
+      throw new Error(`Guess count must be between 1 and ${maxGuesses}`);
     }
     
     if (typeof score !== 'number' || score < 0) {
       throw new Error('Score must be a non-negative number');
     }
     
+    if (!Array.isArray(hints)) {
+      throw new Error('Hints must be an array');
+    }
+    
     if (!Array.isArray(guesses)) {
       throw new Error('Guesses must be an array');
     }
     
-    if (guesses.length !== guessCount) {
+    if (targetWords !== null && (!Array.isArray(targetWords) || targetWords[0] !== targetWord)) {
+      throw new Error('Target words must start with the target word');
+    }
+    
+    const extraGuesses = targetWords ? targetWords.length - 1 : 0;
+    if (guesses.length !== guessCount + extraGuesses) {
       throw new Error('Guesses array length must match guess count');
     }
     
+    const elapsedMs = timing && typeof timing.elapsedMs === 'number' ? timing.elapsedMs : null;
+    if (elapsedMs !== null && elapsedMs < 0) {
+      throw new Error('Elapsed time must be a non-negative number');
+    }
+    
     this.hurdleNumber = hurdleNumber;
     this.targetWord = targetWord.toLowerCase();
+    this.wordLength = targetWord.length;
     this.guessCount = guessCount;
+    this.maxGuesses = maxGuesses;
     this.score = score;
     this.guesses = [...guesses]; // Create copy to prevent external modification
     this.completedAt = new Date();
     this.guessMultiplier = this._calculateGuessMultiplier(guessCount);
+    this.difficultyBand = difficultyBand ? { ...difficultyBand } : null;
+    this.targetWords = (targetWords || [targetWord]).map(word => word.toLowerCase());
+    this.elapsedMs = elapsedMs;
+    this.speedBonus = (timing && timing.speedBonus) || 0;
+    this.comboCount = (combo && combo.count) || 0;
+    this.comboBonus = (combo && combo.bonus) || 0;
+    this.hints = hints.map(hint => ({ type: hint.type, cost: hint.cost }));
+    this.hintCost = ScoreCalculator.calculateHintCost(hints);
   }
 
   /**
    * Calculate the guess multiplier based on number of guesses
    * @param {number} guessCount - Number of guesses used
-   * @returns {number} The multiplier value
+   * @returns {number} The multiplier value from the scoring rules
    * @private
    */
   _calculateGuessMultiplier(guessCount) {
-    switch (guessCount) {
-      case 1: return 1.75;
-      case 2: return 1.5;
-      case 3: return 1.25;
-      case 4: return 1.0;
-      default:
-        throw new Error('Invalid guess count for multiplier calculation');
-    }
+    return ScoreCalculator.getGuessMultiplier(guessCount, this.maxGuesses);
   }
 
   /**
@@ -84,6 +131,30 @@ class CompletedHurdle {
     return this.targetWord;
   }
 
+  /**
+   * Get the target word of every board
+   * @returns {string[]} Target words in board order (just the target word for one board)
+   */
+  getTargetWords() {
+    return [...this.targetWords];
+  }
+
+  /**
+   * Get the number of boards the hurdle was played on
+   * @returns {number} Number of boards
+   */
+  getBoardCount() {
+    return this.targetWords.length;
+  }
+
+  /**
+   * Get the number of letters in the target word
+   * @returns {number} The word length for this hurdle
+   */
+  getWordLength() {
+    return this.wordLength;
+  }
+
   /**
    * Get the number of guesses used
    * @returns {number} Number of guesses used to solve (1-4)
@@ -116,6 +187,14 @@ class CompletedHurdle {
     return this.completedAt;
   }
 
+  /**
+   * Get the number of guesses the hurdle allowed
+   * @returns {number} Max guesses
+   */
+  getMaxGuesses() {
+    return this.maxGuesses;
+  }
+
   /**
    * Get the guess multiplier used for scoring
    * @returns {number} The multiplier applied based on guess count
@@ -124,6 +203,86 @@ class CompletedHurdle {
     return this.guessMultiplier;
   }
 
+  /**
+   * Get the frequency band the target was picked from
+   * @returns {DifficultyBand|null} {level, min, max} where level is null for a fixed difficulty,
+   *   or null when targets weren't limited by frequency
+   */
+  getDifficultyBand() {
+    return this.difficultyBand ? { ...this.difficultyBand } : null;
+  }
+
+  /**
+   * Get how long the hurdle took
+   * @returns {number|null} Milliseconds from the hurdle starting to it being solved, or null if not timed
+   */
+  getElapsedMs() {
+    return this.elapsedMs;
+  }
+
+  /**
+   * Get the blitz speed bonus included in the score
+   * @returns {number} Bonus points (0 outside blitz sessions)
+   */
+  getSpeedBonus() {
+    return this.speedBonus;
+  }
+
+  /**
+   * Get the combo the hurdle left the session on
+   * @returns {number} Hurdles in a row solved quickly, this one included (0 after a slower solve)
+   */
+  getComboCount() {
+    return this.comboCount;
+  }
+
+  /**
+   * Get the combo multiplier the hurdle was scored with
+   * @returns {number} The multiplier (1 without a combo)
+   */
+  getComboMultiplier() {
+    return ScoreCalculator.getComboMultiplier(this.comboCount);
+  }
+
+  /**
+   * Get the combo bonus included in the score
+   * @returns {number} Bonus points (0 without a combo)
+   */
+  getComboBonus() {
+    return this.comboBonus;
+  }
+
+  /**
+   * Get the hints bought during the hurdle
+   * @returns {Array<{type: string, cost: number}>} Hints in the order they were used (copy)
+   */
+  getHints() {
+    return this.hints.map(hint => ({ ...hint }));
+  }
+
+  /**
+   * Get the points hints took off the score
+   * @returns {number} Total hint cost (0 without hints)
+   */
+  getHintCost() {
+    return this.hintCost;
+  }
+
+  /**
+   * Get the hurdle as a game record for Database.saveGame
+   * @returns {Object} {targetWord, guesses, attemptsUsed, won, durationSeconds, hintsUsed}
+   */
+  toGameRecord() {
+    return {
+      targetWord: this.targetWord,
+      guesses: this.guesses.map(guess => (typeof guess.getWord === 'function' ? guess.getWord() : guess)),
+      attemptsUsed: this.guessCount,
+      won: true,
+      durationSeconds: this.elapsedMs !== null ? Math.round(this.elapsedMs / 1000) : null,
+      hintsUsed: this.hints.length
+    };
+  }
+
   /**
    * Get a summary of this completed hurdle
    * @returns {Object} Summary object with key metrics
@@ -132,9 +291,19 @@ class CompletedHurdle {
     return {
       hurdleNumber: this.hurdleNumber,
       targetWord: this.targetWord,
+      wordLength: this.wordLength,
       guessCount: this.guessCount,
+      maxGuesses: this.maxGuesses,
       score: this.score,
       guessMultiplier: this.guessMultiplier,
+      difficultyBand: this.getDifficultyBand(),
+      targetWords: this.getTargetWords(),
+      elapsedMs: this.elapsedMs,
+      speedBonus: this.speedBonus,
+      comboCount: this.comboCount,
+      comboBonus: this.comboBonus,
+      hints: this.getHints(),
+      hintCost: this.hintCost,
       completedAt: this.completedAt
     };
   }
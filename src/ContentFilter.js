@@ -0,0 +1,183 @@
+/**
+ * ContentFilter module for Hurdle
+ * Screens candidate target words and definition text against the blocklist,
+ * with each blocklist category switched on or off independently
+ */
+
+import { BLOCKLIST } from './data/blocklist.js';
+import { LANGUAGE_CONFIG } from './config.js';
+
+/**
+ * Screening result type definition
+ * @typedef {Object} ScreeningResult
+ * @property {boolean} allowed - True if nothing in an enabled category matched
+ * @property {string|null} category - The matching category, e.g. 'profanity'
+ * @property {string|null} match - The blocked word, root or label that matched
+ */
+
+const ALLOWED = { allowed: true, category: null, match: null };
+
+/**
+ * ContentFilter class
+ * Categories missing from the settings are enabled, so categories added to the
+ * blocklist later are filtered until a player switches them off
+ */
+class ContentFilter {
+  /**
+   * Create a ContentFilter instance
+   * @param {Object} [options] - Filter options
+   * @param {Object<string, boolean>} [options.categories] - Category -> enabled (default: all enabled)
+   * @param {Object} [options.blocklist] - Blocklist in the shape of data/blocklist.js
+   */
+  constructor(options = {}) {
+    this.blocklist = options.blocklist || BLOCKLIST;
+    this.enabled = {};
+    for (const category of Object.keys(this.blocklist)) {
+      this.enabled[category] = true;
+    }
+    this.wordSets = new Map(); // "category:language" -> Set of blocked words
+
+    if (options.categories) {
+      this.setCategories(options.categories);
+    }
+  }
+
+  /**
+   * Get every blocklist category with its label and state
+   * @returns {Object[]} Array of {category, label, description, enabled}
+   */
+  getCategories() {
+    return Object.entries(this.blocklist).map(([category, { label, description }]) => ({
+      category,
+      label,
+      description,
+      enabled: this.enabled[category]
+    }));
+  }
+
+  /**
+   * Check if a category is filtered
+   * @param {string} category - Category name
+   * @returns {boolean} True if the category is enabled
+   */
+  isCategoryEnabled(category) {
+    return this.enabled[category] === true;
+  }
+
+  /**
+   * Switch one category on or off
+   * @param {string} category - Category name
+   * @param {boolean} enabled - Whether to filter the category
+   */
+  setCategoryEnabled(category, enabled) {
+    if (!(category in this.blocklist)) {
+      throw new Error(`Unknown content filter category "${category}". Expected one of: ${Object.keys(this.blocklist).join(', ')}`);
+    }
+    this.enabled[category] = Boolean(enabled);
+  }
+
+  /**
+   * Switch several categories at once
+   * Unknown categories (e.g. from older saved settings) are ignored
+   * @param {Object<string, boolean>} categories - Category -> enabled
+   */
+  setCategories(categories) {
+    for (const [category, enabled] of Object.entries(categories || {})) {
+      if (category in this.blocklist) {
+        this.enabled[category] = Boolean(enabled);
+      }
+    }
+  }
+
+  /**
+   * Screen a candidate target word
+   * @param {string} word - The word to screen
+   * @param {string} [language] - Language pack code the word is in
+   * @returns {ScreeningResult} Whether the word may be used as a target
+   */
+  screenWord(word, language = LANGUAGE_CONFIG.DEFAULT) {
+    const key = String(word).normalize('NFC').toLowerCase();
+    const candidates = [key];
+    if (key.endsWith('es')) {
+      candidates.push(key.slice(0, -2));
+    }
+    if (key.endsWith('s')) {
+      candidates.push(key.slice(0, -1));
+    }
+
+    for (const [category, entry] of Object.entries(this.blocklist)) {
+      if (!this.enabled[category]) {
+        continue;
+      }
+
+      const words = this._getWordSet(category, language);
+      const blocked = candidates.find(candidate => words.has(candidate));
+      if (blocked) {
+        return { allowed: false, category, match: blocked };
+      }
+
+      const roots = (entry.roots && entry.roots[language]) || [];
+      const root = roots.find(value => key.includes(value));
+      if (root) {
+        return { allowed: false, category, match: root };
+      }
+    }
+
+    return ALLOWED;
+  }
+
+  /**
+   * Screen definition text for blocked usage labels and words
+   * @param {string} text - Definition text
+   * @param {string} [language] - Language pack code the text is in
+   * @returns {ScreeningResult} Whether the text may be shown
+   */
+  screenText(text, language = LANGUAGE_CONFIG.DEFAULT) {
+    const value = String(text);
+
+    for (const [category, entry] of Object.entries(this.blocklist)) {
+      if (!this.enabled[category]) {
+        continue;
+      }
+
+      const pattern = (entry.definitionPatterns || []).find(candidate => candidate.test(value));
+      if (pattern) {
+        return { allowed: false, category, match: value.match(pattern)[0] };
+      }
+    }
+
+    // Unicode-aware so accented letters stay inside their words
+    for (const word of value.toLowerCase().match(/\p{L}+/gu) || []) {
+      const result = this.screenWord(word, language);
+      if (!result.allowed) {
+        return result;
+      }
+    }
+
+    return ALLOWED;
+  }
+
+  /**
+   * Blocked words of one category and language, built on first use
+   * @param {string} category - Category name
+   * @param {string} language - Language pack code
+   * @returns {Set<string>} Lowercase NFC words
+   * @private
+   */
+  _getWordSet(category, language) {
+    const key = `${category}:${language}`;
+    if (!this.wordSets.has(key)) {
+      const words = this.blocklist[category].words[language] || [];
+      this.wordSets.set(key, new Set(words.map(word => word.normalize('NFC').toLowerCase())));
+    }
+    return this.wordSets.get(key);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ContentFilter;
+}
+
+// ES6 export for modern bundlers
+export default ContentFilter;
@@ -0,0 +1,311 @@
+/**
+ * CustomWordList module for Hurdle
+ * Parses, validates and holds an uploaded list of target words (and optionally
+ * the guesses allowed alongside them) for private games
+ */
+
+import { getLanguagePack } from './languages/languagePacks.js';
+import { WORD_LENGTH_CONFIG, CUSTOM_WORD_LIST_CONFIG, LANGUAGE_CONFIG } from './config.js';
+
+// How many offending words an error message quotes
+const MAX_EXAMPLES = 5;
+
+/**
+ * CustomWordList class
+ * Words are stored in lowercase NFC with their accents, like the bundled lists
+ */
+class CustomWordList {
+  /**
+   * Create a CustomWordList from words that are already validated
+   * Use CustomWordList.parse or CustomWordList.fromJSON for user input
+   * @param {Object} options - List contents
+   * @param {string} [options.name] - Display name (e.g. the uploaded file name)
+   * @param {string} [options.language] - Language pack code the words belong to
+   * @param {string[]} options.targets - Words hurdles are chosen from
+   * @param {string[]} [options.guesses] - Extra words accepted as guesses; when given,
+   *   only targets and these words are accepted
+   */
+  constructor(options) {
+    const { name = 'Custom words', language = LANGUAGE_CONFIG.DEFAULT, targets, guesses = [] } = options || {};
+
+    if (!Array.isArray(targets) || targets.length === 0) {
+      throw new Error('CustomWordList requires at least one target word');
+    }
+
+    this.name = name;
+    this.language = language;
+    this.targets = [...targets];
+    this.guesses = [...guesses];
+  }
+
+  /**
+   * Parse and validate uploaded file contents
+   * Accepts plain text (words separated by lines, spaces or commas; lines starting
+   * with # are comments), a JSON array of words, or a JSON object
+   * {name, targets, guesses}
+   * @param {string} targetsText - Contents of the target word file
+   * @param {string} [guessesText] - Contents of the optional allowed-guess file
+   * @param {Object} [options] - Parse options
+   * @param {string} [options.name] - Display name, used when the file doesn't name the list
+   * @param {string} [options.language] - Language pack code words must be spelled in
+   * @returns {Object} Validation result with {isValid, list, errors, warnings}
+   */
+  static parse(targetsText, guessesText = '', options = {}) {
+    const targetsFile = CustomWordList._readFile(targetsText, 'Target list');
+    const guessesFile = CustomWordList._readFile(guessesText, 'Allowed-guess list');
+    const readErrors = [targetsFile.error, guessesFile.error].filter(Boolean);
+
+    if (readErrors.length > 0) {
+      return { isValid: false, list: null, errors: readErrors, warnings: [] };
+    }
+
+    return CustomWordList.validate(
+      targetsFile.targets,
+      [...targetsFile.guesses, ...guessesFile.targets, ...guessesFile.guesses],
+      { name: targetsFile.name || options.name, language: options.language }
+    );
+  }
+
+  /**
+   * Validate word arrays and build a list from them
+   * Words of the wrong length or with letters outside the language are errors;
+   * duplicates are dropped with a warning
+   * @param {Array} targets - Candidate target words
+   * @param {Array} [guesses] - Candidate allowed guesses
+   * @param {Object} [options] - Validation options
+   * @param {string} [options.name] - Display name
+   * @param {string} [options.language] - Language pack code (default: LANGUAGE_CONFIG.DEFAULT)
+   * @returns {Object} Validation result with {isValid, list, errors, warnings}
+   */
+  static validate(targets, guesses = [], options = {}) {
+    const language = getLanguagePack(options.language || LANGUAGE_CONFIG.DEFAULT);
+    const errors = [];
+    const warnings = [];
+    const wrongLength = [];
+    const badCharacters = [];
+    const duplicates = [];
+    const seen = new Set();
+
+    const collect = words => {
+      const kept = [];
+      for (const entry of words) {
+        const word = typeof entry === 'string' ? language.normalizeWord(entry.trim(), 'distinct') : String(entry);
+        const length = Array.from(word).length;
+
+        if (length < WORD_LENGTH_CONFIG.MIN || length > WORD_LENGTH_CONFIG.MAX) {
+          wrongLength.push(word);
+        } else if (typeof entry !== 'string' || !language.isWord(word)) {
+          badCharacters.push(word);
+        } else if (seen.has(word)) {
+          duplicates.push(word);
+        } else {
+          seen.add(word);
+          kept.push(word);
+        }
+      }
+      return kept;
+    };
+
+    const keptTargets = collect(Array.isArray(targets) ? targets : []);
+    const keptGuesses = collect(Array.isArray(guesses) ? guesses : []);
+
+    if (wrongLength.length > 0) {
+      errors.push(`${CustomWordList._describe(wrongLength, 'is', 'are')} not ${WORD_LENGTH_CONFIG.MIN} to ${WORD_LENGTH_CONFIG.MAX} letters long: ${CustomWordList._examples(wrongLength)}`);
+    }
+    if (badCharacters.length > 0) {
+      errors.push(`${CustomWordList._describe(badCharacters, 'has', 'have')} letters outside the ${language.name} alphabet: ${CustomWordList._examples(badCharacters)}`);
+    }
+    if (keptTargets.length + keptGuesses.length > CUSTOM_WORD_LIST_CONFIG.MAX_WORDS) {
+      errors.push(`Lists can hold at most ${CUSTOM_WORD_LIST_CONFIG.MAX_WORDS} words`);
+    }
+    if (keptTargets.length < CUSTOM_WORD_LIST_CONFIG.MIN_TARGETS) {
+      errors.push(`The target list needs at least ${CUSTOM_WORD_LIST_CONFIG.MIN_TARGETS} different words`);
+    }
+    if (duplicates.length > 0) {
+      warnings.push(`Ignored ${duplicates.length} duplicate word${duplicates.length === 1 ? '' : 's'}: ${CustomWordList._examples(duplicates)}`);
+    }
+
+    if (errors.length > 0) {
+      return { isValid: false, list: null, errors, warnings };
+    }
+
+    const list = new CustomWordList({
+      name: options.name || undefined,
+      language: language.code,
+      targets: keptTargets,
+      guesses: keptGuesses
+    });
+    return { isValid: true, list, errors, warnings };
+  }
+
+  /**
+   * Rebuild a list saved with toJSON, validating it again
+   * @param {Object|null} data - Saved list
+   * @returns {CustomWordList|null} The list, or null if the data is missing or invalid
+   */
+  static fromJSON(data) {
+    if (!data || typeof data !== 'object') {
+      return null;
+    }
+
+    const result = CustomWordList.validate(data.targets, data.guesses, { name: data.name, language: data.language });
+    if (!result.isValid) {
+      console.warn('Ignoring invalid saved custom word list:', result.errors.join('; '));
+      return null;
+    }
+    return result.list;
+  }
+
+  /**
+   * Read the words out of one uploaded file
+   * @param {string} text - File contents
+   * @param {string} label - File description for error messages
+   * @returns {Object} {targets, guesses, name, error}
+   * @private
+   */
+  static _readFile(text, label) {
+    const empty = { targets: [], guesses: [], name: null, error: null };
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+
+    if (!trimmed) {
+      return empty;
+    }
+
+    if (!trimmed.startsWith('[') && !trimmed.startsWith('{')) {
+      const words = trimmed
+        .split(/\r?\n/)
+        .filter(line => !line.trim().startsWith('#'))
+        .join(' ')
+        .split(/[\s,;]+/)
+        .filter(Boolean);
+      return { ...empty, targets: words };
+    }
+
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      return { ...empty, error: `${label} is not valid JSON: ${error.message}` };
+    }
+
+    if (Array.isArray(data)) {
+      return { ...empty, targets: data };
+    }
+
+    const targets = data.targets || data.words;
+    const guesses = data.guesses || data.allowed || [];
+    if (!Array.isArray(targets) || !Array.isArray(guesses)) {
+      return { ...empty, error: `${label} JSON must be an array of words or an object with a "targets" array` };
+    }
+    return { ...empty, targets, guesses, name: typeof data.name === 'string' ? data.name : null };
+  }
+
+  /**
+   * Start of an error sentence for a number of words
+   * @param {string[]} words - Offending words
+   * @param {string} singular - Verb for one word
+   * @param {string} plural - Verb for several words
+   * @returns {string} e.g. "1 word is" or "3 words are"
+   * @private
+   */
+  static _describe(words, singular, plural) {
+    return words.length === 1 ? `1 word ${singular}` : `${words.length} words ${plural}`;
+  }
+
+  /**
+   * A few offending words for an error message
+   * @param {string[]} words - Offending words
+   * @returns {string} Comma separated examples
+   * @private
+   */
+  static _examples(words) {
+    const shown = words.slice(0, MAX_EXAMPLES).map(word => `"${word}"`).join(', ');
+    return words.length > MAX_EXAMPLES ? `${shown} and ${words.length - MAX_EXAMPLES} more` : shown;
+  }
+
+  /**
+   * Get the display name
+   * @returns {string} List name
+   */
+  getName() {
+    return this.name;
+  }
+
+  /**
+   * Get the language the words are spelled in
+   * @returns {string} Language pack code
+   */
+  getLanguage() {
+    return this.language;
+  }
+
+  /**
+   * Get target words
+   * @param {number|null} [wordLength] - Only return targets of this length
+   * @returns {string[]} Lowercase target words
+   */
+  getTargets(wordLength = null) {
+    if (wordLength === null) {
+      return [...this.targets];
+    }
+    return this.targets.filter(word => Array.from(word).length === wordLength);
+  }
+
+  /**
+   * Get the extra allowed guesses
+   * @returns {string[]} Lowercase words
+   */
+  getGuesses() {
+    return [...this.guesses];
+  }
+
+  /**
+   * Get the word lengths the targets cover
+   * @returns {number[]} Sorted word lengths
+   */
+  getWordLengths() {
+    return Array.from(new Set(this.targets.map(word => Array.from(word).length))).sort((a, b) => a - b);
+  }
+
+  /**
+   * Check if the list restricts guesses to its own words
+   * @returns {boolean} True if an allowed-guess list was uploaded
+   */
+  hasAllowedGuesses() {
+    return this.guesses.length > 0;
+  }
+
+  /**
+   * Check if a word is one of the list's targets or allowed guesses
+   * @param {string} word - The word to look for
+   * @param {function(string): string} [normalize] - Applied to both sides before comparing
+   *   (e.g. Dictionary.normalizeWord to fold accents)
+   * @returns {boolean} True if the list contains the word
+   */
+  includes(word, normalize = value => value.toLowerCase()) {
+    const key = normalize(word);
+    return this.targets.some(target => normalize(target) === key) ||
+      this.guesses.some(guess => normalize(guess) === key);
+  }
+
+  /**
+   * Get the list in a form that can be saved with the game settings
+   * @returns {Object} {name, language, targets, guesses}
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      language: this.language,
+      targets: [...this.targets],
+      guesses: [...this.guesses]
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CustomWordList;
+}
+
+// ES6 export for modern bundlers
+export default CustomWordList;
@@ -0,0 +1,296 @@
+/**
+ * DailyHurdle module for Hurdle
+ * The Daily Hurdle is one chain of targets per date, the same for every player,
+ * so friends can compare runs. Each player gets one attempt per day, and daily
+ * results are kept apart from free play for their own stats.
+ */
+
+import { DAILY_HURDLE_CONFIG } from './config.js';
+import { pickSeededWord } from './seededRandom.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * DailyAttempt type definition
+ * @typedef {Object} DailyAttempt
+ * @property {string} date - Date of the daily (YYYY-MM-DD, UTC)
+ * @property {number} number - Daily Hurdle number (1 on DAILY_HURDLE_CONFIG.EPOCH)
+ * @property {string} startedAt - When the attempt started (ISO string)
+ * @property {string|null} finishedAt - When it ended, or null while it is being played
+ * @property {number} completedHurdles - Hurdles completed
+ * @property {number} score - Score reached
+ * @property {string|null} endReason - 'failure' | 'manual-stop', or null while it is being played
+ */
+
+class DailyHurdle {
+  /**
+   * Create a DailyHurdle instance
+   * @param {Dictionary} dictionary - Supplies the shared candidate words (see Dictionary.getSharedWords)
+   * @param {Object} [options] - Daily options
+   * @param {Storage|null} [options.storage] - Where attempts are kept (default: localStorage when
+   *   available; null keeps them in memory for this session only)
+   * @param {string} [options.seed] - Seed for every chain (default: DAILY_HURDLE_CONFIG.SEED)
+   * @param {Function} [options.now] - Clock returning a Date (default: the current time)
+   */
+  constructor(dictionary, options = {}) {
+    if (!dictionary) {
+      throw new Error('Dictionary is required');
+    }
+
+    this.dictionary = dictionary;
+    this.storage = options.storage !== undefined
+      ? options.storage
+      : (typeof localStorage !== 'undefined' ? localStorage : null);
+    this.storageKey = DAILY_HURDLE_CONFIG.STORAGE_KEY;
+    this.seed = options.seed || DAILY_HURDLE_CONFIG.SEED;
+    this.now = options.now || (() => new Date());
+    this.chains = new Map(); // "source|date|length" -> targets so far, hurdle 1 first
+    this.attempts = this._load(); // date -> DailyAttempt
+  }
+
+  /**
+   * Get the date the Daily Hurdle is played for
+   * Days change at midnight UTC so every player is on the same daily
+   * @param {Date} [date] - The moment to check (default: now)
+   * @returns {string} Date (YYYY-MM-DD)
+   */
+  getDateKey(date = this.now()) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Get the number of a date's Daily Hurdle
+   * @param {string} [dateKey] - Date (default: today)
+   * @returns {number} Days since DAILY_HURDLE_CONFIG.EPOCH, plus one
+   */
+  getDailyNumber(dateKey = this.getDateKey()) {
+    return Math.round((Date.parse(dateKey) - Date.parse(DAILY_HURDLE_CONFIG.EPOCH)) / DAY_MS) + 1;
+  }
+
+  /**
+   * Get the time until the next Daily Hurdle
+   * @returns {number} Milliseconds until the next midnight UTC
+   */
+  getTimeUntilNext() {
+    const now = this.now();
+    const nextDay = Date.parse(this.getDateKey(now)) + DAY_MS;
+    return Math.max(0, nextDay - now.getTime());
+  }
+
+  /**
+   * Get the target of one hurdle in a date's chain
+   * @param {string} dateKey - Date of the daily
+   * @param {number} hurdleNumber - Hurdle in the chain (1-based)
+   * @param {number} [wordLength] - Number of letters (default: DAILY_HURDLE_CONFIG.WORD_LENGTH)
+   * @returns {Promise<string>} The target, the same for every player with the same word source
+   */
+  async getTarget(dateKey, hurdleNumber, wordLength = DAILY_HURDLE_CONFIG.WORD_LENGTH) {
+    if (!Number.isInteger(hurdleNumber) || hurdleNumber < 1) {
+      throw new Error('Hurdle number must be a positive whole number');
+    }
+
+    const { sourceName, words } = await this.dictionary.getSharedWords(wordLength, DAILY_HURDLE_CONFIG.FREQUENCY_RANGE);
+    if (words.length === 0) {
+      throw new Error(`No ${wordLength} letter words to pick Daily Hurdle targets from`);
+    }
+
+    const chainKey = `${sourceName}|${dateKey}|${wordLength}`;
+    const chain = this.chains.get(chainKey) || [];
+    while (chain.length < hurdleNumber) {
+      // Targets don't repeat within a chain until every candidate has been used
+      chain.push(pickSeededWord(words, chain, `${this.seed}|${chainKey}|${chain.length + 1}`));
+    }
+    this.chains.set(chainKey, chain);
+
+    return chain[hurdleNumber - 1];
+  }
+
+  /**
+   * Get the attempt for a date
+   * @param {string} [dateKey] - Date (default: today)
+   * @returns {DailyAttempt|null} The attempt, or null if the daily hasn't been started
+   */
+  getAttempt(dateKey = this.getDateKey()) {
+    const attempt = this.attempts[dateKey];
+    return attempt ? { ...attempt } : null;
+  }
+
+  /**
+   * Check if the player has used their attempt at a date's daily
+   * @param {string} [dateKey] - Date (default: today)
+   * @returns {boolean} True once the daily has been started
+   */
+  hasPlayed(dateKey = this.getDateKey()) {
+    return Boolean(this.attempts[dateKey]);
+  }
+
+  /**
+   * Start the player's one attempt at a date's daily
+   * The attempt is saved straight away, so reloading the page doesn't give another
+   * @param {string} [dateKey] - Date (default: today)
+   * @returns {DailyAttempt} The new attempt
+   */
+  startAttempt(dateKey = this.getDateKey()) {
+    if (this.hasPlayed(dateKey)) {
+      throw new Error(`Daily Hurdle #${this.getDailyNumber(dateKey)} has already been played`);
+    }
+
+    this.attempts[dateKey] = {
+      date: dateKey,
+      number: this.getDailyNumber(dateKey),
+      startedAt: this.now().toISOString(),
+      finishedAt: null,
+      completedHurdles: 0,
+      score: 0,
+      endReason: null
+    };
+    this._save();
+    return this.getAttempt(dateKey);
+  }
+
+  /**
+   * Give back an attempt whose first hurdle couldn't be set up
+   * @param {string} dateKey - Date of the daily
+   */
+  cancelAttempt(dateKey) {
+    const attempt = this.attempts[dateKey];
+    if (!attempt || attempt.finishedAt || attempt.completedHurdles > 0) {
+      throw new Error('No unplayed Daily Hurdle attempt to cancel for ' + dateKey);
+    }
+
+    delete this.attempts[dateKey];
+    this._save();
+  }
+
+  /**
+   * Record progress on an attempt that is being played
+   * @param {string} dateKey - Date of the daily
+   * @param {Object} progress - Progress so far
+   * @param {number} progress.completedHurdles - Hurdles completed
+   * @param {number} progress.score - Score reached
+   */
+  updateAttempt(dateKey, progress) {
+    const attempt = this.attempts[dateKey];
+    if (!attempt || attempt.finishedAt) {
+      throw new Error('No Daily Hurdle attempt in progress for ' + dateKey);
+    }
+
+    attempt.completedHurdles = progress.completedHurdles;
+    attempt.score = progress.score;
+    this._save();
+  }
+
+  /**
+   * Finish an attempt
+   * @param {string} dateKey - Date of the daily
+   * @param {Object} result - Final result
+   * @param {number} result.completedHurdles - Hurdles completed
+   * @param {number} result.score - Final score
+   * @param {string} result.endReason - 'failure' | 'manual-stop'
+   * @returns {DailyAttempt} The finished attempt
+   */
+  finishAttempt(dateKey, result) {
+    this.updateAttempt(dateKey, result);
+    this.attempts[dateKey].endReason = result.endReason;
+    this.attempts[dateKey].finishedAt = this.now().toISOString();
+    this._save();
+    return this.getAttempt(dateKey);
+  }
+
+  /**
+   * Get Daily Hurdle stats, kept apart from free play
+   * The streak counts days in a row with a daily played, up to today or yesterday
+   * @returns {Object} {played, totalHurdles, averageHurdles, bestHurdles, bestScore, currentStreak, maxStreak, lastPlayed}
+   */
+  getStats() {
+    const attempts = Object.values(this.attempts).sort((a, b) => a.date.localeCompare(b.date));
+    const totalHurdles = attempts.reduce((total, attempt) => total + attempt.completedHurdles, 0);
+
+    let maxStreak = 0;
+    let streak = 0;
+    let previous = null;
+    for (const attempt of attempts) {
+      streak = previous && Date.parse(attempt.date) - Date.parse(previous) === DAY_MS ? streak + 1 : 1;
+      maxStreak = Math.max(maxStreak, streak);
+      previous = attempt.date;
+    }
+
+    // A streak is still alive until a whole day is missed
+    const daysSinceLast = previous ? Math.round((Date.parse(this.getDateKey()) - Date.parse(previous)) / DAY_MS) : null;
+    const currentStreak = daysSinceLast !== null && daysSinceLast <= 1 ? streak : 0;
+
+    return {
+      played: attempts.length,
+      totalHurdles,
+      averageHurdles: attempts.length > 0 ? Math.round((totalHurdles / attempts.length) * 10) / 10 : 0,
+      bestHurdles: attempts.reduce((best, attempt) => Math.max(best, attempt.completedHurdles), 0),
+      bestScore: attempts.reduce((best, attempt) => Math.max(best, attempt.score), 0),
+      currentStreak,
+      maxStreak,
+      lastPlayed: previous
+    };
+  }
+
+  /**
+   * Load attempts from storage
+   * @returns {Object<string, DailyAttempt>} Date -> attempt
+   * @private
+   */
+  _load() {
+    if (!this.storage) {
+      return {};
+    }
+
+    try {
+      const stored = JSON.parse(this.storage.getItem(this.storageKey));
+      return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+    } catch (error) {
+      console.warn('Failed to load Daily Hurdle attempts:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Save attempts to storage, dropping ones older than DAILY_HURDLE_CONFIG.HISTORY_DAYS
+   * @private
+   */
+  _save() {
+    const oldest = this.getDateKey(new Date(this.now().getTime() - DAILY_HURDLE_CONFIG.HISTORY_DAYS * DAY_MS));
+    for (const date of Object.keys(this.attempts)) {
+      if (date < oldest) {
+        delete this.attempts[date];
+      }
+    }
+
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(this.attempts));
+    } catch (error) {
+      console.warn('Failed to save Daily Hurdle attempts:', error);
+    }
+  }
+
+  /**
+   * Format a countdown for display
+   * @param {number} ms - Milliseconds left
+   * @returns {string} Hours, minutes and seconds (HH:MM:SS)
+   */
+  static formatCountdown(ms) {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return [hours, minutes, seconds].map(part => String(part).padStart(2, '0')).join(':');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DailyHurdle;
+}
+
+// ES6 export for modern bundlers
+export default DailyHurdle;
@@ -0,0 +1,194 @@
+/**
+ * DefinitionService module for Hurdle
+ * Turns word lookups into structured definitions for the hurdle card, the
+ * solved-words viewer and Dictionary's definition checks
+ */
+
+import ContentFilter from './ContentFilter.js';
+
+// Shown instead of definitions when none can be displayed
+const DEFINITION_MESSAGES = {
+  NOT_FOUND: 'This is a rare or technical English word. Definition not available from WordsAPI.',
+  UNAVAILABLE: 'Definition could not be loaded at this time.',
+  RESTRICTED: 'Definition not available due to content restrictions.',
+  LANGUAGE: 'Definitions are only available for English words.'
+};
+
+/**
+ * DefinitionService class
+ * Wraps a word lookup (any source with lookupWord, e.g. WordsAPIWordSource or
+ * HttpWordSource, both of which cache lookups) and shapes the results into
+ * entries with part of speech, definition, synonyms, examples and derivation
+ */
+class DefinitionService {
+  /**
+   * Create a DefinitionService instance
+   * @param {Object} lookup - Object with lookupWord(word) resolving to {status, results, pronunciation}
+   * @param {Object} [options] - Service options
+   * @param {ContentFilter} [options.contentFilter] - Screens definition text (default: every category enabled)
+   */
+  constructor(lookup, options = {}) {
+    if (!lookup || typeof lookup.lookupWord !== 'function') {
+      throw new Error('DefinitionService requires a source with lookupWord');
+    }
+
+    this.lookup = lookup;
+    this.contentFilter = options.contentFilter || new ContentFilter();
+    this.pending = new Map(); // word -> in-flight or settled definition promise
+  }
+
+  /**
+   * Check if a WordsAPI result describes a common concept usable as a target
+   * Requires 'typeOf' (common concepts) and rejects 'instanceOf' (specific instances/names)
+   * @param {Object} result - One WordsAPI result
+   * @returns {boolean} True if the result is a substantial common-concept definition
+   */
+  static isTargetDefinition(result) {
+    return Boolean(
+      result &&
+      typeof result.definition === 'string' &&
+      result.definition.trim().length > 10 && // Ensure definition has substance
+      result.typeOf &&
+      !result.instanceOf
+    );
+  }
+
+  /**
+   * Pronunciation as a display string
+   * WordsAPI returns either a string or an object keyed by 'all' or part of speech
+   * @param {string|Object|undefined} pronunciation - WordsAPI pronunciation field
+   * @returns {string|null} Pronunciation, or null if unavailable
+   * @private
+   */
+  _formatPronunciation(pronunciation) {
+    if (typeof pronunciation === 'string') {
+      return pronunciation;
+    }
+    if (pronunciation && typeof pronunciation === 'object') {
+      return pronunciation.all || Object.values(pronunciation).find(value => typeof value === 'string') || null;
+    }
+    return null;
+  }
+
+  /**
+   * Convert WordsAPI results to display entries
+   * Common-concept definitions are preferred; if there are none, every result is used
+   * @param {Object[]} results - WordsAPI results
+   * @returns {Object[]} Entries with partOfSpeech, definition, synonyms, examples and derivation
+   * @private
+   */
+  _toEntries(results) {
+    const withText = results.filter(result => typeof result.definition === 'string' && result.definition.trim().length > 0);
+    const common = withText.filter(result => result.typeOf && !result.instanceOf);
+
+    const shown = (common.length > 0 ? common : withText).filter(result => {
+      const screening = this.contentFilter.screenText(result.definition);
+      if (!screening.allowed) {
+        console.log(`Content filter hid a definition (${screening.category}: "${screening.match}")`);
+      }
+      return screening.allowed;
+    });
+
+    return shown.map(result => ({
+      partOfSpeech: result.partOfSpeech || 'word',
+      definition: result.definition,
+      synonyms: Array.isArray(result.synonyms) ? result.synonyms : [],
+      examples: Array.isArray(result.examples) ? result.examples : [],
+      derivation: Array.isArray(result.derivation) ? result.derivation : []
+    }));
+  }
+
+  /**
+   * Get the structured definition of a word
+   * Never rejects: lookup failures resolve to an entry-less result with a message
+   * @param {string} word - The word to define
+   * @returns {Promise<Object>} {word, found, pronunciation, entries, message}
+   */
+  async getDefinition(word) {
+    const key = String(word).toLowerCase();
+
+    if (!this.pending.has(key)) {
+      const request = this._fetchDefinition(key);
+      this.pending.set(key, request);
+
+      // Only keep successful lookups; failures are retried next time
+      request.then(result => {
+        if (result.message === DEFINITION_MESSAGES.UNAVAILABLE) {
+          this.pending.delete(key);
+        }
+      });
+    }
+
+    return this.pending.get(key);
+  }
+
+  /**
+   * Forget shaped definitions, e.g. after the content filter settings change
+   */
+  clearCache() {
+    this.pending.clear();
+  }
+
+  /**
+   * Look up and shape a definition
+   * @param {string} word - Lowercase word
+   * @returns {Promise<Object>} {word, found, pronunciation, entries, message}
+   * @private
+   */
+  async _fetchDefinition(word) {
+    const unavailable = message => ({ word, found: false, pronunciation: null, entries: [], message });
+
+    let data;
+    try {
+      data = await this.lookup.lookupWord(word);
+    } catch (error) {
+      console.warn(`Definition lookup failed for "${word}":`, error.message);
+      return unavailable(DEFINITION_MESSAGES.UNAVAILABLE);
+    }
+
+    if (!data || (data.status !== 200 && data.status !== 404)) {
+      return unavailable(DEFINITION_MESSAGES.UNAVAILABLE);
+    }
+
+    const results = Array.isArray(data.results) ? data.results : [];
+    if (data.status === 404 || results.length === 0) {
+      return unavailable(DEFINITION_MESSAGES.NOT_FOUND);
+    }
+
+    const entries = this._toEntries(results);
+    if (entries.length === 0) {
+      return unavailable(DEFINITION_MESSAGES.RESTRICTED);
+    }
+
+    console.log(`Found ${entries.length} definition(s) for "${word}"`);
+    return {
+      word,
+      found: true,
+      pronunciation: this._formatPronunciation(data.pronunciation),
+      entries,
+      message: null
+    };
+  }
+
+  /**
+   * Check that a word has at least one definition usable for a target
+   * @param {string} word - The word to check
+   * @returns {Promise<boolean>} True if a common-concept definition exists
+   */
+  async hasTargetDefinition(word) {
+    const data = await this.lookup.lookupWord(String(word).toLowerCase());
+    return Boolean(data && data.status === 200 && Array.isArray(data.results) &&
+      data.results.some(result => DefinitionService.isTargetDefinition(result)));
+  }
+}
+
+// Messages are exposed for callers that want to recognise them
+DefinitionService.MESSAGES = DEFINITION_MESSAGES;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DefinitionService;
+}
+
+// ES6 export for modern bundlers
+export default DefinitionService;
@@ -3,72 +3,352 @@
  * Manages the word dictionary and provides validation and selection methods
  */
 
-// Import the WordsAPI tracker and configuration
-import WordsAPITracker from './WordsAPITracker.js';
-import { WORDS_API_CONFIG } from './config.js';
+import createWordSource from './wordSources/createWordSource.js';
+import MemoryWordSource from './wordSources/MemoryWordSource.js';
+import LocalWordSource from './wordSources/LocalWordSource.js';
+import HttpWordSource from './wordSources/HttpWordSource.js';
+import DefinitionService from './DefinitionService.js';
+import ContentFilter from './ContentFilter.js';
+import { getLanguagePack } from './languages/languagePacks.js';
+import { WORD_LENGTH_CONFIG, WORD_SOURCE_CONFIG, LANGUAGE_CONFIG, isSupportedWordLength } from './config.js';
+
+// Outcomes of checkWord
+const WORD_CHECK = {
+  VALID: 'valid',
+  INVALID: 'invalid',
+  UNVERIFIED: 'unverified' // The word source couldn't be asked
+};
 
 class Dictionary {
   /**
-   * Create a Dictionary instance that uses WordsAPI exclusively
-   * @param {string[]} words - Optional fallback word list for testing only
+   * Create a Dictionary instance that delegates to a word source
+   * @param {string[]} [words] - Optional word list; when given, an in-memory source is used
+   * @param {Object} [options] - Dictionary options
+   * @param {WordSource} [options.source] - Explicit word source (overrides words and configuration)
+   * @param {WordSource|null} [options.fallbackSource] - Source used when the primary source cannot supply a target
+   * @param {DefinitionService} [options.definitionService] - Definition lookups (default: the source if it
+   *   can look words up, otherwise the word service at WORD_SOURCE_CONFIG.BASE_URL)
+   * @param {string} [options.language] - Language pack code (default: LANGUAGE_CONFIG.DEFAULT); an explicit
+   *   source is assumed to serve it, otherwise the language's bundled list is used
+   * @param {string} [options.accentMode] - 'distinct' or 'fold' (default: LANGUAGE_CONFIG.DEFAULT_ACCENT_MODE)
+   * @param {ContentFilter} [options.contentFilter] - Screens targets and definitions (default: every category enabled)
    */
-  constructor(words = null) {
-    // Only use fallback words in test environment
-    const isTestEnvironment = this.detectTestEnvironment();
-    
-    if (words && isTestEnvironment) {
-      console.log('Dictionary: Using fallback word list for testing');
-      // Store words in a Set for O(1) lookup performance (fallback for tests)
-      this.wordSet = new Set(words.map(word => word.toLowerCase()));
-      this.wordArray = Array.from(this.wordSet);
-      this.useLocalFallback = true;
+  constructor(words = null, options = {}) {
+    if (words !== null) {
+      if (!Array.isArray(words)) {
+        throw new Error('Dictionary constructor requires an array of words');
+      }
+      if (words.length === 0) {
+        throw new Error('Dictionary cannot be empty');
+      }
+    }
+
+    // Word source selection: explicit source, then caller word list, then configuration
+    if (options.source) {
+      this.source = options.source;
+    } else if (words) {
+      this.source = new MemoryWordSource(words);
+    } else {
+      this.source = createWordSource();
+    }
+
+    // Offline sources need no fallback; networked sources fall back to the bundled list
+    if (options.fallbackSource !== undefined) {
+      this.fallbackSource = options.fallbackSource;
     } else {
-      console.log('Dictionary: Using WordsAPI exclusively (no local word list)');
-      this.wordSet = new Set();
-      this.wordArray = [];
-      this.useLocalFallback = false;
+      this.fallbackSource = this.source.isOffline() ? null : new LocalWordSource();
+    }
+
+    // English sources are kept so switching back from another language restores them
+    this.englishSource = this.source;
+    this.englishFallbackSource = this.fallbackSource;
+    this.language = getLanguagePack(LANGUAGE_CONFIG.DEFAULT);
+    this.accentMode = LANGUAGE_CONFIG.DEFAULT_ACCENT_MODE;
+    if (options.source && options.language) {
+      // An explicit source already serves the requested language
+      this.language = getLanguagePack(options.language);
+      this.accentMode = options.accentMode || this.accentMode;
+    } else if (options.language || options.accentMode) {
+      this.setLanguage(options.language || LANGUAGE_CONFIG.DEFAULT, options.accentMode);
     }
+
+    // Uploaded list for private games (see setCustomWordList)
+    this.customWordList = null;
+
+    // Targets and definition text are screened before they reach the player
+    this.contentFilter = options.contentFilter || new ContentFilter();
+
+    // Definitions always come from a networked lookup, even when words come from an offline list
+    this.definitionService = options.definitionService || new DefinitionService(
+      typeof this.source.lookupWord === 'function'
+        ? this.source
+        : new HttpWordSource({ baseUrl: WORD_SOURCE_CONFIG.BASE_URL }),
+      { contentFilter: this.contentFilter }
+    );
     
     // Environment detection
     this.isProduction = this.detectProductionEnvironment();
     
-    // WordsAPI configuration - always enabled
-    this.wordsApiEnabled = typeof fetch !== 'undefined';
     this.apiRetryCount = 0;
     this.maxRetries = 3;
     
-    // Initialize API tracker
-    this.apiTracker = new WordsAPITracker();
-    this.limitExceededMessageShown = false;
-    
     // Log configuration
     if (typeof console !== 'undefined') {
       console.log(`Dictionary initialized in ${this.isProduction ? 'PRODUCTION' : 'DEVELOPMENT'} mode`);
-      console.log(`WordsAPI ${this.wordsApiEnabled ? 'ENABLED' : 'DISABLED'} - using ${this.useLocalFallback ? 'API + local fallback for tests' : 'API only'}`);
+      console.log(`Word source: ${this.source.getName()}${this.fallbackSource ? ` (fallback: ${this.fallbackSource.getName()})` : ''}`);
     }
   }
 
   /**
-   * Detect if we're running in a test environment
-   * @returns {boolean} True if running in test environment
+   * Get the word source this dictionary delegates to
+   * @returns {WordSource} The active word source
    */
-  detectTestEnvironment() {
-    // Check for Jest test environment
-    if (typeof process !== 'undefined' && process.env && process.env.NODE_ENV === 'test') {
-      return true;
+  getSource() {
+    return this.source;
+  }
+
+  /**
+   * Switch the language words are validated and chosen in
+   * Other languages play from their bundled word lists; English goes back to
+   * the sources the dictionary was created with
+   * @param {string} code - Language pack code
+   * @param {string} [accentMode] - 'distinct' or 'fold' (default: LANGUAGE_CONFIG.DEFAULT_ACCENT_MODE)
+   */
+  setLanguage(code, accentMode = LANGUAGE_CONFIG.DEFAULT_ACCENT_MODE) {
+    if (!LANGUAGE_CONFIG.ACCENT_MODES.includes(accentMode)) {
+      throw new Error(`Accent mode must be one of: ${LANGUAGE_CONFIG.ACCENT_MODES.join(', ')}`);
     }
-    
-    // Check for Jest globals
-    if (typeof global !== 'undefined' && global.expect && global.test) {
+
+    const language = getLanguagePack(code);
+    if (language === this.language && accentMode === this.accentMode) {
+      return;
+    }
+
+    if (this.customWordList && this.customWordList.getLanguage() !== language.code) {
+      console.log(`Custom word list "${this.customWordList.getName()}" is not in ${language.name}, going back to the dictionary`);
+      this.customWordList = null;
+    }
+
+    this.language = language;
+    this.accentMode = accentMode;
+
+    if (language.code === LANGUAGE_CONFIG.DEFAULT) {
+      this.source = this.englishSource;
+      this.fallbackSource = this.englishFallbackSource;
+    } else {
+      this.source = new LocalWordSource(null, { language: language.code, accentMode });
+      this.fallbackSource = null;
+    }
+
+    console.log(`Dictionary language: ${language.name} (accents ${language.hasAccents() ? accentMode : 'n/a'}, source: ${this.source.getName()})`);
+  }
+
+  /**
+   * Get the active language pack
+   * @returns {LanguagePack} The language pack
+   */
+  getLanguage() {
+    return this.language;
+  }
+
+  /**
+   * Get how accented letters are scored
+   * @returns {string} 'distinct' or 'fold'
+   */
+  getAccentMode() {
+    return this.accentMode;
+  }
+
+  /**
+   * Normalize a guess or target for comparison in the active language
+   * @param {string} word - The word to normalize
+   * @returns {string} Lowercase word, with accents folded in the 'fold' mode
+   */
+  normalizeWord(word) {
+    return this.language.normalizeWord(word, this.accentMode);
+  }
+
+  /**
+   * Normalize one letter for feedback in the active language
+   * @param {string} letter - Lowercase letter
+   * @returns {string} The letter, or its base letter in the 'fold' mode
+   */
+  normalizeLetter(letter) {
+    return this.language.normalizeLetter(letter, this.accentMode);
+  }
+
+  /**
+   * Play private games from an uploaded word list
+   * Targets are chosen from the list by HurdleController; its words are always
+   * accepted as guesses, and when it has an allowed-guess list nothing else is
+   * @param {CustomWordList|null} list - The list, or null to go back to the dictionary
+   * @returns {boolean} True if the list is in use (false if it is in another language)
+   */
+  setCustomWordList(list) {
+    if (list && list.getLanguage() !== this.language.code) {
+      console.warn(`Custom word list "${list.getName()}" is in "${list.getLanguage()}", not "${this.language.code}" - ignoring it`);
+      this.customWordList = null;
+      return false;
+    }
+
+    this.customWordList = list || null;
+    if (list) {
+      console.log(`Custom word list "${list.getName()}": ${list.getTargets().length} targets${list.hasAllowedGuesses() ? `, ${list.getGuesses().length} allowed guesses` : ''}`);
+    }
+    return this.customWordList !== null;
+  }
+
+  /**
+   * Get the uploaded word list in use
+   * @returns {CustomWordList|null} The list, or null when playing from the dictionary
+   */
+  getCustomWordList() {
+    return this.customWordList;
+  }
+
+  /**
+   * Get the filter targets and definitions are screened with
+   * @returns {ContentFilter} The content filter
+   */
+  getContentFilter() {
+    return this.contentFilter;
+  }
+
+  /**
+   * Switch content filter categories on or off
+   * @param {Object<string, boolean>} categories - Category -> enabled, e.g. {profanity: false}
+   */
+  setContentFilterCategories(categories) {
+    this.contentFilter.setCategories(categories);
+    // Definitions were shaped with the old settings
+    if (typeof this.definitionService.clearCache === 'function') {
+      this.definitionService.clearCache();
+    }
+  }
+
+  /**
+   * Screen a candidate target before it is accepted
+   * The word itself is checked against the blocklist; when the source can look
+   * words up, a word whose every definition is hidden by the filter is rejected too
+   * @param {string} word - Candidate target word
+   * @returns {Promise<boolean>} True if the word may be used as a target
+   */
+  async isAllowedTarget(word) {
+    if (!this._screenWord(word)) {
+      return false;
+    }
+
+    if (this.language.definitions && typeof this.source.lookupWord === 'function') {
+      const definition = await this.definitionService.getDefinition(word);
+      if (definition.message === DefinitionService.MESSAGES.RESTRICTED) {
+        console.warn(`Content filter rejected target "${word}" (every definition is filtered)`);
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Check a word against the blocklist, logging rejections
+   * @param {string} word - Candidate target word
+   * @returns {boolean} True if no enabled category blocks the word
+   * @private
+   */
+  _screenWord(word) {
+    const screening = this.contentFilter.screenWord(word, this.language.code);
+    if (!screening.allowed) {
+      console.warn(`Content filter rejected target "${word}" (${screening.category}: "${screening.match}")`);
+    }
+    return screening.allowed;
+  }
+
+  /**
+   * Check if the dictionary works without network access
+   * @returns {boolean} True if the active source is offline
+   */
+  isOffline() {
+    return this.source.isOffline();
+  }
+
+  /**
+   * Switch to the offline fallback source for all word operations
+   * Used when the primary source is unreachable (e.g. no network on startup)
+   * @returns {boolean} True if the dictionary is now using an offline source
+   */
+  switchToOfflineSource() {
+    if (this.source.isOffline()) {
       return true;
     }
+
+    if (!this.fallbackSource || !this.fallbackSource.isOffline()) {
+      return false;
+    }
+
+    console.warn(`Switching word source from "${this.source.getName()}" to offline source "${this.fallbackSource.getName()}"`);
+    this.source = this.fallbackSource;
+    this.fallbackSource = null;
+    return true;
+  }
+
+  /**
+   * Move to the offline fallback once the active source's circuit breaker has opened
+   * The switch lasts until the language changes, so a flaky connection doesn't
+   * flip validation between the word service and the bundled list mid-game
+   * @returns {boolean} True if the dictionary switched to the offline source
+   * @private
+   */
+  _useOfflineSourceIfUnavailable() {
+    if (typeof this.source.isAvailable !== 'function' || this.source.isAvailable()) {
+      return false;
+    }
+
+    console.warn(`Word source "${this.source.getName()}" keeps failing`);
+    return this.switchToOfflineSource();
+  }
+
+  /**
+   * Words held by the active source, when it keeps a local list
+   * @param {number|null} [wordLength] - Only return words of this length
+   * @returns {string[]} Array of lowercase words (empty for remote sources)
+   */
+  getLocalWords(wordLength = null) {
+    if (typeof this.source.getWords !== 'function') {
+      return [];
+    }
+    return this.source.getWords(wordLength);
+  }
+
+  /**
+   * Words every player shares as candidates for seeded targets (Daily Hurdles and challenges)
+   * Networked sources answer differently over time, so the bundled list is used
+   * whenever the active or fallback source has one. Words are screened with every
+   * content filter category, whatever this player's settings, and sorted so the
+   * list doesn't depend on load order.
+   * @param {number} wordLength - Number of letters
+   * @param {Object} frequencyRange - Frequency range {min, max} for sources that know frequencies
+   * @returns {Promise<Object>} {sourceName, words} where sourceName identifies the list
+   */
+  async getSharedWords(wordLength, frequencyRange) {
+    const bundledSource = [this.source, this.fallbackSource]
+      .find(source => source && typeof source.getWordsInRange === 'function');
     
-    // Check for other test indicators
-    if (typeof window !== 'undefined' && window.__karma__) {
-      return true;
+    let sourceName = this.source.getName();
+    let words;
+    if (bundledSource) {
+      await bundledSource.loadWordList(wordLength);
+      sourceName = bundledSource.getName();
+      words = bundledSource.getWordsInRange(frequencyRange, wordLength);
+    } else {
+      words = this.getLocalWords(wordLength);
     }
     
-    return false;
+    const sharedFilter = new ContentFilter();
+    const allowed = words.filter(word => sharedFilter.screenWord(word, this.language.code).allowed);
+    return {
+      sourceName: `${this.language.code}:${sourceName}`,
+      words: [...new Set(allowed)].sort()
+    };
   }
 
   /**
@@ -101,108 +381,91 @@ class Dictionary {
   }
 
   /**
-   * Check if a word exists in the dictionary using WordsAPI validation
+   * Check if a word exists in the dictionary using the active word source
    * @param {string} word - The word to validate
-   * @returns {Promise<boolean>} True if the word is a valid English word
+   * @returns {Promise<boolean>} True if the word is valid in the active language
+   *   (false when the source couldn't be asked - use checkWord to tell the two apart)
    */
   async isValidWord(word) {
-    if (typeof word !== 'string' || word.length !== 5) {
-      return false;
+    return (await this.checkWord(word)) === WORD_CHECK.VALID;
+  }
+
+  /**
+   * Check a word, telling words the source rejected apart from words it couldn't be asked about
+   * When the source's circuit breaker opens, the dictionary moves to the offline
+   * source and answers from there instead
+   * @param {string} word - The word to validate
+   * @returns {Promise<string>} Dictionary.WORD_CHECK.VALID, INVALID or UNVERIFIED
+   */
+  async checkWord(word) {
+    if (typeof word !== 'string' || !isSupportedWordLength(word.length)) {
+      return WORD_CHECK.INVALID;
     }
 
-    // Always try WordsAPI first if available
-    if (this.wordsApiEnabled) {
-      // Check API limit before making request
-      if (this.apiTracker && !this.apiTracker.shouldUseAPI()) {
-        if (!this.limitExceededMessageShown) {
-          console.warn(this.apiTracker.getUsageMessage());
-          this.limitExceededMessageShown = true;
-        }
-        // Only fall back to local dictionary in test environment
-        if (this.useLocalFallback) {
-          return this.wordSet.has(word.toLowerCase());
-        } else {
-          // In production, return false if API limit exceeded
-          return false;
-        }
-      }
+    const customResult = this._checkCustomWordList(word);
+    if (customResult !== null) {
+      return customResult ? WORD_CHECK.VALID : WORD_CHECK.INVALID;
+    }
 
-      try {
-        // Use WordsAPI for word validation
-        const response = await fetch(`https://wordsapiv1.p.rapidapi.com/words/${word.toLowerCase()}`, {
-          method: 'GET',
-          headers: {
-            'X-RapidAPI-Key': WORDS_API_CONFIG.API_KEY,
-            'X-RapidAPI-Host': WORDS_API_CONFIG.HOST
-          }
-        });
-
-        // Extract and update rate limit information from headers
-        if (this.apiTracker) {
-          const rateLimitInfo = this.apiTracker.updateFromHeaders(response);
-          if (rateLimitInfo) {
-            // Check thresholds and log warnings
-            this.apiTracker.checkRateLimitThresholds(rateLimitInfo);
-          } else {
-            // Only record to storage when headers are unavailable (fallback mode)
-            this.apiTracker.recordRequest();
-          }
-        }
+    this._useOfflineSourceIfUnavailable();
 
-        // WordsAPI returns 200 for valid words, 404 for invalid words
-        // 403 means API key issue - only fall back to local in test environment
-        if (response.status === 403) {
-          if (this.useLocalFallback) {
-            return this.wordSet.has(word.toLowerCase());
-          } else {
-            // In production, treat API key issues as invalid words
-            return false;
-          }
-        }
-        
-        return response.ok;
-      } catch (error) {
-        // If API fails, only fall back to local dictionary in test environment
-        if (this.useLocalFallback) {
-          return this.wordSet.has(word.toLowerCase());
-        } else {
-          // In production, treat API failures as invalid words
-          console.warn(`WordsAPI validation failed for "${word}":`, error.message);
-          return false;
-        }
+    try {
+      return await this.source.isValidWord(this.normalizeWord(word)) ? WORD_CHECK.VALID : WORD_CHECK.INVALID;
+    } catch (error) {
+      console.warn(`Word validation failed for "${word}" (${this.source.getName()}):`, error.message);
+      if (this._useOfflineSourceIfUnavailable()) {
+        return this.checkWord(word);
       }
+      return WORD_CHECK.UNVERIFIED;
     }
+  }
 
-    // If WordsAPI is not available, only use local fallback in test environment
-    if (this.useLocalFallback) {
-      return this.wordSet.has(word.toLowerCase());
-    } else {
-      // In production without WordsAPI, cannot validate
-      console.error('WordsAPI not available and no local fallback configured');
-      return false;
+  /**
+   * Check a guess against the custom word list
+   * @param {string} word - The word to validate
+   * @returns {boolean|null} True if the list has the word, false if the list rules it out,
+   *   null if the word source should decide
+   * @private
+   */
+  _checkCustomWordList(word) {
+    if (!this.customWordList) {
+      return null;
     }
+    if (this.customWordList.includes(word, value => this.normalizeWord(value))) {
+      return true;
+    }
+    return this.customWordList.hasAllowedGuesses() ? false : null;
   }
 
   /**
-   * Synchronous word validation using only the local dictionary (for testing)
+   * Synchronous word validation using only a locally held word list
    * @param {string} word - The word to validate
-   * @returns {boolean} True if the word exists in the local dictionary
+   * @returns {boolean} True if the word exists in the local word list
    */
   isValidWordSync(word) {
-    if (typeof word !== 'string' || word.length !== 5) {
+    if (typeof word !== 'string' || !isSupportedWordLength(word.length)) {
       return false;
     }
-    return this.wordSet.has(word.toLowerCase());
+
+    const customResult = this._checkCustomWordList(word);
+    if (customResult !== null) {
+      return customResult;
+    }
+    return typeof this.source.has === 'function' && this.source.has(this.normalizeWord(word));
   }
 
   /**
-   * Get a random word from WordsAPI (no local fallback except in tests)
+   * Get a random word from the active word source, falling back to the bundled list
    * @param {Object} frequencyRange - Optional frequency range {min, max}
-   * @returns {Promise<string>} A random 5-letter word
+   * @param {number} wordLength - Number of letters in the word (default: 5)
+   * @returns {Promise<string>} A random word of the requested length
    */
-  async getRandomWord(frequencyRange = null) {
-    console.log(`getRandomWord called with frequencyRange:`, frequencyRange);
-    console.log(`wordsApiEnabled: ${this.wordsApiEnabled}, useLocalFallback: ${this.useLocalFallback}`);
+  async getRandomWord(frequencyRange = null, wordLength = WORD_LENGTH_CONFIG.DEFAULT) {
+    console.log(`getRandomWord called with frequencyRange:`, frequencyRange, `wordLength: ${wordLength}`);
+    
+    if (!isSupportedWordLength(wordLength)) {
+      throw new Error(`Word length must be between ${WORD_LENGTH_CONFIG.MIN} and ${WORD_LENGTH_CONFIG.MAX}`);
+    }
     
     // ALWAYS ensure we have a frequency range for difficulty-based word selection
     let finalFrequencyRange = frequencyRange;
@@ -211,8 +474,6 @@ class Dictionary {
       finalFrequencyRange = { min: 4.0, max: 5.49 }; // Default to medium difficulty
     }
     
-    console.log(`Final frequency range to be used: ${finalFrequencyRange.min} - ${finalFrequencyRange.max}`);
-    
     // Validate frequency range values
     if (finalFrequencyRange.min < 0 || finalFrequencyRange.max > 10 || finalFrequencyRange.min >= finalFrequencyRange.max) {
       console.error('Invalid frequency range values:', finalFrequencyRange);
@@ -220,125 +481,57 @@ class Dictionary {
       console.log('Using fallback frequency range:', finalFrequencyRange);
     }
     
-    // Always try WordsAPI first if available
-    if (this.wordsApiEnabled) {
-      // Check API limit before making request
-      if (this.apiTracker && !this.apiTracker.shouldUseAPI()) {
-        if (!this.limitExceededMessageShown) {
-          console.warn(this.apiTracker.getUsageMessage());
-          this.limitExceededMessageShown = true;
-        }
-        // Only fall back to local dictionary in test environment
-        if (this.useLocalFallback) {
-          console.log('API limit exceeded, using local fallback');
-          return this.getRandomWordFromLocalDictionary();
-        } else {
-          // Use emergency fallback words
-          return this.getEmergencyFallbackWord();
-        }
-      }
-
-      // Try to get a word from WordsAPI with multiple attempts - ALWAYS with frequency range
-      let lastError = null;
-      for (let attempt = 0; attempt < this.maxRetries; attempt++) {
-        try {
-          console.log(`WordsAPI attempt ${attempt + 1}/${this.maxRetries} with frequency range ${finalFrequencyRange.min}-${finalFrequencyRange.max}`);
-          const wordFromAPI = await this.getRandomUncommonWordFromAPI(finalFrequencyRange);
-          if (wordFromAPI) {
-            console.log(`WordsAPI success: got word "${wordFromAPI}"`);
-            this.apiRetryCount = 0; // Reset retry count on success
-            return wordFromAPI;
-          } else {
-            console.warn(`WordsAPI attempt ${attempt + 1} returned null`);
+    this._useOfflineSourceIfUnavailable();
+    
+    // Try the active source with multiple attempts
+    let lastError = null;
+    for (let attempt = 0; attempt < this.maxRetries; attempt++) {
+      try {
+        const word = await this.source.getRandomWord(finalFrequencyRange, wordLength);
+        if (word && word.length === wordLength) {
+          if (!(await this.isAllowedTarget(word))) {
+            continue;
           }
-        } catch (error) {
-          lastError = error;
-          console.warn(`WordsAPI attempt ${attempt + 1} failed:`, error.message);
-          console.error('Full error details:', error);
+          this.apiRetryCount = 0; // Reset retry count on success
+          return word;
         }
+        console.warn(`Word source "${this.source.getName()}" attempt ${attempt + 1}/${this.maxRetries} returned no word`);
+      } catch (error) {
+        lastError = error;
+        console.warn(`Word source "${this.source.getName()}" attempt ${attempt + 1}/${this.maxRetries} failed:`, error.message);
       }
-      
-      // All WordsAPI attempts failed
-      console.error('All WordsAPI attempts failed. Last error:', lastError?.message || 'Unknown error');
-      console.error('Last error object:', lastError);
-      this.apiRetryCount = this.maxRetries; // Mark as exhausted
-    } else {
-      console.error('WordsAPI is disabled (fetch not available)');
     }
     
-    // If WordsAPI fails and we're in test environment, use local fallback
-    if (this.useLocalFallback) {
-      console.warn('WordsAPI failed, using local dictionary fallback for testing');
-      return this.getRandomWordFromLocalDictionary();
+    if (lastError) {
+      console.warn('All word source attempts failed. Last error:', lastError.message);
     }
+    this.apiRetryCount = this.maxRetries; // Mark as exhausted
     
-    // Use emergency fallback words to keep the game playable
-    console.warn('WordsAPI failed, using emergency fallback words');
-    return this.getEmergencyFallbackWord();
-  }
-
-  /**
-   * Get an emergency fallback word when API fails
-   * @returns {string} A random 5-letter word from a small predefined list
-   */
-  getEmergencyFallbackWord() {
-    // Small list of common 5-letter words as emergency fallback
-    const emergencyWords = [
-      'about', 'above', 'abuse', 'actor', 'acute', 'admit', 'adopt', 'adult', 'after', 'again',
-      'agent', 'agree', 'ahead', 'alarm', 'album', 'alert', 'alien', 'align', 'alike', 'alive',
-      'allow', 'alone', 'along', 'alter', 'among', 'anger', 'angle', 'angry', 'apart', 'apple',
-      'apply', 'arena', 'argue', 'arise', 'array', 'aside', 'asset', 'avoid', 'awake', 'award',
-      'aware', 'badly', 'baker', 'bases', 'basic', 'beach', 'began', 'begin', 'being', 'below',
-      'bench', 'billy', 'birth', 'black', 'blame', 'blind', 'block', 'blood', 'board', 'boost',
-      'booth', 'bound', 'brain', 'brand', 'bread', 'break', 'breed', 'brief', 'bring', 'broad',
-      'broke', 'brown', 'build', 'built', 'buyer', 'cable', 'calif', 'carry', 'catch', 'cause',
-      'chain', 'chair', 'chaos', 'charm', 'chart', 'chase', 'cheap', 'check', 'chest', 'chief',
-      'child', 'china', 'chose', 'civil', 'claim', 'class', 'clean', 'clear', 'click', 'climb',
-      'clock', 'close', 'cloud', 'coach', 'coast', 'could', 'count', 'court', 'cover', 'craft',
-      'crash', 'crazy', 'cream', 'crime', 'cross', 'crowd', 'crown', 'crude', 'curve', 'cycle',
-      'daily', 'dance', 'dated', 'dealt', 'death', 'debut', 'delay', 'depth', 'doing', 'doubt',
-      'dozen', 'draft', 'drama', 'drank', 'dream', 'dress', 'drill', 'drink', 'drive', 'drove',
-      'dying', 'eager', 'early', 'earth', 'eight', 'elite', 'empty', 'enemy', 'enjoy', 'enter',
-      'entry', 'equal', 'error', 'event', 'every', 'exact', 'exist', 'extra', 'faith', 'false',
-      'fault', 'fiber', 'field', 'fifth', 'fifty', 'fight', 'final', 'first', 'fixed', 'flash',
-      'fleet', 'floor', 'fluid', 'focus', 'force', 'forth', 'forty', 'forum', 'found', 'frame',
-      'frank', 'fraud', 'fresh', 'front', 'fruit', 'fully', 'funny', 'giant', 'given', 'glass',
-      'globe', 'going', 'grace', 'grade', 'grand', 'grant', 'grass', 'grave', 'great', 'green',
-      'gross', 'group', 'grown', 'guard', 'guess', 'guest', 'guide', 'happy', 'harry', 'heart',
-      'heavy', 'hence', 'henry', 'horse', 'hotel', 'house', 'human', 'ideal', 'image', 'index',
-      'inner', 'input', 'issue', 'japan', 'jimmy', 'joint', 'jones', 'judge', 'known', 'label',
-      'large', 'laser', 'later', 'laugh', 'layer', 'learn', 'lease', 'least', 'leave', 'legal',
-      'level', 'lewis', 'light', 'limit', 'links', 'lives', 'local', 'loose', 'lower', 'lucky',
-      'lunch', 'lying', 'magic', 'major', 'maker', 'march', 'maria', 'match', 'maybe', 'mayor',
-      'meant', 'media', 'metal', 'might', 'minor', 'minus', 'mixed', 'model', 'money', 'month',
-      'moral', 'motor', 'mount', 'mouse', 'mouth', 'moved', 'movie', 'music', 'needs', 'never',
-      'newly', 'night', 'noise', 'north', 'noted', 'novel', 'nurse', 'occur', 'ocean', 'offer',
-      'often', 'order', 'other', 'ought', 'paint', 'panel', 'paper', 'party', 'peace', 'peter',
-      'phase', 'phone', 'photo', 'piano', 'piece', 'pilot', 'pitch', 'place', 'plain', 'plane',
-      'plant', 'plate', 'point', 'pound', 'power', 'press', 'price', 'pride', 'prime', 'print',
-      'prior', 'prize', 'proof', 'proud', 'prove', 'queen', 'quick', 'quiet', 'quite', 'radio',
-      'raise', 'range', 'rapid', 'ratio', 'reach', 'ready', 'realm', 'rebel', 'refer', 'relax',
-      'repay', 'reply', 'right', 'rigid', 'rival', 'river', 'robin', 'roger', 'roman', 'rough',
-      'round', 'route', 'royal', 'rural', 'scale', 'scene', 'scope', 'score', 'sense', 'serve',
-      'seven', 'shall', 'shape', 'share', 'sharp', 'sheet', 'shelf', 'shell', 'shift', 'shine',
-      'shirt', 'shock', 'shoot', 'short', 'shown', 'sides', 'sight', 'silly', 'since', 'sixth',
-      'sixty', 'sized', 'skill', 'sleep', 'slide', 'small', 'smart', 'smile', 'smith', 'smoke',
-      'snake', 'snow', 'solid', 'solve', 'sorry', 'sound', 'south', 'space', 'spare', 'speak',
-      'speed', 'spend', 'spent', 'split', 'spoke', 'sport', 'staff', 'stage', 'stake', 'stand',
-      'start', 'state', 'steam', 'steel', 'steep', 'steer', 'stern', 'stick', 'still', 'stock',
-      'stone', 'stood', 'store', 'storm', 'story', 'strip', 'stuck', 'study', 'stuff', 'style',
-      'sugar', 'suite', 'super', 'sweet', 'swift', 'swing', 'swiss', 'table', 'taken', 'taste',
-      'taxes', 'teach', 'teams', 'teeth', 'terry', 'texas', 'thank', 'theft', 'their', 'theme',
-      'there', 'these', 'thick', 'thing', 'think', 'third', 'those', 'three', 'threw', 'throw',
-      'thumb', 'tight', 'timer', 'tired', 'title', 'today', 'topic', 'total', 'touch', 'tough',
-      'tower', 'track', 'trade', 'train', 'treat', 'trend', 'trial', 'tribe', 'trick', 'tried',
-      'tries', 'truck', 'truly', 'trunk', 'trust', 'truth', 'twice', 'under', 'undue', 'union',
-      'unity', 'until', 'upper', 'upset', 'urban', 'usage', 'usual', 'valid', 'value', 'video',
-      'virus', 'visit', 'vital', 'vocal', 'voice', 'waste', 'watch', 'water', 'wheel', 'where',
-      'which', 'while', 'white', 'whole', 'whose', 'woman', 'women', 'world', 'worry', 'worse',
-      'worst', 'worth', 'would', 'write', 'wrong', 'wrote', 'young', 'youth'
-    ];
+    // Fall back to the secondary source (the bundled list for networked sources)
+    if (this.fallbackSource) {
+      try {
+        const word = await this.fallbackSource.getRandomWord(finalFrequencyRange, wordLength);
+        if (word && word.length === wordLength && this._screenWord(word)) {
+          console.warn(`Using fallback word source "${this.fallbackSource.getName()}"`);
+          return word;
+        }
+      } catch (error) {
+        console.warn(`Fallback word source "${this.fallbackSource.getName()}" failed:`, error.message);
+      }
+    }
     
+    // Use emergency fallback words to keep the game playable
+    console.warn('Word sources exhausted, using emergency fallback words');
+    return this.getEmergencyFallbackWord(wordLength);
+  }
+
+  /**
+   * Get an emergency fallback word when every word source fails
+   * @param {number} wordLength - Number of letters in the word (default: 5)
+   * @returns {string} A random word of the requested length from a small predefined list
+   */
+  getEmergencyFallbackWord(wordLength = WORD_LENGTH_CONFIG.DEFAULT) {
+    const emergencyWords = this.getEmergencyWords(wordLength);
     const randomIndex = Math.floor(Math.random() * emergencyWords.length);
     const word = emergencyWords[randomIndex];
     console.log(`Using emergency fallback word: ${word}`);
@@ -346,24 +539,12 @@ class Dictionary {
   }
 
   /**
-   * Get a random word from local dictionary (test environment only)
-   * @returns {Promise<string>} A random word from local dictionary
+   * Get the active language's emergency words of one length
+   * @param {number} wordLength - Number of letters
+   * @returns {string[]} Lowercase words
    */
-  async getRandomWordFromLocalDictionary() {
-    if (!this.useLocalFallback || this.wordArray.length === 0) {
-      throw new Error('Local dictionary fallback not available');
-    }
-
-    const nonProperNounWords = this.getNonProperNounWords();
-    if (nonProperNounWords.length === 0) {
-      // Fallback to all words if no non-proper nouns found
-      const randomIndex = Math.floor(Math.random() * this.wordArray.length);
-      return this.wordArray[randomIndex];
-    }
-
-    // Return a random non-proper noun word
-    const randomIndex = Math.floor(Math.random() * nonProperNounWords.length);
-    return nonProperNounWords[randomIndex];
+  getEmergencyWords(wordLength = WORD_LENGTH_CONFIG.DEFAULT) {
+    return this.language.getEmergencyWords(wordLength);
   }
 
   /**
@@ -380,270 +561,97 @@ class Dictionary {
   }
 
   /**
-   * Verify that a word has at least one valid definition from WordsAPI
+   * Verify that a word has at least one valid definition in the active word source
    * @param {string} word - The word to check for definitions
    * @returns {Promise<boolean>} True if the word has definitions, false otherwise
    */
   async verifyWordHasDefinition(word) {
     try {
-      const response = await fetch(`https://wordsapiv1.p.rapidapi.com/words/${word.toLowerCase()}`, {
-        method: 'GET',
-        headers: {
-          'X-RapidAPI-Key': WORDS_API_CONFIG.API_KEY,
-          'X-RapidAPI-Host': WORDS_API_CONFIG.HOST
-        }
-      });
-
-      // Record the API request for definition validation and extract headers
-      if (this.apiTracker) {
-        const rateLimitInfo = this.apiTracker.updateFromHeaders(response);
-        if (rateLimitInfo) {
-          // Check thresholds and log warnings
-          this.apiTracker.checkRateLimitThresholds(rateLimitInfo);
-        } else {
-          // Only record to storage when headers are unavailable (fallback mode)
-          this.apiTracker.recordRequest();
-        }
-      }
-
-      // Handle 403 Forbidden (API key issues) gracefully
-      if (response.status === 403) {
-        // If we can't verify due to API limits, return false to avoid words without definitions
-        console.warn(`Could not verify definition for word: ${word} - API key limit reached`);
-        return false;
-      }
-
-      // Handle 404 Not Found - word doesn't exist
-      if (response.status === 404) {
-        return false;
-      }
-
-      if (response.ok) {
-        const data = await response.json();
-        // Check if the word has at least one definition with meaningful content
-        // and contains 'typeOf' (common concepts) rather than 'instanceOf' (specific instances/names)
-        const hasValidDefinition = data.results && data.results.length > 0 && 
-               data.results.some(result => 
-                 result.definition && 
-                 result.definition.trim() && 
-                 result.definition.trim().length > 10 && // Ensure definition has substance
-                 result.typeOf && // Must have typeOf (indicates common concept)
-                 !result.instanceOf // Must NOT have instanceOf (indicates specific instance/name)
-               );
-        
-        if (hasValidDefinition) {
-          const validResults = data.results.filter(result => 
-            result.typeOf && !result.instanceOf
-          );
-          console.log(`Word "${word}" has ${validResults.length} valid definition(s) with typeOf`);
-        } else {
-          const hasInstanceOf = data.results && data.results.some(result => result.instanceOf);
-          if (hasInstanceOf) {
-            console.log(`Word "${word}" rejected - contains instanceOf (proper noun/name)`);
-          } else {
-            console.log(`Word "${word}" rejected - no typeOf found (not a common concept)`);
-          }
-        }
-        
-        return hasValidDefinition;
-      }
-      
-      // If the word doesn't exist or has no definitions, return false
-      return false;
+      return await this.source.hasDefinition(word.toLowerCase());
     } catch (error) {
-      // If verification fails due to network issues, return false to be safe
+      // If verification fails, return false to be safe
       console.warn(`Could not verify definition for word: ${word}`, error.message);
       return false;
     }
   }
 
   /**
-   * Validate that a word contains only letters and is exactly 5 characters
-   * @param {string} word - The word to validate
-   * @returns {boolean} True if the word format is valid
+   * Get the structured definition of a word for display
+   * @param {string} word - The word to define
+   * @returns {Promise<Object>} {word, found, pronunciation, entries, message} (never rejects)
    */
-  validateWordFormat(word) {
-    // Must be exactly 5 characters and contain only letters (no numbers, punctuation, etc.)
-    return /^[a-zA-Z]{5}$/.test(word);
+  async getDefinition(word) {
+    if (!this.language.definitions) {
+      return {
+        word: String(word).toLowerCase(),
+        found: false,
+        pronunciation: null,
+        entries: [],
+        message: DefinitionService.MESSAGES.LANGUAGE
+      };
+    }
+    return this.definitionService.getDefinition(word);
   }
 
   /**
-   * Get words that are not proper nouns (test environment only)
-   * @returns {string[]} Array of words that are not proper nouns
+   * Validate that a word contains only letters of the active language and has the expected length
+   * @param {string} word - The word to validate
+   * @param {number} wordLength - Required number of letters (default: 5)
+   * @returns {boolean} True if the word format is valid
    */
-  getNonProperNounWords() {
-    if (!this.useLocalFallback) {
-      return []; // No local words in production
-    }
-    return this.wordArray.filter(word => !this.isProperNoun(word));
+  validateWordFormat(word, wordLength = WORD_LENGTH_CONFIG.DEFAULT) {
+    // Must be exactly wordLength letters (no numbers, punctuation, or letters from other alphabets)
+    return this.language.isWord(word, wordLength);
   }
 
   /**
-   * Get a random uncommon 5-letter word from WordsAPI with definition validation
-   * @param {Object} frequencyRange - Optional frequency range {min, max}
-   * @returns {Promise<string|null>} An uncommon word with definitions or null if failed
+   * Get locally held words that are not proper nouns
+   * @returns {string[]} Array of words that are not proper nouns
    */
-  async getRandomUncommonWordFromAPI(frequencyRange = null) {
-    try {
-      // ALWAYS ensure we have a frequency range - never call API without it
-      let freq = frequencyRange;
-      if (!freq || typeof freq.min !== 'number' || typeof freq.max !== 'number') {
-        console.warn('No valid frequency range provided, using default medium range');
-        freq = { min: 4.0, max: 5.49 }; // Default to medium difficulty
-      }
-      
-      console.log(`getRandomUncommonWordFromAPI called with frequencyRange:`, frequencyRange);
-      console.log(`Using frequency range: ${freq.min} - ${freq.max}`);
-      
-      // Only try API approaches that include frequency ranges
-      const apiAttempts = [
-        // Primary: letters=5 with frequency range (ALWAYS use frequency)
-        {
-          url: `https://wordsapiv1.p.rapidapi.com/words/?letters=5&frequencyMin=${freq.min}&frequencyMax=${freq.max}&random=true`,
-          description: `letters=5 with frequency range ${freq.min}-${freq.max}`
-        },
-        // Secondary: basic random with frequency range (fallback but still with frequency and letters=5)
-        {
-          url: `https://wordsapiv1.p.rapidapi.com/words/?letters=5&frequencyMin=${freq.min}&frequencyMax=${freq.max}&random=true`,
-          description: `basic random with letters=5 and frequency range ${freq.min}-${freq.max}`
-        }
-      ];
-      
-      for (const attempt of apiAttempts) {
-        console.log(`Trying WordsAPI with ${attempt.description}: ${attempt.url}`);
-        
-        try {
-          const response = await fetch(attempt.url, {
-            method: 'GET',
-            headers: {
-              'X-RapidAPI-Key': WORDS_API_CONFIG.API_KEY,
-              'X-RapidAPI-Host': WORDS_API_CONFIG.HOST
-            }
-          });
-
-          console.log(`WordsAPI response status: ${response.status} ${response.statusText}`);
-
-          // Record the API request and extract headers
-          if (this.apiTracker) {
-            const rateLimitInfo = this.apiTracker.updateFromHeaders(response);
-            if (rateLimitInfo) {
-              // Check thresholds and log warnings
-              this.apiTracker.checkRateLimitThresholds(rateLimitInfo);
-            } else {
-              // Only record to storage when headers are unavailable (fallback mode)
-              this.apiTracker.recordRequest();
-            }
-          }
-
-          // Handle 403 Forbidden (API key issues) gracefully
-          if (response.status === 403) {
-            console.error('WordsAPI returned 403 Forbidden - API key issue or rate limit exceeded');
-            return null;
-          }
-
-          if (!response.ok) {
-            const errorText = await response.text();
-            console.warn(`WordsAPI attempt failed: ${response.status} ${response.statusText} - ${errorText}`);
-            
-            // Log specific error details for debugging
-            if (response.status === 400) {
-              console.error('Bad Request - Check frequency range parameters:', finalFrequencyRange);
-            } else if (response.status === 429) {
-              console.error('Rate limit exceeded - too many requests');
-            } else if (response.status === 500) {
-              console.error('WordsAPI server error');
-            }
-            
-            continue; // Try next approach
-          }
-
-          const data = await response.json();
-          console.log('WordsAPI response data:', data);
-          
-          // Extract word from API response
-          let word = null;
-          
-          if (data.word && typeof data.word === 'string') {
-            const candidateWord = data.word.toLowerCase();
-            console.log(`Found candidate word: ${candidateWord}`);
-            
-            // Validate the word format and length
-            if (candidateWord.length === 5 && this.validateWordFormat(candidateWord)) {
-              word = candidateWord;
-              console.log(`Word "${word}" passes format validation (letters only, no numbers)`);
-              
-              // Verify it has definitions before accepting it
-              console.log(`Verifying definitions for word: ${word}`);
-              const hasDefinition = await this.verifyWordHasDefinition(word);
-              if (hasDefinition) {
-                console.log(`Word "${word}" has valid definitions - SUCCESS!`);
-                return word;
-              } else {
-                console.log(`Rejected word "${word}" - no valid definitions found`);
-                continue; // Try next approach
-              }
-            } else {
-              console.log(`Word "${candidateWord}" failed format validation (length: ${candidateWord.length}, contains non-letters: ${!/^[a-zA-Z]+$/.test(candidateWord)})`);
-              continue; // Try next approach
-            }
-          } else {
-            console.log('No word found in API response');
-            continue; // Try next approach
-          }
-          
-        } catch (fetchError) {
-          console.warn(`Fetch error for ${attempt.description}:`, fetchError.message);
-          continue; // Try next approach
-        }
-      }
-      
-      console.log('All WordsAPI approaches failed');
-      return null;
-    } catch (error) {
-      console.error('Error in getRandomUncommonWordFromAPI:', error);
-      console.error('Error details:', {
-        message: error.message,
-        stack: error.stack,
-        name: error.name
-      });
-      throw new Error(`Failed to fetch from WordsAPI: ${error.message}`);
-    }
+  getNonProperNounWords() {
+    return this.getLocalWords().filter(word => !this.isProperNoun(word));
   }
 
   /**
    * Get the total number of words in the dictionary
-   * @returns {number} The number of words (only meaningful in test environment)
+   * @returns {number} The number of words reported by the active source
    */
   size() {
-    if (this.useLocalFallback) {
-      return this.wordArray.length;
-    } else {
-      // In production using WordsAPI, return a representative number
-      return 5000; // Approximate number of 5-letter words available via WordsAPI
-    }
+    return this.source.size();
   }
 
   /**
    * Get WordsAPI usage statistics
-   * @returns {Object|null} Usage statistics or null if tracker not available
+   * @returns {Object|null} Usage statistics or null if the source isn't metered
    */
   getAPIUsageStats() {
-    return this.apiTracker ? this.apiTracker.getUsageStats() : null;
+    return this.source.getUsageStats();
   }
 
   /**
    * Get user-friendly API usage message
-   * @returns {string|null} Usage message or null if tracker not available
+   * @returns {string|null} Usage message or null if the source isn't metered
    */
   getAPIUsageMessage() {
-    return this.apiTracker ? this.apiTracker.getUsageMessage() : null;
+    return this.source.getUsageMessage();
+  }
+
+  /**
+   * Get word lookup cache statistics
+   * @returns {Object|null} Cache hit/miss statistics or null if the source doesn't cache
+   */
+  getCacheStats() {
+    return this.source.getCacheStats();
   }
 }
 
+// Word check outcomes are exposed for callers that want to recognise them
+Dictionary.WORD_CHECK = WORD_CHECK;
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = Dictionary;
 }
 
 // ES6 export for modern bundlers
-export default Dictionary;
\ No newline at end of file
+export default Dictionary;
@@ -0,0 +1,81 @@
+/**
+ * EvilGameState module for Hurdle
+ * A game state whose target is only picked as the guesses come in
+ */
+
+import GameState from './GameState.js';
+import CandidateSet from './CandidateSet.js';
+import { WORD_LENGTH_CONFIG } from './config.js';
+
+/**
+ * EvilGameState class
+ * Plays like a GameState, but the target can be any word still in its candidate
+ * set. Before each guess is scored the set keeps the feedback bucket with the
+ * most words, and the target becomes one of them, so the feedback is always true
+ * for every word left and the game only gives in when it runs out of options.
+ */
+class EvilGameState extends GameState {
+  /**
+   * Create an EvilGameState instance
+   * @param {string[]} candidates - Words the target may end up being
+   * @param {number} maxAttempts - Maximum number of attempts allowed (default: 4)
+   * @param {number} wordLength - Number of letters in the target (default: 5)
+   * @param {function(string): string} [normalizeLetter] - Maps each lowercase letter to the form
+   *   it is compared in, e.g. folding accents (default: letters compare as-is)
+   */
+  constructor(candidates, maxAttempts = 4, wordLength = WORD_LENGTH_CONFIG.DEFAULT, normalizeLetter = null) {
+    if (!Array.isArray(candidates)) {
+      throw new Error('Candidate words must be an array');
+    }
+
+    const words = candidates.filter(word => typeof word === 'string' && word.length === wordLength);
+    if (words.length === 0) {
+      throw new Error(`Evil games need at least one ${wordLength} letter candidate word`);
+    }
+
+    // Any candidate will do until the first guess is scored
+    super(words[0], maxAttempts, wordLength);
+    this.candidateSet = new CandidateSet(words, normalizeLetter);
+  }
+
+  /**
+   * Settle the target for a guess about to be scored
+   * Keeps the candidates in the largest feedback bucket and makes the first of them
+   * the target, so feedback generated against it holds for the whole bucket
+   * @param {string} word - The normalized guess
+   * @returns {string} The target the guess is scored against
+   */
+  resolveGuess(word) {
+    if (this.isGameOver()) {
+      throw new Error('Cannot resolve guess: game is already over');
+    }
+
+    this.candidateSet.narrow(word);
+    this.targetWord = this.candidateSet.getWords()[0];
+    return this.targetWord;
+  }
+
+  /**
+   * Get the words the target could still be
+   * @returns {string[]} Remaining candidates
+   */
+  getCandidates() {
+    return this.candidateSet.getWords();
+  }
+
+  /**
+   * Get the number of words the target could still be
+   * @returns {number} Number of remaining candidates
+   */
+  getCandidateCount() {
+    return this.candidateSet.size();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EvilGameState;
+}
+
+// ES6 export for modern bundlers
+export default EvilGameState;
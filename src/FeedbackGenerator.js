@@ -14,9 +14,11 @@ class FeedbackGenerator {
    * 
    * @param {string} guess - The guessed word
    * @param {string} targetWord - The target word to compare against
-   * @returns {LetterFeedback[]} Array of feedback for each letter
+   * @param {function(string): string} [normalizeLetter] - Maps each lowercase letter to the form
+   *   it is compared in, e.g. folding accents so "é" matches "e" (default: letters compare as-is)
+   * @returns {LetterFeedback[]} Array of feedback for each letter (letters as guessed)
    */
-  static generateFeedback(guess, targetWord) {
+  static generateFeedback(guess, targetWord, normalizeLetter = null) {
     if (typeof guess !== 'string' || typeof targetWord !== 'string') {
       throw new Error('Both guess and targetWord must be strings');
     }
@@ -26,8 +28,10 @@ class FeedbackGenerator {
     }
     
     // Normalize to lowercase for comparison
-    const normalizedGuess = guess.toLowerCase();
-    const normalizedTarget = targetWord.toLowerCase();
+    const lowercaseGuess = guess.toLowerCase();
+    const compareLetter = normalizeLetter || (letter => letter);
+    const normalizedGuess = Array.from(lowercaseGuess, compareLetter);
+    const normalizedTarget = Array.from(targetWord.toLowerCase(), compareLetter);
     
     const length = normalizedGuess.length;
     const feedback = [];
@@ -35,7 +39,7 @@ class FeedbackGenerator {
     // Initialize all feedback as 'absent'
     for (let i = 0; i < length; i++) {
       feedback.push({
-        letter: normalizedGuess[i],
+        letter: lowercaseGuess[i],
         status: 'absent'
       });
     }
@@ -3,15 +3,34 @@
  * Manages user configuration settings for the game
  */
 
+import { WORD_LENGTH_CONFIG, LANGUAGE_CONFIG, TARGET_HISTORY_CONFIG, BLITZ_CONFIG, MULTI_BOARD_CONFIG, HARD_MODE_CONFIG, SCORING_RULES, isSupportedWordLength } from './config.js';
+import { LANGUAGE_CODES, isSupportedLanguage } from './languages/languagePacks.js';
+import CustomWordList from './CustomWordList.js';
+import { BLOCKLIST } from './data/blocklist.js';
+
+// Every content filter category starts enabled
+const CONTENT_FILTER_DEFAULTS = Object.fromEntries(Object.keys(BLOCKLIST).map(category => [category, true]));
+
 class GameConfig {
   constructor() {
     this.instanceId = Math.random().toString(36).substr(2, 9);
     this.storageKey = 'hurdle-game-config';
     this.defaultConfig = {
       maxGuesses: 4,
-      difficulty: 'medium', // easy, medium, hard
+      difficulty: 'medium', // easy, medium, hard, adaptive
       showDefinitions: true,
-      hardMode: false
+      hardMode: false,
+      hardModeLevel: HARD_MODE_CONFIG.DEFAULT_LEVEL, // 'normal' or 'strict', used while hard mode is on
+      wordLength: WORD_LENGTH_CONFIG.DEFAULT,
+      varyWordLength: false, // pick a random length for every hurdle
+      language: LANGUAGE_CONFIG.DEFAULT,
+      accentMode: LANGUAGE_CONFIG.DEFAULT_ACCENT_MODE, // 'distinct' or 'fold'
+      customWordList: null, // saved CustomWordList for private games
+      contentFilter: { ...CONTENT_FILTER_DEFAULTS }, // blocklist category -> enabled
+      targetCooldown: TARGET_HISTORY_CONFIG.DEFAULT_COOLDOWN, // targets before an answer can repeat
+      blitzDuration: BLITZ_CONFIG.DEFAULT_DURATION, // minutes on the blitz clock, 0 for no clock
+      boardCount: MULTI_BOARD_CONFIG.DEFAULT_BOARDS, // boards every guess is played on
+      evilMode: false // targets dodge guesses for as long as they can
     };
     
     console.log(`GameConfig constructor [${this.instanceId}] - default config:`, this.defaultConfig);
@@ -90,7 +109,7 @@ class GameConfig {
    * @param {number} guesses - Number of guesses (3, 4, 5, or 6)
    */
   setMaxGuesses(guesses) {
-    if ([3, 4, 5, 6].includes(guesses)) {
+    if (SCORING_RULES.MAX_GUESS_OPTIONS.includes(guesses)) {
       this.config.maxGuesses = guesses;
       this.saveConfig();
     } else {
@@ -100,7 +119,7 @@ class GameConfig {
 
   /**
    * Get the difficulty level
-   * @returns {string} Difficulty level ('easy', 'medium', 'hard')
+   * @returns {string} Difficulty level ('easy', 'medium', 'hard', 'adaptive')
    */
   getDifficulty() {
     return this.config.difficulty;
@@ -108,19 +127,29 @@ class GameConfig {
 
   /**
    * Set the difficulty level
-   * @param {string} difficulty - Difficulty level ('easy', 'medium', 'hard')
+   * @param {string} difficulty - Difficulty level ('easy', 'medium', 'hard', 'adaptive')
    */
   setDifficulty(difficulty) {
-    if (['easy', 'medium', 'hard'].includes(difficulty)) {
+    if (['easy', 'medium', 'hard', 'adaptive'].includes(difficulty)) {
       this.config.difficulty = difficulty;
       this.saveConfig();
     } else {
-      throw new Error('Difficulty must be easy, medium, or hard');
+      throw new Error('Difficulty must be easy, medium, or hard (or adaptive)');
     }
   }
 
+  /**
+   * Get whether the frequency band follows the player's results
+   * @returns {boolean} True for the adaptive difficulty
+   */
+  isAdaptiveDifficulty() {
+    return this.config.difficulty === 'adaptive';
+  }
+
   /**
    * Get frequency range for WordsAPI based on difficulty
+   * The adaptive difficulty gets the medium range here; hurdles pick its band
+   * from AdaptiveDifficulty instead
    * @returns {Object} Object with min and max frequency values
    */
   getFrequencyRange() {
@@ -136,6 +165,208 @@ class GameConfig {
     }
   }
 
+  /**
+   * Get the number of letters in target words
+   * @returns {number} Word length (4 to 8)
+   */
+  getWordLength() {
+    return this.config.wordLength;
+  }
+
+  /**
+   * Set the number of letters in target words
+   * @param {number} wordLength - Word length (4 to 8)
+   */
+  setWordLength(wordLength) {
+    if (isSupportedWordLength(wordLength)) {
+      this.config.wordLength = wordLength;
+      this.saveConfig();
+    } else {
+      throw new Error(`Word length must be between ${WORD_LENGTH_CONFIG.MIN} and ${WORD_LENGTH_CONFIG.MAX}`);
+    }
+  }
+
+  /**
+   * Get whether each hurdle picks its own random word length
+   * @returns {boolean} True if word length varies per hurdle
+   */
+  getVaryWordLength() {
+    return this.config.varyWordLength;
+  }
+
+  /**
+   * Set whether each hurdle picks its own random word length
+   * @param {boolean} vary - Whether to vary word length per hurdle
+   */
+  setVaryWordLength(vary) {
+    this.config.varyWordLength = Boolean(vary);
+    this.saveConfig();
+  }
+
+  /**
+   * Get the language words are played in
+   * @returns {string} Language pack code ('en', 'es', 'fr', 'de')
+   */
+  getLanguage() {
+    return this.config.language;
+  }
+
+  /**
+   * Set the language words are played in
+   * @param {string} language - Language pack code ('en', 'es', 'fr', 'de')
+   */
+  setLanguage(language) {
+    if (isSupportedLanguage(language)) {
+      this.config.language = language;
+      this.saveConfig();
+    } else {
+      throw new Error(`Language must be one of: ${LANGUAGE_CODES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Get how accented letters are scored
+   * @returns {string} 'distinct' or 'fold'
+   */
+  getAccentMode() {
+    return this.config.accentMode;
+  }
+
+  /**
+   * Set how accented letters are scored
+   * @param {string} accentMode - 'distinct' (é is its own letter) or 'fold' (é counts as e)
+   */
+  setAccentMode(accentMode) {
+    if (LANGUAGE_CONFIG.ACCENT_MODES.includes(accentMode)) {
+      this.config.accentMode = accentMode;
+      this.saveConfig();
+    } else {
+      throw new Error(`Accent mode must be one of: ${LANGUAGE_CONFIG.ACCENT_MODES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Get the uploaded word list targets are chosen from
+   * @returns {CustomWordList|null} The list, or null to use the dictionary
+   */
+  getCustomWordList() {
+    return CustomWordList.fromJSON(this.config.customWordList);
+  }
+
+  /**
+   * Set the uploaded word list targets are chosen from
+   * @param {CustomWordList|null} list - The list, or null to go back to the dictionary
+   */
+  setCustomWordList(list) {
+    if (list !== null && !(list instanceof CustomWordList)) {
+      throw new Error('Custom word list must be a CustomWordList or null');
+    }
+    this.config.customWordList = list ? list.toJSON() : null;
+    this.saveConfig();
+  }
+
+  /**
+   * Get which content filter categories are enabled
+   * @returns {Object<string, boolean>} Blocklist category -> enabled
+   */
+  getContentFilterCategories() {
+    return { ...CONTENT_FILTER_DEFAULTS, ...this.config.contentFilter };
+  }
+
+  /**
+   * Switch a content filter category on or off
+   * @param {string} category - Blocklist category ('slurs', 'profanity', 'sexual')
+   * @param {boolean} enabled - Whether targets and definitions in the category are filtered
+   */
+  setContentFilterCategory(category, enabled) {
+    if (category in CONTENT_FILTER_DEFAULTS) {
+      this.config.contentFilter = { ...this.getContentFilterCategories(), [category]: Boolean(enabled) };
+      this.saveConfig();
+    } else {
+      throw new Error(`Content filter category must be one of: ${Object.keys(CONTENT_FILTER_DEFAULTS).join(', ')}`);
+    }
+  }
+
+  /**
+   * Get how many targets must pass before an answer can come back
+   * @returns {number} Cooldown (0, 100, 500 or 1000; 0 allows repeats)
+   */
+  getTargetCooldown() {
+    return this.config.targetCooldown;
+  }
+
+  /**
+   * Set how many targets must pass before an answer can come back
+   * @param {number} cooldown - Cooldown (0, 100, 500 or 1000; 0 allows repeats)
+   */
+  setTargetCooldown(cooldown) {
+    if (TARGET_HISTORY_CONFIG.COOLDOWN_OPTIONS.includes(cooldown)) {
+      this.config.targetCooldown = cooldown;
+      this.saveConfig();
+    } else {
+      throw new Error(`Target cooldown must be one of: ${TARGET_HISTORY_CONFIG.COOLDOWN_OPTIONS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Get the minutes on the blitz clock
+   * @returns {number} Minutes (0 plays without a clock)
+   */
+  getBlitzDuration() {
+    return this.config.blitzDuration;
+  }
+
+  /**
+   * Set the minutes on the blitz clock
+   * @param {number} minutes - Minutes (0, 2, 5 or 10; 0 plays without a clock)
+   */
+  setBlitzDuration(minutes) {
+    if (BLITZ_CONFIG.DURATION_OPTIONS.includes(minutes)) {
+      this.config.blitzDuration = minutes;
+      this.saveConfig();
+    } else {
+      throw new Error(`Blitz duration must be one of: ${BLITZ_CONFIG.DURATION_OPTIONS.join(', ')} minutes`);
+    }
+  }
+
+  /**
+   * Get the number of boards every guess is played on
+   * @returns {number} Number of boards (1 for the classic single board)
+   */
+  getBoardCount() {
+    return this.config.boardCount;
+  }
+
+  /**
+   * Set the number of boards every guess is played on
+   * @param {number} boardCount - Number of boards (1 to 4)
+   */
+  setBoardCount(boardCount) {
+    if (MULTI_BOARD_CONFIG.BOARD_OPTIONS.includes(boardCount)) {
+      this.config.boardCount = boardCount;
+      this.saveConfig();
+    } else {
+      throw new Error(`Board count must be one of: ${MULTI_BOARD_CONFIG.BOARD_OPTIONS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Get whether targets are only picked as the guesses come in
+   * @returns {boolean} True if evil mode is enabled
+   */
+  getEvilMode() {
+    return this.config.evilMode;
+  }
+
+  /**
+   * Set whether targets are only picked as the guesses come in
+   * @param {boolean} enabled - Whether to enable evil mode
+   */
+  setEvilMode(enabled) {
+    this.config.evilMode = Boolean(enabled);
+    this.saveConfig();
+  }
+
   /**
    * Get whether to show word definitions
    * @returns {boolean} True if definitions should be shown
@@ -185,6 +416,38 @@ class GameConfig {
     }
   }
 
+  /**
+   * Get the level hard mode is played at
+   * @returns {'normal'|'strict'} The hard mode level
+   */
+  getHardModeLevel() {
+    return this.config.hardModeLevel;
+  }
+
+  /**
+   * Set the level hard mode is played at
+   * @param {'normal'|'strict'} level - 'strict' also enforces grey letters, yellow positions and letter counts
+   */
+  setHardModeLevel(level) {
+    if (HARD_MODE_CONFIG.LEVELS.includes(level)) {
+      this.config.hardModeLevel = level;
+      this.saveConfig();
+    } else {
+      throw new Error(`Hard mode level must be one of: ${HARD_MODE_CONFIG.LEVELS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Get the hard mode games are started with
+   * @returns {boolean|'strict'} false when hard mode is off, 'strict' for strict hard mode, otherwise true
+   */
+  getHardModeSetting() {
+    if (!this.config.hardMode) {
+      return false;
+    }
+    return this.config.hardModeLevel === 'strict' ? 'strict' : true;
+  }
+
   /**
    * Get all configuration settings
    * @returns {Object} Complete configuration object
@@ -231,6 +494,8 @@ class GameConfig {
         return 'Medium (Moderate Words)';
       case 'hard':
         return 'Hard (Rare Words)';
+      case 'adaptive':
+        return 'Adaptive (Follows Your Results)';
       default:
         return 'Unknown';
     }
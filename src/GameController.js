@@ -5,15 +5,22 @@
 
 // Import required modules using ES6 imports
 import GameState from './GameState.js';
+import EvilGameState from './EvilGameState.js';
 import FeedbackGenerator from './FeedbackGenerator.js';
 import Guess from './Guess.js';
 import HardModeValidator from './HardModeValidator.js';
+import { WORD_LENGTH_CONFIG, HINT_CONFIG } from './config.js';
+
+// Letters eliminate hints pick from when the dictionary has no language pack
+const DEFAULT_LETTERS = 'abcdefghijklmnopqrstuvwxyz';
 
 /**
  * GuessResult type definition
  * @typedef {Object} GuessResult
  * @property {boolean} success - Whether the guess was successful
  * @property {string} [error] - Error message if guess was unsuccessful
+ * @property {boolean} [unverified] - True if the word couldn't be checked (e.g. the word
+ *   service is unreachable), as opposed to being an invalid word
  * @property {Guess} [guess] - The Guess object if successful
  * @property {'in-progress'|'won'|'lost'} gameStatus - Current game status
  */
@@ -26,9 +33,11 @@ class GameController {
   /**
    * Create a GameController instance
    * @param {Dictionary} dictionary - The Dictionary instance for word validation
-   * @param {boolean} hardMode - Whether hard mode is enabled (default: false)
+   * @param {boolean|'strict'} hardMode - Whether hard mode is enabled, or 'strict' for strict hard mode
+   *   (default: false)
+   * @param {boolean} evilMode - Whether the target dodges guesses for as long as it can (default: false)
    */
-  constructor(dictionary, hardMode = false) {
+  constructor(dictionary, hardMode = false, evilMode = false) {
     if (!dictionary) {
       throw new Error('Dictionary is required');
     }
@@ -36,21 +45,40 @@ class GameController {
     this.dictionary = dictionary;
     this.gameState = null;
     this.hardMode = hardMode;
-    this.hardModeValidator = hardMode ? new HardModeValidator() : null;
+    this.hardModeValidator = hardMode ? new HardModeValidator(hardMode === 'strict' ? 'strict' : 'normal') : null;
+    this.evilMode = evilMode;
+    this.hints = this._createHintState();
+  }
+
+  /**
+   * Create the record of hints given in the current game
+   * @returns {Object} {revealed: Map<position, letter>, eliminated: Set<letter>, definitionClue}
+   * @private
+   */
+  _createHintState() {
+    return { revealed: new Map(), eliminated: new Set(), definitionClue: null };
   }
 
   /**
    * Start a new game
-   * Selects a random target word and initializes game state
+   * Selects a random target word (unless one is given) and initializes game state
    * @param {number} maxGuesses - Maximum number of guesses allowed (default: 4)
    * @param {Object} frequencyRange - Optional frequency range for word selection
-   * @returns {Promise<GameState>} The new game state
+   * @param {number} wordLength - Number of letters in the target word (default: 5)
+   * @param {string|string[]|null} [target] - Target word chosen by the caller (e.g. from a custom word list);
+   *   in evil mode, the words the target may end up being (default: the dictionary's shared words)
+   * @returns {Promise<GameState>} The new game state (an EvilGameState in evil mode)
    */
-  async startNewGame(maxGuesses = 4, frequencyRange = null) {
-    console.log(`GameController.startNewGame called with maxGuesses: ${maxGuesses}, frequencyRange:`, frequencyRange);
-    const targetWord = await this.dictionary.getRandomWord(frequencyRange);
+  async startNewGame(maxGuesses = 4, frequencyRange = null, wordLength = WORD_LENGTH_CONFIG.DEFAULT, target = null) {
+    console.log(`GameController.startNewGame called with maxGuesses: ${maxGuesses}, frequencyRange:`, frequencyRange, `wordLength: ${wordLength}`);
+    if (this.evilMode) {
+      return this._startEvilGame(maxGuesses, frequencyRange, wordLength, target);
+    }
+    
+    const targetWord = target || await this.dictionary.getRandomWord(frequencyRange, wordLength);
     console.log(`GameController got target word: ${targetWord}`);
-    this.gameState = new GameState(targetWord, maxGuesses);
+    this.gameState = new GameState(targetWord, maxGuesses, wordLength);
+    this.hints = this._createHintState();
     
     // Reset hard mode validator if enabled
     if (this.hardModeValidator) {
@@ -60,13 +88,88 @@ class GameController {
     return this.gameState;
   }
 
+  /**
+   * Start a game whose target is picked from candidates as the guesses come in
+   * @param {number} maxGuesses - Maximum number of guesses allowed
+   * @param {Object} frequencyRange - Frequency range for the dictionary's shared words
+   * @param {number} wordLength - Number of letters in the target word
+   * @param {string[]|null} candidates - Words the target may end up being
+   * @returns {Promise<EvilGameState>} The new game state
+   * @private
+   */
+  async _startEvilGame(maxGuesses, frequencyRange, wordLength, candidates) {
+    const words = Array.isArray(candidates)
+      ? candidates
+      : (await this.dictionary.getSharedWords(wordLength, frequencyRange)).words;
+    console.log(`GameController started an evil game with ${words.length} candidate words`);
+    this.gameState = new EvilGameState(
+      words,
+      maxGuesses,
+      wordLength,
+      typeof this.dictionary.normalizeLetter === 'function' ? letter => this.dictionary.normalizeLetter(letter) : null
+    );
+    
+    if (this.hardModeValidator) {
+      this.hardModeValidator.reset();
+    }
+    
+    return this.gameState;
+  }
+
+  /**
+   * Check a word can be guessed in the current game
+   * The type and length are checked first, so words that can't be guessed are never looked up
+   * @param {string} word - The word to check
+   * @returns {Promise<{success: boolean, word?: string, error?: string, unverified?: boolean}>} On
+   *   success `word` is the normalized guess
+   */
+  async checkWord(word) {
+    // Validate input type
+    if (typeof word !== 'string') {
+      return { success: false, error: 'Please enter a word' };
+    }
+
+    // Normalize to lowercase (and fold accents when the dictionary's language does) for validation
+    const normalizedWord = typeof this.dictionary.normalizeWord === 'function'
+      ? this.dictionary.normalizeWord(word)
+      : word.toLowerCase();
+
+    // Validate length against the current target (Requirement 2.1)
+    const wordLength = this.gameState.getWordLength();
+    if (normalizedWord.length !== wordLength) {
+      return { success: false, error: `Word must be exactly ${wordLength} letters` };
+    }
+
+    // Validate word exists in dictionary (Requirement 2.2) - now async
+    const wordCheck = typeof this.dictionary.checkWord === 'function'
+      ? await this.dictionary.checkWord(normalizedWord)
+      : (await this.dictionary.isValidWord(normalizedWord) ? 'valid' : 'invalid');
+    if (wordCheck === 'unverified') {
+      // The guess doesn't use up an attempt, so the player can just try again
+      return {
+        success: false,
+        error: `Couldn't check "${normalizedWord.toUpperCase()}" right now - check your connection and try again`,
+        unverified: true
+      };
+    }
+    if (wordCheck !== 'valid') {
+      return { success: false, error: 'Not a valid word' };
+    }
+
+    return { success: true, word: normalizedWord };
+  }
+
   /**
    * Submit a guess
    * Validates the guess and updates game state if valid
    * @param {string} word - The word to guess
+   * @param {Object} [options] - Guess options
+   * @param {boolean} [options.autoGuess] - Replay of a previous answer, which hard mode doesn't apply to
+   * @param {boolean} [options.wordChecked] - The word came from checkWord(), so it is taken as it is
+   *   without being looked up again
    * @returns {Promise<GuessResult>} Result of the guess attempt
    */
-  async submitGuess(word) {
+  async submitGuess(word, options = {}) {
     // Check if game has been started
     if (!this.gameState) {
       return {
@@ -85,36 +188,11 @@ class GameController {
       };
     }
 
-    // Validate input type
-    if (typeof word !== 'string') {
-      return {
-        success: false,
-        error: 'Please enter a word',
-        gameStatus: this.gameState.getGameStatus()
-      };
-    }
-
-    // Normalize to lowercase for validation
-    const normalizedWord = word.toLowerCase();
-
-    // Validate length (Requirement 2.1)
-    if (normalizedWord.length !== 5) {
-      return {
-        success: false,
-        error: 'Word must be exactly 5 letters',
-        gameStatus: this.gameState.getGameStatus()
-      };
-    }
-
-    // Validate word exists in dictionary (Requirement 2.2) - now async
-    const isValid = await this.dictionary.isValidWord(normalizedWord);
-    if (!isValid) {
-      return {
-        success: false,
-        error: 'Not a valid word',
-        gameStatus: this.gameState.getGameStatus()
-      };
+    const check = options.wordChecked ? { success: true, word } : await this.checkWord(word);
+    if (!check.success) {
+      return { ...check, gameStatus: this.gameState.getGameStatus() };
     }
+    const normalizedWord = check.word;
 
     // Check for duplicate guess
     const previousGuesses = this.gameState.getGuesses();
@@ -128,7 +206,7 @@ class GameController {
     }
 
     // Validate against hard mode rules if enabled
-    if (this.hardModeValidator) {
+    if (this.hardModeValidator && !options.autoGuess) {
       const hardModeValidation = this.hardModeValidator.validateGuess(normalizedWord);
       if (!hardModeValidation.isValid) {
         return {
@@ -139,10 +217,16 @@ class GameController {
       }
     }
 
+    // Evil games only settle on a target once they see the guess
+    if (typeof this.gameState.resolveGuess === 'function') {
+      this.gameState.resolveGuess(normalizedWord);
+    }
+
     // Generate feedback for the guess
     const feedback = FeedbackGenerator.generateFeedback(
       normalizedWord,
-      this.gameState.getTargetWord()
+      this.gameState.getTargetWord(),
+      typeof this.dictionary.normalizeLetter === 'function' ? letter => this.dictionary.normalizeLetter(letter) : null
     );
 
     // Create Guess object
@@ -164,6 +248,148 @@ class GameController {
     };
   }
 
+  /**
+   * Make sure a hint can be given for the current game
+   * @throws {Error} If there is no game in progress or the game is an evil one
+   * @private
+   */
+  _checkHintAvailable() {
+    if (!this.gameState || this.gameState.isGameOver()) {
+      throw new Error('Hints can only be used while a game is in progress');
+    }
+    
+    if (this.evilMode) {
+      throw new Error('Hints are not available in evil mode');
+    }
+  }
+
+  /**
+   * Normalize a letter the way feedback compares letters
+   * @param {string} letter - Lowercase letter
+   * @returns {string} The normalized letter
+   * @private
+   */
+  _normalizeLetter(letter) {
+    return typeof this.dictionary.normalizeLetter === 'function' ? this.dictionary.normalizeLetter(letter) : letter;
+  }
+
+  /**
+   * Reveal the first letter of the target the player doesn't know the position of
+   * @returns {{position: number, letter: string}} Zero-based position and its letter
+   * @throws {Error} If every position is already green or revealed
+   */
+  revealLetter() {
+    this._checkHintAvailable();
+    
+    const targetWord = this.gameState.getTargetWord();
+    const known = new Set(this.hints.revealed.keys());
+    this.gameState.getGuesses().forEach(guess => {
+      guess.getFeedback().forEach((letterFeedback, position) => {
+        if (letterFeedback.status === 'correct') {
+          known.add(position);
+        }
+      });
+    });
+    
+    const position = Array.from(targetWord).findIndex((_, index) => !known.has(index));
+    if (position === -1) {
+      throw new Error('Every letter is already known');
+    }
+    
+    const letter = targetWord[position];
+    this.hints.revealed.set(position, letter);
+    console.log(`Hint revealed letter ${position + 1}`);
+    return { position, letter };
+  }
+
+  /**
+   * Pick letters that aren't in the target and haven't been guessed or eliminated yet
+   * @param {number} [count] - Letters to eliminate (default: HINT_CONFIG.ELIMINATE_COUNT)
+   * @returns {string[]} The eliminated letters (fewer than count when that many aren't left)
+   * @throws {Error} If no letters are left to eliminate
+   */
+  eliminateLetters(count = HINT_CONFIG.ELIMINATE_COUNT) {
+    this._checkHintAvailable();
+    
+    const language = typeof this.dictionary.getLanguage === 'function' ? this.dictionary.getLanguage() : null;
+    const alphabet = language ? language.getLetters() : Array.from(DEFAULT_LETTERS);
+    const excluded = new Set(Array.from(this.gameState.getTargetWord()).map(letter => this._normalizeLetter(letter)));
+    this.gameState.getGuesses().forEach(guess => {
+      Array.from(guess.getWord()).forEach(letter => excluded.add(this._normalizeLetter(letter)));
+    });
+    
+    const candidates = [...new Set(alphabet.map(letter => this._normalizeLetter(letter)))]
+      .filter(letter => !excluded.has(letter) && !this.hints.eliminated.has(letter));
+    if (candidates.length === 0) {
+      throw new Error('No more letters can be eliminated');
+    }
+    
+    const eliminated = [];
+    while (eliminated.length < count && candidates.length > 0) {
+      const index = Math.floor(Math.random() * candidates.length);
+      eliminated.push(candidates.splice(index, 1)[0]);
+    }
+    eliminated.forEach(letter => this.hints.eliminated.add(letter));
+    console.log(`Hint eliminated ${eliminated.length} letters`);
+    return eliminated;
+  }
+
+  /**
+   * Get the first line of the target's definition, with the target itself blanked out
+   * @returns {Promise<string>} The clue
+   * @throws {Error} If the clue was already given or the target has no definition
+   */
+  async getDefinitionClue() {
+    this._checkHintAvailable();
+    
+    if (this.hints.definitionClue) {
+      throw new Error('The definition clue has already been shown');
+    }
+    
+    const targetWord = this.gameState.getTargetWord();
+    const definition = typeof this.dictionary.getDefinition === 'function'
+      ? await this.dictionary.getDefinition(targetWord)
+      : null;
+    const text = definition && definition.found && definition.entries.length > 0 ? definition.entries[0].definition : '';
+    const firstLine = text.split('\n')[0].trim();
+    if (!firstLine) {
+      throw new Error('No definition clue is available for this word');
+    }
+    
+    this.hints.definitionClue = firstLine.replace(new RegExp(targetWord, 'gi'), '_'.repeat(targetWord.length));
+    return this.hints.definitionClue;
+  }
+
+  /**
+   * Get the hints given in the current game
+   * @returns {Object} {revealed: Array<{position, letter}>, eliminated: string[], definitionClue: string|null}
+   */
+  getHints() {
+    return {
+      revealed: Array.from(this.hints.revealed, ([position, letter]) => ({ position, letter })),
+      eliminated: Array.from(this.hints.eliminated),
+      definitionClue: this.hints.definitionClue
+    };
+  }
+
+  /**
+   * Get what the guesses so far have shown about the target, in HardModeValidator form
+   * Outside hard mode the constraints are worked out from the guesses on demand
+   * @returns {Object|null} HardModeValidator.getConstraints() output, or null if no game started
+   */
+  getConstraints() {
+    if (!this.gameState) {
+      return null;
+    }
+    if (this.hardModeValidator) {
+      return this.hardModeValidator.getConstraints();
+    }
+
+    const validator = new HardModeValidator();
+    this.gameState.getGuesses().forEach(guess => validator.updateFromFeedback(guess.getWord(), guess.getFeedback()));
+    return validator.getConstraints();
+  }
+
   /**
    * Get the current game state
    * @returns {GameState|null} The current game state, or null if no game started
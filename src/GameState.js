@@ -3,6 +3,8 @@
  * Manages the state of a single game session
  */
 
+import { WORD_LENGTH_CONFIG, isSupportedWordLength } from './config.js';
+
 /**
  * GameState class
  * Tracks the target word, guesses, attempts, and game status
@@ -10,16 +12,21 @@
 class GameState {
   /**
    * Create a GameState instance
-   * @param {string} targetWord - The target word to guess (5 letters)
+   * @param {string} targetWord - The target word to guess
    * @param {number} maxAttempts - Maximum number of attempts allowed (default: 4)
+   * @param {number} wordLength - Expected length of the target word (default: 5)
    */
-  constructor(targetWord, maxAttempts = 4) {
+  constructor(targetWord, maxAttempts = 4, wordLength = WORD_LENGTH_CONFIG.DEFAULT) {
     if (typeof targetWord !== 'string') {
       throw new Error('Target word must be a string');
     }
     
-    if (targetWord.length !== 5) {
-      throw new Error('Target word must be exactly 5 letters');
+    if (!isSupportedWordLength(wordLength)) {
+      throw new Error(`Word length must be between ${WORD_LENGTH_CONFIG.MIN} and ${WORD_LENGTH_CONFIG.MAX}`);
+    }
+    
+    if (targetWord.length !== wordLength) {
+      throw new Error(`Target word must be exactly ${wordLength} letters`);
     }
     
     if (typeof maxAttempts !== 'number' || maxAttempts <= 0) {
@@ -29,6 +36,7 @@ class GameState {
     this.targetWord = targetWord.toLowerCase();
     this.guesses = [];
     this.maxAttempts = maxAttempts;
+    this.wordLength = wordLength;
     this.gameStatus = 'in-progress';
   }
 
@@ -49,8 +57,8 @@ class GameState {
     
     this.guesses.push(guess);
     
-    // Check if the guess matches the target word
-    if (guess.getWord().toLowerCase() === this.targetWord) {
+    // Check if the guess matches the target word (with folded accents every letter is correct instead)
+    if (guess.getWord().toLowerCase() === this.targetWord || this._isAllCorrect(guess)) {
       this.gameStatus = 'won';
     } 
     // Check if max attempts reached
@@ -59,6 +67,19 @@ class GameState {
     }
   }
 
+  /**
+   * Check if every letter of a guess was scored correct
+   * @param {Guess} guess - The guess to check
+   * @returns {boolean} True if the feedback covers the whole target and is all correct
+   * @private
+   */
+  _isAllCorrect(guess) {
+    const feedback = typeof guess.getFeedback === 'function' ? guess.getFeedback() : null;
+    return Array.isArray(feedback) &&
+      feedback.length === this.targetWord.length &&
+      feedback.every(letterFeedback => letterFeedback.status === 'correct');
+  }
+
   /**
    * Get the number of remaining attempts
    * @returns {number} Number of attempts remaining
@@ -91,6 +112,14 @@ class GameState {
     return this.gameStatus;
   }
 
+  /**
+   * Get the number of letters in the target word
+   * @returns {number} The word length for this game
+   */
+  getWordLength() {
+    return this.wordLength;
+  }
+
   /**
    * Get the target word (for revealing after game ends)
    * @returns {string} The target word
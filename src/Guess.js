@@ -17,7 +17,7 @@
 class Guess {
   /**
    * Create a Guess instance
-   * @param {string} word - The guessed word (5 letters)
+   * @param {string} word - The guessed word (same length as the target word)
    * @param {LetterFeedback[]} feedback - Array of feedback for each letter
    */
   constructor(word, feedback) {
@@ -3,11 +3,26 @@
  * Validates guesses according to Wordle hard mode rules
  */
 
+import { HARD_MODE_CONFIG } from './config.js';
+
 class HardModeValidator {
-  constructor() {
+  /**
+   * Create a HardModeValidator instance
+   * @param {'normal'|'strict'} level - Hard mode level (default: 'normal'); strict hard mode also
+   *   enforces grey letters, yellow positions and letter counts, and reports every broken rule
+   */
+  constructor(level = HARD_MODE_CONFIG.DEFAULT_LEVEL) {
+    if (!HARD_MODE_CONFIG.LEVELS.includes(level)) {
+      throw new Error(`Hard mode level must be one of: ${HARD_MODE_CONFIG.LEVELS.join(', ')}`);
+    }
+
+    this.level = level;
     this.knownCorrectPositions = new Map(); // position -> letter
     this.knownIncludedLetters = new Set(); // letters that must be included
     this.knownExcludedLetters = new Set(); // letters that are not in the word
+    this.minLetterCounts = new Map(); // letter -> fewest times it is in the word
+    this.maxLetterCounts = new Map(); // letter -> most times it is in the word
+    this.bannedPositions = new Map(); // position -> letters known not to be there
   }
 
   /**
@@ -16,6 +31,9 @@ class HardModeValidator {
    * @param {Array} feedback - Array of feedback objects with {letter, status}
    */
   updateFromFeedback(guess, feedback) {
+    const markedCounts = new Map(); // letter -> greens and yellows in this guess
+    const greyLetters = new Set();
+
     for (let i = 0; i < feedback.length; i++) {
       const { letter, status } = feedback[i];
       const lowerLetter = letter.toLowerCase();
@@ -30,6 +48,7 @@ class HardModeValidator {
         case 'present':
           // Letter is in word but wrong position
           this.knownIncludedLetters.add(lowerLetter);
+          this._banPosition(i, lowerLetter);
           break;
         
         case 'absent':
@@ -37,40 +56,144 @@ class HardModeValidator {
           if (!this.knownIncludedLetters.has(lowerLetter)) {
             this.knownExcludedLetters.add(lowerLetter);
           }
+          this._banPosition(i, lowerLetter);
+          greyLetters.add(lowerLetter);
           break;
       }
+
+      if (status !== 'absent') {
+        markedCounts.set(lowerLetter, (markedCounts.get(lowerLetter) || 0) + 1);
+      }
+    }
+
+    // Each green or yellow is one copy of the letter; a grey copy means there are no more
+    for (const [letter, count] of markedCounts) {
+      this.minLetterCounts.set(letter, Math.max(this.minLetterCounts.get(letter) || 0, count));
+    }
+    for (const letter of greyLetters) {
+      const count = markedCounts.get(letter) || 0;
+      const knownMax = this.maxLetterCounts.has(letter) ? this.maxLetterCounts.get(letter) : Infinity;
+      this.maxLetterCounts.set(letter, Math.min(knownMax, count));
     }
   }
 
+  /**
+   * Record that a letter is not at a position
+   * @param {number} position - Zero-based position
+   * @param {string} letter - Lowercase letter
+   * @private
+   */
+  _banPosition(position, letter) {
+    if (!this.bannedPositions.has(position)) {
+      this.bannedPositions.set(position, new Set());
+    }
+    this.bannedPositions.get(position).add(letter);
+  }
+
   /**
    * Validate a guess against hard mode rules
+   * Hard mode reports the first broken rule; strict hard mode reports them all
    * @param {string} guess - The guess to validate
-   * @returns {Object} Validation result with {isValid, error}
+   * @returns {Object} Validation result with {isValid, error}; in strict hard mode a failed
+   *   result also has `errors`, one message per broken rule
    */
   validateGuess(guess) {
     const lowerGuess = guess.toLowerCase();
-    
-    // Check if all known correct positions are maintained
-    for (const [position, letter] of this.knownCorrectPositions) {
-      if (lowerGuess[position] !== letter) {
-        return {
-          isValid: false,
-          error: `${position + 1}${this.getOrdinalSuffix(position + 1)} letter must be ${letter.toUpperCase()}`
-        };
-      }
+    const errors = this.level === 'strict' ? this._findStrictViolations(lowerGuess) : this._findViolations(lowerGuess);
+
+    if (errors.length === 0) {
+      return { isValid: true };
     }
 
+    if (this.level === 'strict') {
+      return { isValid: false, error: errors.join('; '), errors };
+    }
+    return { isValid: false, error: errors[0] };
+  }
+
+  /**
+   * Check a guess against the hard mode rules
+   * @param {string} lowerGuess - The lowercase guess
+   * @returns {string[]} One message per broken rule, greens first
+   * @private
+   */
+  _findViolations(lowerGuess) {
+    const errors = this._findGreenViolations(lowerGuess);
+
     // Check if all known included letters are present
     for (const letter of this.knownIncludedLetters) {
       if (!lowerGuess.includes(letter)) {
-        return {
-          isValid: false,
-          error: `Guess must contain ${letter.toUpperCase()}`
-        };
+        errors.push(`Guess must contain ${letter.toUpperCase()}`);
       }
     }
 
-    return { isValid: true };
+    return errors;
+  }
+
+  /**
+   * Check a guess against the strict hard mode rules
+   * @param {string} lowerGuess - The lowercase guess
+   * @returns {string[]} One message per broken rule: greens, then yellow and grey positions,
+   *   then letter counts
+   * @private
+   */
+  _findStrictViolations(lowerGuess) {
+    const errors = this._findGreenViolations(lowerGuess);
+
+    // Letters can't go back to a spot they were already shown not to be in
+    for (const [position, letters] of [...this.bannedPositions].sort(([a], [b]) => a - b)) {
+      const letter = lowerGuess[position];
+      if (letters.has(letter) && (this.maxLetterCounts.get(letter) ?? Infinity) > 0) {
+        errors.push(`${letter.toUpperCase()} can't be the ${position + 1}${this.getOrdinalSuffix(position + 1)} letter`);
+      }
+    }
+
+    const guessCounts = new Map();
+    for (const letter of lowerGuess) {
+      guessCounts.set(letter, (guessCounts.get(letter) || 0) + 1);
+    }
+
+    for (const [letter, min] of this.minLetterCounts) {
+      if ((guessCounts.get(letter) || 0) < min) {
+        errors.push(min === 1
+          ? `Guess must contain ${letter.toUpperCase()}`
+          : `Guess must contain ${min} ${letter.toUpperCase()}s`);
+      }
+    }
+
+    for (const [letter, max] of this.maxLetterCounts) {
+      if ((guessCounts.get(letter) || 0) > max) {
+        errors.push(max === 0
+          ? `Guess can't contain ${letter.toUpperCase()}`
+          : `Guess can't contain more than ${max} ${letter.toUpperCase()}${max === 1 ? '' : 's'}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check that a guess keeps every green letter in place
+   * @param {string} lowerGuess - The lowercase guess
+   * @returns {string[]} One message per green that moved
+   * @private
+   */
+  _findGreenViolations(lowerGuess) {
+    const errors = [];
+    for (const [position, letter] of [...this.knownCorrectPositions].sort(([a], [b]) => a - b)) {
+      if (lowerGuess[position] !== letter) {
+        errors.push(`${position + 1}${this.getOrdinalSuffix(position + 1)} letter must be ${letter.toUpperCase()}`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Get the hard mode level
+   * @returns {'normal'|'strict'} The level
+   */
+  getLevel() {
+    return this.level;
   }
 
   /**
@@ -101,6 +224,9 @@ class HardModeValidator {
     this.knownCorrectPositions.clear();
     this.knownIncludedLetters.clear();
     this.knownExcludedLetters.clear();
+    this.minLetterCounts.clear();
+    this.maxLetterCounts.clear();
+    this.bannedPositions.clear();
   }
 
   /**
@@ -111,7 +237,10 @@ class HardModeValidator {
     return {
       correctPositions: Object.fromEntries(this.knownCorrectPositions),
       includedLetters: Array.from(this.knownIncludedLetters),
-      excludedLetters: Array.from(this.knownExcludedLetters)
+      excludedLetters: Array.from(this.knownExcludedLetters),
+      minLetterCounts: Object.fromEntries(this.minLetterCounts),
+      maxLetterCounts: Object.fromEntries(this.maxLetterCounts),
+      bannedPositions: Object.fromEntries([...this.bannedPositions].map(([position, letters]) => [position, Array.from(letters)]))
     };
   }
 }
@@ -5,11 +5,19 @@
 
 // Import required modules using ES6 imports
 import GameController from './GameController.js';
+import MultiBoardController from './MultiBoardController.js';
 import GameState from './GameState.js';
 import HurdleState from './HurdleState.js';
 import HurdleSession from './HurdleSession.js';
 import CompletedHurdle from './CompletedHurdle.js';
 import ScoreCalculator from './ScoreCalculator.js';
+import TargetHistory from './TargetHistory.js';
+import TargetPrefetcher from './TargetPrefetcher.js';
+import AdaptiveDifficulty from './AdaptiveDifficulty.js';
+import Solver from './Solver.js';
+import { WORD_LENGTH_CONFIG, DAILY_HURDLE_CONFIG, MULTI_BOARD_CONFIG, SCORING_RULES, HINT_CONFIG, isSupportedWordLength } from './config.js';
+import { EMERGENCY_WORDS } from './data/emergencyWords.js';
+import { createRandom, pickSeededWord } from './seededRandom.js';
 
 /**
  * HurdleTransition type definition
@@ -19,7 +27,11 @@ import ScoreCalculator from './ScoreCalculator.js';
  * @property {boolean} shouldContinue - Whether the game should continue
  * @property {Object} animationData - Data for UI animations
  * @property {boolean} animationData.clearBoard - Whether to clear the board
- * @property {string} animationData.autoGuess - The auto-guess word for next hurdle
+ * @property {string|null} animationData.autoGuess - The auto-guess word for next hurdle
+ *   (null when the next hurdle uses a different word length)
+ * @property {string[]} animationData.autoGuesses - Every board's answer, auto-guessed in order on
+ *   multi-board hurdles (empty when the next hurdle uses a different word length)
+ * @property {number} animationData.nextWordLength - Word length of the next hurdle
  * @property {number} animationData.showScore - The score to display
  */
 
@@ -31,51 +43,276 @@ class HurdleController {
   /**
    * Create a HurdleController instance
    * @param {Dictionary} dictionary - The Dictionary instance for word validation and selection
+   * @param {Object} [options] - Controller options
+   * @param {TargetHistory} [options.targetHistory] - Targets seen in earlier sessions (default: saved in localStorage)
+   * @param {number} [options.prefetchSize] - Targets to pick ahead for the next hurdle
+   *   (default: PREFETCH_CONFIG.POOL_SIZE; 0 picks each target when its hurdle starts)
+   * @param {AdaptiveDifficulty} [options.adaptiveDifficulty] - Band for adaptive sessions
+   *   (default: saved in localStorage)
    */
-  constructor(dictionary) {
+  constructor(dictionary, options = {}) {
     if (!dictionary) {
       throw new Error('Dictionary is required');
     }
     
     this.dictionary = dictionary;
+    this.targetHistory = options.targetHistory || new TargetHistory();
+    this.adaptiveDifficulty = options.adaptiveDifficulty || new AdaptiveDifficulty();
     this.currentGameController = null;
     this.hurdleState = new HurdleState();
     this.session = null;
     this.previousAnswer = null; // Track previous hurdle answer for word uniqueness
+    this.nextWordLength = WORD_LENGTH_CONFIG.DEFAULT; // Word length of the upcoming hurdle
+    this.plannedWordLength = null; // Length picked ahead for the hurdle after the current one
+    this.currentDifficultyBand = null; // Band the current hurdle's target was picked from
+    this.hurdleStartedAt = null;
+    this.blitzEndsAt = null; // When the blitz clock runs out (ms timestamp), null without a clock
+    this.dailySession = null; // {dailyHurdle, dateKey} while a Daily Hurdle is played
+    this.challenge = null; // Challenge whose seed picks the targets while it is played
+    this.prefetcher = new TargetPrefetcher(
+      (wordLength, avoidWord) => this._selectDifferentWord(avoidWord, wordLength),
+      { poolSize: options.prefetchSize }
+    );
   }
 
   /**
    * Start a new hurdle mode session
    * Initializes Hurdle 1 with a random word and resets all state
-   * @param {number} maxGuesses - Maximum number of guesses allowed (default: 4)
-   * @param {Object} frequencyRange - Optional frequency range for word selection
-   * @param {boolean} hardMode - Whether hard mode is enabled (default: false)
+   * @param {Object} [options] - Session options
+   * @param {number} [options.maxGuesses] - Maximum number of guesses allowed (default: 4)
+   * @param {Object} [options.frequencyRange] - Optional frequency range for word selection
+   * @param {boolean|'strict'} [options.hardMode] - Whether hard mode is enabled, or 'strict' for strict
+   *   hard mode (default: false)
+   * @param {number} [options.wordLength] - Number of letters in each target word (default: 5)
+   * @param {boolean} [options.varyWordLength] - Pick a new random length for every hurdle (default: false)
+   * @param {boolean} [options.adaptiveDifficulty] - Pick targets from the adaptive difficulty's band instead
+   *   of frequencyRange, moving the band with the player's results (default: false)
+   * @param {number} [options.blitzDuration] - Minutes on the blitz clock; solves earn speed bonuses and the
+   *   session ends when it runs out (default: 0, no clock)
+   * @param {number} [options.boardCount] - Boards every guess is played on; a hurdle is cleared when all
+   *   of them are solved (default: 1)
+   * @param {boolean} [options.evilMode] - Each target is only picked as the guesses come in, keeping as
+   *   many words in play as it can (default: false)
+   * @returns {Promise<HurdleSession>} The new hurdle session
+   */
+  async startHurdleMode(options = {}) {
+    if (typeof options !== 'object' || options === null) {
+      throw new Error('Hurdle mode options must be an object');
+    }
+    
+    const {
+      maxGuesses = 4,
+      frequencyRange = null,
+      hardMode = false,
+      wordLength = WORD_LENGTH_CONFIG.DEFAULT,
+      varyWordLength = false,
+      adaptiveDifficulty = false,
+      blitzDuration = 0,
+      boardCount = 1,
+      evilMode = false
+    } = options;
+    
+    if (!isSupportedWordLength(wordLength)) {
+      throw new Error(`Word length must be between ${WORD_LENGTH_CONFIG.MIN} and ${WORD_LENGTH_CONFIG.MAX}`);
+    }
+    
+    if (typeof blitzDuration !== 'number' || blitzDuration < 0) {
+      throw new Error('Blitz duration must be a non-negative number of minutes');
+    }
+    
+    if (!MULTI_BOARD_CONFIG.BOARD_OPTIONS.includes(boardCount)) {
+      throw new Error(`Board count must be one of: ${MULTI_BOARD_CONFIG.BOARD_OPTIONS.join(', ')}`);
+    }
+    
+    if (evilMode && boardCount > 1) {
+      throw new Error('Evil mode is played on a single board');
+    }
+    
+    this.dailySession = null;
+    this.challenge = null;
+    return this._startSession({
+      maxGuesses,
+      frequencyRange,
+      hardMode,
+      wordLength,
+      varyWordLength,
+      adaptiveDifficulty,
+      blitzDuration,
+      boardCount,
+      evilMode
+    });
+  }
+
+  /**
+   * Start today's Daily Hurdle
+   * Every player gets the same chain of targets, word length and number of guesses;
+   * starting uses up the player's attempt for the day, unless the first hurdle can't be set up
+   * @param {DailyHurdle} dailyHurdle - Supplies the day's targets and keeps the attempt
+   * @param {boolean|'strict'} hardMode - Whether hard mode is enabled, or 'strict' for strict hard mode
+   *   (default: false)
+   * @returns {Promise<HurdleSession>} The new hurdle session
+   */
+  async startDailyHurdle(dailyHurdle, hardMode = false) {
+    if (!dailyHurdle) {
+      throw new Error('Daily Hurdle is required');
+    }
+    
+    const dateKey = dailyHurdle.getDateKey();
+    dailyHurdle.startAttempt(dateKey);
+    this.dailySession = { dailyHurdle, dateKey };
+    this.challenge = null;
+    
+    try {
+      return await this._startSession({
+        maxGuesses: DAILY_HURDLE_CONFIG.MAX_GUESSES,
+        frequencyRange: DAILY_HURDLE_CONFIG.FREQUENCY_RANGE,
+        hardMode,
+        wordLength: DAILY_HURDLE_CONFIG.WORD_LENGTH,
+        varyWordLength: false,
+        adaptiveDifficulty: false
+      });
+    } catch (error) {
+      dailyHurdle.cancelAttempt(dateKey);
+      this.dailySession = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Start a challenge shared as a code
+   * Targets are picked with the challenge's seed, so everyone playing it gets the same
+   * chain. The dictionary must already have the challenge's language, content filter
+   * and custom word list.
+   * @param {Challenge} challenge - The challenge to play
+   * @returns {Promise<HurdleSession>} The new hurdle session
+   */
+  async startChallenge(challenge) {
+    if (!challenge) {
+      throw new Error('Challenge is required');
+    }
+    
+    const settings = challenge.getSettings();
+    this.dailySession = null;
+    this.challenge = challenge;
+    
+    return this._startSession({
+      maxGuesses: settings.maxGuesses,
+      frequencyRange: settings.frequencyRange,
+      hardMode: settings.hardMode,
+      wordLength: settings.wordLength,
+      varyWordLength: settings.varyWordLength,
+      adaptiveDifficulty: false,
+      blitzDuration: settings.blitzDuration || 0,
+      boardCount: settings.boardCount || 1,
+      evilMode: settings.evilMode || false
+    });
+  }
+
+  /**
+   * Get the challenge being played
+   * @returns {Challenge|null} The challenge, or null outside a challenge
+   */
+  getChallenge() {
+    return this.challenge;
+  }
+
+  /**
+   * Get the number of boards every guess of the session is played on
+   * @returns {number} Number of boards (1 outside multi-board sessions)
+   */
+  getBoardCount() {
+    return this.sessionConfig?.boardCount || 1;
+  }
+
+  /**
+   * Check if the session's targets are only picked as the guesses come in
+   * @returns {boolean} True in evil mode
+   */
+  isEvilMode() {
+    return this.sessionConfig?.evilMode || false;
+  }
+
+  /**
+   * Check if the current session is played against the blitz clock
+   * @returns {boolean} True while the session has a clock
+   */
+  isBlitz() {
+    return this.blitzEndsAt !== null;
+  }
+
+  /**
+   * Get the time left on the blitz clock
+   * @returns {number|null} Milliseconds left (0 once it runs out), or null without a clock
+   */
+  getBlitzTimeRemaining() {
+    return this.blitzEndsAt === null ? null : Math.max(0, this.blitzEndsAt - Date.now());
+  }
+
+  /**
+   * Check if the blitz clock has run out
+   * @returns {boolean} True once a blitz session's time is up
+   */
+  isBlitzTimeUp() {
+    return this.getBlitzTimeRemaining() === 0;
+  }
+
+  /**
+   * Check if the current session is a Daily Hurdle
+   * @returns {boolean} True while a Daily Hurdle session is set up
+   */
+  isDailySession() {
+    return this.dailySession !== null;
+  }
+
+  /**
+   * Get the date of the Daily Hurdle being played
+   * @returns {string|null} Date (YYYY-MM-DD), or null outside a Daily Hurdle
+   */
+  getDailyDateKey() {
+    return this.dailySession ? this.dailySession.dateKey : null;
+  }
+
+  /**
+   * Reset state and start the first hurdle of a session
+   * @param {Object} sessionConfig - startHurdleMode() options with every default filled in
    * @returns {Promise<HurdleSession>} The new hurdle session
+   * @private
    */
-  async startHurdleMode(maxGuesses = 4, frequencyRange = null, hardMode = false) {
+  async _startSession(sessionConfig) {
+    
     // Reset all state for new session
     this.hurdleState.reset();
     this.session = new HurdleSession();
     this.previousAnswer = null;
+    this.plannedWordLength = null;
+    
+    // Targets prefetched under the previous session's settings can't be used
+    this.prefetcher.clear();
     
     // Store configuration for this session
-    this.sessionConfig = {
-      maxGuesses,
-      frequencyRange,
-      hardMode
-    };
+    this.sessionConfig = sessionConfig;
     
-    // Start the first hurdle
-    this.currentGameController = new GameController(this.dictionary, hardMode);
-    const gameState = await this.currentGameController.startNewGame(maxGuesses, frequencyRange);
+    // Start the first hurdle with a target the player hasn't seen recently
+    this.nextWordLength = this._chooseWordLength();
+    this.currentGameController = this._createGameController();
+    this.currentDifficultyBand = this._getDifficultyBand();
+    const targets = this.isEvilMode() ? await this._selectCandidates([]) : await this._selectTargets([]);
+    const maxAttempts = this._getMaxAttempts();
+    const gameState = await this._startGame(maxAttempts, targets);
+    this.hurdleStartedAt = Date.now();
+    
+    // The blitz clock starts once the first board is ready
+    this.blitzEndsAt = sessionConfig.blitzDuration > 0 ? this.hurdleStartedAt + sessionConfig.blitzDuration * 60 * 1000 : null;
     
     // Ensure the configured number of attempts are available
-    if (gameState.getRemainingAttempts() !== maxGuesses) {
-      throw new Error(`First hurdle must have exactly ${maxGuesses} attempts available`);
+    if (gameState.getRemainingAttempts() !== maxAttempts) {
+      throw new Error(`First hurdle must have exactly ${maxAttempts} attempts available`);
     }
     
     // Store the target word to ensure next hurdle is different
     this.previousAnswer = gameState.getTargetWord();
+    this._recordTargets(targets);
+    this._prefetchNextTarget();
     
     return this.session;
   }
@@ -95,31 +332,69 @@ class HurdleController {
       throw new Error('Can only process completed (won) hurdles');
     }
     
+    if (this.isBlitzTimeUp()) {
+      throw new Error('The blitz clock has run out');
+    }
+    
     const currentHurdleNumber = this.hurdleState.getCurrentHurdleNumber();
     const guesses = gameState.getGuesses();
-    const guessCount = guesses.length;
     const targetWord = gameState.getTargetWord();
+    const targetWords = typeof gameState.getTargetWords === 'function' ? gameState.getTargetWords() : null;
+    const boardCount = targetWords ? targetWords.length : 1;
+    // Each extra board adds a guess, so those don't count against the player
+    const guessCount = guesses.length - (boardCount - 1);
+    const elapsedMs = this.hurdleStartedAt ? Date.now() - this.hurdleStartedAt : null;
     
-    // Calculate score using the scoring formula
-    const score = ScoreCalculator.calculateHurdleScore(currentHurdleNumber, guessCount);
+    // Calculate score using the scoring rules, plus the combo bonus and a speed bonus against the blitz clock
+    const maxGuesses = this.sessionConfig?.maxGuesses || SCORING_RULES.DEFAULT_MAX_GUESSES;
+    const hurdleScore = ScoreCalculator.calculateHurdleScore(currentHurdleNumber, guessCount, boardCount, {
+      maxGuesses,
+      hardMode: this.sessionConfig?.hardMode || false,
+      difficultyBand: this.currentDifficultyBand
+    });
+    const speedBonus = this.isBlitz() && elapsedMs !== null ? ScoreCalculator.calculateSpeedBonus(hurdleScore, elapsedMs) : 0;
+    const comboCount = ScoreCalculator.getNextCombo(this.hurdleState.getComboCount(), guessCount);
+    const comboBonus = ScoreCalculator.calculateComboBonus(hurdleScore, comboCount);
+    // Hints bought during the hurdle come off its own points, never taking it below 0
+    const hurdlePoints = hurdleScore + comboBonus + speedBonus;
+    const hints = ScoreCalculator.chargeHints(hurdlePoints, this.hurdleState.getPendingHints());
+    const score = hurdlePoints - ScoreCalculator.calculateHintCost(hints);
     
     // Create completed hurdle record
-    const completedHurdle = new CompletedHurdle(
-      currentHurdleNumber,
-      targetWord,
-      guessCount,
-      score,
-      guesses
-    );
+    const completedHurdle = new CompletedHurdle(currentHurdleNumber, targetWord, guessCount, score, guesses, {
+      difficultyBand: this.currentDifficultyBand,
+      timing: { elapsedMs, speedBonus },
+      targetWords,
+      maxGuesses,
+      combo: { count: comboCount, bonus: comboBonus },
+      hints
+    });
     
     // Add to hurdle state and session
     this.hurdleState.addCompletedHurdle(completedHurdle);
     this.session.addCompletedHurdle(completedHurdle);
     
+    // Evil targets are only known once they are solved
+    if (this.isEvilMode()) {
+      this.targetHistory.record(targetWord);
+    }
+    
     // Increment hurdle number for next hurdle (Requirement 2.5)
     this.hurdleState.incrementHurdleNumber();
     this.session.setCurrentHurdleNumber(this.hurdleState.getCurrentHurdleNumber());
     
+    this._recordAdaptiveResult(true, guessCount);
+    if (this.dailySession) {
+      this.dailySession.dailyHurdle.updateAttempt(this.dailySession.dateKey, {
+        completedHurdles: this.hurdleState.getCompletedHurdlesCount(),
+        score: this.hurdleState.getTotalScore()
+      });
+    }
+    
+    // Use the length the next target was prefetched for so the UI can size the board
+    this.nextWordLength = this.plannedWordLength || this._chooseWordLength();
+    this.plannedWordLength = null;
+    
     // Prepare transition data
     const transition = {
       completedHurdle: completedHurdle,
@@ -127,71 +402,161 @@ class HurdleController {
       shouldContinue: true,
       animationData: {
         clearBoard: true,
-        autoGuess: targetWord, // Previous answer becomes auto-guess
-        showScore: score
+        // Previous answer becomes auto-guess when it fits the next board
+        autoGuess: targetWord.length === this.nextWordLength ? targetWord : null,
+        autoGuesses: targetWord.length === this.nextWordLength ? (targetWords || [targetWord]) : [],
+        nextWordLength: this.nextWordLength,
+        showScore: score,
+        comboCount,
+        comboMultiplier: completedHurdle.getComboMultiplier()
       }
     };
     
     return transition;
   }
 
+  /**
+   * Buy a hint for the current hurdle
+   * Hints can be bought on any hurdle; their cost comes off that hurdle's points when it
+   * is cleared, and never takes them below 0. A hurdle that isn't cleared earns nothing, so
+   * its hints cost nothing either
+   * @param {string} type - 'reveal' (one letter's position), 'eliminate' (HINT_CONFIG.ELIMINATE_COUNT
+   *   absent letters) or 'definition' (the first line of the target's definition)
+   * @returns {Promise<Object>} {type, cost, position, letter} for 'reveal', {type, cost, letters} for
+   *   'eliminate' and {type, cost, clue} for 'definition'
+   */
+  async useHint(type) {
+    if (!HINT_CONFIG.TYPES.includes(type)) {
+      throw new Error(`Hint type must be one of: ${HINT_CONFIG.TYPES.join(', ')}`);
+    }
+    
+    if (!this.currentGameController || !this.isActive()) {
+      throw new Error('No hurdle in progress');
+    }
+    
+    if (this.getBoardCount() > 1) {
+      throw new Error('Hints are only available on a single board');
+    }
+    
+    const cost = ScoreCalculator.getHintCost(type, this.hurdleState.getCurrentHurdleNumber());
+    
+    // The game controller throws when it has nothing to give, before anything is charged
+    let hint;
+    if (type === 'reveal') {
+      hint = this.currentGameController.revealLetter();
+    } else if (type === 'eliminate') {
+      hint = { letters: this.currentGameController.eliminateLetters() };
+    } else {
+      hint = { clue: await this.currentGameController.getDefinitionClue() };
+    }
+    
+    this.hurdleState.addHint({ type, cost });
+    console.log(`Used a ${type} hint for ${cost} points`);
+    return { type, cost, ...hint };
+  }
+
+  /**
+   * Gather what the solver needs to analyse the current hurdle
+   * Everything is plain data so it can be posted to the solver worker (see SolverClient).
+   * The board is read straight away, so the input can be gathered while ending the session.
+   * @returns {Promise<Object>} {words, language, accentMode, wordLength, guesses, constraints}, where
+   *   words are the hurdle's candidate targets and guesses are {word, feedback} objects
+   */
+  async getSolverInput() {
+    if (!this.currentGameController || !this.currentGameController.getGameState()) {
+      throw new Error('No hurdle in progress');
+    }
+    
+    if (this.getBoardCount() > 1) {
+      throw new Error('The solver only works on a single board');
+    }
+    
+    const { wordLength, guesses } = Solver.describeGameState(this.currentGameController.getGameState());
+    const constraints = this.currentGameController.getConstraints();
+    const customWordList = this._getCustomWordList();
+    const words = customWordList
+      ? [...new Set(customWordList.getTargets(wordLength))].sort()
+      : (await this.dictionary.getSharedWords(wordLength, this._getFrequencyRange())).words;
+    
+    return {
+      words,
+      language: this.dictionary.getLanguage().code,
+      accentMode: this.dictionary.getAccentMode(),
+      wordLength,
+      guesses,
+      constraints
+    };
+  }
+
   /**
    * Start the next hurdle with auto-guess logic
-   * Creates new GameController, selects different word, and applies auto-guess
-   * @param {string} previousAnswer - The answer from the previous hurdle (becomes auto-guess)
-   * @returns {Promise<GameState>} The new game state with auto-guess applied
+   * Creates new GameController, selects different word, and applies auto-guess.
+   * When the next hurdle has a different word length the previous answer can't be
+   * played, so the hurdle starts with an empty board and every attempt available.
+   * Multi-board hurdles auto-guess every board's answer, in board order.
+   * @param {string|string[]} previousAnswer - The answer from the previous hurdle (becomes auto-guess),
+   *   or the answer of each of its boards
+   * @returns {Promise<GameState|MultiBoardState>} The new game state with auto-guess applied
    */
   async startNextHurdle(previousAnswer) {
-    if (!previousAnswer || typeof previousAnswer !== 'string') {
+    const previousAnswers = Array.isArray(previousAnswer) ? previousAnswer : [previousAnswer];
+    if (previousAnswers.length === 0 || previousAnswers.some(answer => !answer || typeof answer !== 'string')) {
       throw new Error('Previous answer is required for auto-guess');
     }
     
-    // Create new GameController with the selected word
-    const hardMode = this.sessionConfig?.hardMode || false;
-    this.currentGameController = new GameController(this.dictionary, hardMode);
+    // Create new GameController (or one for every board) with the selected words
+    this.currentGameController = this._createGameController();
     
     // Start new game with session configuration - this will use frequency range correctly
-    const maxGuesses = this.sessionConfig?.maxGuesses || 4;
-    const frequencyRange = this.sessionConfig?.frequencyRange || null;
+    const maxGuesses = this._getMaxAttempts();
+    const frequencyRange = this._getFrequencyRange();
+    const wordLength = this.nextWordLength;
+    this.currentDifficultyBand = this._getDifficultyBand();
     
-    console.log('HurdleController.startNextHurdle - using frequency range:', frequencyRange);
+    console.log('HurdleController.startNextHurdle - using frequency range:', frequencyRange, 'word length:', wordLength);
+    
+    // Use the prefetched target when it is still usable, otherwise pick one now
+    let targets;
+    if (this.isEvilMode()) {
+      targets = await this._selectCandidates(previousAnswers);
+    } else {
+      const prefetchedTarget = await this.prefetcher.take(wordLength, word => this._isUsableTarget(word, previousAnswers));
+      targets = await this._selectTargets(previousAnswers, prefetchedTarget);
+    }
     
     // Use GameController.startNewGame to ensure frequency range is properly passed
-    let newGameState;
-    let attempts = 0;
-    const maxAttempts = 10;
+    const newGameState = await this._startGame(maxGuesses, targets);
+    this.hurdleStartedAt = Date.now();
     
-    // Keep trying until we get a different word
-    do {
-      newGameState = await this.currentGameController.startNewGame(maxGuesses, frequencyRange);
-      attempts++;
-      
-      if (newGameState.getTargetWord() !== previousAnswer) {
-        break; // Found a different word
-      }
-      
-      if (attempts >= maxAttempts) {
-        console.warn(`Could not find different word after ${maxAttempts} attempts, using current word`);
-        break;
-      }
-    } while (attempts < maxAttempts);
+    // Update previous answer for next iteration
+    this.previousAnswer = newGameState.getTargetWord();
+    this._recordTargets(targets);
+    this._prefetchNextTarget();
     
-    // Apply auto-guess immediately (Requirement 2.3, 2.4)
-    const guessResult = await this.currentGameController.submitGuess(previousAnswer);
+    // A different word length means there is no auto-guess for this hurdle
+    const previousLength = previousAnswers[0].length;
+    if (previousLength !== wordLength) {
+      console.log(`Word length changed from ${previousLength} to ${wordLength} - skipping auto-guess`);
+      return newGameState;
+    }
     
-    if (!guessResult.success) {
-      throw new Error(`Auto-guess failed: ${guessResult.error}`);
+    // Apply auto-guess immediately (Requirement 2.3, 2.4); hard mode hints don't apply to replays
+    let guessResult;
+    for (const answer of previousAnswers) {
+      guessResult = await this.currentGameController.submitGuess(answer, { autoGuess: true });
+      
+      if (!guessResult.success) {
+        throw new Error(`Auto-guess failed: ${guessResult.error}`);
+      }
     }
     
-    // Verify auto-guess counts as Guess #1 (Requirement 2.4)
+    // Verify auto-guesses count as Guess #1 (Requirement 2.4)
     const remainingAttempts = newGameState.getRemainingAttempts();
-    if (remainingAttempts !== maxGuesses - 1) {
-      throw new Error(`Auto-guess should leave exactly ${maxGuesses - 1} remaining attempts`);
+    const expectedRemaining = maxGuesses - previousAnswers.length;
+    if (remainingAttempts !== expectedRemaining) {
+      throw new Error(`Auto-guess should leave exactly ${expectedRemaining} remaining attempts`);
     }
     
-    // Update previous answer for next iteration
-    this.previousAnswer = newGameState.getTargetWord();
-    
     // Handle edge case: auto-guess immediately solves the hurdle (Requirement 6.1, 6.2)
     if (guessResult.gameStatus === 'won') {
       // This will be handled by the calling code through processHurdleCompletion
@@ -201,25 +566,304 @@ class HurdleController {
     return newGameState;
   }
 
+  /**
+   * Create the controller the next hurdle is played with
+   * @returns {GameController|MultiBoardController} A controller for the session's number of boards
+   * @private
+   */
+  _createGameController() {
+    const hardMode = this.sessionConfig?.hardMode || false;
+    const boardCount = this.getBoardCount();
+    return boardCount > 1
+      ? new MultiBoardController(this.dictionary, hardMode, boardCount)
+      : new GameController(this.dictionary, hardMode, this.isEvilMode());
+  }
+
+  /**
+   * Get the attempts a hurdle starts with
+   * Each extra board adds one, which the next hurdle's extra auto-guess uses up
+   * @returns {number} Attempts shared by the hurdle's boards
+   * @private
+   */
+  _getMaxAttempts() {
+    return (this.sessionConfig?.maxGuesses || 4) + this.getBoardCount() - 1;
+  }
+
+  /**
+   * Start the current game controller on the picked targets
+   * @param {number} maxAttempts - Attempts shared by the hurdle's boards
+   * @param {string[]} targets - One target per board, or the candidate words in evil mode
+   * @returns {Promise<GameState|MultiBoardState|EvilGameState>} The new game state
+   * @private
+   */
+  _startGame(maxAttempts, targets) {
+    return this.currentGameController.startNewGame(
+      maxAttempts,
+      this._getFrequencyRange(),
+      this.nextWordLength,
+      targets.length > 1 || this.isEvilMode() ? targets : targets[0]
+    );
+  }
+
+  /**
+   * Add the targets a hurdle started with to the target history
+   * Evil hurdles start with candidates rather than targets, so their answers are
+   * recorded when they are solved instead
+   * @param {string[]} targets - The targets picked for the hurdle
+   * @private
+   */
+  _recordTargets(targets) {
+    if (!this.isEvilMode()) {
+      targets.forEach(target => this.targetHistory.record(target));
+    }
+  }
+
+  /**
+   * Pick the words an evil hurdle's target may end up being
+   * Words solved this session and the previous answers are left out, and so are words
+   * in the target history's cooldown unless that leaves nothing. Challenges skip the
+   * history so everyone playing one starts from the same candidates.
+   * @param {string[]} previousAnswers - Answers of the previous hurdle (empty for the first hurdle)
+   * @returns {Promise<string[]>} Candidate words
+   * @private
+   */
+  async _selectCandidates(previousAnswers) {
+    const wordLength = this.nextWordLength;
+    const customWordList = this._getCustomWordList();
+    const words = customWordList
+      ? [...new Set(customWordList.getTargets(wordLength))].sort()
+      : (await this.dictionary.getSharedWords(wordLength, this._getFrequencyRange())).words;
+    
+    const used = [...previousAnswers, ...this.hurdleState.getSolvedWords()];
+    const unused = words.filter(word => !used.includes(word));
+    const unseen = this.challenge ? unused : unused.filter(word => !this.targetHistory.hasSeen(word));
+    const candidates = unseen.length > 0 ? unseen : unused;
+    if (candidates.length === 0) {
+      throw new Error(`No ${wordLength} letter words to pick evil targets from`);
+    }
+    
+    console.log(`Evil hurdle starts with ${candidates.length} candidate words`);
+    return candidates;
+  }
+
+  /**
+   * Pick a different target for every board of the upcoming hurdle
+   * @param {string[]} previousAnswers - Answers of the previous hurdle's boards (empty for the first hurdle)
+   * @param {string|null} [firstTarget] - Target already picked for the first board (e.g. prefetched)
+   * @returns {Promise<string[]>} One target per board
+   * @private
+   */
+  async _selectTargets(previousAnswers, firstTarget = null) {
+    const targets = firstTarget ? [firstTarget] : [];
+    while (targets.length < this.getBoardCount()) {
+      targets.push(await this._selectDifferentWord(previousAnswers[0] || null, this.nextWordLength, {
+        board: targets.length,
+        avoid: [...previousAnswers.slice(1), ...targets]
+      }));
+    }
+    return targets;
+  }
+
+  /**
+   * Choose the word length for the next hurdle from the session configuration
+   * @returns {number} Word length between WORD_LENGTH_CONFIG.MIN and MAX
+   * @private
+   */
+  _chooseWordLength() {
+    const wordLength = this.sessionConfig?.wordLength || WORD_LENGTH_CONFIG.DEFAULT;
+    
+    // Every Daily Hurdle player plays the same length
+    if (this.dailySession) {
+      return wordLength;
+    }
+    
+    // Custom word lists can only play the lengths they have targets for
+    const customWordList = this._getCustomWordList();
+    if (customWordList) {
+      if (!this.sessionConfig?.varyWordLength && customWordList.getWordLengths().includes(wordLength)) {
+        return wordLength;
+      }
+      const targets = customWordList.getTargets();
+      return Array.from(targets[Math.floor(this._random('length') * targets.length)]).length;
+    }
+    
+    if (!this.sessionConfig?.varyWordLength) {
+      return wordLength;
+    }
+    
+    const lengthCount = WORD_LENGTH_CONFIG.MAX - WORD_LENGTH_CONFIG.MIN + 1;
+    return WORD_LENGTH_CONFIG.MIN + Math.floor(this._random('length') * lengthCount);
+  }
+
+  /**
+   * Draw a random number for a choice about the current hurdle
+   * Challenges draw from their seed so every player makes the same choice
+   * @param {string} purpose - What the number is for, so different choices get different numbers
+   * @returns {number} Number in [0, 1)
+   * @private
+   */
+  _random(purpose) {
+    if (!this.challenge) {
+      return Math.random();
+    }
+    return createRandom(`${this.challenge.getSeed()}|${purpose}|${this.hurdleState.getCurrentHurdleNumber()}`)();
+  }
+
+  /**
+   * Get the frequency range targets are picked from
+   * @returns {Object|null} The adaptive band's range in adaptive sessions, otherwise the session's range
+   * @private
+   */
+  _getFrequencyRange() {
+    if (this.sessionConfig?.adaptiveDifficulty) {
+      return this.adaptiveDifficulty.getFrequencyRange();
+    }
+    return this.sessionConfig?.frequencyRange || null;
+  }
+
+  /**
+   * Get the band recorded on hurdles whose targets are picked now
+   * @returns {DifficultyBand|null} The adaptive band, the fixed range with a null level,
+   *   or null when targets aren't limited by frequency
+   * @private
+   */
+  _getDifficultyBand() {
+    if (this._getCustomWordList() && !this.dailySession) {
+      return null; // Custom word lists ignore the frequency range
+    }
+    if (this.sessionConfig?.adaptiveDifficulty) {
+      return this.adaptiveDifficulty.getBand();
+    }
+    const frequencyRange = this.sessionConfig?.frequencyRange;
+    return frequencyRange ? { level: null, min: frequencyRange.min, max: frequencyRange.max } : null;
+  }
+
+  /**
+   * Tell the adaptive difficulty how the current hurdle went
+   * Targets prefetched from the old band are dropped when the band moves
+   * @param {boolean} solved - Whether the hurdle was solved
+   * @param {number} guessCount - Guesses used
+   * @private
+   */
+  _recordAdaptiveResult(solved, guessCount) {
+    if (!this.sessionConfig?.adaptiveDifficulty || this._getCustomWordList()) {
+      return;
+    }
+    
+    const result = this.adaptiveDifficulty.recordResult({
+      solved,
+      guessCount,
+      maxGuesses: this.sessionConfig.maxGuesses,
+      durationMs: this.hurdleStartedAt ? Date.now() - this.hurdleStartedAt : undefined
+    });
+    if (result.changed) {
+      this.prefetcher.clear();
+    }
+  }
+
+  /**
+   * Get the adaptive difficulty moving the band of adaptive sessions
+   * @returns {AdaptiveDifficulty} The adaptive difficulty
+   */
+  getAdaptiveDifficulty() {
+    return this.adaptiveDifficulty;
+  }
+
+  /**
+   * Plan the word length of the hurdle after the current one and start picking
+   * its target in the background while the current hurdle is played
+   * @private
+   */
+  _prefetchNextTarget() {
+    // Daily and challenge targets come from word lists in memory, so there is nothing to wait for,
+    // and evil hurdles don't pick a target ahead
+    if (!this.prefetcher.isEnabled() || this.dailySession || this.challenge || this.isEvilMode()) {
+      return;
+    }
+    this.plannedWordLength = this._chooseWordLength();
+    this.prefetcher.fill(this.plannedWordLength, this.previousAnswer);
+  }
+
+  /**
+   * Check if a prefetched target can still start the next hurdle
+   * @param {string} word - The prefetched target
+   * @param {string[]} previousAnswers - The answers of the hurdle just completed
+   * @returns {boolean} True if the word differs from the previous answers and is
+   *   outside the target history's cooldown
+   * @private
+   */
+  _isUsableTarget(word, previousAnswers) {
+    return !previousAnswers.includes(word) && !this.targetHistory.hasSeen(word);
+  }
+
+  /**
+   * Get the prefetcher keeping the next hurdle's targets ready
+   * @returns {TargetPrefetcher} The prefetcher
+   */
+  getPrefetcher() {
+    return this.prefetcher;
+  }
+
+  /**
+   * Get the history of targets given to the player
+   * @returns {TargetHistory} The target history
+   */
+  getTargetHistory() {
+    return this.targetHistory;
+  }
+
+  /**
+   * Get the custom word list the dictionary is playing from
+   * @returns {CustomWordList|null} The list, or null when targets come from the dictionary
+   * @private
+   */
+  _getCustomWordList() {
+    return typeof this.dictionary.getCustomWordList === 'function' ? this.dictionary.getCustomWordList() : null;
+  }
+
   /**
    * Select a word that is different from the previous hurdle's answer
-   * Implements retry logic with fallback strategies
-   * @param {string} previousWord - The word to avoid selecting
-   * @returns {Promise<string>} A different 5-letter word
+   * Words in the target history's cooldown window are retried like repeats, but
+   * accepted once the attempts run out. Daily Hurdle sessions take the day's chain
+   * and challenges pick with their seed; custom word lists are used when the
+   * dictionary has one; otherwise implements retry logic with fallback strategies
+   * @param {string|null} previousWord - The word to avoid selecting
+   * @param {number} [wordLength] - Number of letters (default: the upcoming hurdle's length)
+   * @param {Object} [options] - Multi-board options
+   * @param {number} [options.board] - Board the target is for (default: 0)
+   * @param {string[]} [options.avoid] - More words to avoid, e.g. other boards' targets
+   * @returns {Promise<string>} A different word of the requested length
    * @private
    */
-  async _selectDifferentWord(previousWord) {
+  async _selectDifferentWord(previousWord, wordLength = this.nextWordLength, options = {}) {
+    const { board = 0, avoid = [] } = options;
+    
+    // Daily Hurdle targets are the day's shared chain, whatever the player's settings
+    if (this.dailySession) {
+      const { dailyHurdle, dateKey } = this.dailySession;
+      return dailyHurdle.getTarget(dateKey, this.hurdleState.getCurrentHurdleNumber(), wordLength);
+    }
+    
+    if (this.challenge) {
+      return this._selectChallengeWord(wordLength, board, avoid);
+    }
+    
+    const customWordList = this._getCustomWordList();
+    if (customWordList) {
+      return this._selectCustomWord(customWordList, previousWord, wordLength, avoid);
+    }
+    
     const maxAttempts = 10;
     let attempts = 0;
     let newWord;
     
-    // Get frequency range from session config
-    const frequencyRange = this.sessionConfig?.frequencyRange || null;
+    // Get frequency range from session config (or the adaptive band)
+    const frequencyRange = this._getFrequencyRange();
     
     // Try to get a different word with retry logic
     do {
       try {
-        newWord = await this.dictionary.getRandomWord(frequencyRange);
+        newWord = await this.dictionary.getRandomWord(frequencyRange, wordLength);
         attempts++;
       } catch (error) {
         console.warn(`Word selection attempt ${attempts} failed:`, error.message);
@@ -230,28 +874,91 @@ class HurdleController {
           break;
         }
       }
-    } while (newWord === previousWord && attempts < maxAttempts);
+    } while ((newWord === previousWord || avoid.includes(newWord) || this.targetHistory.hasSeen(newWord)) && attempts < maxAttempts);
+    
+    if (newWord && newWord !== previousWord && this.targetHistory.hasSeen(newWord)) {
+      console.log(`No unseen target after ${attempts} attempts, reusing "${newWord}" from the target history`);
+    }
     
     // If we still have the same word after max attempts, implement fallback
     if (newWord === previousWord || !newWord) {
       // Fallback strategy: try to find any different word from dictionary
-      newWord = await this._findDifferentWordFallback(previousWord);
+      newWord = await this._findDifferentWordFallback(previousWord, wordLength);
     }
     
     return newWord;
   }
 
+  /**
+   * Pick the current hurdle's target of a challenge with the challenge's seed
+   * The target history is ignored so every player gets the same chain; targets
+   * don't repeat until every candidate has been solved
+   * @param {number} wordLength - Number of letters
+   * @param {number} [board] - Board the target is for (default: 0)
+   * @param {string[]} [avoid] - Targets already picked for the hurdle's other boards
+   * @returns {Promise<string>} The target
+   * @private
+   */
+  async _selectChallengeWord(wordLength, board = 0, avoid = []) {
+    const customWordList = this._getCustomWordList();
+    const words = customWordList
+      ? [...new Set(customWordList.getTargets(wordLength))].sort()
+      : (await this.dictionary.getSharedWords(wordLength, this._getFrequencyRange())).words;
+    if (words.length === 0) {
+      throw new Error(`No ${wordLength} letter words to pick challenge targets from`);
+    }
+    
+    const hurdleNumber = this.hurdleState.getCurrentHurdleNumber();
+    const used = [...this.hurdleState.getSolvedWords(), ...avoid].filter(word => Array.from(word).length === wordLength);
+    const boardSeed = board > 0 ? `|${board}` : '';
+    return pickSeededWord(words, used, `${this.challenge.getSeed()}|target|${hurdleNumber}|${wordLength}${boardSeed}`);
+  }
+
+  /**
+   * Pick a target from a custom word list
+   * Words not solved this session and outside the target history's cooldown are
+   * preferred, so a themed list plays through before repeating; words the content
+   * filter rejects are skipped
+   * @param {CustomWordList} customWordList - The list to pick from
+   * @param {string|null} previousWord - The word to avoid selecting
+   * @param {number} [wordLength] - Number of letters (default: the upcoming hurdle's length)
+   * @param {string[]} [avoid] - More words to avoid, e.g. other boards' targets
+   * @returns {Promise<string>} A target of the requested length
+   * @private
+   */
+  async _selectCustomWord(customWordList, previousWord, wordLength = this.nextWordLength, avoid = []) {
+    const targets = customWordList.getTargets(wordLength);
+    const solved = new Set(this.hurdleState.getSolvedWords());
+    const different = targets.filter(word => word !== previousWord && !avoid.includes(word));
+    const unsolved = different.filter(word => !solved.has(word));
+    const unseen = unsolved.filter(word => !this.targetHistory.hasSeen(word));
+    const candidates = [...([unseen, unsolved, different].find(words => words.length > 0) || [])];
+    
+    // Try candidates in random order until one passes the content filter
+    while (candidates.length > 0) {
+      const [word] = candidates.splice(Math.floor(Math.random() * candidates.length), 1);
+      if (typeof this.dictionary.isAllowedTarget !== 'function' || await this.dictionary.isAllowedTarget(word)) {
+        console.log(`Selected "${word}" from custom word list "${customWordList.getName()}" (${unseen.length} unseen)`);
+        return word;
+      }
+    }
+    
+    console.warn(`Custom word list "${customWordList.getName()}" has no other usable ${wordLength} letter targets, repeating "${targets[0]}"`);
+    return targets[0];
+  }
+
   /**
    * Fallback strategy to find a different word when random selection fails
    * @param {string} previousWord - The word to avoid
+   * @param {number} [wordLength] - Number of letters (default: the upcoming hurdle's length)
    * @returns {Promise<string>} A different word
    * @private
    */
-  async _findDifferentWordFallback(previousWord) {
+  async _findDifferentWordFallback(previousWord, wordLength = this.nextWordLength) {
     // Strategy 1: Try multiple random selections with error handling
     for (let i = 0; i < 5; i++) {
       try {
-        const candidateWord = await this.dictionary.getRandomWord();
+        const candidateWord = await this.dictionary.getRandomWord(null, wordLength);
         if (candidateWord && candidateWord !== previousWord) {
           console.log(`Fallback strategy 1 succeeded: found "${candidateWord}"`);
           return candidateWord;
@@ -263,8 +970,9 @@ class HurdleController {
     }
     
     // Strategy 2: Use synchronous local dictionary if available
-    if (this.dictionary.wordArray && this.dictionary.wordArray.length > 0) {
-      const availableWords = this.dictionary.wordArray.filter(word => word !== previousWord);
+    const localWords = typeof this.dictionary.getLocalWords === 'function' ? this.dictionary.getLocalWords(wordLength) : [];
+    if (localWords.length > 0) {
+      const availableWords = localWords.filter(word => word !== previousWord);
       if (availableWords.length > 0) {
         const randomIndex = Math.floor(Math.random() * availableWords.length);
         const fallbackWord = availableWords[randomIndex];
@@ -273,12 +981,14 @@ class HurdleController {
       }
     }
     
-    // Strategy 3: Emergency fallback - use a hardcoded different word
-    const emergencyWords = ['ABOUT', 'AFTER', 'AGAIN', 'BELOW', 'COULD', 'EVERY', 'FIRST', 'FOUND', 'GREAT', 'GROUP'];
-    const emergencyOptions = emergencyWords.filter(word => word !== previousWord.toUpperCase());
+    // Strategy 3: Emergency fallback - use a hardcoded different word in the dictionary's language
+    const emergencyWords = typeof this.dictionary.getEmergencyWords === 'function'
+      ? this.dictionary.getEmergencyWords(wordLength)
+      : EMERGENCY_WORDS.filter(word => word.length === wordLength);
+    const emergencyOptions = emergencyWords.filter(word => !previousWord || word !== previousWord.toLowerCase());
     
     if (emergencyOptions.length > 0) {
-      const emergencyWord = emergencyOptions[0].toLowerCase();
+      const emergencyWord = emergencyOptions[0];
       console.warn(`Using emergency fallback word: "${emergencyWord}"`);
       return emergencyWord;
     }
@@ -287,7 +997,7 @@ class HurdleController {
     // This handles the edge case mentioned in Requirement 6.3
     console.error('All fallback strategies failed, using last resort');
     try {
-      return await this.dictionary.getRandomWord();
+      return await this.dictionary.getRandomWord(null, wordLength);
     } catch (error) {
       // Absolute last resort - return a hardcoded word
       console.error('Complete dictionary failure, using hardcoded fallback');
@@ -331,9 +1041,17 @@ class HurdleController {
     return ScoreCalculator.calculateFinalScore(this.hurdleState.getCompletedHurdles());
   }
 
+  /**
+   * Get the time spent on the hurdles completed this session
+   * @returns {Object} Timing summary from ScoreCalculator.getTimingSummary
+   */
+  getTimingSummary() {
+    return ScoreCalculator.getTimingSummary(this.hurdleState.getCompletedHurdles());
+  }
+
   /**
    * End the current hurdle mode session
-   * @param {string} reason - The reason for ending ('failure' | 'manual-stop')
+   * @param {string} reason - The reason for ending ('failure' | 'manual-stop' | 'time-up')
    * @param {string} [finalHurdleAnswer] - The correct answer if ended due to failure
    * @returns {HurdleSession} The completed session
    */
@@ -342,10 +1060,25 @@ class HurdleController {
       throw new Error('No active session to end');
     }
     
+    // A failed hurdle counts against the adaptive band; stopping doesn't
+    if (reason === 'failure' && this.session.isActive()) {
+      this._recordAdaptiveResult(false, this.sessionConfig?.maxGuesses);
+    }
+    
     this.session.endSession(reason, finalHurdleAnswer);
     
-    // Clean up current game controller
+    if (this.dailySession && !this.dailySession.dailyHurdle.getAttempt(this.dailySession.dateKey).finishedAt) {
+      this.dailySession.dailyHurdle.finishAttempt(this.dailySession.dateKey, {
+        completedHurdles: this.hurdleState.getCompletedHurdlesCount(),
+        score: this.hurdleState.getTotalScore(),
+        endReason: reason
+      });
+    }
+    
+    // Clean up current game controller and targets picked for hurdles that won't be played
     this.currentGameController = null;
+    this.prefetcher.clear();
+    this.plannedWordLength = null;
     
     return this.session;
   }
@@ -367,6 +1100,14 @@ class HurdleController {
     this.hurdleState.reset();
     this.session = null;
     this.previousAnswer = null;
+    this.nextWordLength = WORD_LENGTH_CONFIG.DEFAULT;
+    this.plannedWordLength = null;
+    this.currentDifficultyBand = null;
+    this.hurdleStartedAt = null;
+    this.blitzEndsAt = null;
+    this.dailySession = null;
+    this.challenge = null;
+    this.prefetcher.clear();
   }
 }
 
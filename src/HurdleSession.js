@@ -5,7 +5,7 @@
 
 /**
  * HurdleSession class
- * Tracks overall session state including completed hurdles and scoring
+ * Tracks overall session state including completed hurdles, scoring and combos
  */
 class HurdleSession {
   /**
@@ -18,7 +18,9 @@ class HurdleSession {
     this.currentHurdleNumber = 1;
     this.completedHurdles = [];
     this.totalScore = 0;
-    this.endReason = null; // 'failure' | 'manual-stop'
+    this.comboCount = 0;
+    this.bestCombo = 0;
+    this.endReason = null; // 'failure' | 'manual-stop' | 'time-up'
     this.finalHurdleAnswer = null;
   }
 
@@ -55,6 +57,15 @@ class HurdleSession {
     return this.endTime;
   }
 
+  /**
+   * Get how long the session has lasted
+   * @returns {number} Whole seconds from the start to the end (or to now while active)
+   */
+  getDurationSeconds() {
+    const end = this.endTime || new Date();
+    return Math.round((end.getTime() - this.startTime.getTime()) / 1000);
+  }
+
   /**
    * Get the current hurdle number
    * @returns {number} The current hurdle number (1-based)
@@ -92,6 +103,8 @@ class HurdleSession {
     }
     this.completedHurdles.push(completedHurdle);
     this.totalScore += completedHurdle.getScore();
+    this.comboCount = completedHurdle.getComboCount();
+    this.bestCombo = Math.max(this.bestCombo, this.comboCount);
   }
 
   /**
@@ -102,6 +115,30 @@ class HurdleSession {
     return this.totalScore;
   }
 
+  /**
+   * Get the current combo
+   * @returns {number} Hurdles in a row solved within SCORING_RULES.COMBO.MAX_GUESS_COUNT guesses
+   */
+  getComboCount() {
+    return this.comboCount;
+  }
+
+  /**
+   * Get the longest combo of the session
+   * @returns {number} Most hurdles solved quickly in a row
+   */
+  getBestCombo() {
+    return this.bestCombo;
+  }
+
+  /**
+   * Get the points combos added to the total score
+   * @returns {number} Sum of the completed hurdles' combo bonuses
+   */
+  getComboBonus() {
+    return this.completedHurdles.reduce((total, hurdle) => total + hurdle.getComboBonus(), 0);
+  }
+
   /**
    * Get the count of completed hurdles
    * @returns {number} Number of hurdles completed in this session
@@ -112,12 +149,12 @@ class HurdleSession {
 
   /**
    * End the session
-   * @param {string} reason - The reason for ending ('failure' | 'manual-stop')
+   * @param {string} reason - The reason for ending ('failure' | 'manual-stop' | 'time-up')
    * @param {string} [finalHurdleAnswer] - The correct answer for the final hurdle if failed
    */
   endSession(reason, finalHurdleAnswer = null) {
-    if (reason !== 'failure' && reason !== 'manual-stop') {
-      throw new Error('End reason must be either "failure" or "manual-stop"');
+    if (!['failure', 'manual-stop', 'time-up'].includes(reason)) {
+      throw new Error('End reason must be "failure", "manual-stop" or "time-up"');
     }
     
     this.endTime = new Date();
@@ -159,6 +196,8 @@ class HurdleSession {
     this.currentHurdleNumber = 1;
     this.completedHurdles = [];
     this.totalScore = 0;
+    this.comboCount = 0;
+    this.bestCombo = 0;
     this.endReason = null;
     this.finalHurdleAnswer = null;
   }
@@ -5,7 +5,8 @@
 
 /**
  * HurdleState class
- * Tracks current hurdle number, completed hurdles count, total score, and completed hurdles list
+ * Tracks current hurdle number, completed hurdles count, total score, the current combo,
+ * and completed hurdles list
  */
 class HurdleState {
   /**
@@ -18,6 +19,8 @@ class HurdleState {
     this.totalScore = 0;
     this.completedHurdles = [];
     this.solvedWords = []; // Track all solved words for definition access
+    this.comboCount = 0; // Hurdles in a row solved quickly enough to build the combo
+    this.pendingHints = []; // Hints bought during the current hurdle, charged when it is cleared
   }
 
   /**
@@ -44,6 +47,42 @@ class HurdleState {
     return this.totalScore;
   }
 
+  /**
+   * Record a hint bought during the current hurdle
+   * @param {{type: string, cost: number}} hint - The hint and its listed cost
+   */
+  addHint(hint) {
+    if (!hint || typeof hint.type !== 'string' || typeof hint.cost !== 'number' || hint.cost < 0) {
+      throw new Error('Hint must have a type and a non-negative cost');
+    }
+
+    this.pendingHints.push({ type: hint.type, cost: hint.cost });
+  }
+
+  /**
+   * Get the hints bought during the current hurdle
+   * @returns {Array<{type: string, cost: number}>} Hints (copy)
+   */
+  getPendingHints() {
+    return this.pendingHints.map(hint => ({ ...hint }));
+  }
+
+  /**
+   * Get the current combo
+   * @returns {number} Hurdles in a row solved within SCORING_RULES.COMBO.MAX_GUESS_COUNT guesses
+   */
+  getComboCount() {
+    return this.comboCount;
+  }
+
+  /**
+   * Get the longest combo of the session
+   * @returns {number} Most hurdles solved quickly in a row
+   */
+  getBestCombo() {
+    return this.completedHurdles.reduce((best, hurdle) => Math.max(best, hurdle.getComboCount()), 0);
+  }
+
   /**
    * Get all completed hurdles
    * @returns {CompletedHurdle[]} Array of completed hurdles (copy to prevent modification)
@@ -82,9 +121,11 @@ class HurdleState {
       this.completedHurdles.push(hurdle);
       this.completedHurdlesCount++;
       this.totalScore += hurdle.getScore();
+      this.comboCount = hurdle.getComboCount();
+      this.pendingHints = []; // Now recorded on the hurdle
       
-      // Add the solved word to the list (Requirement 8.5)
-      this.solvedWords.push(hurdle.getTargetWord());
+      // Add the solved words to the list (Requirement 8.5), one per board
+      this.solvedWords.push(...hurdle.getTargetWords());
 
       // Validate state after modification
       if (!this.validateState()) {
@@ -124,19 +165,38 @@ class HurdleState {
     this.totalScore = 0;
     this.completedHurdles = [];
     this.solvedWords = [];
+    this.comboCount = 0;
+    this.pendingHints = [];
   }
 
   /**
    * Get a summary of the current session state
+   * scoreBreakdown splits the total score into hurdle points, combo bonuses, speed bonuses and
+   * the points hints took off cleared hurdles; hintsUsed also counts hints bought during the
+   * current hurdle, which cost nothing unless it is cleared
    * @returns {Object} Summary object with current state metrics
    */
   getSessionSummary() {
+    const comboBonus = this.completedHurdles.reduce((total, hurdle) => total + hurdle.getComboBonus(), 0);
+    const speedBonus = this.completedHurdles.reduce((total, hurdle) => total + hurdle.getSpeedBonus(), 0);
+    const hintCost = this.completedHurdles.reduce((total, hurdle) => total + hurdle.getHintCost(), 0);
+    const hintsUsed = this.completedHurdles.reduce((total, hurdle) => total + hurdle.getHints().length, 0) + this.pendingHints.length;
+
     return {
       currentHurdleNumber: this.currentHurdleNumber,
       completedHurdlesCount: this.completedHurdlesCount,
-      totalScore: this.totalScore,
+      totalScore: this.getTotalScore(),
       completedHurdles: this.completedHurdles.length,
-      solvedWords: this.solvedWords.length
+      solvedWords: this.solvedWords.length,
+      comboCount: this.comboCount,
+      bestCombo: this.getBestCombo(),
+      hintsUsed,
+      scoreBreakdown: {
+        hurdlePoints: this.getTotalScore() - comboBonus - speedBonus + hintCost,
+        comboBonus,
+        speedBonus,
+        hintCost
+      }
     };
   }
 
@@ -242,7 +302,7 @@ class HurdleState {
       }
 
       // Recovery Action 5: Validate solved words list
-      const expectedSolvedWords = this.completedHurdles.map(hurdle => hurdle.getTargetWord());
+      const expectedSolvedWords = this.completedHurdles.flatMap(hurdle => hurdle.getTargetWords());
       if (this.solvedWords.length !== expectedSolvedWords.length) {
         this.solvedWords = [...expectedSolvedWords];
         recoveryResult.actionsPerformed.push(`Rebuilt solved words list (${this.solvedWords.length} words)`);
@@ -282,6 +342,8 @@ class HurdleState {
         score: hurdle.getScore()
       })),
       solvedWords: [...this.solvedWords],
+      comboCount: this.comboCount,
+      pendingHints: this.getPendingHints(),
       timestamp: new Date().toISOString()
     };
   }
@@ -310,6 +372,8 @@ class HurdleState {
       this.completedHurdlesCount = backup.completedHurdlesCount;
       this.totalScore = backup.totalScore;
       this.solvedWords = [...backup.solvedWords];
+      this.comboCount = backup.comboCount || 0;
+      this.pendingHints = backup.pendingHints ? backup.pendingHints.map(hint => ({ ...hint })) : [];
 
       // Note: We can't fully restore CompletedHurdle objects from backup
       // This is an emergency recovery that restores basic state only
@@ -0,0 +1,168 @@
+/**
+ * MultiBoardController module for Hurdle
+ * Plays every guess on several boards at once
+ */
+
+import GameController from './GameController.js';
+import MultiBoardState from './MultiBoardState.js';
+import HardModeValidator from './HardModeValidator.js';
+import { WORD_LENGTH_CONFIG } from './config.js';
+
+/**
+ * MultiBoardController class
+ * Has the same interface as GameController so a hurdle can be played on several
+ * boards: each board is a GameController with its own target, every guess goes to
+ * the boards that aren't solved yet, and the game state is a MultiBoardState.
+ */
+class MultiBoardController {
+  /**
+   * Create a MultiBoardController instance
+   * @param {Dictionary} dictionary - The Dictionary instance for word validation
+   * @param {boolean|'strict'} hardMode - Whether hard mode is enabled, or 'strict' for strict hard mode
+   *   (default: false)
+   * @param {number} boardCount - Number of boards (default: 2)
+   */
+  constructor(dictionary, hardMode = false, boardCount = 2) {
+    if (!dictionary) {
+      throw new Error('Dictionary is required');
+    }
+
+    if (!Number.isInteger(boardCount) || boardCount < 2) {
+      throw new Error('Board count must be a whole number of at least 2');
+    }
+
+    this.dictionary = dictionary;
+    this.hardMode = hardMode;
+    this.boardCount = boardCount;
+    // Hard mode is checked here rather than by each board, so auto-guesses can skip it
+    this.boards = Array.from({ length: boardCount }, () => new GameController(dictionary, false));
+    this.hardModeValidators = hardMode
+      ? this.boards.map(() => new HardModeValidator(hardMode === 'strict' ? 'strict' : 'normal'))
+      : null;
+    this.gameState = null;
+  }
+
+  /**
+   * Start a new game on every board
+   * @param {number} maxGuesses - Attempts shared by all boards (default: 4)
+   * @param {Object} frequencyRange - Optional frequency range for word selection
+   * @param {number} wordLength - Number of letters in the target words (default: 5)
+   * @param {string[]} [targets] - Target of each board chosen by the caller; boards without one
+   *   get a random word
+   * @returns {Promise<MultiBoardState>} The new game state
+   */
+  async startNewGame(maxGuesses = 4, frequencyRange = null, wordLength = WORD_LENGTH_CONFIG.DEFAULT, targets = []) {
+    const boardStates = [];
+    for (let i = 0; i < this.boardCount; i++) {
+      boardStates.push(await this.boards[i].startNewGame(maxGuesses, frequencyRange, wordLength, targets[i] || null));
+    }
+    console.log(`MultiBoardController started ${this.boardCount} boards:`, boardStates.map(board => board.getTargetWord()));
+
+    if (this.hardModeValidators) {
+      this.hardModeValidators.forEach(validator => validator.reset());
+    }
+
+    this.gameState = new MultiBoardState(boardStates, maxGuesses);
+    return this.gameState;
+  }
+
+  /**
+   * Submit a guess to every board that isn't solved yet
+   * In hard mode the guess has to keep to the hints of every one of those boards
+   * @param {string} word - The word to guess
+   * @param {Object} [options] - Guess options
+   * @param {boolean} [options.autoGuess] - Replay of a previous answer, which hard mode doesn't apply to
+   * @returns {Promise<GuessResult>} Result of the guess attempt; on success `guess` is the first
+   *   open board's guess and `guesses` has every board's guess (null for boards solved before)
+   */
+  async submitGuess(word, options = {}) {
+    if (!this.gameState) {
+      return {
+        success: false,
+        error: 'No game in progress. Start a new game first.',
+        gameStatus: 'in-progress'
+      };
+    }
+
+    if (this.gameState.isGameOver()) {
+      return {
+        success: false,
+        error: 'Game is over. Start a new game!',
+        gameStatus: this.gameState.getGameStatus()
+      };
+    }
+
+    const openBoards = this.boards
+      .map((board, index) => ({ board, index }))
+      .filter(({ board }) => board.getGameState().getGameStatus() === 'in-progress');
+
+    // Look the word up once for all the boards, so they all take the guess or none of them do
+    const check = await openBoards[0].board.checkWord(word);
+    if (!check.success) {
+      return { ...check, gameStatus: this.gameState.getGameStatus() };
+    }
+
+    // Check the hints of every open board before any board takes the guess
+    if (this.hardModeValidators && !options.autoGuess) {
+      for (const { index } of openBoards) {
+        const validation = this.hardModeValidators[index].validateGuess(check.word);
+        if (!validation.isValid) {
+          return {
+            success: false,
+            error: validation.error,
+            gameStatus: this.gameState.getGameStatus()
+          };
+        }
+      }
+    }
+
+    // Open boards have all had the same guesses, so a repeated word is turned down by the first
+    const results = new Array(this.boardCount).fill(null);
+    for (const { board, index } of openBoards) {
+      const result = await board.submitGuess(check.word, { wordChecked: true });
+      if (!result.success) {
+        return { ...result, gameStatus: this.gameState.getGameStatus() };
+      }
+      results[index] = result;
+    }
+
+    if (this.hardModeValidators) {
+      results.forEach((result, index) => {
+        if (result) {
+          this.hardModeValidators[index].updateFromFeedback(result.guess.getWord(), result.guess.getFeedback());
+        }
+      });
+    }
+
+    return {
+      success: true,
+      guess: results[openBoards[0].index].guess,
+      guesses: results.map(result => (result ? result.guess : null)),
+      gameStatus: this.gameState.getGameStatus()
+    };
+  }
+
+  /**
+   * Get the current game state
+   * @returns {MultiBoardState|null} The current game state, or null if no game started
+   */
+  getGameState() {
+    return this.gameState;
+  }
+
+  /**
+   * Get the number of boards
+   * @returns {number} Number of boards
+   */
+  getBoardCount() {
+    return this.boardCount;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MultiBoardController;
+}
+
+// ES6 export for modern bundlers
+export default MultiBoardController;
@@ -0,0 +1,126 @@
+/**
+ * MultiBoardState module for Hurdle
+ * Combines the boards of a multi-board hurdle into one game state
+ */
+
+/**
+ * MultiBoardState class
+ * Reads like a GameState so hurdle scoring and the UI can treat a multi-board
+ * hurdle as one game: it is won once every board is solved and lost as soon as a
+ * board runs out of attempts. Every board shares the same guesses, and solved
+ * boards stop taking them.
+ */
+class MultiBoardState {
+  /**
+   * Create a MultiBoardState instance
+   * @param {GameState[]} boards - The game state of every board, in board order
+   * @param {number} maxAttempts - Attempts shared by all boards
+   */
+  constructor(boards, maxAttempts) {
+    if (!Array.isArray(boards) || boards.length < 2) {
+      throw new Error('A multi-board game needs at least 2 boards');
+    }
+
+    if (typeof maxAttempts !== 'number' || maxAttempts <= 0) {
+      throw new Error('Max attempts must be a positive number');
+    }
+
+    this.boards = boards;
+    this.maxAttempts = maxAttempts;
+  }
+
+  /**
+   * Get the game state of every board
+   * @returns {GameState[]} Boards in order (copy of the list)
+   */
+  getBoards() {
+    return [...this.boards];
+  }
+
+  /**
+   * Get the number of boards
+   * @returns {number} Number of boards
+   */
+  getBoardCount() {
+    return this.boards.length;
+  }
+
+  /**
+   * Get the number of boards solved so far
+   * @returns {number} Solved boards
+   */
+  getSolvedBoardCount() {
+    return this.boards.filter(board => board.getGameStatus() === 'won').length;
+  }
+
+  /**
+   * Get the number of remaining attempts
+   * @returns {number} Number of attempts remaining
+   */
+  getRemainingAttempts() {
+    return this.maxAttempts - this.getGuesses().length;
+  }
+
+  /**
+   * Check if the game is over
+   * @returns {boolean} True if every board is solved or one ran out of attempts
+   */
+  isGameOver() {
+    return this.getGameStatus() !== 'in-progress';
+  }
+
+  /**
+   * Get every guess played on the hurdle
+   * The board still being played (or the last one solved) has taken every guess, so its
+   * guesses and feedback are returned
+   * @returns {Guess[]} Array of all guesses in chronological order
+   */
+  getGuesses() {
+    return this.boards.reduce((longest, board) =>
+      board.getGuesses().length > longest.length ? board.getGuesses() : longest, []);
+  }
+
+  /**
+   * Get the current game status
+   * @returns {'in-progress'|'won'|'lost'} 'won' once every board is solved, 'lost' once any board is lost
+   */
+  getGameStatus() {
+    const statuses = this.boards.map(board => board.getGameStatus());
+    if (statuses.includes('lost')) {
+      return 'lost';
+    }
+    return statuses.every(status => status === 'won') ? 'won' : 'in-progress';
+  }
+
+  /**
+   * Get the number of letters in the target words
+   * @returns {number} The word length for this game
+   */
+  getWordLength() {
+    return this.boards[0].getWordLength();
+  }
+
+  /**
+   * Get the first board's target word
+   * @returns {string} The target word
+   */
+  getTargetWord() {
+    return this.boards[0].getTargetWord();
+  }
+
+  /**
+   * Get the target word of every board
+   * @returns {string[]} Target words in board order
+   */
+  getTargetWords() {
+    return this.boards.map(board => board.getTargetWord());
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MultiBoardState;
+}
+
+// ES6 export for modern bundlers
+export default MultiBoardState;
@@ -3,6 +3,8 @@
  * Implements scoring formula and multiplier logic
  */
 
+import { BLITZ_CONFIG, SCORING_RULES, HINT_CONFIG } from './config.js';
+
 /**
  * ScoreCalculator class
  * Static utility class for calculating scores
@@ -10,41 +12,241 @@
 class ScoreCalculator {
   /**
    * Calculate the score for a completed hurdle
-   * Formula: hurdle_number × 100 × guess_multiplier
+   * Formula: hurdle_number × BASE_POINTS × guess_multiplier × hard_mode_multiplier ×
+   * difficulty_multiplier, rounded, × boards (see SCORING_RULES)
    * @param {number} hurdleNumber - The hurdle number (1-based)
-   * @param {number} guessCount - Number of guesses used (1-4)
+   * @param {number} guessCount - Number of guesses used (1 to max guesses); on multi-board hurdles
+   *   the guesses beyond the one extra guess each board adds
+   * @param {number} [boardCount] - Number of boards solved (default: 1)
+   * @param {Object} [modifiers] - Session settings the score depends on
+   * @param {number} [modifiers.maxGuesses] - Guesses each hurdle allows (default: SCORING_RULES.DEFAULT_MAX_GUESSES)
+   * @param {boolean|'strict'} [modifiers.hardMode] - Hard mode the hurdle was played in (default: false)
+   * @param {Object|null} [modifiers.difficultyBand] - Frequency band {min, max} the target was picked
+   *   from (default: null, which scores like Medium)
    * @returns {number} The calculated score for the hurdle
    */
-  static calculateHurdleScore(hurdleNumber, guessCount) {
+  static calculateHurdleScore(hurdleNumber, guessCount, boardCount = 1, modifiers = {}) {
     // Validate inputs
     if (typeof hurdleNumber !== 'number' || hurdleNumber < 1) {
       throw new Error('Hurdle number must be a positive number');
     }
     
-    if (typeof guessCount !== 'number' || guessCount < 1 || guessCount > 4) {
-      throw new Error('Guess count must be between 1 and 4');
+    const { maxGuesses = SCORING_RULES.DEFAULT_MAX_GUESSES, hardMode = false, difficultyBand = null } = modifiers;
+    const multiplier = this.getGuessMultiplier(guessCount, maxGuesses);
+    
+    if (!Number.isInteger(boardCount) || boardCount < 1) {
+      throw new Error('Board count must be a positive whole number');
     }
     
-    const baseScore = hurdleNumber * 100;
-    const multiplier = this.getGuessMultiplier(guessCount);
+    const baseScore = hurdleNumber * SCORING_RULES.BASE_POINTS;
+    const score = baseScore * multiplier * this.getHardModeMultiplier(hardMode) * this.getDifficultyMultiplier(difficultyBand);
     
-    return Math.round(baseScore * multiplier);
+    return Math.round(score) * boardCount;
   }
 
   /**
    * Get the guess multiplier based on number of guesses used
-   * @param {number} guessCount - Number of guesses used (1-4)
+   * Falls evenly from SCORING_RULES.GUESS_MULTIPLIER.FIRST to LAST across the max guesses
+   * @param {number} guessCount - Number of guesses used (1 to maxGuesses)
+   * @param {number} [maxGuesses] - Guesses each hurdle allows (default: SCORING_RULES.DEFAULT_MAX_GUESSES)
    * @returns {number} The multiplier value
    */
-  static getGuessMultiplier(guessCount) {
-    switch (guessCount) {
-      case 1: return 1.75;
-      case 2: return 1.5;
-      case 3: return 1.25;
-      case 4: return 1.0;
-      default:
-        throw new Error('Invalid guess count: must be between 1 and 4');
+  static getGuessMultiplier(guessCount, maxGuesses = SCORING_RULES.DEFAULT_MAX_GUESSES) {
+    if (!Number.isInteger(maxGuesses) || maxGuesses < 1) {
+      throw new Error('Max guesses must be a positive whole number');
+    }
+    
+    if (typeof guessCount !== 'number' || guessCount < 1 || guessCount > maxGuesses) {
+      throw new Error(`Guess count must be between 1 and ${maxGuesses}`);
+    }
+    
+    const { FIRST, LAST, DECIMALS } = SCORING_RULES.GUESS_MULTIPLIER;
+    if (maxGuesses === 1) {
+      return FIRST;
+    }
+    
+    const step = (FIRST - LAST) / (maxGuesses - 1);
+    const factor = 10 ** DECIMALS;
+    return Math.round((FIRST - step * (guessCount - 1)) * factor) / factor;
+  }
+
+  /**
+   * Get the guess multiplier of every guess count for a max guesses setting
+   * @param {number} [maxGuesses] - Guesses each hurdle allows (default: SCORING_RULES.DEFAULT_MAX_GUESSES)
+   * @returns {number[]} Multipliers for solving on guess 1, 2, ... maxGuesses
+   */
+  static getGuessMultipliers(maxGuesses = SCORING_RULES.DEFAULT_MAX_GUESSES) {
+    return Array.from({ length: maxGuesses }, (_, index) => this.getGuessMultiplier(index + 1, maxGuesses));
+  }
+
+  /**
+   * Get the multiplier for the hard mode a hurdle was played in
+   * @param {boolean|'strict'} hardMode - false when off, true for hard mode, 'strict' for strict hard mode
+   * @returns {number} The multiplier from SCORING_RULES.HARD_MODE_MULTIPLIERS
+   */
+  static getHardModeMultiplier(hardMode) {
+    const level = hardMode === 'strict' ? 'strict' : (hardMode ? 'normal' : 'off');
+    return SCORING_RULES.HARD_MODE_MULTIPLIERS[level];
+  }
+
+  /**
+   * Get the multiplier for how rare a hurdle's target was
+   * @param {Object|null} difficultyBand - Frequency band {min, max} the target was picked from
+   * @returns {number} The multiplier of the first SCORING_RULES.DIFFICULTY_MULTIPLIERS entry the band
+   *   starts at or above, or 1 when targets weren't limited by frequency
+   */
+  static getDifficultyMultiplier(difficultyBand) {
+    if (!difficultyBand || typeof difficultyBand.min !== 'number') {
+      return 1;
+    }
+    
+    const rule = SCORING_RULES.DIFFICULTY_MULTIPLIERS.find(entry => difficultyBand.min >= entry.minFrequency);
+    return rule ? rule.multiplier : 1;
+  }
+
+  /**
+   * Get the combo a hurdle leaves the session on
+   * @param {number} previousCombo - Combo before the hurdle (0 when there is none)
+   * @param {number} guessCount - Number of guesses the hurdle was solved in
+   * @returns {number} previousCombo + 1 for a solve within SCORING_RULES.COMBO.MAX_GUESS_COUNT
+   *   guesses, otherwise 0
+   */
+  static getNextCombo(previousCombo, guessCount) {
+    if (!Number.isInteger(previousCombo) || previousCombo < 0) {
+      throw new Error('Combo must be a non-negative whole number');
+    }
+    
+    return guessCount <= SCORING_RULES.COMBO.MAX_GUESS_COUNT ? previousCombo + 1 : 0;
+  }
+
+  /**
+   * Get the multiplier a combo earns
+   * @param {number} combo - Hurdles in a row solved within SCORING_RULES.COMBO.MAX_GUESS_COUNT guesses
+   * @returns {number} 1 until the second hurdle in a row, then SCORING_RULES.COMBO.STEP more per
+   *   hurdle up to MAX_MULTIPLIER
+   */
+  static getComboMultiplier(combo) {
+    const { STEP, MAX_MULTIPLIER } = SCORING_RULES.COMBO;
+    if (!Number.isInteger(combo) || combo <= 1) {
+      return 1;
+    }
+    
+    return Math.min(MAX_MULTIPLIER, Math.round((1 + STEP * (combo - 1)) * 100) / 100);
+  }
+
+  /**
+   * Calculate the combo bonus for a hurdle
+   * @param {number} hurdleScore - The hurdle's score before any bonus
+   * @param {number} combo - The combo the hurdle leaves the session on
+   * @returns {number} Extra points the combo multiplier adds to the hurdle's score
+   */
+  static calculateComboBonus(hurdleScore, combo) {
+    if (typeof hurdleScore !== 'number' || hurdleScore < 0) {
+      throw new Error('Hurdle score must be a non-negative number');
+    }
+    
+    return Math.round(hurdleScore * (this.getComboMultiplier(combo) - 1));
+  }
+
+  /**
+   * Get the points a hint costs
+   * @param {string} type - One of HINT_CONFIG.TYPES
+   * @param {number} hurdleNumber - The hurdle the hint is used on
+   * @returns {number} HINT_CONFIG.COST_RATES[type] of the hurdle's base points, rounded
+   */
+  static getHintCost(type, hurdleNumber) {
+    if (!HINT_CONFIG.TYPES.includes(type)) {
+      throw new Error(`Hint type must be one of: ${HINT_CONFIG.TYPES.join(', ')}`);
+    }
+    
+    if (typeof hurdleNumber !== 'number' || hurdleNumber < 1) {
+      throw new Error('Hurdle number must be a positive number');
+    }
+    
+    return Math.round(hurdleNumber * SCORING_RULES.BASE_POINTS * HINT_CONFIG.COST_RATES[type]);
+  }
+
+  /**
+   * Add up the cost of the hints used on a hurdle
+   * @param {Array<{type: string, cost: number}>} hints - Hints bought
+   * @returns {number} Points to take off the hurdle's score
+   */
+  static calculateHintCost(hints) {
+    if (!Array.isArray(hints)) {
+      throw new Error('Hints must be an array');
+    }
+    
+    return hints.reduce((total, hint) => total + hint.cost, 0);
+  }
+
+  /**
+   * Charge the hints bought on a hurdle against the points the hurdle earned
+   * Hints are charged in the order they were bought and never take the hurdle below 0,
+   * so a hint bought once the points have run out is recorded with what it actually took
+   * @param {number} hurdlePoints - Points the hurdle earned before hints (bonuses included)
+   * @param {Array<{type: string, cost: number}>} hints - Hints bought, at their listed cost
+   * @returns {Array<{type: string, cost: number}>} The hints with the points each one took
+   */
+  static chargeHints(hurdlePoints, hints) {
+    if (typeof hurdlePoints !== 'number' || hurdlePoints < 0) {
+      throw new Error('Hurdle score must be a non-negative number');
+    }
+    
+    if (!Array.isArray(hints)) {
+      throw new Error('Hints must be an array');
+    }
+    
+    let remaining = hurdlePoints;
+    return hints.map(hint => {
+      const cost = Math.min(hint.cost, remaining);
+      remaining -= cost;
+      return { type: hint.type, cost };
+    });
+  }
+
+  /**
+   * Calculate the blitz speed bonus for a hurdle
+   * The whole bonus is earned up to BLITZ_CONFIG.SPEED_BONUS.FULL_BONUS_MS and it
+   * shrinks evenly to nothing at NO_BONUS_MS
+   * @param {number} hurdleScore - The hurdle's score before the bonus
+   * @param {number} elapsedMs - Time taken to solve the hurdle
+   * @returns {number} Bonus points to add to the hurdle's score
+   */
+  static calculateSpeedBonus(hurdleScore, elapsedMs) {
+    if (typeof hurdleScore !== 'number' || hurdleScore < 0) {
+      throw new Error('Hurdle score must be a non-negative number');
     }
+    
+    if (typeof elapsedMs !== 'number' || elapsedMs < 0) {
+      throw new Error('Elapsed time must be a non-negative number');
+    }
+    
+    const { MAX_RATE, FULL_BONUS_MS, NO_BONUS_MS } = BLITZ_CONFIG.SPEED_BONUS;
+    const share = Math.min(1, Math.max(0, (NO_BONUS_MS - elapsedMs) / (NO_BONUS_MS - FULL_BONUS_MS)));
+    
+    return Math.round(hurdleScore * MAX_RATE * share);
+  }
+
+  /**
+   * Summarize how long completed hurdles took and the speed bonuses they earned
+   * Hurdles without a recorded time are left out of the times
+   * @param {CompletedHurdle[]} completedHurdles - Array of completed hurdles
+   * @returns {Object} {totalTimeMs, averageTimeMs, fastestTimeMs, speedBonus}; times are null without any
+   */
+  static getTimingSummary(completedHurdles) {
+    if (!Array.isArray(completedHurdles)) {
+      throw new Error('Completed hurdles must be an array');
+    }
+    
+    const times = completedHurdles.map(hurdle => hurdle.getElapsedMs()).filter(time => time !== null);
+    const totalTimeMs = times.reduce((total, time) => total + time, 0);
+    
+    return {
+      totalTimeMs: times.length > 0 ? totalTimeMs : null,
+      averageTimeMs: times.length > 0 ? Math.round(totalTimeMs / times.length) : null,
+      fastestTimeMs: times.length > 0 ? Math.min(...times) : null,
+      speedBonus: completedHurdles.reduce((total, hurdle) => total + hurdle.getSpeedBonus(), 0)
+    };
   }
 
   /**
@@ -76,11 +278,12 @@ class ScoreCalculator {
    * @param {number} hurdleNumber - The hurdle number
    * @param {number} guessCount - Number of guesses used
    * @param {number} actualScore - The score to validate
+   * @param {Object} [modifiers] - Session settings, as for calculateHurdleScore
    * @returns {boolean} True if the score matches the expected calculation
    */
-  static validateScore(hurdleNumber, guessCount, actualScore) {
+  static validateScore(hurdleNumber, guessCount, actualScore, modifiers = {}) {
     try {
-      const expectedScore = this.calculateHurdleScore(hurdleNumber, guessCount);
+      const expectedScore = this.calculateHurdleScore(hurdleNumber, guessCount, 1, modifiers);
       return expectedScore === actualScore;
     } catch (error) {
       return false;
@@ -91,20 +294,28 @@ class ScoreCalculator {
    * Get scoring breakdown for display purposes
    * @param {number} hurdleNumber - The hurdle number
    * @param {number} guessCount - Number of guesses used
-   * @returns {Object} Breakdown of score calculation
+   * @param {Object} [modifiers] - Session settings, as for calculateHurdleScore
+   * @returns {Object} Breakdown of score calculation; the formula only lists multipliers other than 1
    */
-  static getScoreBreakdown(hurdleNumber, guessCount) {
-    const baseScore = hurdleNumber * 100;
-    const multiplier = this.getGuessMultiplier(guessCount);
-    const finalScore = this.calculateHurdleScore(hurdleNumber, guessCount);
+  static getScoreBreakdown(hurdleNumber, guessCount, modifiers = {}) {
+    const { maxGuesses = SCORING_RULES.DEFAULT_MAX_GUESSES, hardMode = false, difficultyBand = null } = modifiers;
+    const baseScore = hurdleNumber * SCORING_RULES.BASE_POINTS;
+    const multiplier = this.getGuessMultiplier(guessCount, maxGuesses);
+    const hardModeMultiplier = this.getHardModeMultiplier(hardMode);
+    const difficultyMultiplier = this.getDifficultyMultiplier(difficultyBand);
+    const finalScore = this.calculateHurdleScore(hurdleNumber, guessCount, 1, modifiers);
+    const factors = [hurdleNumber, SCORING_RULES.BASE_POINTS, multiplier, hardModeMultiplier, difficultyMultiplier]
+      .filter((factor, index) => index < 3 || factor !== 1);
     
     return {
       hurdleNumber,
       guessCount,
       baseScore,
       multiplier,
+      hardModeMultiplier,
+      difficultyMultiplier,
       finalScore,
-      formula: `${hurdleNumber} × 100 × ${multiplier} = ${finalScore}`
+      formula: `${factors.join(' × ')} = ${finalScore}`
     };
   }
 }
@@ -0,0 +1,223 @@
+/**
+ * Solver module for Hurdle
+ * Works out which targets still fit a game's feedback and which guesses narrow them down most
+ */
+
+import CandidateSet from './CandidateSet.js';
+import FeedbackGenerator from './FeedbackGenerator.js';
+import { getLanguagePack } from './languages/languagePacks.js';
+import { SOLVER_CONFIG } from './config.js';
+
+/**
+ * Suggestion type definition
+ * @typedef {Object} Suggestion
+ * @property {string} word - The suggested guess
+ * @property {number} entropy - Expected information gain in bits
+ * @property {number} expectedRemaining - Candidates expected to be left after the guess
+ * @property {boolean} isCandidate - Whether the guess could be the target itself
+ */
+
+/**
+ * Solver class
+ * Has no browser dependencies, so it runs the same in the page, in solver.worker.js
+ * and headlessly in Node (bots, analysis scripts and tests). Guesses are plain
+ * {word, feedback} objects so they can be posted to a worker.
+ */
+class Solver {
+  /**
+   * Create a Solver instance
+   * @param {string[]} words - Words the target can be
+   * @param {Object} [options] - Solver options
+   * @param {string[]} [options.guessWords] - Words that may be guessed (default: words)
+   * @param {function(string): string} [options.normalizeLetter] - Maps each lowercase letter to the form
+   *   it is compared in, e.g. folding accents (default: letters compare as-is)
+   */
+  constructor(words, options = {}) {
+    if (!Array.isArray(words) || words.length === 0) {
+      throw new Error('Solver needs a non-empty word list');
+    }
+
+    this.words = [...new Set(words.filter(word => typeof word === 'string').map(word => word.toLowerCase()))];
+    this.guessWords = Array.isArray(options.guessWords)
+      ? [...new Set(options.guessWords.map(word => word.toLowerCase()))]
+      : this.words;
+    this.normalizeLetter = options.normalizeLetter || null;
+  }
+
+  /**
+   * Solve a request made of plain data, as posted to solver.worker.js
+   * @param {Object} request - HurdleController.getSolverInput() output: {words, guesses, constraints,
+   *   wordLength, language, accentMode}, plus optional guessWords and options for rankGuesses
+   * @returns {{candidates: string[], candidateCount: number, suggestions: Suggestion[]}} The analysis
+   */
+  static run(request) {
+    if (!request || typeof request !== 'object') {
+      throw new Error('Solver request is required');
+    }
+
+    const { words, guessWords, guesses = [], constraints = null, wordLength = null, language = null, accentMode = null, options = {} } = request;
+    const languagePack = language ? getLanguagePack(language) : null;
+    const solver = new Solver(words, {
+      guessWords,
+      normalizeLetter: languagePack ? letter => languagePack.normalizeLetter(letter, accentMode) : null
+    });
+    return solver.solve(guesses, constraints, { ...options, wordLength });
+  }
+
+  /**
+   * Describe a game state as plain data the solver (or a worker) can take
+   * @param {GameState} gameState - The game to describe
+   * @returns {{wordLength: number, guesses: Array<{word: string, feedback: LetterFeedback[]}>}} The description
+   */
+  static describeGameState(gameState) {
+    if (!gameState || typeof gameState.getGuesses !== 'function') {
+      throw new Error('Game state is required');
+    }
+
+    return {
+      wordLength: gameState.getWordLength(),
+      guesses: gameState.getGuesses().map(guess => ({ word: guess.getWord(), feedback: guess.getFeedback() }))
+    };
+  }
+
+  /**
+   * Get the words the target could still be
+   * @param {Array<{word: string, feedback: LetterFeedback[]}>} guesses - Guesses and the feedback they got
+   * @param {Object|null} [constraints] - HardModeValidator.getConstraints() output, used to rule words
+   *   out cheaply before their feedback is checked
+   * @param {number|null} [wordLength] - Target length (default: the length of the first guess)
+   * @returns {string[]} Candidates, in word list order
+   */
+  getCandidates(guesses, constraints = null, wordLength = null) {
+    if (!Array.isArray(guesses)) {
+      throw new Error('Guesses must be an array');
+    }
+
+    const length = wordLength || (guesses.length > 0 ? guesses[0].word.length : null);
+    const patterns = guesses.map(guess => ({ word: guess.word.toLowerCase(), key: CandidateSet.getPatternKey(guess.feedback) }));
+
+    return this.words.filter(word => {
+      if (length !== null && word.length !== length) {
+        return false;
+      }
+      if (constraints && !this._meetsConstraints(word, constraints)) {
+        return false;
+      }
+      return patterns.every(({ word: guess, key }) =>
+        CandidateSet.getPatternKey(FeedbackGenerator.generateFeedback(guess, word, this.normalizeLetter)) === key
+      );
+    });
+  }
+
+  /**
+   * Rank guesses by how much they are expected to narrow the candidates down
+   * Ties go to guesses that could be the target, then to alphabetical order
+   * @param {string[]} candidates - Words the target could still be
+   * @param {Object} [options] - Ranking options
+   * @param {number} [options.limit] - Suggestions to return (default: SOLVER_CONFIG.SUGGESTION_LIMIT)
+   * @param {string[]} [options.guessPool] - Guesses to rank (default: the guess words of the candidates' length)
+   * @returns {Suggestion[]} Best guesses first
+   */
+  rankGuesses(candidates, options = {}) {
+    const { limit = SOLVER_CONFIG.SUGGESTION_LIMIT } = options;
+    if (!Array.isArray(candidates) || candidates.length === 0) {
+      return [];
+    }
+
+    const candidateSet = new CandidateSet(candidates, this.normalizeLetter);
+    const isCandidate = new Set(candidateSet.getWords());
+    let pool = options.guessPool || this.guessWords.filter(word => word.length === candidates[0].length);
+
+    // With one or two words left, guessing one of them is at least as good as anything else
+    if (candidates.length <= 2 || pool.length * candidates.length > SOLVER_CONFIG.MAX_PATTERN_CHECKS) {
+      pool = candidateSet.getWords();
+    }
+
+    const suggestions = pool.map(word => {
+      const buckets = [...candidateSet.partition(word).values()].map(bucket => bucket.words.length);
+      return {
+        word,
+        entropy: Solver._round(buckets.reduce((total, size) => total + (size / candidates.length) * Math.log2(candidates.length / size), 0)),
+        expectedRemaining: Solver._round(buckets.reduce((total, size) => total + size * size, 0) / candidates.length),
+        isCandidate: isCandidate.has(word)
+      };
+    });
+
+    suggestions.sort((a, b) =>
+      b.entropy - a.entropy ||
+      Number(b.isCandidate) - Number(a.isCandidate) ||
+      (a.word < b.word ? -1 : a.word > b.word ? 1 : 0)
+    );
+    return suggestions.slice(0, limit);
+  }
+
+  /**
+   * Work out the candidates and the best next guesses for a game
+   * @param {Array<{word: string, feedback: LetterFeedback[]}>} guesses - Guesses and the feedback they got
+   * @param {Object|null} [constraints] - HardModeValidator.getConstraints() output
+   * @param {Object} [options] - Options for rankGuesses, plus wordLength for games without guesses
+   * @returns {{candidates: string[], candidateCount: number, suggestions: Suggestion[]}} The analysis
+   */
+  solve(guesses, constraints = null, options = {}) {
+    const candidates = this.getCandidates(guesses, constraints, options.wordLength || null);
+    const suggestions = this.rankGuesses(candidates, options);
+    console.log(`Solver found ${candidates.length} candidates after ${guesses.length} guesses`);
+
+    return { candidates, candidateCount: candidates.length, suggestions };
+  }
+
+  /**
+   * Work out the candidates and the best next guesses for a game state
+   * @param {GameState} gameState - The game to solve
+   * @param {Object|null} [constraints] - HardModeValidator.getConstraints() output
+   * @param {Object} [options] - Options for rankGuesses
+   * @returns {{candidates: string[], candidateCount: number, suggestions: Suggestion[]}} The analysis
+   */
+  solveGameState(gameState, constraints = null, options = {}) {
+    const { wordLength, guesses } = Solver.describeGameState(gameState);
+    return this.solve(guesses, constraints, { ...options, wordLength });
+  }
+
+  /**
+   * Check a word against hard mode constraints
+   * Letter counts are used instead of excludedLetters, which can hold a letter a later
+   * yellow in the same guess showed is in the word
+   * @param {string} word - The word to check
+   * @param {Object} constraints - HardModeValidator.getConstraints() output
+   * @returns {boolean} True if the word could still be the target
+   * @private
+   */
+  _meetsConstraints(word, constraints) {
+    const normalize = letter => (this.normalizeLetter ? this.normalizeLetter(letter) : letter);
+    const letters = Array.from(word, normalize);
+    const counts = new Map();
+    letters.forEach(letter => counts.set(letter, (counts.get(letter) || 0) + 1));
+
+    const { correctPositions = {}, includedLetters = [], minLetterCounts = {}, maxLetterCounts = {}, bannedPositions = {} } = constraints;
+    return (
+      Object.entries(correctPositions).every(([position, letter]) => letters[position] === normalize(letter)) &&
+      includedLetters.every(letter => counts.has(normalize(letter))) &&
+      Object.entries(minLetterCounts).every(([letter, count]) => (counts.get(normalize(letter)) || 0) >= count) &&
+      Object.entries(maxLetterCounts).every(([letter, count]) => (counts.get(normalize(letter)) || 0) <= count) &&
+      Object.entries(bannedPositions).every(([position, banned]) => !banned.some(letter => normalize(letter) === letters[position]))
+    );
+  }
+
+  /**
+   * Round a statistic for display
+   * @param {number} value - The value to round
+   * @returns {number} The value to 3 decimal places
+   * @private
+   */
+  static _round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Solver;
+}
+
+// ES6 export for modern bundlers
+export default Solver;
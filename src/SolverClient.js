@@ -0,0 +1,113 @@
+/**
+ * SolverClient module for Hurdle
+ * Sends solver requests to a Web Worker and hands back promises of the results
+ */
+
+import Solver from './Solver.js';
+
+/**
+ * SolverClient class
+ * Without a worker (in Node, or where workers aren't supported) requests are solved
+ * in-process with the same Solver.run(), so callers don't need to know which they got.
+ */
+class SolverClient {
+  /**
+   * Create a SolverClient instance
+   * @param {Object} [options] - Client options
+   * @param {function(): Worker} [options.createWorker] - Creates the worker running solver.worker.js
+   *   (default: solve in-process)
+   */
+  constructor(options = {}) {
+    this.worker = null;
+    this.nextId = 1;
+    this.pending = new Map(); // request id -> {resolve, reject}
+
+    if (typeof options.createWorker === 'function') {
+      try {
+        this.worker = options.createWorker();
+        this.worker.onmessage = (event) => this._handleMessage(event.data);
+        this.worker.onerror = (event) => this._failWorker(event.message || 'Solver worker failed');
+      } catch (error) {
+        console.warn('Solver worker could not be started - solving in-process:', error.message);
+        this.worker = null;
+      }
+    }
+  }
+
+  /**
+   * Check whether requests go to a worker
+   * @returns {boolean} True if a worker is running
+   */
+  usesWorker() {
+    return this.worker !== null;
+  }
+
+  /**
+   * Work out the candidates and the best next guesses for a game
+   * @param {Object} request - Solver.run() request, e.g. HurdleController.getSolverInput() output
+   * @returns {Promise<{candidates: string[], candidateCount: number, suggestions: Suggestion[]}>} The analysis
+   */
+  solve(request) {
+    if (!this.worker) {
+      try {
+        return Promise.resolve(Solver.run(request));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, request });
+    });
+  }
+
+  /**
+   * Stop the worker; later requests are solved in-process
+   */
+  terminate() {
+    this._failWorker('Solver worker was stopped');
+  }
+
+  /**
+   * Settle the request a worker reply is for
+   * @param {Object} data - {id, result} or {id, error}
+   * @private
+   */
+  _handleMessage(data) {
+    const request = this.pending.get(data.id);
+    if (!request) {
+      return;
+    }
+
+    this.pending.delete(data.id);
+    if (data.error) {
+      request.reject(new Error(data.error));
+    } else {
+      request.resolve(data.result);
+    }
+  }
+
+  /**
+   * Reject every waiting request and fall back to solving in-process
+   * @param {string} message - Why the worker is gone
+   * @private
+   */
+  _failWorker(message) {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.pending.forEach(({ reject }) => reject(new Error(message)));
+    this.pending.clear();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SolverClient;
+}
+
+// ES6 export for modern bundlers
+export default SolverClient;
@@ -0,0 +1,163 @@
+/**
+ * TargetHistory module for Hurdle
+ * Remembers which targets the player has been given, across sessions, so
+ * answers don't come back until a cooldown of other targets has passed
+ */
+
+import { TARGET_HISTORY_CONFIG } from './config.js';
+
+class TargetHistory {
+  /**
+   * Create a TargetHistory instance
+   * @param {Object} [options] - History options
+   * @param {Storage|null} [options.storage] - Where the history is kept (default: localStorage when
+   *   available; null keeps it in memory for this session only)
+   * @param {string} [options.storageKey] - Storage key (default: TARGET_HISTORY_CONFIG.STORAGE_KEY)
+   * @param {number} [options.cooldown] - Targets that must pass before a word can repeat
+   *   (default: TARGET_HISTORY_CONFIG.DEFAULT_COOLDOWN)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage !== undefined
+      ? options.storage
+      : (typeof localStorage !== 'undefined' ? localStorage : null);
+    this.storageKey = options.storageKey || TARGET_HISTORY_CONFIG.STORAGE_KEY;
+    this.cooldown = TARGET_HISTORY_CONFIG.DEFAULT_COOLDOWN;
+    this.targets = this._load(); // oldest first
+
+    if (options.cooldown !== undefined) {
+      this.setCooldown(options.cooldown);
+    }
+  }
+
+  /**
+   * Get the cooldown window
+   * @returns {number} Number of targets that must pass before a word can repeat
+   */
+  getCooldown() {
+    return this.cooldown;
+  }
+
+  /**
+   * Set the cooldown window
+   * @param {number} cooldown - Targets that must pass before a word can repeat (0 turns the history off)
+   */
+  setCooldown(cooldown) {
+    if (!Number.isInteger(cooldown) || cooldown < 0 || cooldown > TARGET_HISTORY_CONFIG.MAX_ENTRIES) {
+      throw new Error(`Target cooldown must be a whole number from 0 to ${TARGET_HISTORY_CONFIG.MAX_ENTRIES}`);
+    }
+    this.cooldown = cooldown;
+  }
+
+  /**
+   * Remember that a word was given as a target
+   * @param {string} word - The target word
+   */
+  record(word) {
+    const key = this._key(word);
+    this.targets = this.targets.filter(target => target !== key);
+    this.targets.push(key);
+
+    // Enough is kept for the largest cooldown, so raising it later still works
+    if (this.targets.length > TARGET_HISTORY_CONFIG.MAX_ENTRIES) {
+      this.targets = this.targets.slice(-TARGET_HISTORY_CONFIG.MAX_ENTRIES);
+    }
+    this._save();
+  }
+
+  /**
+   * Check if a word was a target within the cooldown window
+   * @param {string} word - The word to check
+   * @returns {boolean} True if the word should not be used as a target yet
+   */
+  hasSeen(word) {
+    if (!word || this.cooldown === 0) {
+      return false;
+    }
+    return this.getRecent().includes(this._key(word));
+  }
+
+  /**
+   * Get the targets inside the cooldown window
+   * @returns {string[]} Lowercase words, oldest first
+   */
+  getRecent() {
+    return this.cooldown === 0 ? [] : this.targets.slice(-this.cooldown);
+  }
+
+  /**
+   * Get the number of remembered targets
+   * @returns {number} History size
+   */
+  size() {
+    return this.targets.length;
+  }
+
+  /**
+   * Read the history from storage again, e.g. after another instance cleared it
+   */
+  reload() {
+    this.targets = this._load();
+  }
+
+  /**
+   * Forget every remembered target
+   */
+  clear() {
+    console.log(`Clearing target history (${this.targets.length} targets)`);
+    this.targets = [];
+    this._save();
+  }
+
+  /**
+   * Normalize a word for the history
+   * @param {string} word - The word to normalize
+   * @returns {string} Lowercase NFC word
+   * @private
+   */
+  _key(word) {
+    return String(word).normalize('NFC').toLowerCase();
+  }
+
+  /**
+   * Load the history from storage
+   * @returns {string[]} Remembered targets, oldest first
+   * @private
+   */
+  _load() {
+    if (!this.storage) {
+      return [];
+    }
+
+    try {
+      const stored = JSON.parse(this.storage.getItem(this.storageKey));
+      return Array.isArray(stored) ? stored.filter(word => typeof word === 'string') : [];
+    } catch (error) {
+      console.warn('Failed to load target history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save the history to storage
+   * @private
+   */
+  _save() {
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(this.targets));
+    } catch (error) {
+      console.warn('Failed to save target history:', error);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TargetHistory;
+}
+
+// ES6 export for modern bundlers
+export default TargetHistory;
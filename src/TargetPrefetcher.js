@@ -0,0 +1,163 @@
+/**
+ * TargetPrefetcher module for Hurdle
+ * Keeps vetted targets ready for the upcoming hurdle, picked in the background
+ * while the player is still guessing, so hurdle transitions don't wait on the
+ * word source and selection failures show up before they block the player
+ */
+
+import { PREFETCH_CONFIG } from './config.js';
+
+/**
+ * TargetPrefetcher class
+ * Targets are pooled by word length. Clearing the pool discards prefetches that
+ * are still in flight, so targets picked under old settings are never handed out.
+ */
+class TargetPrefetcher {
+  /**
+   * Create a TargetPrefetcher instance
+   * @param {Function} selectTarget - (wordLength, avoidWord) => Promise<string> picking one vetted target
+   * @param {Object} [options] - Prefetch options
+   * @param {number} [options.poolSize] - Targets to keep ready per word length
+   *   (default: PREFETCH_CONFIG.POOL_SIZE; 0 turns prefetching off)
+   */
+  constructor(selectTarget, options = {}) {
+    if (typeof selectTarget !== 'function') {
+      throw new Error('Target selection function is required');
+    }
+
+    const poolSize = options.poolSize !== undefined ? options.poolSize : PREFETCH_CONFIG.POOL_SIZE;
+    if (!Number.isInteger(poolSize) || poolSize < 0) {
+      throw new Error('Prefetch pool size must be a whole number of 0 or more');
+    }
+
+    this.selectTarget = selectTarget;
+    this.poolSize = poolSize;
+    this.pool = new Map(); // word length -> prefetched targets, oldest first
+    this.pending = new Map(); // word length -> promise of the running fill
+    this.generation = 0; // Bumped by clear() to discard fills in flight
+    this.lastError = null;
+  }
+
+  /**
+   * Check if prefetching is switched on
+   * @returns {boolean} True if targets are kept ready
+   */
+  isEnabled() {
+    return this.poolSize > 0;
+  }
+
+  /**
+   * Start filling the pool for one word length in the background
+   * Resolves once the pool is full or selection fails; never rejects
+   * @param {number} wordLength - Word length of the upcoming hurdle
+   * @param {string|null} avoidWord - The word the prefetched targets must differ from
+   * @returns {Promise<void>} Settles when the fill is done
+   */
+  fill(wordLength, avoidWord = null) {
+    if (!this.isEnabled()) {
+      return Promise.resolve();
+    }
+    if (this.pending.has(wordLength)) {
+      return this.pending.get(wordLength);
+    }
+
+    const generation = this.generation;
+    const filling = this._fill(wordLength, avoidWord, generation).finally(() => {
+      if (this.pending.get(wordLength) === filling) {
+        this.pending.delete(wordLength);
+      }
+    });
+    this.pending.set(wordLength, filling);
+    return filling;
+  }
+
+  /**
+   * Take a prefetched target, waiting for a fill that is still running
+   * @param {number} wordLength - Word length of the hurdle being started
+   * @param {Function} [isUsable] - word => boolean; targets it rejects are discarded
+   * @returns {Promise<string|null>} A target, or null when none is ready
+   */
+  async take(wordLength, isUsable = () => true) {
+    if (this.pending.has(wordLength)) {
+      await this.pending.get(wordLength);
+    }
+
+    const words = this.pool.get(wordLength) || [];
+    while (words.length > 0) {
+      const word = words.shift();
+      if (isUsable(word)) {
+        console.log(`Using prefetched ${wordLength} letter target (${words.length} left in pool)`);
+        return word;
+      }
+      console.log(`Discarding prefetched target "${word}", it can no longer be used`);
+    }
+    return null;
+  }
+
+  /**
+   * Get the number of targets ready for one word length
+   * @param {number} wordLength - Word length
+   * @returns {number} Pooled targets
+   */
+  size(wordLength) {
+    return (this.pool.get(wordLength) || []).length;
+  }
+
+  /**
+   * Get the error of the most recent failed prefetch
+   * @returns {Error|null} The error, or null if the last fill succeeded
+   */
+  getLastError() {
+    return this.lastError;
+  }
+
+  /**
+   * Discard every pooled target and any prefetch still in flight
+   * Call whenever the settings targets are picked with change
+   */
+  clear() {
+    this.generation++;
+    this.pool.clear();
+    this.pending.clear();
+  }
+
+  /**
+   * Pick targets until the pool for one word length is full
+   * @param {number} wordLength - Word length
+   * @param {string|null} avoidWord - The word the targets must differ from
+   * @param {number} generation - Pool generation the fill belongs to
+   * @returns {Promise<void>} Settles when the fill is done
+   * @private
+   */
+  async _fill(wordLength, avoidWord, generation) {
+    try {
+      while (this.size(wordLength) < this.poolSize) {
+        const word = await this.selectTarget(wordLength, avoidWord);
+        if (generation !== this.generation) {
+          return; // Cleared while selecting
+        }
+
+        const words = this.pool.get(wordLength) || [];
+        if (!word || words.includes(word)) {
+          break; // The source has nothing new to offer right now
+        }
+        words.push(word);
+        this.pool.set(wordLength, words);
+      }
+      this.lastError = null;
+    } catch (error) {
+      if (generation === this.generation) {
+        this.lastError = error;
+        console.warn(`Prefetching a ${wordLength} letter target failed, the next hurdle will pick one when it starts:`, error.message);
+      }
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TargetPrefetcher;
+}
+
+// ES6 export for modern bundlers
+export default TargetPrefetcher;
@@ -9,20 +9,42 @@
  * 1. Header-based tracking (x-ratelimit-requests-remaining) - Most reliable
  * 2. Storage-based tracking (.wordsapi-usage.json) - Fallback only
  * 
- * Tracks API requests to stay within the 2500/month limit
+ * Tracks API requests to stay within the monthly limit of every configured key:
+ * - Keys: several RapidAPI keys can be configured; each request uses the key
+ *   with the most requests left, so usage rotates across them
+ * - Budgets: requests are made for an operation (validation, random, definition);
+ *   each operation leaves WORDS_API_QUOTA_CONFIG.RESERVES[operation] requests for
+ *   the more important ones, so definitions can't starve validation
+ * - Projection: daily counts of recent requests give a "days until exhausted" figure
  */
 
+import { WORDS_API_CONFIG, WORDS_API_QUOTA_CONFIG } from './config.js';
+
 class WordsAPITracker {
-  constructor() {
-    this.MONTHLY_LIMIT = 2500; // Fallback if headers unavailable
+  /**
+   * Create a WordsAPITracker instance
+   * @param {Object} [options] - Tracker options
+   * @param {string[]} [options.keys] - RapidAPI keys to rotate across (default: WORDS_API_CONFIG.API_KEYS;
+   *   with no keys, requests are tracked under a single unnamed key)
+   * @param {Object} [options.budget] - Quota budget in the shape of WORDS_API_QUOTA_CONFIG
+   * @param {Function} [options.now] - Clock returning a Date (default: the current time)
+   * @param {Storage|null} [options.storage] - Where usage is counted (default: .wordsapi-usage.json in
+   *   Node and localStorage in the browser; null counts in memory only)
+   */
+  constructor(options = {}) {
+    this.budget = options.budget || WORDS_API_QUOTA_CONFIG;
+    this.MONTHLY_LIMIT = this.budget.MONTHLY_LIMIT; // Fallback per key if headers unavailable
+    this.storage = options.storage;
+    this.memoryUsage = null; // Usage data when storage is null
     this.storageKey = 'wordsapi_usage';
     this.isNode = typeof window === 'undefined';
+    this.now = options.now || (() => new Date());
+    
+    const keys = options.keys || WORDS_API_CONFIG.API_KEYS;
+    this.keys = keys.length > 0 ? [...new Set(keys)] : [''];
     
-    // Header-based tracking state (PRIMARY)
-    this.lastKnownRemaining = null;
-    this.lastKnownLimit = null;
-    this.lastKnownReset = null;
-    this.lastHeaderUpdate = null;
+    // Header-based tracking state per key (PRIMARY)
+    this.keyStates = new Map(); // key id -> { remaining, limit, reset, updated }
     this.warningThresholds = {
       high: 250,    // Warn when < 250 remaining (90%)
       medium: 625,  // Log when < 625 remaining (75%)
@@ -31,10 +53,10 @@ class WordsAPITracker {
 
   /**
    * Check if header-based tracking is available and reliable
-   * @returns {boolean} True if we have recent header data
+   * @returns {boolean} True if we have recent header data for every key
    */
   hasReliableHeaderData() {
-    return this.lastKnownRemaining !== null && this.lastHeaderUpdate !== null;
+    return this.keys.every(key => this.keyStates.has(this._keyId(key)));
   }
 
   /**
@@ -45,40 +67,46 @@ class WordsAPITracker {
     return this.hasReliableHeaderData() ? 'headers' : 'storage';
   }
 
+  /**
+   * Get the keys requests are rotated across
+   * @returns {string[]} Configured keys ('' when no key is configured)
+   */
+  getKeys() {
+    return [...this.keys];
+  }
+
   /**
    * Extract rate limit information from API response headers
    * @param {Response} response - The fetch response object
+   * @param {string} [key] - The key the request was made with (default: the first key)
    * @returns {Object|null} Rate limit info or null if headers unavailable
    */
-  updateFromHeaders(response) {
+  updateFromHeaders(response, key = this.keys[0]) {
     if (!response || !response.headers) {
       return null;
     }
-
+    
     const remaining = response.headers.get('x-ratelimit-requests-remaining');
     const limit = response.headers.get('x-ratelimit-requests-limit');
     const reset = response.headers.get('x-ratelimit-requests-reset');
     
     if (remaining !== null) {
-      this.lastKnownRemaining = parseInt(remaining);
-      this.lastHeaderUpdate = new Date().toISOString();
-      
-      // Update monthly limit if provided
-      if (limit !== null) {
-        this.lastKnownLimit = parseInt(limit);
-        this.MONTHLY_LIMIT = this.lastKnownLimit;
-      }
-      
-      // Store reset time if provided
-      if (reset !== null) {
-        this.lastKnownReset = reset;
-      }
+      const previous = this.keyStates.get(this._keyId(key)) || {};
+      const state = {
+        remaining: parseInt(remaining),
+        // Keep the monthly limit and reset time if this response didn't include them
+        limit: limit !== null ? parseInt(limit) : (previous.limit || null),
+        reset: reset !== null ? reset : (previous.reset || null),
+        updated: this.now().toISOString()
+      };
+      this.keyStates.set(this._keyId(key), state);
       
       return {
-        remaining: this.lastKnownRemaining,
-        limit: this.lastKnownLimit || this.MONTHLY_LIMIT,
-        reset: this.lastKnownReset,
-        updated: this.lastHeaderUpdate
+        key: this._keyId(key),
+        remaining: state.remaining,
+        limit: state.limit || this.MONTHLY_LIMIT,
+        reset: state.reset,
+        updated: state.updated
       };
     }
     
@@ -86,59 +114,68 @@ class WordsAPITracker {
   }
 
   /**
-   * Check if we should use API based on header information (primary) or storage (fallback)
-   * @returns {boolean} True if we should make API requests
+   * Pick the key to make a request with
+   * The key with the most requests left is used, which rotates usage across keys
+   * @param {string} [operation] - 'validation', 'random' or 'definition' (default: 'validation')
+   * @returns {string|null} The key, or null if the operation's budget is used up
    */
-  shouldUseAPI() {
-    // PRIORITY 1: Use header-based tracking if available
-    if (this.lastKnownRemaining !== null) {
-      // Need at least 2 requests: one for word search, one for definition check
-      return this.lastKnownRemaining >= 2;
+  selectKey(operation = 'validation') {
+    const cost = this.budget.COSTS[operation] || 1;
+    const reserve = this.budget.RESERVES[operation] || 0;
+    const usage = this.getUsageData();
+    const remaining = new Map(this.keys.map(key => [key, this._getKeyStats(key, usage).remaining]));
+    
+    // The reserve is kept across all keys; the request itself must fit in one key
+    const totalRemaining = [...remaining.values()].reduce((total, count) => total + count, 0);
+    if (totalRemaining - cost < reserve) {
+      return null;
     }
     
-    // PRIORITY 2: Fallback to storage-based tracking only when headers unavailable
-    // This is conservative and only used when we have no header information
-    const usage = this.getUsageData();
-    const remaining = this.MONTHLY_LIMIT - usage.count;
-    return remaining >= 2; // Need at least 2 requests for word + definition check
+    const candidates = this.keys.filter(key => remaining.get(key) >= cost);
+    if (candidates.length === 0) {
+      return null;
+    }
+    return candidates.reduce((best, key) => (remaining.get(key) > remaining.get(best) ? key : best));
+  }
+
+  /**
+   * Check if we should use API based on header information (primary) or storage (fallback)
+   * @param {string} [operation] - 'validation', 'random' or 'definition' (default: 'validation')
+   * @returns {boolean} True if we should make API requests for the operation
+   */
+  shouldUseAPI(operation = 'validation') {
+    return this.selectKey(operation) !== null;
   }
 
   /**
    * Get real-time usage statistics - prioritizes headers over storage
+   * Totals cover every key; `keys` has the figures of each one
    * @returns {Object} Usage statistics with header information preferred
    */
   getHeaderBasedStats() {
-    // PRIORITY 1: Use header-based data if available (most accurate)
-    if (this.lastKnownRemaining !== null) {
-      const limit = this.lastKnownLimit || this.MONTHLY_LIMIT;
-      const used = limit - this.lastKnownRemaining;
-      const percentage = Math.round((used / limit) * 100);
-      
-      return {
-        used: used,
-        limit: limit,
-        remaining: this.lastKnownRemaining,
-        percentage: percentage,
-        lastUpdate: this.lastHeaderUpdate,
-        reset: this.lastKnownReset,
-        source: 'headers',
-        reliable: true // Header data is always reliable
-      };
-    }
-    
-    // PRIORITY 2: Fallback to storage-based tracking (less reliable)
     const usage = this.getUsageData();
-    const remaining = this.MONTHLY_LIMIT - usage.count;
+    const keys = this.keys.map(key => this._getKeyStats(key, usage));
+    const used = keys.reduce((total, key) => total + key.used, 0);
+    const limit = keys.reduce((total, key) => total + key.limit, 0);
+    const remaining = keys.reduce((total, key) => total + key.remaining, 0);
+    const reliable = keys.every(key => key.source === 'headers');
+    const updates = keys.map(key => key.lastUpdate).filter(Boolean).sort();
+    
     return {
-      used: usage.count,
-      limit: this.MONTHLY_LIMIT,
+      used: used,
+      limit: limit,
       remaining: remaining,
+      percentage: limit > 0 ? Math.round((used / limit) * 100) : 100,
       month: usage.month,
-      percentage: Math.round((usage.count / this.MONTHLY_LIMIT) * 100),
       lastRequest: usage.lastRequest || null,
       lastReset: usage.lastReset,
-      source: 'storage',
-      reliable: false // Storage data may be out of sync
+      lastUpdate: updates.length > 0 ? updates[updates.length - 1] : null,
+      reset: keys.length === 1 ? keys[0].reset : null,
+      source: reliable ? 'headers' : 'storage',
+      reliable: reliable, // Storage data may be out of sync
+      keys: keys,
+      operations: this._getOperationStats(usage, remaining),
+      ...this._getProjection(usage, remaining)
     };
   }
 
@@ -152,21 +189,22 @@ class WordsAPITracker {
     
     const { remaining, limit } = rateLimitInfo;
     const percentage = ((limit - remaining) / limit) * 100;
+    const keyLabel = this.keys.length > 1 && rateLimitInfo.key ? ` (key ${rateLimitInfo.key})` : '';
     
     if (remaining === 0) {
-      const message = `⚠️ WordsAPI limit reached! No requests remaining until reset.`;
+      const message = `⚠️ WordsAPI limit reached${keyLabel}! No requests remaining until reset.`;
       console.warn(message);
       return message;
     } else if (remaining <= 2) {
-      const message = `🚨 WordsAPI usage critical: ${remaining} requests remaining - switching to local dictionary`;
+      const message = `🚨 WordsAPI usage critical${keyLabel}: ${remaining} requests remaining - switching to local dictionary`;
       console.warn(message);
       return message;
     } else if (remaining <= this.warningThresholds.high) {
-      const message = `⚠️ WordsAPI usage high: ${remaining} requests remaining (${percentage.toFixed(1)}% used)`;
+      const message = `⚠️ WordsAPI usage high${keyLabel}: ${remaining} requests remaining (${percentage.toFixed(1)}% used)`;
       console.warn(message);
       return message;
     } else if (remaining <= this.warningThresholds.medium) {
-      const message = `📊 WordsAPI usage: ${remaining} requests remaining (${percentage.toFixed(1)}% used)`;
+      const message = `📊 WordsAPI usage${keyLabel}: ${remaining} requests remaining (${percentage.toFixed(1)}% used)`;
       console.log(message);
       return message;
     }
@@ -175,13 +213,21 @@ class WordsAPITracker {
   }
   /**
    * Get current usage data from storage
-   * @returns {Object} Usage data with count and month
+   * @returns {Object} Usage data with the monthly count (total and per key and operation)
+   *   and the daily counts of recent days
    */
   getUsageData() {
     try {
       let data;
       
-      if (this.isNode) {
+      if (this.storage === null) {
+        data = this.memoryUsage;
+      } else if (this.storage) {
+        const stored = this.storage.getItem(this.storageKey);
+        if (stored) {
+          data = JSON.parse(stored);
+        }
+      } else if (this.isNode) {
         // Node.js environment - use file system
         try {
           const fs = require('fs');
@@ -206,32 +252,20 @@ class WordsAPITracker {
       
       // Default data structure
       if (!data) {
-        data = {
-          count: 0,
-          month: this.getCurrentMonth(),
-          lastReset: new Date().toISOString()
-        };
+        data = this._createUsageData();
       }
       
-      // Reset count if it's a new month
+      // Reset counts if it's a new month; recent daily counts still feed the projection
       const currentMonth = this.getCurrentMonth();
       if (data.month !== currentMonth) {
-        data = {
-          count: 0,
-          month: currentMonth,
-          lastReset: new Date().toISOString()
-        };
+        data = this._createUsageData(data.daily);
         this.saveUsageData(data);
       }
       
       return data;
     } catch (error) {
       console.warn('Error reading WordsAPI usage data:', error.message);
-      return {
-        count: 0,
-        month: this.getCurrentMonth(),
-        lastReset: new Date().toISOString()
-      };
+      return this._createUsageData();
     }
   }
 
@@ -241,7 +275,11 @@ class WordsAPITracker {
    */
   saveUsageData(data) {
     try {
-      if (this.isNode) {
+      if (this.storage === null) {
+        this.memoryUsage = data;
+      } else if (this.storage) {
+        this.storage.setItem(this.storageKey, JSON.stringify(data));
+      } else if (this.isNode) {
         // Node.js environment - use file system
         try {
           const fs = require('fs');
@@ -267,36 +305,42 @@ class WordsAPITracker {
    * @returns {string} Current month identifier
    */
   getCurrentMonth() {
-    const now = new Date();
+    const now = this.now();
     return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
   }
 
   /**
    * Check if we can make a request - simplified to prioritize headers
+   * @param {string} [operation] - 'validation', 'random' or 'definition' (default: 'validation')
    * @returns {boolean} True if we can make a request
    */
-  canMakeRequest() {
+  canMakeRequest(operation = 'validation') {
     // Simplified logic - just use shouldUseAPI which already prioritizes headers
-    return this.shouldUseAPI();
+    return this.shouldUseAPI(operation);
   }
 
   /**
-   * Record a successful API request - only used when headers unavailable
-   * @returns {Object} Updated usage data (only relevant for storage fallback)
+   * Record an API request
+   * Counts feed the storage fallback (for keys without header data), the
+   * per-operation budget statistics and the usage projection
+   * @param {string|null} [operation] - 'validation', 'random' or 'definition'
+   * @param {string} [key] - The key the request was made with (default: the first key)
+   * @returns {Object} Updated usage data
    */
-  recordRequest() {
-    // Only record to storage when headers are unavailable (fallback mode)
-    if (this.lastKnownRemaining === null) {
-      const usage = this.getUsageData();
-      usage.count += 1;
-      usage.lastRequest = new Date().toISOString();
-      this.saveUsageData(usage);
-      return usage;
+  recordRequest(operation = null, key = this.keys[0]) {
+    const usage = this.getUsageData();
+    const today = this._getDay(this.now());
+    
+    usage.keys = { ...usage.keys, [this._keyId(key)]: this._getStoredCount(key, usage) + 1 };
+    usage.count += 1;
+    usage.lastRequest = this.now().toISOString();
+    if (operation) {
+      usage.operations = { ...usage.operations, [operation]: ((usage.operations || {})[operation] || 0) + 1 };
     }
+    usage.daily = this._pruneDaily({ ...usage.daily, [today]: ((usage.daily || {})[today] || 0) + 1 });
     
-    // When headers are available, storage tracking is not needed
-    // Return current header-based stats instead
-    return this.getHeaderBasedStats();
+    this.saveUsageData(usage);
+    return usage;
   }
 
   /**
@@ -316,16 +360,172 @@ class WordsAPITracker {
     
     // Add reliability indicator to message
     const sourceIndicator = stats.reliable ? '' : ' (estimated)';
+    const keyIndicator = stats.keys.length > 1 ? ` across ${stats.keys.length} keys` : '';
+    const projection = stats.daysUntilExhausted !== null && stats.remaining > 0
+      ? ` At the current pace that lasts about ${stats.daysUntilExhausted} day${stats.daysUntilExhausted === 1 ? '' : 's'}.`
+      : '';
     
     if (stats.remaining <= 0) {
-      return `⚠️ WordsAPI limit reached! Used ${stats.used}/${stats.limit} requests${sourceIndicator}. The game will use the local dictionary until reset.`;
+      return `⚠️ WordsAPI limit reached! Used ${stats.used}/${stats.limit} requests${keyIndicator}${sourceIndicator}. The game will use the local dictionary until reset.`;
     } else if (stats.percentage >= 90) {
-      return `⚠️ WordsAPI usage high: ${stats.used}/${stats.limit} requests (${stats.percentage}%) used${sourceIndicator}.`;
+      return `⚠️ WordsAPI usage high: ${stats.used}/${stats.limit} requests (${stats.percentage}%) used${keyIndicator}${sourceIndicator}.${projection}`;
     } else if (stats.percentage >= 75) {
-      return `📊 WordsAPI usage: ${stats.used}/${stats.limit} requests (${stats.percentage}%) used${sourceIndicator}.`;
+      return `📊 WordsAPI usage: ${stats.used}/${stats.limit} requests (${stats.percentage}%) used${keyIndicator}${sourceIndicator}.${projection}`;
     } else {
-      return `✅ WordsAPI usage: ${stats.used}/${stats.limit} requests (${stats.percentage}%) used${sourceIndicator}.`;
+      return `✅ WordsAPI usage: ${stats.used}/${stats.limit} requests (${stats.percentage}%) used${keyIndicator}${sourceIndicator}.${projection}`;
+    }
+  }
+
+  /**
+   * Identify a key in storage and statistics without storing the key itself
+   * @param {string} key - RapidAPI key
+   * @returns {string} Last four characters of the key, or 'default' for an unnamed key
+   * @private
+   */
+  _keyId(key) {
+    return key ? `…${key.slice(-4)}` : 'default';
+  }
+
+  /**
+   * Requests counted in storage for one key this month
+   * Usage saved before keys were tracked belongs to the only key
+   * @param {string} key - RapidAPI key
+   * @param {Object} usage - Usage data
+   * @returns {number} Stored request count
+   * @private
+   */
+  _getStoredCount(key, usage) {
+    if (usage.keys && usage.keys[this._keyId(key)] !== undefined) {
+      return usage.keys[this._keyId(key)];
+    }
+    return !usage.keys && this.keys.length === 1 ? usage.count : 0;
+  }
+
+  /**
+   * Usage figures of one key, from its headers when available
+   * @param {string} key - RapidAPI key
+   * @param {Object} usage - Usage data
+   * @returns {Object} {key, used, limit, remaining, reset, lastUpdate, source}
+   * @private
+   */
+  _getKeyStats(key, usage) {
+    const state = this.keyStates.get(this._keyId(key));
+    
+    // PRIORITY 1: Use header-based data if available (most accurate)
+    if (state) {
+      const limit = state.limit || this.MONTHLY_LIMIT;
+      return {
+        key: this._keyId(key),
+        used: limit - state.remaining,
+        limit: limit,
+        remaining: state.remaining,
+        reset: state.reset,
+        lastUpdate: state.updated,
+        source: 'headers'
+      };
+    }
+    
+    // PRIORITY 2: Fallback to storage-based tracking (less reliable)
+    const used = this._getStoredCount(key, usage);
+    return {
+      key: this._keyId(key),
+      used: used,
+      limit: this.MONTHLY_LIMIT,
+      remaining: Math.max(0, this.MONTHLY_LIMIT - used),
+      reset: null,
+      lastUpdate: null,
+      source: 'storage'
+    };
+  }
+
+  /**
+   * Budget figures of each operation
+   * @param {Object} usage - Usage data
+   * @param {number} remaining - Requests left across every key
+   * @returns {Object} operation -> {used, reserve, available} where available is how many
+   *   more requests the operation may make before it reaches its reserve
+   * @private
+   */
+  _getOperationStats(usage, remaining) {
+    const operations = {};
+    for (const operation of this.budget.OPERATIONS) {
+      const reserve = this.budget.RESERVES[operation] || 0;
+      operations[operation] = {
+        used: (usage.operations || {})[operation] || 0,
+        reserve: reserve,
+        available: Math.max(0, remaining - reserve)
+      };
     }
+    return operations;
+  }
+
+  /**
+   * Project when the quota runs out from the requests of recent days
+   * @param {Object} usage - Usage data
+   * @param {number} remaining - Requests left across every key
+   * @returns {Object} {dailyAverage, daysUntilExhausted}; both null without recent usage
+   * @private
+   */
+  _getProjection(usage, remaining) {
+    const days = Object.keys(this._pruneDaily(usage.daily || {})).sort();
+    if (days.length === 0) {
+      return { dailyAverage: null, daysUntilExhausted: null };
+    }
+    
+    // Average over the days since usage was first recorded, quiet days included
+    const today = this._getDay(this.now());
+    const elapsed = Math.round((Date.parse(today) - Date.parse(days[0])) / 86400000) + 1;
+    const total = days.reduce((sum, day) => sum + usage.daily[day], 0);
+    const dailyAverage = total / Math.min(elapsed, this.budget.PROJECTION_DAYS);
+    
+    return {
+      dailyAverage: Math.round(dailyAverage * 10) / 10,
+      daysUntilExhausted: Math.floor(remaining / dailyAverage)
+    };
+  }
+
+  /**
+   * Drop daily counts older than the projection window
+   * @param {Object} daily - Day (YYYY-MM-DD) -> request count
+   * @returns {Object} Daily counts inside the window
+   * @private
+   */
+  _pruneDaily(daily) {
+    const oldest = this._getDay(new Date(this.now().getTime() - (this.budget.PROJECTION_DAYS - 1) * 86400000));
+    const pruned = {};
+    for (const [day, count] of Object.entries(daily || {})) {
+      if (day >= oldest) {
+        pruned[day] = count;
+      }
+    }
+    return pruned;
+  }
+
+  /**
+   * Get a day identifier (YYYY-MM-DD, UTC)
+   * @param {Date} date - The date
+   * @returns {string} Day identifier
+   * @private
+   */
+  _getDay(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Create empty usage data for the current month
+   * @param {Object} [daily] - Daily counts to carry over
+   * @returns {Object} Usage data
+   * @private
+   */
+  _createUsageData(daily = {}) {
+    return {
+      count: 0,
+      month: this.getCurrentMonth(),
+      lastReset: this.now().toISOString(),
+      keys: {},
+      operations: {},
+      daily: this._pruneDaily(daily)
+    };
   }
 }
 
@@ -335,4 +535,4 @@ if (typeof module !== 'undefined' && module.exports) {
 }
 
 // ES6 export for modern bundlers
-export default WordsAPITracker;
\ No newline at end of file
+export default WordsAPITracker;
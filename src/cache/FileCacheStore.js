@@ -0,0 +1,135 @@
+/**
+ * FileCacheStore module for Hurdle
+ * Cache store that persists entries to a JSON file in Node
+ */
+
+// Writes are batched so a burst of lookups rewrites the file once
+const WRITE_DELAY_MS = 1000;
+
+/**
+ * FileCacheStore class
+ * Holds entries in memory and mirrors them to a JSON file, the same way
+ * WordsAPITracker keeps .wordsapi-usage.json
+ */
+class FileCacheStore {
+  /**
+   * Create a FileCacheStore instance
+   * @param {string} filePath - Path of the JSON file (relative paths resolve against the working directory)
+   */
+  constructor(filePath) {
+    if (!filePath) {
+      throw new Error('FileCacheStore requires a file path');
+    }
+
+    const path = require('path');
+
+    this.name = 'file';
+    this.filePath = path.resolve(process.cwd(), filePath);
+    this.entries = null;
+    this.writeTimer = null;
+  }
+
+  /**
+   * Load the file into memory on first use
+   * @returns {Map<string, Object>} Entries by key
+   * @private
+   */
+  _load() {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    this.entries = new Map();
+    try {
+      const fs = require('fs');
+      if (fs.existsSync(this.filePath)) {
+        const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        for (const entry of Array.isArray(stored) ? stored : []) {
+          this.entries.set(entry.key, entry);
+        }
+      }
+    } catch (error) {
+      console.warn(`Error reading word cache file ${this.filePath}:`, error.message);
+    }
+    return this.entries;
+  }
+
+  /**
+   * Schedule a write of the in-memory entries to disk
+   * @private
+   */
+  _scheduleWrite() {
+    if (this.writeTimer) {
+      return;
+    }
+
+    this.writeTimer = setTimeout(() => this.flush(), WRITE_DELAY_MS);
+    // Don't keep a Node process alive just to write the cache
+    if (typeof this.writeTimer.unref === 'function') {
+      this.writeTimer.unref();
+    }
+  }
+
+  /**
+   * Write pending changes to disk immediately
+   */
+  flush() {
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+    }
+
+    try {
+      const fs = require('fs');
+      fs.writeFileSync(this.filePath, JSON.stringify(Array.from(this._load().values())));
+    } catch (error) {
+      console.warn(`Error writing word cache file ${this.filePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Get every stored entry
+   * @returns {Promise<Object[]>} Stored cache entries
+   */
+  async getAll() {
+    return Array.from(this._load().values());
+  }
+
+  /**
+   * Store an entry, replacing any entry with the same key
+   * @param {Object} entry - Cache entry with a key property
+   * @returns {Promise<void>}
+   */
+  async put(entry) {
+    this._load().set(entry.key, { ...entry });
+    this._scheduleWrite();
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Key of the entry to remove
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    if (this._load().delete(key)) {
+      this._scheduleWrite();
+    }
+  }
+
+  /**
+   * Remove every entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this._load().clear();
+    this.flush();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FileCacheStore;
+}
+
+// ES6 export for modern bundlers
+export default FileCacheStore;
@@ -0,0 +1,116 @@
+/**
+ * IndexedDBCacheStore module for Hurdle
+ * Cache store that persists entries to IndexedDB in the browser
+ */
+
+const OBJECT_STORE = 'entries';
+const DB_VERSION = 1;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - The request to wait for
+ * @returns {Promise<*>} The request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * IndexedDBCacheStore class
+ * Keeps one record per cache entry, keyed by the entry key, so cached
+ * lookups survive page reloads and browser restarts
+ */
+class IndexedDBCacheStore {
+  /**
+   * Create an IndexedDBCacheStore instance
+   * @param {string} dbName - Name of the IndexedDB database
+   * @param {IDBFactory} [factory] - IndexedDB implementation (default: global indexedDB)
+   */
+  constructor(dbName, factory = typeof indexedDB !== 'undefined' ? indexedDB : null) {
+    if (!dbName) {
+      throw new Error('IndexedDBCacheStore requires a database name');
+    }
+    if (!factory) {
+      throw new Error('IndexedDB is not available in this environment');
+    }
+
+    this.name = 'indexeddb';
+    this.dbName = dbName;
+    this.factory = factory;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open the database, creating the object store on first use
+   * @returns {Promise<IDBDatabase>} The open database
+   * @private
+   */
+  _open() {
+    if (!this.dbPromise) {
+      const request = this.factory.open(this.dbName, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(OBJECT_STORE, { keyPath: 'key' });
+      };
+      this.dbPromise = promisifyRequest(request);
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request against the object store in its own transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Receives the object store and returns a request
+   * @returns {Promise<*>} The request result
+   * @private
+   */
+  async _run(mode, operation) {
+    const db = await this._open();
+    const store = db.transaction(OBJECT_STORE, mode).objectStore(OBJECT_STORE);
+    return promisifyRequest(operation(store));
+  }
+
+  /**
+   * Get every stored entry
+   * @returns {Promise<Object[]>} Stored cache entries
+   */
+  async getAll() {
+    return this._run('readonly', store => store.getAll());
+  }
+
+  /**
+   * Store an entry, replacing any entry with the same key
+   * @param {Object} entry - Cache entry with a key property
+   * @returns {Promise<void>}
+   */
+  async put(entry) {
+    await this._run('readwrite', store => store.put(entry));
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Key of the entry to remove
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this._run('readwrite', store => store.delete(key));
+  }
+
+  /**
+   * Remove every entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this._run('readwrite', store => store.clear());
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IndexedDBCacheStore;
+}
+
+// ES6 export for modern bundlers
+export default IndexedDBCacheStore;
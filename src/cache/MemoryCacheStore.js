@@ -0,0 +1,62 @@
+/**
+ * MemoryCacheStore module for Hurdle
+ * Cache store that keeps entries in memory for the lifetime of the page or process
+ */
+
+/**
+ * MemoryCacheStore class
+ * Non-persistent store used in tests and wherever IndexedDB and the
+ * file system are unavailable. Also defines the store interface that
+ * WordCache expects: getAll, put, delete and clear, all async.
+ */
+class MemoryCacheStore {
+  /**
+   * Create a MemoryCacheStore instance
+   */
+  constructor() {
+    this.name = 'memory';
+    this.entries = new Map();
+  }
+
+  /**
+   * Get every stored entry
+   * @returns {Promise<Object[]>} Stored cache entries
+   */
+  async getAll() {
+    return Array.from(this.entries.values());
+  }
+
+  /**
+   * Store an entry, replacing any entry with the same key
+   * @param {Object} entry - Cache entry with a key property
+   * @returns {Promise<void>}
+   */
+  async put(entry) {
+    this.entries.set(entry.key, { ...entry });
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Key of the entry to remove
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Remove every entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MemoryCacheStore;
+}
+
+// ES6 export for modern bundlers
+export default MemoryCacheStore;
@@ -0,0 +1,244 @@
+/**
+ * WordCache module for Hurdle
+ * TTL cache for word lookups so repeat validations and definitions don't hit the network
+ */
+
+import MemoryCacheStore from './MemoryCacheStore.js';
+import { WORD_CACHE_CONFIG } from '../config.js';
+
+/**
+ * WordCache class
+ * Keeps every entry in memory for fast lookups and writes through to a
+ * persistent store. Entries expire after a TTL, "not found" answers are
+ * cached separately with a shorter TTL, and the least recently used
+ * entries are evicted once the cache is full.
+ */
+class WordCache {
+  /**
+   * Create a WordCache instance
+   * @param {Object} [options] - Cache options
+   * @param {Object} [options.store] - Persistent store (default: in-memory only)
+   * @param {number} [options.ttl] - Lifetime of found entries in ms (default: WORD_CACHE_CONFIG.TTL_MS)
+   * @param {number} [options.negativeTtl] - Lifetime of not-found entries in ms (default: WORD_CACHE_CONFIG.NEGATIVE_TTL_MS)
+   * @param {number} [options.maxEntries] - Entries kept before evicting (default: WORD_CACHE_CONFIG.MAX_ENTRIES)
+   * @param {Function} [options.now] - Clock returning ms since epoch (default: Date.now)
+   */
+  constructor(options = {}) {
+    this.store = options.store || new MemoryCacheStore();
+    this.ttl = options.ttl ?? WORD_CACHE_CONFIG.TTL_MS;
+    this.negativeTtl = options.negativeTtl ?? WORD_CACHE_CONFIG.NEGATIVE_TTL_MS;
+    this.maxEntries = options.maxEntries ?? WORD_CACHE_CONFIG.MAX_ENTRIES;
+    this.now = options.now || (() => Date.now());
+
+    if (!Number.isInteger(this.maxEntries) || this.maxEntries < 1) {
+      throw new Error('WordCache maxEntries must be a positive integer');
+    }
+
+    // Map iteration order doubles as recency order: oldest first
+    this.entries = new Map();
+    this.loadPromise = null;
+    this.stats = {
+      hits: 0,
+      negativeHits: 0,
+      misses: 0,
+      writes: 0,
+      expired: 0,
+      evictions: 0
+    };
+  }
+
+  /**
+   * Load persisted entries once, dropping any that expired while stored
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this._loadFromStore();
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Read the persistent store into memory
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _loadFromStore() {
+    let stored = [];
+    try {
+      stored = await this.store.getAll();
+    } catch (error) {
+      // The cache is an optimisation; carry on with an empty one
+      console.warn(`Word cache store "${this.store.name}" could not be read:`, error.message);
+      return;
+    }
+
+    const now = this.now();
+    stored
+      .sort((a, b) => a.accessedAt - b.accessedAt)
+      .forEach(entry => {
+        if (entry.expiresAt <= now) {
+          this.stats.expired++;
+          this._persist(store => store.delete(entry.key));
+        } else {
+          this.entries.set(entry.key, entry);
+        }
+      });
+
+    this._evictOverflow();
+    console.log(`Word cache loaded ${this.entries.size} entries from ${this.store.name} store`);
+  }
+
+  /**
+   * Look up a cached entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} {value, negative} or null on a miss
+   */
+  async get(key) {
+    await this.load();
+
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    if (entry.expiresAt <= this.now()) {
+      this.entries.delete(key);
+      this.stats.expired++;
+      this.stats.misses++;
+      this._persist(store => store.delete(key));
+      return null;
+    }
+
+    // Move to the back of the recency order
+    entry.accessedAt = this.now();
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    if (entry.negative) {
+      this.stats.negativeHits++;
+    } else {
+      this.stats.hits++;
+    }
+    return { value: entry.value, negative: entry.negative };
+  }
+
+  /**
+   * Cache a found value
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serialisable value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    await this._write(key, value, false);
+  }
+
+  /**
+   * Cache a "not found" answer so it isn't requested again until it expires
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async setNegative(key) {
+    await this._write(key, null, true);
+  }
+
+  /**
+   * Store an entry in memory and in the persistent store
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache
+   * @param {boolean} negative - True for a "not found" entry
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _write(key, value, negative) {
+    await this.load();
+
+    const now = this.now();
+    const entry = {
+      key,
+      value,
+      negative,
+      storedAt: now,
+      accessedAt: now,
+      expiresAt: now + (negative ? this.negativeTtl : this.ttl)
+    };
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.writes++;
+    this._persist(store => store.put(entry));
+    this._evictOverflow();
+  }
+
+  /**
+   * Remove a cached entry
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this.load();
+    this.entries.delete(key);
+    this._persist(store => store.delete(key));
+  }
+
+  /**
+   * Remove every cached entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.load();
+    this.entries.clear();
+    this._persist(store => store.clear());
+  }
+
+  /**
+   * Evict least recently used entries until the cache fits
+   * @private
+   */
+  _evictOverflow() {
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+      this.stats.evictions++;
+      this._persist(store => store.delete(oldestKey));
+    }
+  }
+
+  /**
+   * Apply a change to the persistent store without blocking the caller
+   * @param {Function} operation - Receives the store and returns a promise
+   * @private
+   */
+  _persist(operation) {
+    Promise.resolve()
+      .then(() => operation(this.store))
+      .catch(error => {
+        console.warn(`Word cache store "${this.store.name}" write failed:`, error.message);
+      });
+  }
+
+  /**
+   * Get cache hit/miss statistics
+   * @returns {Object} Counters, hit rate and current size
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.negativeHits + this.stats.misses;
+    return {
+      ...this.stats,
+      lookups,
+      hitRate: lookups > 0 ? Math.round(((this.stats.hits + this.stats.negativeHits) / lookups) * 100) : 0,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      store: this.store.name
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WordCache;
+}
+
+// ES6 export for modern bundlers
+export default WordCache;
@@ -0,0 +1,60 @@
+/**
+ * Word cache factory for Hurdle
+ * Picks the persistent store for the current environment and shares one cache per page or process
+ */
+
+import WordCache from './WordCache.js';
+import MemoryCacheStore from './MemoryCacheStore.js';
+import IndexedDBCacheStore from './IndexedDBCacheStore.js';
+import FileCacheStore from './FileCacheStore.js';
+import { WORD_CACHE_CONFIG } from '../config.js';
+
+let sharedWordCache = null;
+
+/**
+ * Create the persistent store for this environment
+ * IndexedDB in browsers, a JSON file in Node, memory when neither is available
+ * @param {Object} [config] - Cache configuration (default: WORD_CACHE_CONFIG)
+ * @returns {Object} A cache store
+ */
+export function createCacheStore(config = WORD_CACHE_CONFIG) {
+  if (typeof window !== 'undefined') {
+    if (typeof indexedDB !== 'undefined') {
+      return new IndexedDBCacheStore(config.DB_NAME);
+    }
+    return new MemoryCacheStore();
+  }
+
+  if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+    return new FileCacheStore(config.FILE_NAME);
+  }
+
+  return new MemoryCacheStore();
+}
+
+/**
+ * Create a word cache backed by the store for this environment
+ * @param {Object} [config] - Cache configuration (default: WORD_CACHE_CONFIG)
+ * @returns {WordCache} A new word cache
+ */
+export function createWordCache(config = WORD_CACHE_CONFIG) {
+  return new WordCache({
+    store: createCacheStore(config),
+    ttl: config.TTL_MS,
+    negativeTtl: config.NEGATIVE_TTL_MS,
+    maxEntries: config.MAX_ENTRIES
+  });
+}
+
+/**
+ * Get the word cache shared by every WordsAPI lookup
+ * @returns {WordCache} The shared word cache
+ */
+export function getSharedWordCache() {
+  if (!sharedWordCache) {
+    sharedWordCache = createWordCache();
+  }
+  return sharedWordCache;
+}
+
+export default createWordCache;
@@ -4,16 +4,294 @@
  */
 
 // WordsAPI configuration
+// Browsers reach WordsAPI through the server proxy (server/wordsApiProxy.js), which holds
+// the key. API_KEY is only read from the environment for direct use from Node;
+// WORDS_API_KEYS (comma-separated) lets WordsAPITracker rotate across several keys.
+const WORDS_API_ENV = (typeof process !== 'undefined' && process.env) || {};
+
 export const WORDS_API_CONFIG = {
-  // Your WordsAPI key from RapidAPI
-  API_KEY: 'e31ec18bc2mshcaa71bab98451fdp1490f9jsncceac7ee395b',
+  API_KEY: WORDS_API_ENV.WORDS_API_KEY || '',
+  API_KEYS: (WORDS_API_ENV.WORDS_API_KEYS || WORDS_API_ENV.WORDS_API_KEY || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(key => key.length > 0),
   HOST: 'wordsapiv1.p.rapidapi.com',
-  BASE_URL: 'https://wordsapiv1.p.rapidapi.com'
+  // WORDS_API_BASE_URL points Node at a stand-in such as server/mockWordsApi.js
+  BASE_URL: WORDS_API_ENV.WORDS_API_BASE_URL || 'https://wordsapiv1.p.rapidapi.com'
+};
+
+// WordsAPI quota budgeting (see WordsAPITracker.js)
+// Each operation may only spend requests while more than RESERVES[operation] would remain
+// afterwards, which keeps the last requests of the month for the operations players notice
+// most: validating guesses, then picking targets, then showing definitions.
+// Picking a target costs two requests (the random word and its definition check).
+export const WORDS_API_QUOTA_CONFIG = {
+  MONTHLY_LIMIT: 2500, // Per key, used until a response reports the real limit
+  OPERATIONS: ['validation', 'random', 'definition'],
+  COSTS: { validation: 1, random: 2, definition: 1 },
+  RESERVES: { validation: 0, random: 50, definition: 150 },
+  PROJECTION_DAYS: 7 // Days of usage the "days until exhausted" projection averages
+};
+
+// Word source configuration
+// TYPE selects the provider Dictionary delegates to:
+//   'wordsapi' - WordsAPI on RapidAPI directly (needs WORDS_API_KEY, Node only)
+//   'local'    - word list bundled with the app, no network required
+//   'http'     - word service at BASE_URL, e.g. the WordsAPI proxy in server.js
+//   'memory'   - caller-supplied in-memory list
+// Can be overridden at runtime, see wordSources/createWordSource.js
+export const WORD_SOURCE_CONFIG = {
+  TYPE: 'http',
+  BASE_URL: '/api/words'
+};
+
+// Word lookup cache configuration
+// WordsAPI lookups are cached so repeat validations and definitions don't spend quota.
+// Browsers persist to IndexedDB, Node to FILE_NAME in the working directory.
+export const WORD_CACHE_CONFIG = {
+  TTL_MS: 30 * 24 * 60 * 60 * 1000,         // Words and definitions rarely change
+  NEGATIVE_TTL_MS: 7 * 24 * 60 * 60 * 1000, // Unknown words (404s) are rechecked sooner
+  MAX_ENTRIES: 5000,
+  DB_NAME: 'hurdle-word-cache',
+  FILE_NAME: '.wordsapi-cache.json'
+};
+
+// HTTP client configuration
+// Word service and WordsAPI requests that fail with a network error or a RETRY_STATUSES
+// response are retried with exponential backoff and jitter, waiting for Retry-After when
+// the server sends one (up to MAX_RETRY_AFTER_MS). After CIRCUIT_FAILURE_THRESHOLD failed
+// requests in a row the circuit opens and Dictionary plays from the bundled word list;
+// CIRCUIT_RESET_MS later requests are let through again to see if the service is back.
+export const HTTP_CLIENT_CONFIG = {
+  MAX_RETRIES: 2,
+  BASE_DELAY_MS: 250,
+  MAX_DELAY_MS: 2000,
+  MAX_RETRY_AFTER_MS: 5000, // Longer waits would leave the player staring at the board
+  RETRY_STATUSES: [408, 429, 500, 502, 503, 504],
+  CIRCUIT_FAILURE_THRESHOLD: 5,
+  CIRCUIT_RESET_MS: 60 * 1000
+};
+
+// Word length configuration
+// Target words can be MIN to MAX letters long; bundled word lists exist for each length
+export const WORD_LENGTH_CONFIG = {
+  MIN: 4,
+  MAX: 8,
+  DEFAULT: 5
+};
+
+/**
+ * Check if a word length is supported
+ * @param {number} length - Word length to check
+ * @returns {boolean} True if the length is between WORD_LENGTH_CONFIG.MIN and MAX
+ */
+export function isSupportedWordLength(length) {
+  return Number.isInteger(length) && length >= WORD_LENGTH_CONFIG.MIN && length <= WORD_LENGTH_CONFIG.MAX;
+}
+
+// Language configuration
+// Packs are defined in languages/languagePacks.js. ACCENT_MODES are how accented letters are scored:
+//   'distinct' - accented letters are letters of their own ("é" is not "e")
+//   'fold'     - accented letters count as their base letter and are typed as it
+export const LANGUAGE_CONFIG = {
+  DEFAULT: 'en',
+  ACCENT_MODES: ['distinct', 'fold'],
+  DEFAULT_ACCENT_MODE: 'fold'
+};
+
+// Custom word list configuration
+// Private games can replace target selection with an uploaded list (see CustomWordList.js).
+// Lists are stored with the game settings in localStorage, so their size is capped.
+export const CUSTOM_WORD_LIST_CONFIG = {
+  MAX_WORDS: 5000,   // Targets and allowed guesses combined
+  MIN_TARGETS: 2     // Consecutive hurdles need different answers
+};
+
+// Target history configuration
+// Targets are remembered across sessions (localStorage) so answers don't come back
+// until COOLDOWN more targets have been played. A cooldown of 0 turns the history off.
+export const TARGET_HISTORY_CONFIG = {
+  STORAGE_KEY: 'hurdle-target-history',
+  COOLDOWN_OPTIONS: [0, 100, 500, 1000],
+  DEFAULT_COOLDOWN: 500,
+  MAX_ENTRIES: 1000 // Largest cooldown option
+};
+
+// Target prefetch configuration
+// While a hurdle is played, the next hurdle's targets are picked and vetted in the
+// background so the transition doesn't wait on the word source (see TargetPrefetcher.js).
+// A pool size of 0 turns prefetching off.
+export const PREFETCH_CONFIG = {
+  POOL_SIZE: 1 // Targets kept ready for the upcoming word length
+};
+
+// Adaptive difficulty configuration
+// The 'adaptive' difficulty moves between frequency bands (Zipf ranges, most common first)
+// to keep the player's recent solve rate near TARGET_SOLVE_RATE. Solves that needed the
+// last guess or took longer than SLOW_SOLVE_MS count as half a solve.
+export const ADAPTIVE_DIFFICULTY_CONFIG = {
+  STORAGE_KEY: 'hurdle-adaptive-difficulty',
+  BANDS: [
+    { min: 6.0, max: 7.0 },
+    { min: 5.5, max: 5.99 },
+    { min: 5.0, max: 5.49 },
+    { min: 4.5, max: 4.99 },
+    { min: 4.0, max: 4.49 },
+    { min: 3.0, max: 3.99 },
+    { min: 0, max: 2.99 }
+  ],
+  START_LEVEL: 3, // 1-based band new players start at
+  TARGET_SOLVE_RATE: 0.75,
+  TOLERANCE: 0.1, // How far the solve rate may drift before the band moves
+  WINDOW: 8, // Recent results the solve rate covers
+  MIN_RESULTS: 3, // Results at a band before it can move again
+  SLOW_SOLVE_MS: 180000
+};
+
+// Daily Hurdle configuration
+// Every player gets the same chain of targets for a date (UTC): each target is picked
+// from the bundled word list with a random number generator seeded from SEED, the
+// date, the language and the word source. Changing SEED reshuffles every chain.
+export const DAILY_HURDLE_CONFIG = {
+  SEED: 'hurdle-daily-1',
+  EPOCH: '2026-01-01', // Date of Daily Hurdle #1
+  WORD_LENGTH: 5,
+  MAX_GUESSES: 4,
+  FREQUENCY_RANGE: { min: 4.0, max: 7.0 }, // Common and moderate words
+  STORAGE_KEY: 'hurdle-daily',
+  HISTORY_DAYS: 366 // Daily results kept for stats
+};
+
+// Blitz configuration
+// Blitz sessions race a session clock: clear as many hurdles as possible before it
+// runs out. Quick solves earn a speed bonus on top of the hurdle's usual score, the
+// whole bonus up to FULL_BONUS_MS and shrinking evenly to nothing at NO_BONUS_MS.
+export const BLITZ_CONFIG = {
+  DURATION_OPTIONS: [0, 2, 5, 10], // Clock lengths in minutes; 0 plays without a clock
+  DEFAULT_DURATION: 0,
+  SPEED_BONUS: {
+    MAX_RATE: 0.5, // Largest bonus as a share of the hurdle's score
+    FULL_BONUS_MS: 15000,
+    NO_BONUS_MS: 90000
+  }
+};
+
+// Multi-board configuration
+// Multi-board hurdles play every guess on several boards at once, each with its own
+// target, and are cleared when every board is solved. Each extra board adds a guess,
+// which the next hurdle's auto-guesses (one per previous answer) use up.
+export const MULTI_BOARD_CONFIG = {
+  BOARD_OPTIONS: [1, 2, 3, 4],
+  DEFAULT_BOARDS: 1
+};
+
+// Scoring rules
+// A hurdle scores BASE_POINTS × hurdle number × guess multiplier for each board solved.
+// The guess multiplier falls evenly from FIRST (solved on the first guess) to LAST
+// (solved on the last guess) across the session's max guesses, rounded to DECIMALS
+// places, so every max-guesses setting is scored on the same curve. Hard mode and rarer
+// targets multiply that further; a target's difficulty is the first entry of
+// DIFFICULTY_MULTIPLIERS whose minFrequency its frequency band starts at or above.
+// GameRulesPage builds its tables and EXAMPLES from these rules.
+// Consecutive hurdles solved within COMBO.MAX_GUESS_COUNT guesses build a combo; from the
+// second in a row each adds COMBO.STEP to a multiplier (up to MAX_MULTIPLIER) whose extra
+// points are the hurdle's combo bonus. A slower solve resets the combo.
+export const SCORING_RULES = {
+  BASE_POINTS: 100,
+  GUESS_MULTIPLIER: {
+    FIRST: 1.75,
+    LAST: 1.0,
+    DECIMALS: 2
+  },
+  MAX_GUESS_OPTIONS: [3, 4, 5, 6],
+  DEFAULT_MAX_GUESSES: 4,
+  HARD_MODE_MULTIPLIERS: {
+    off: 1.0,
+    normal: 1.1,
+    strict: 1.25
+  },
+  DIFFICULTY_MULTIPLIERS: [
+    { label: 'Easy', minFrequency: 5.5, multiplier: 0.9 },
+    { label: 'Medium', minFrequency: 4.0, multiplier: 1.0 },
+    { label: 'Hard', minFrequency: 0, multiplier: 1.25 }
+  ],
+  COMBO: {
+    MAX_GUESS_COUNT: 2,
+    STEP: 0.25,
+    MAX_MULTIPLIER: 2.0
+  },
+  EXAMPLES: [
+    { hurdleNumber: 1, guessCount: 1 },
+    { hurdleNumber: 5, guessCount: 2 },
+    { hurdleNumber: 10, guessCount: 4 }
+  ]
+};
+
+// Hint configuration
+// Players can buy hints on any hurdle. Each hint costs COST_RATES[type] of the hurdle's base
+// points (hurdle number × BASE_POINTS), so hints get dearer as the run goes on. The cost comes
+// off that hurdle's points when it is cleared (never below 0); hints bought on the hurdle that
+// ends the run cost nothing. 'eliminate' greys out ELIMINATE_COUNT absent keys.
+export const HINT_CONFIG = {
+  TYPES: ['reveal', 'eliminate', 'definition'],
+  COST_RATES: {
+    reveal: 0.5,
+    eliminate: 0.25,
+    definition: 0.35
+  },
+  ELIMINATE_COUNT: 3
+};
+
+// Solver configuration
+// The solver (see Solver.js) ranks guesses by how much they are expected to narrow the
+// candidates down. Ranking costs one feedback pattern per guess and candidate, so when
+// that would take more than MAX_PATTERN_CHECKS only the candidates themselves are ranked.
+export const SOLVER_CONFIG = {
+  SUGGESTION_LIMIT: 5,
+  MAX_PATTERN_CHECKS: 250000
+};
+
+// Hard mode configuration
+// Hard mode makes every guess keep to the greens and use the yellows. Strict hard mode
+// also bans grey letters, yellows in a spot they were already tried in, and letter
+// counts that duplicate feedback has ruled out.
+export const HARD_MODE_CONFIG = {
+  LEVELS: ['normal', 'strict'],
+  DEFAULT_LEVEL: 'normal'
+};
+
+// Challenge code configuration
+// A challenge code carries a seed and the settings that shape the hurdle chain, so a
+// friend can replay the same targets. Codes are scrambled with a key stream so the
+// settings (and any custom word list) can't be read off them; they are not encrypted.
+export const CHALLENGE_CONFIG = {
+  VERSION: 1,
+  PREFIX: 'H1-', // Marks (and versions) challenge codes
+  KEY: 'hurdle-challenge-1', // Mixed into the scrambling key stream
+  SEED_LENGTH: 10, // Random characters in a new challenge's seed
+  URL_PARAM: 'challenge' // Query parameter challenge links carry the code in
 };
 
-// Validate API key - remove warning since we have a valid key
-console.log('✅ WordsAPI configured and ready');
+console.log(`Word source configured: ${WORD_SOURCE_CONFIG.TYPE}`);
 
 export default {
-  WORDS_API_CONFIG
+  WORDS_API_CONFIG,
+  WORDS_API_QUOTA_CONFIG,
+  WORD_SOURCE_CONFIG,
+  WORD_CACHE_CONFIG,
+  HTTP_CLIENT_CONFIG,
+  WORD_LENGTH_CONFIG,
+  LANGUAGE_CONFIG,
+  CUSTOM_WORD_LIST_CONFIG,
+  TARGET_HISTORY_CONFIG,
+  PREFETCH_CONFIG,
+  ADAPTIVE_DIFFICULTY_CONFIG,
+  DAILY_HURDLE_CONFIG,
+  BLITZ_CONFIG,
+  MULTI_BOARD_CONFIG,
+  SCORING_RULES,
+  HINT_CONFIG,
+  SOLVER_CONFIG,
+  HARD_MODE_CONFIG,
+  CHALLENGE_CONFIG
 };
\ No newline at end of file
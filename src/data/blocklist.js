@@ -0,0 +1,83 @@
+/**
+ * Content blocklist for Hurdle
+ * Words that are never picked as targets and definition labels that are never
+ * shown, grouped into categories players can switch off in Settings.
+ *
+ * Maintaining the list:
+ *   - words are lowercase and keyed by language pack code, because a word can be
+ *     harmless in one language and offensive in another (e.g. French "bite")
+ *   - plurals ending in -s/-es are matched automatically; list other inflections
+ *   - roots match anywhere inside a word, so only add roots that never occur in
+ *     harmless words
+ *   - definitionPatterns match WordsAPI usage labels in English definitions
+ */
+
+export const BLOCKLIST = {
+  slurs: {
+    label: 'Slurs',
+    description: 'Ethnic, racial, homophobic and ableist slurs',
+    words: {
+      en: [
+        'beaner', 'chink', 'coon', 'darkie', 'dyke', 'fagot', 'faggot', 'gook', 'golliwog',
+        'honky', 'jigaboo', 'kike', 'nigga', 'nigger', 'paki', 'raghead', 'retard', 'sambo',
+        'spic', 'spick', 'towelhead', 'tranny', 'wetback'
+      ],
+      es: ['maricón', 'negrata', 'sudaca', 'tortillera'],
+      fr: ['bougnoule', 'négro', 'nègre', 'pédé', 'youpin'],
+      de: ['kanake', 'neger', 'schwuchtel', 'zigeuner']
+    },
+    roots: {},
+    definitionPatterns: [
+      /\(ethnic slur\)/i,
+      /\(racial slur\)/i,
+      /\(slur\)/i,
+      /\(derogatory\)/i,
+      /\(disparaging\)/i
+    ]
+  },
+  profanity: {
+    label: 'Profanity',
+    description: 'Swear words and vulgar insults',
+    words: {
+      en: [
+        'arsehole', 'asshole', 'bastard', 'bitch', 'bollocks', 'bullshit', 'cunt', 'dickhead',
+        'fuck', 'fucked', 'fucker', 'fucking', 'piss', 'pissed', 'prick', 'shit', 'shithead',
+        'shitty', 'twat', 'wanker'
+      ],
+      es: ['cabrón', 'carajo', 'coño', 'joder', 'mierda', 'pendejo', 'puta'],
+      fr: ['chier', 'connard', 'connasse', 'enculé', 'merde', 'putain', 'salope'],
+      de: ['arschloch', 'fotze', 'hure', 'scheiße', 'scheisse', 'wichser']
+    },
+    roots: {
+      en: ['fuck', 'cunt'],
+      de: ['scheiß']
+    },
+    definitionPatterns: [
+      /\(offensive\)/i,
+      /\(vulgar\)/i,
+      /\(obscene\)/i
+    ]
+  },
+  sexual: {
+    label: 'Sexual content',
+    description: 'Explicit sexual words',
+    words: {
+      en: [
+        'blowjob', 'boob', 'cock', 'dildo', 'erection', 'handjob', 'hooker', 'horny', 'orgasm',
+        'orgies', 'orgy', 'penis', 'porn', 'porno', 'pussy', 'rape', 'raped', 'rapist', 'semen',
+        'slut', 'stripper', 'tits', 'titty', 'vagina', 'whore'
+      ],
+      es: ['follar', 'polla', 'tetas', 'violar'],
+      fr: ['bite', 'branlette', 'niquer', 'partouze', 'violer'],
+      de: ['ficken', 'nutte', 'titten', 'vögeln']
+    },
+    roots: {
+      en: ['porn', 'dildo']
+    },
+    definitionPatterns: [
+      /\bsexual intercourse\b/i
+    ]
+  }
+};
+
+export default BLOCKLIST;
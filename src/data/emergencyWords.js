@@ -0,0 +1,126 @@
+/**
+ * Emergency word list for Hurdle
+ * Small lists of common words for each supported length that keep the game
+ * playable when no other word source can supply a target
+ */
+
+export const EMERGENCY_WORDS = [
+  'about', 'above', 'abuse', 'actor', 'acute', 'admit', 'adopt', 'adult', 'after', 'again',
+  'agent', 'agree', 'ahead', 'alarm', 'album', 'alert', 'alien', 'align', 'alike', 'alive',
+  'allow', 'alone', 'along', 'alter', 'among', 'anger', 'angle', 'angry', 'apart', 'apple',
+  'apply', 'arena', 'argue', 'arise', 'array', 'aside', 'asset', 'avoid', 'awake', 'award',
+  'aware', 'badly', 'baker', 'bases', 'basic', 'beach', 'began', 'begin', 'being', 'below',
+  'bench', 'billy', 'birth', 'black', 'blame', 'blind', 'block', 'blood', 'board', 'boost',
+  'booth', 'bound', 'brain', 'brand', 'bread', 'break', 'breed', 'brief', 'bring', 'broad',
+  'broke', 'brown', 'build', 'built', 'buyer', 'cable', 'calif', 'carry', 'catch', 'cause',
+  'chain', 'chair', 'chaos', 'charm', 'chart', 'chase', 'cheap', 'check', 'chest', 'chief',
+  'child', 'china', 'chose', 'civil', 'claim', 'class', 'clean', 'clear', 'click', 'climb',
+  'clock', 'close', 'cloud', 'coach', 'coast', 'could', 'count', 'court', 'cover', 'craft',
+  'crash', 'crazy', 'cream', 'crime', 'cross', 'crowd', 'crown', 'crude', 'curve', 'cycle',
+  'daily', 'dance', 'dated', 'dealt', 'death', 'debut', 'delay', 'depth', 'doing', 'doubt',
+  'dozen', 'draft', 'drama', 'drank', 'dream', 'dress', 'drill', 'drink', 'drive', 'drove',
+  'dying', 'eager', 'early', 'earth', 'eight', 'elite', 'empty', 'enemy', 'enjoy', 'enter',
+  'entry', 'equal', 'error', 'event', 'every', 'exact', 'exist', 'extra', 'faith', 'false',
+  'fault', 'fiber', 'field', 'fifth', 'fifty', 'fight', 'final', 'first', 'fixed', 'flash',
+  'fleet', 'floor', 'fluid', 'focus', 'force', 'forth', 'forty', 'forum', 'found', 'frame',
+  'frank', 'fraud', 'fresh', 'front', 'fruit', 'fully', 'funny', 'giant', 'given', 'glass',
+  'globe', 'going', 'grace', 'grade', 'grand', 'grant', 'grass', 'grave', 'great', 'green',
+  'gross', 'group', 'grown', 'guard', 'guess', 'guest', 'guide', 'happy', 'harry', 'heart',
+  'heavy', 'hence', 'henry', 'horse', 'hotel', 'house', 'human', 'ideal', 'image', 'index',
+  'inner', 'input', 'issue', 'japan', 'jimmy', 'joint', 'jones', 'judge', 'known', 'label',
+  'large', 'laser', 'later', 'laugh', 'layer', 'learn', 'lease', 'least', 'leave', 'legal',
+  'level', 'lewis', 'light', 'limit', 'links', 'lives', 'local', 'loose', 'lower', 'lucky',
+  'lunch', 'lying', 'magic', 'major', 'maker', 'march', 'maria', 'match', 'maybe', 'mayor',
+  'meant', 'media', 'metal', 'might', 'minor', 'minus', 'mixed', 'model', 'money', 'month',
+  'moral', 'motor', 'mount', 'mouse', 'mouth', 'moved', 'movie', 'music', 'needs', 'never',
+  'newly', 'night', 'noise', 'north', 'noted', 'novel', 'nurse', 'occur', 'ocean', 'offer',
+  'often', 'order', 'other', 'ought', 'paint', 'panel', 'paper', 'party', 'peace', 'peter',
+  'phase', 'phone', 'photo', 'piano', 'piece', 'pilot', 'pitch', 'place', 'plain', 'plane',
+  'plant', 'plate', 'point', 'pound', 'power', 'press', 'price', 'pride', 'prime', 'print',
+  'prior', 'prize', 'proof', 'proud', 'prove', 'queen', 'quick', 'quiet', 'quite', 'radio',
+  'raise', 'range', 'rapid', 'ratio', 'reach', 'ready', 'realm', 'rebel', 'refer', 'relax',
+  'repay', 'reply', 'right', 'rigid', 'rival', 'river', 'robin', 'roger', 'roman', 'rough',
+  'round', 'route', 'royal', 'rural', 'scale', 'scene', 'scope', 'score', 'sense', 'serve',
+  'seven', 'shall', 'shape', 'share', 'sharp', 'sheet', 'shelf', 'shell', 'shift', 'shine',
+  'shirt', 'shock', 'shoot', 'short', 'shown', 'sides', 'sight', 'silly', 'since', 'sixth',
+  'sixty', 'sized', 'skill', 'sleep', 'slide', 'small', 'smart', 'smile', 'smith', 'smoke',
+  'snake', 'snow', 'solid', 'solve', 'sorry', 'sound', 'south', 'space', 'spare', 'speak',
+  'speed', 'spend', 'spent', 'split', 'spoke', 'sport', 'staff', 'stage', 'stake', 'stand',
+  'start', 'state', 'steam', 'steel', 'steep', 'steer', 'stern', 'stick', 'still', 'stock',
+  'stone', 'stood', 'store', 'storm', 'story', 'strip', 'stuck', 'study', 'stuff', 'style',
+  'sugar', 'suite', 'super', 'sweet', 'swift', 'swing', 'swiss', 'table', 'taken', 'taste',
+  'taxes', 'teach', 'teams', 'teeth', 'terry', 'texas', 'thank', 'theft', 'their', 'theme',
+  'there', 'these', 'thick', 'thing', 'think', 'third', 'those', 'three', 'threw', 'throw',
+  'thumb', 'tight', 'timer', 'tired', 'title', 'today', 'topic', 'total', 'touch', 'tough',
+  'tower', 'track', 'trade', 'train', 'treat', 'trend', 'trial', 'tribe', 'trick', 'tried',
+  'tries', 'truck', 'truly', 'trunk', 'trust', 'truth', 'twice', 'under', 'undue', 'union',
+  'unity', 'until', 'upper', 'upset', 'urban', 'usage', 'usual', 'valid', 'value', 'video',
+  'virus', 'visit', 'vital', 'vocal', 'voice', 'waste', 'watch', 'water', 'wheel', 'where',
+  'which', 'while', 'white', 'whole', 'whose', 'woman', 'women', 'world', 'worry', 'worse',
+  'worst', 'worth', 'would', 'write', 'wrong', 'wrote', 'young', 'youth',
+
+  // 4 letters
+  'able', 'back', 'ball', 'band', 'bank', 'bird', 'boat', 'book', 'cake', 'card',
+  'city', 'door', 'face', 'farm', 'fish', 'game', 'gift', 'hand', 'home', 'lake',
+  'lamp', 'milk', 'moon', 'name', 'park', 'rain', 'road', 'rock', 'ship', 'song',
+  'star', 'time', 'tree', 'wind', 'word', 'year',
+
+  // 6 letters
+  'animal', 'answer', 'autumn', 'bridge', 'butter', 'castle', 'circle', 'coffee',
+  'doctor', 'dragon', 'family', 'flower', 'forest', 'friend', 'garden', 'guitar',
+  'island', 'letter', 'market', 'minute', 'number', 'orange', 'people', 'pocket',
+  'rabbit', 'reason', 'school', 'silver', 'summer', 'window', 'winter', 'yellow',
+
+  // 7 letters
+  'account', 'balance', 'brother', 'cabinet', 'captain', 'chicken', 'company', 'country',
+  'current', 'diamond', 'example', 'freedom', 'general', 'history', 'journey', 'kitchen',
+  'library', 'machine', 'morning', 'natural', 'picture', 'problem', 'science', 'weather',
+
+  // 8 letters
+  'absolute', 'birthday', 'building', 'business', 'children', 'computer', 'daughter', 'elephant',
+  'evidence', 'exercise', 'festival', 'hospital', 'language', 'mountain', 'painting', 'question',
+  'sandwich', 'shoulder', 'standard', 'strength', 'together', 'treasure', 'umbrella', 'vacation'
+];
+
+// Emergency words for each language pack, keyed by language code (see languages/languagePacks.js)
+export const EMERGENCY_WORDS_BY_LANGUAGE = {
+  en: EMERGENCY_WORDS,
+  es: [
+    // 4 letters
+    'casa', 'vida', 'hora', 'agua', 'mesa', 'luna', 'gato', 'flor', 'mano', 'tren',
+    // 5 letters
+    'mundo', 'noche', 'padre', 'lugar', 'amigo', 'libro', 'playa', 'campo', 'fuego', 'huevo',
+    // 6 letters
+    'tiempo', 'hombre', 'nombre', 'ciudad', 'camino', 'puerta', 'dinero', 'verano', 'cuerpo', 'madera',
+    // 7 letters
+    'trabajo', 'familia', 'momento', 'hermano', 'persona', 'ventana', 'escuela', 'palabra', 'caballo', 'pescado',
+    // 8 letters
+    'historia', 'problema', 'hospital', 'pregunta', 'realidad', 'profesor', 'noticias', 'invierno', 'desayuno', 'elefante'
+  ],
+  fr: [
+    // 4 letters
+    'jour', 'pays', 'mois', 'chat', 'lait', 'pain', 'nuit', 'main', 'idée', 'lune',
+    // 5 letters
+    'monde', 'temps', 'place', 'point', 'ville', 'table', 'livre', 'fleur', 'plage', 'route',
+    // 6 letters
+    'marché', 'groupe', 'niveau', 'maison', 'enfant', 'soleil', 'voyage', 'jardin', 'cheval', 'chemin',
+    // 7 letters
+    'travail', 'exemple', 'société', 'semaine', 'famille', 'voiture', 'journal', 'musique', 'cuisine', 'concert',
+    // 8 letters
+    'question', 'personne', 'sécurité', 'histoire', 'chanteur', 'montagne', 'vacances', 'dimanche', 'quartier', 'principe'
+  ],
+  de: [
+    // 4 letters
+    'zeit', 'mann', 'haus', 'hand', 'name', 'auto', 'baum', 'buch', 'wald', 'kind',
+    // 5 letters
+    'leben', 'vater', 'stadt', 'leute', 'musik', 'nacht', 'wagen', 'brief', 'blume', 'tisch',
+    // 6 letters
+    'mutter', 'freund', 'schule', 'garten', 'sommer', 'wasser', 'straße', 'himmel', 'stunde', 'zimmer',
+    // 7 letters
+    'familie', 'mädchen', 'fenster', 'polizei', 'minuten', 'gesicht', 'konzert', 'schloss', 'sonntag', 'zeitung',
+    // 8 letters
+    'menschen', 'freundin', 'wahrheit', 'geschenk', 'computer', 'nachbarn', 'frühling', 'schatten', 'flugzeug', 'pflanzen'
+  ]
+};
+
+export default EMERGENCY_WORDS;
@@ -0,0 +1,99 @@
+/**
+ * CircuitBreaker module for Hurdle
+ * Stops requests to a service that keeps failing, so the game stops waiting on
+ * it and plays from the bundled word list instead
+ */
+
+import { HTTP_CLIENT_CONFIG } from '../config.js';
+
+/**
+ * CircuitBreaker class
+ * 'closed' lets every request through. Enough failures in a row open the
+ * circuit; once the reset timeout has passed it is 'half-open' and requests are
+ * let through again - one success closes it, one failure opens it again.
+ */
+class CircuitBreaker {
+  /**
+   * Create a CircuitBreaker instance
+   * @param {Object} [options] - Breaker options
+   * @param {number} [options.failureThreshold] - Failures in a row that open the circuit
+   *   (default: HTTP_CLIENT_CONFIG.CIRCUIT_FAILURE_THRESHOLD)
+   * @param {number} [options.resetTimeoutMs] - How long the circuit stays open
+   *   (default: HTTP_CLIENT_CONFIG.CIRCUIT_RESET_MS)
+   * @param {Function} [options.now] - Clock returning milliseconds (default: Date.now)
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || HTTP_CLIENT_CONFIG.CIRCUIT_FAILURE_THRESHOLD;
+    this.resetTimeoutMs = options.resetTimeoutMs !== undefined ? options.resetTimeoutMs : HTTP_CLIENT_CONFIG.CIRCUIT_RESET_MS;
+    this.now = options.now || Date.now;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Get the state of the circuit
+   * @returns {'closed'|'open'|'half-open'} The current state
+   */
+  getState() {
+    if (this.openedAt === null) {
+      return 'closed';
+    }
+    return this.now() - this.openedAt >= this.resetTimeoutMs ? 'half-open' : 'open';
+  }
+
+  /**
+   * Check if the circuit is open
+   * @returns {boolean} True if requests should not be made
+   */
+  isOpen() {
+    return this.getState() === 'open';
+  }
+
+  /**
+   * Get the number of failures in a row
+   * @returns {number} Consecutive failures
+   */
+  getFailureCount() {
+    return this.failures;
+  }
+
+  /**
+   * Record a request that reached the service
+   */
+  recordSuccess() {
+    if (this.openedAt !== null) {
+      console.log('Circuit closed - the service is answering again');
+    }
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Record a request that failed, opening the circuit when the threshold is reached
+   */
+  recordFailure() {
+    this.failures++;
+
+    const halfOpen = this.getState() === 'half-open';
+    if (halfOpen || (this.openedAt === null && this.failures >= this.failureThreshold)) {
+      this.openedAt = this.now();
+      console.warn(`Circuit opened after ${this.failures} failed requests in a row - pausing requests for ${Math.round(this.resetTimeoutMs / 1000)}s`);
+    }
+  }
+
+  /**
+   * Close the circuit and forget past failures
+   */
+  reset() {
+    this.failures = 0;
+    this.openedAt = null;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CircuitBreaker;
+}
+
+// ES6 export for modern bundlers
+export default CircuitBreaker;
@@ -0,0 +1,186 @@
+/**
+ * HttpClient module for Hurdle
+ * The GET client word sources make WordsAPI and word service requests with:
+ * retries with exponential backoff and jitter, Retry-After support, and a
+ * circuit breaker shared by every source using the client
+ */
+
+import CircuitBreaker from './CircuitBreaker.js';
+import { HTTP_CLIENT_CONFIG } from '../config.js';
+
+let sharedHttpClient = null;
+
+/**
+ * HttpClient class
+ * Responses with a status outside retryStatuses (including 404s and other
+ * client errors) are returned to the caller. Network errors and retryable
+ * statuses are retried; when the retries run out, or the circuit is open, the
+ * request rejects with an Error carrying `status` (the last HTTP status, or
+ * null for network errors) so callers can tell "couldn't ask" from "no".
+ */
+class HttpClient {
+  /**
+   * Create an HttpClient instance
+   * @param {Object} [options] - Client options
+   * @param {Function} [options.fetch] - fetch implementation (default: the global fetch at request time)
+   * @param {number} [options.maxRetries] - Retries after the first attempt (default: HTTP_CLIENT_CONFIG.MAX_RETRIES)
+   * @param {number} [options.baseDelayMs] - First backoff ceiling (default: HTTP_CLIENT_CONFIG.BASE_DELAY_MS)
+   * @param {number} [options.maxDelayMs] - Largest backoff ceiling (default: HTTP_CLIENT_CONFIG.MAX_DELAY_MS)
+   * @param {number} [options.maxRetryAfterMs] - Longest Retry-After honored; longer waits give up
+   *   (default: HTTP_CLIENT_CONFIG.MAX_RETRY_AFTER_MS)
+   * @param {number[]} [options.retryStatuses] - HTTP statuses worth retrying (default: HTTP_CLIENT_CONFIG.RETRY_STATUSES)
+   * @param {CircuitBreaker} [options.circuitBreaker] - Breaker for the service (default: a new one)
+   * @param {Function} [options.sleep] - ms => Promise, used to wait between attempts
+   * @param {Function} [options.random] - Jitter source returning [0, 1) (default: Math.random)
+   */
+  constructor(options = {}) {
+    this.fetch = options.fetch || null;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : HTTP_CLIENT_CONFIG.MAX_RETRIES;
+    this.baseDelayMs = options.baseDelayMs !== undefined ? options.baseDelayMs : HTTP_CLIENT_CONFIG.BASE_DELAY_MS;
+    this.maxDelayMs = options.maxDelayMs !== undefined ? options.maxDelayMs : HTTP_CLIENT_CONFIG.MAX_DELAY_MS;
+    this.maxRetryAfterMs = options.maxRetryAfterMs !== undefined ? options.maxRetryAfterMs : HTTP_CLIENT_CONFIG.MAX_RETRY_AFTER_MS;
+    this.retryStatuses = options.retryStatuses || HTTP_CLIENT_CONFIG.RETRY_STATUSES;
+    this.circuitBreaker = options.circuitBreaker || new CircuitBreaker();
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.random = options.random || Math.random;
+  }
+
+  /**
+   * Get the client shared by every networked word source
+   * One client means one circuit breaker for the word service, however many
+   * sources and lookups are using it
+   * @returns {HttpClient} The shared client
+   */
+  static getShared() {
+    if (!sharedHttpClient) {
+      sharedHttpClient = new HttpClient();
+    }
+    return sharedHttpClient;
+  }
+
+  /**
+   * Get the circuit breaker guarding this client's service
+   * @returns {CircuitBreaker} The circuit breaker
+   */
+  getCircuitBreaker() {
+    return this.circuitBreaker;
+  }
+
+  /**
+   * Check if the circuit breaker is stopping requests
+   * @returns {boolean} True if requests are currently refused
+   */
+  isCircuitOpen() {
+    return this.circuitBreaker.isOpen();
+  }
+
+  /**
+   * Make a GET request, retrying transient failures
+   * @param {string} url - The URL to request
+   * @param {Object} [options] - Request options
+   * @param {Object} [options.headers] - Request headers
+   * @param {Function} [options.onResponse] - Called with every response, including retried ones
+   *   (e.g. to count metered requests)
+   * @returns {Promise<Response>} The first response that isn't worth retrying
+   */
+  async get(url, options = {}) {
+    const fetchImpl = this.fetch || (typeof fetch !== 'undefined' ? fetch : null);
+    if (!fetchImpl) {
+      throw new Error('fetch is not available in this environment');
+    }
+
+    if (this.circuitBreaker.isOpen()) {
+      throw this._createError(`Skipped request to ${url} - the service failed ${this.circuitBreaker.getFailureCount()} times in a row`, null);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      let failure;
+
+      try {
+        response = await fetchImpl(url, { method: 'GET', headers: options.headers || {} });
+        if (typeof options.onResponse === 'function') {
+          options.onResponse(response);
+        }
+        if (!this.retryStatuses.includes(response.status)) {
+          this.circuitBreaker.recordSuccess();
+          return response;
+        }
+        failure = `HTTP ${response.status}`;
+      } catch (error) {
+        failure = error.message;
+      }
+
+      const delay = attempt < this.maxRetries ? this._getRetryDelay(attempt, response) : null;
+      if (delay === null) {
+        this.circuitBreaker.recordFailure();
+        throw this._createError(`Request to ${url} failed after ${attempt + 1} attempt${attempt === 0 ? '' : 's'}: ${failure}`, response);
+      }
+
+      console.warn(`Request to ${url} failed (${failure}), retrying in ${delay}ms (attempt ${attempt + 2}/${this.maxRetries + 1})`);
+      await this.sleep(delay);
+    }
+  }
+
+  /**
+   * Work out how long to wait before the next attempt
+   * Retry-After wins when the server sends it; otherwise the wait is a random
+   * delay up to an exponentially growing ceiling ("full jitter")
+   * @param {number} attempt - Zero-based number of the attempt that failed
+   * @param {Response|null} response - The failed response, or null for network errors
+   * @returns {number|null} Milliseconds to wait, or null if the server asked for too long a wait
+   * @private
+   */
+  _getRetryDelay(attempt, response) {
+    const retryAfter = this._parseRetryAfter(response);
+    if (retryAfter !== null) {
+      return retryAfter <= this.maxRetryAfterMs ? retryAfter : null;
+    }
+
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return Math.round(this.random() * ceiling);
+  }
+
+  /**
+   * Read a Retry-After header given in seconds or as an HTTP date
+   * @param {Response|null} response - The failed response
+   * @returns {number|null} Milliseconds to wait, or null if there is no usable header
+   * @private
+   */
+  _parseRetryAfter(response) {
+    const value = response && response.headers && typeof response.headers.get === 'function'
+      ? response.headers.get('Retry-After')
+      : null;
+    if (!value) {
+      return null;
+    }
+
+    if (/^\d+$/.test(value.trim())) {
+      return Number(value.trim()) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Create the error a request rejects with
+   * @param {string} message - Error message
+   * @param {Response|null} response - The last response, if any
+   * @returns {Error} Error with `status` set to the response status or null
+   * @private
+   */
+  _createError(message, response) {
+    const error = new Error(message);
+    error.status = response ? response.status : null;
+    return error;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HttpClient;
+}
+
+// ES6 export for modern bundlers
+export default HttpClient;
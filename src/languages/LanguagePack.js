@@ -0,0 +1,163 @@
+/**
+ * LanguagePack module for Hurdle
+ * Describes everything the game needs to play in one language: its alphabet,
+ * on-screen keyboard, accent folding and emergency words
+ */
+
+// Longest row the on-screen keyboard shows before wrapping accent keys
+const MAX_KEYS_PER_ROW = 10;
+
+// 'ß'.toUpperCase() is 'SS'; one tile per letter needs the capital sharp s
+const UPPERCASE_EXCEPTIONS = { 'ß': 'ẞ' };
+
+/**
+ * LanguagePack class
+ * Words are compared in lowercase NFC, so every letter is a single character
+ * and word.length counts letters for all supported languages
+ */
+class LanguagePack {
+  /**
+   * Create a LanguagePack instance
+   * @param {Object} options - Pack definition
+   * @param {string} options.code - Language code, also the word list file prefix (e.g. 'es' for es-5.json)
+   * @param {string} options.name - Display name in the language itself
+   * @param {string} options.letters - Every lowercase letter of the alphabet, accented letters included
+   * @param {Object<string, string>} [options.accentFolding] - Accented letter to base letter, for the 'fold' mode
+   * @param {string[][]} options.keyboard - Uppercase key rows including ENTER and BACKSPACE
+   * @param {string[]} options.emergencyWords - Common words of every supported length
+   * @param {boolean} [options.definitions] - Whether the definition service covers this language
+   */
+  constructor(options) {
+    const { code, name, letters, accentFolding = {}, keyboard, emergencyWords, definitions = false } = options || {};
+
+    if (!code || !name || !letters || !Array.isArray(keyboard) || !Array.isArray(emergencyWords)) {
+      throw new Error('LanguagePack requires code, name, letters, keyboard and emergencyWords');
+    }
+
+    this.code = code;
+    this.name = name;
+    this.letters = new Set(Array.from(letters));
+    this.accentFolding = { ...accentFolding };
+    this.keyboard = keyboard;
+    this.emergencyWords = emergencyWords;
+    this.definitions = Boolean(definitions);
+  }
+
+  /**
+   * Check if the pack has letters that can be folded
+   * @returns {boolean} True if the accent mode makes a difference
+   */
+  hasAccents() {
+    return Object.keys(this.accentFolding).length > 0;
+  }
+
+  /**
+   * Check if a single lowercase character is a letter of this language
+   * @param {string} letter - The character to check
+   * @returns {boolean} True if the letter is in the alphabet
+   */
+  isLetter(letter) {
+    return this.letters.has(letter);
+  }
+
+  /**
+   * Get every letter of the alphabet
+   * @returns {string[]} Lowercase letters, accented letters included
+   */
+  getLetters() {
+    return Array.from(this.letters);
+  }
+
+  /**
+   * Check if a word is made only of this language's letters
+   * @param {string} word - The word to check
+   * @param {number|null} [wordLength] - Required number of letters
+   * @returns {boolean} True if every character is a letter (and the length matches)
+   */
+  isWord(word, wordLength = null) {
+    if (typeof word !== 'string' || word.length === 0) {
+      return false;
+    }
+
+    const letters = Array.from(word.normalize('NFC').toLowerCase());
+    return (wordLength === null || letters.length === wordLength) && letters.every(letter => this.isLetter(letter));
+  }
+
+  /**
+   * Normalize a letter for comparison
+   * @param {string} letter - Lowercase letter
+   * @param {string} accentMode - 'distinct' or 'fold'
+   * @returns {string} The letter, or its base letter when folding
+   */
+  normalizeLetter(letter, accentMode) {
+    if (accentMode === 'fold' && letter in this.accentFolding) {
+      return this.accentFolding[letter];
+    }
+    return letter;
+  }
+
+  /**
+   * Normalize a word for comparison and lookups
+   * @param {string} word - The word to normalize
+   * @param {string} accentMode - 'distinct' or 'fold'
+   * @returns {string} Lowercase NFC word, folded when the accent mode is 'fold'
+   */
+  normalizeWord(word, accentMode) {
+    const lowercase = String(word).normalize('NFC').toLowerCase();
+    if (accentMode !== 'fold' || !this.hasAccents()) {
+      return lowercase;
+    }
+    return Array.from(lowercase).map(letter => this.normalizeLetter(letter, accentMode)).join('');
+  }
+
+  /**
+   * Uppercase text for tiles and keys, one character per letter
+   * @param {string} text - Lowercase text
+   * @returns {string} Uppercase text
+   */
+  toUpperCase(text) {
+    return Array.from(String(text)).map(letter => UPPERCASE_EXCEPTIONS[letter] || letter.toUpperCase()).join('');
+  }
+
+  /**
+   * Get the on-screen keyboard for an accent mode
+   * Folded letters are left off; in 'distinct' mode accented letters missing
+   * from the base layout get rows of their own above ENTER
+   * @param {string} accentMode - 'distinct' or 'fold'
+   * @returns {string[][]} Rows of uppercase keys
+   */
+  getKeyboardLayout(accentMode) {
+    const folded = new Set(Object.keys(this.accentFolding).map(letter => this.toUpperCase(letter)));
+
+    if (accentMode === 'fold') {
+      return this.keyboard.map(row => row.filter(key => !folded.has(key)));
+    }
+
+    const onKeyboard = new Set(this.keyboard.flat());
+    const accentKeys = Array.from(folded).filter(key => !onKeyboard.has(key));
+    const accentRows = [];
+    for (let i = 0; i < accentKeys.length; i += MAX_KEYS_PER_ROW) {
+      accentRows.push(accentKeys.slice(i, i + MAX_KEYS_PER_ROW));
+    }
+
+    const lastRow = this.keyboard.length - 1;
+    return [...this.keyboard.slice(0, lastRow), ...accentRows, this.keyboard[lastRow]];
+  }
+
+  /**
+   * Get emergency words of one length
+   * @param {number} wordLength - Number of letters
+   * @returns {string[]} Lowercase words
+   */
+  getEmergencyWords(wordLength) {
+    return this.emergencyWords.filter(word => word.length === wordLength);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LanguagePack;
+}
+
+// ES6 export for modern bundlers
+export default LanguagePack;
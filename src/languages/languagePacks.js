@@ -0,0 +1,96 @@
+/**
+ * Language packs for Hurdle
+ * Each pack pairs the bundled word lists for its code (data/wordlists/<code>-<length>.json)
+ * with an alphabet, keyboard layout and accent folding rules
+ */
+
+import LanguagePack from './LanguagePack.js';
+import { EMERGENCY_WORDS_BY_LANGUAGE } from '../data/emergencyWords.js';
+import { LANGUAGE_CONFIG } from '../config.js';
+
+const ENTER = 'ENTER';
+const BACKSPACE = 'BACKSPACE';
+
+export const LANGUAGE_PACKS = {
+  en: new LanguagePack({
+    code: 'en',
+    name: 'English',
+    letters: 'abcdefghijklmnopqrstuvwxyz',
+    keyboard: [
+      ['Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'],
+      ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L'],
+      [ENTER, 'Z', 'X', 'C', 'V', 'B', 'N', 'M', BACKSPACE]
+    ],
+    emergencyWords: EMERGENCY_WORDS_BY_LANGUAGE.en,
+    definitions: true
+  }),
+
+  // Ñ is a letter of its own and never folds
+  es: new LanguagePack({
+    code: 'es',
+    name: 'Español',
+    letters: 'abcdefghijklmnñopqrstuvwxyzáéíóúü',
+    accentFolding: { 'á': 'a', 'é': 'e', 'í': 'i', 'ó': 'o', 'ú': 'u', 'ü': 'u' },
+    keyboard: [
+      ['Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'],
+      ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L', 'Ñ'],
+      [ENTER, 'Z', 'X', 'C', 'V', 'B', 'N', 'M', BACKSPACE]
+    ],
+    emergencyWords: EMERGENCY_WORDS_BY_LANGUAGE.es
+  }),
+
+  fr: new LanguagePack({
+    code: 'fr',
+    name: 'Français',
+    letters: 'abcdefghijklmnopqrstuvwxyzàâçéèêëîïôùûüÿ',
+    accentFolding: {
+      'à': 'a', 'â': 'a', 'ç': 'c', 'é': 'e', 'è': 'e', 'ê': 'e', 'ë': 'e',
+      'î': 'i', 'ï': 'i', 'ô': 'o', 'ù': 'u', 'û': 'u', 'ü': 'u', 'ÿ': 'y'
+    },
+    keyboard: [
+      ['A', 'Z', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'],
+      ['Q', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L', 'M'],
+      [ENTER, 'W', 'X', 'C', 'V', 'B', 'N', BACKSPACE]
+    ],
+    emergencyWords: EMERGENCY_WORDS_BY_LANGUAGE.fr
+  }),
+
+  // ß has no single-letter base form and never folds
+  de: new LanguagePack({
+    code: 'de',
+    name: 'Deutsch',
+    letters: 'abcdefghijklmnopqrstuvwxyzäöüß',
+    accentFolding: { 'ä': 'a', 'ö': 'o', 'ü': 'u' },
+    keyboard: [
+      ['Q', 'W', 'E', 'R', 'T', 'Z', 'U', 'I', 'O', 'P', 'Ü'],
+      ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L', 'Ö', 'Ä'],
+      [ENTER, 'Y', 'X', 'C', 'V', 'B', 'N', 'M', 'ẞ', BACKSPACE]
+    ],
+    emergencyWords: EMERGENCY_WORDS_BY_LANGUAGE.de
+  })
+};
+
+export const LANGUAGE_CODES = Object.keys(LANGUAGE_PACKS);
+
+/**
+ * Check if a language pack exists
+ * @param {string} code - Language code
+ * @returns {boolean} True if there is a pack for the code
+ */
+export function isSupportedLanguage(code) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGE_PACKS, code);
+}
+
+/**
+ * Get a language pack by code
+ * @param {string} [code] - Language code (default: LANGUAGE_CONFIG.DEFAULT)
+ * @returns {LanguagePack} The language pack
+ */
+export function getLanguagePack(code = LANGUAGE_CONFIG.DEFAULT) {
+  if (!isSupportedLanguage(code)) {
+    throw new Error(`Unknown language "${code}". Expected one of: ${LANGUAGE_CODES.join(', ')}`);
+  }
+  return LANGUAGE_PACKS[code];
+}
+
+export default getLanguagePack;
@@ -6,10 +6,11 @@ import vuetify from './plugins/vuetify';
 // Import game modules using ES6 imports for better compatibility
 import Dictionary from './Dictionary.js';
 import GameController from './GameController.js';
+import SolverClient from './SolverClient.js';
 
 /**
  * Initialize the Hurdle application
- * Sets up the game using WordsAPI for all word operations
+ * Sets up the game with the configured word source, falling back to the bundled word list when offline
  */
 async function initializeApp() {
   try {
@@ -27,31 +28,41 @@ async function initializeApp() {
     console.log(`Running in ${isProduction ? 'PRODUCTION' : 'DEVELOPMENT'} mode`);
     console.log(`Test environment: ${isTestEnvironment}`);
     
-    console.log('Using WordsAPI for all word operations (no local dictionary files)');
-    
-    // Initialize Dictionary instance without word list - uses WordsAPI exclusively
-    console.log('Creating Dictionary instance (WordsAPI mode)...');
+    // Initialize Dictionary instance without word list - uses the configured word source
+    console.log('Creating Dictionary instance...');
     const dictionary = new Dictionary();
     
-    // Test WordsAPI connectivity
-    console.log('Testing WordsAPI connectivity...');
-    const testWord = 'house';
-    const isConnected = await dictionary.isValidWord(testWord);
-    console.log(`WordsAPI connectivity test: ${isConnected ? 'SUCCESS' : 'FAILED'}`);
-    
-    if (!isConnected && !isTestEnvironment) {
-      throw new Error('WordsAPI is not accessible. Please check your internet connection.');
+    // Test word source connectivity
+    if (!dictionary.isOffline()) {
+      console.log(`Testing ${dictionary.getSource().getName()} connectivity...`);
+      const testWord = 'house';
+      const isConnected = await dictionary.isValidWord(testWord);
+      console.log(`Word source connectivity test: ${isConnected ? 'SUCCESS' : 'FAILED'}`);
+      
+      // Play offline with the bundled word list rather than refusing to start
+      if (!isConnected && !dictionary.switchToOfflineSource()) {
+        throw new Error('The word service is not accessible. Please check your internet connection.');
+      }
     }
+    console.log(`Using ${dictionary.isOffline() ? 'offline' : 'online'} word source: ${dictionary.getSource().getName()}`);
     
     // Initialize GameController with Dictionary - used by HurdleController
     console.log('Creating GameController instance...');
     const gameController = new GameController(dictionary);
     
+    // Solver runs in a worker so analysing a game doesn't freeze the board
+    const solverClient = new SolverClient({
+      createWorker: typeof Worker !== 'undefined'
+        ? () => new Worker(new URL('./solver.worker.js', import.meta.url))
+        : null
+    });
+    
     // Create and mount Vue app with hurdle components
     console.log('Creating Vue app...');
     const app = createApp(App, {
       gameController,
-      dictionary
+      dictionary,
+      solverClient
     });
     
     console.log('Adding Vuetify plugin...');
@@ -74,7 +85,7 @@ async function initializeApp() {
           <h2 style="color: #d32f2f; margin-bottom: 15px;">Failed to Start Game</h2>
           <p style="margin-bottom: 10px;">Error: ${error.message}</p>
           <p style="font-size: 0.9rem; color: #818384; margin-bottom: 15px;">
-            This game requires an internet connection to access the WordsAPI service.
+            The word service could not be reached and no offline word list is available.
           </p>
           <button onclick="window.location.reload()" style="
             background-color: #538d4e; 
@@ -0,0 +1,59 @@
+/**
+ * Seeded random numbers for Hurdle
+ * Daily Hurdles and challenge codes need every player to get the same targets
+ * from the same seed, which Math.random can't do.
+ */
+
+/**
+ * Hash a string to a 32-bit seed (FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * The same seed gives the same numbers on every device
+ * @param {number|string} seed - 32-bit seed, or text to hash into one
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = (typeof seed === 'string' ? hashString(seed) : seed) >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a word with a seeded draw, skipping words already used
+ * Used words are only skipped while unused ones are left, and the words must be
+ * in the same order for every player (e.g. sorted)
+ * @param {string[]} words - Candidates
+ * @param {string[]} used - Words picked before, most recent last
+ * @param {string} seed - Seed for this pick
+ * @returns {string} The picked word
+ */
+export function pickSeededWord(words, used, seed) {
+  const random = createRandom(seed);
+  const skip = new Set(used.length >= words.length ? used.slice(-1) : used);
+  let index = Math.floor(random() * words.length);
+
+  // Step through the list from the drawn position to the first unused word
+  while (skip.has(words[index]) && skip.size < words.length) {
+    index = (index + 1) % words.length;
+  }
+  return words[index];
+}
+
+export default createRandom;
@@ -0,0 +1,17 @@
+/**
+ * Solver worker for Hurdle
+ * Runs Solver off the main thread so ranking guesses doesn't stall the page.
+ * Messages are {id, request} with a Solver.run() request; replies are {id, result}
+ * or {id, error}. See SolverClient for the page side.
+ */
+
+import Solver from './Solver.js';
+
+self.onmessage = (event) => {
+  const { id, request } = event.data;
+  try {
+    self.postMessage({ id, result: Solver.run(request) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,196 @@
+/**
+ * HttpWordSource module for Hurdle
+ * Word provider backed by a self-hosted HTTP word service
+ */
+
+import WordSource from './WordSource.js';
+import HttpClient from '../http/HttpClient.js';
+import { getSharedWordCache } from '../cache/createWordCache.js';
+
+/**
+ * HttpWordSource class
+ * Talks to a word service exposing:
+ *   GET {baseUrl}/validate/:word        -> { valid: boolean, results?: Object[] }
+ *   GET {baseUrl}/random?min=&max=&length= -> { word: string, results?: Object[] }
+ *   GET {baseUrl}/:word/definition      -> { word: string, results: Object[] }
+ * server.js serves these routes at /api/words as a WordsAPI proxy.
+ * Lookups are cached in the word cache, the same as WordsAPIWordSource, and
+ * requests go through the shared HttpClient, which retries transient failures.
+ */
+class HttpWordSource extends WordSource {
+  /**
+   * Create an HttpWordSource instance
+   * @param {Object} options - Source options
+   * @param {string} options.baseUrl - Base URL of the word service (e.g. '/api/words')
+   * @param {Object} [options.headers] - Extra headers sent with every request
+   * @param {WordCache} [options.cache] - Lookup cache (default: the shared word cache)
+   * @param {HttpClient} [options.client] - Client making the requests (default: the shared client)
+   */
+  constructor(options = {}) {
+    super('http');
+
+    if (typeof options.baseUrl !== 'string' || options.baseUrl.length === 0) {
+      throw new Error('HttpWordSource requires a baseUrl');
+    }
+
+    this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    this.headers = options.headers || {};
+    this.cache = options.cache || getSharedWordCache();
+    this.client = options.client || HttpClient.getShared();
+  }
+
+  /**
+   * Whether the word service is currently worth asking
+   * @returns {boolean} False while the client's circuit breaker is open
+   */
+  isAvailable() {
+    return !this.client.isCircuitOpen();
+  }
+
+  /**
+   * Make a GET request to the word service
+   * @param {string} path - Path relative to the base URL
+   * @returns {Promise<Response>} The fetch response (rejects once retries run out)
+   * @private
+   */
+  async _request(path) {
+    return this.client.get(`${this.baseUrl}${path}`, {
+      headers: { Accept: 'application/json', ...this.headers }
+    });
+  }
+
+  /**
+   * Look up a word's definitions, answering from the cache when possible
+   * @param {string} word - The word to look up
+   * @returns {Promise<Object>} {word, status, results, pronunciation} where status is the
+   *   HTTP status (200 found, 404 unknown word)
+   */
+  async lookupWord(word) {
+    const key = word.toLowerCase();
+
+    const cached = await this.cache.get(key);
+    if (cached) {
+      return cached.negative
+        ? { word: key, status: 404, results: [] }
+        : { word: key, status: 200, results: cached.value.results, pronunciation: cached.value.pronunciation };
+    }
+
+    const response = await this._request(`/${encodeURIComponent(key)}/definition`);
+    if (response.status === 404) {
+      await this.cache.setNegative(key);
+      return { word: key, status: 404, results: [] };
+    }
+    if (!response.ok) {
+      return { word: key, status: response.status, results: [] };
+    }
+
+    const data = await response.json();
+    const entry = { results: Array.isArray(data.results) ? data.results : [], pronunciation: data.pronunciation };
+    await this.cache.set(key, entry);
+    return { word: key, status: 200, ...entry };
+  }
+
+  /**
+   * Check if a word is valid according to the word service
+   * @param {string} word - The word to validate
+   * @returns {Promise<boolean>} True if the service accepts the word; rejects if it couldn't be asked
+   */
+  async isValidWord(word) {
+    const key = word.toLowerCase();
+
+    const cached = await this.cache.get(key);
+    if (cached) {
+      return !cached.negative;
+    }
+
+    const response = await this._request(`/validate/${encodeURIComponent(key)}`);
+    if (!response.ok) {
+      const error = new Error(`Word service validation failed: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+    if (data.valid !== true) {
+      await this.cache.setNegative(key);
+      return false;
+    }
+
+    // The proxy includes the word's entry, which saves a definition request later
+    if (Array.isArray(data.results)) {
+      await this.cache.set(key, { results: data.results, pronunciation: data.pronunciation });
+    }
+    return true;
+  }
+
+  /**
+   * Ask the word service for a random target in the frequency range
+   * @param {Object} frequencyRange - Frequency range {min, max}
+   * @param {number} wordLength - Number of letters in the word (default: 5)
+   * @returns {Promise<string|null>} A lowercase word, or null if none was returned
+   */
+  async getRandomWord(frequencyRange, wordLength = 5) {
+    try {
+      const response = await this._request(`/random?min=${frequencyRange.min}&max=${frequencyRange.max}&length=${wordLength}`);
+      if (!response.ok) {
+        console.warn(`Word service random word request failed: ${response.status}`);
+        return null;
+      }
+
+      const data = await response.json();
+      if (typeof data.word !== 'string' || data.word.length !== wordLength || !/^[a-zA-Z]+$/.test(data.word)) {
+        return null;
+      }
+
+      const word = data.word.toLowerCase();
+      if (Array.isArray(data.results)) {
+        await this.cache.set(word, { results: data.results, pronunciation: data.pronunciation });
+      }
+      return word;
+    } catch (error) {
+      console.warn('Word service random word request failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Check that the word service has a definition for a word
+   * @param {string} word - The word to check
+   * @returns {Promise<boolean>} True if at least one definition was returned
+   */
+  async hasDefinition(word) {
+    try {
+      const data = await this.lookupWord(word);
+      return data.status === 200 && data.results.some(result =>
+        typeof result.definition === 'string' && result.definition.trim().length > 0
+      );
+    } catch (error) {
+      console.warn(`Could not verify definition for word: ${word}`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Remote word services don't report their size
+   * @returns {number} Representative word count
+   */
+  size() {
+    return 5000;
+  }
+
+  /**
+   * Get lookup cache statistics
+   * @returns {Object} Hit/miss statistics from the word cache
+   */
+  getCacheStats() {
+    return this.cache.getStats();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HttpWordSource;
+}
+
+// ES6 export for modern bundlers
+export default HttpWordSource;
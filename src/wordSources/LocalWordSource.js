@@ -0,0 +1,294 @@
+/**
+ * LocalWordSource module for Hurdle
+ * Word provider backed by the frequency-tagged word lists bundled with the app
+ */
+
+import WordSource from './WordSource.js';
+import { getLanguagePack } from '../languages/languagePacks.js';
+import { WORD_LENGTH_CONFIG, LANGUAGE_CONFIG, isSupportedWordLength } from '../config.js';
+
+// Words rarer than this are accepted as guesses but never chosen as targets.
+// Below ~2.0 Zipf the list is mostly archaic or technical terms ("aahed", "abaca").
+const MIN_TARGET_ZIPF = 2.0;
+
+/**
+ * Load a bundled word list for one language and length
+ * Every list, the default English one included, is split into its own chunk so
+ * the main bundle stays small; a chunk is only downloaded the first time it is needed
+ * @param {string} language - Language code
+ * @param {number} wordLength - Number of letters
+ * @returns {Promise<Object<string, number>>} Map of word to Zipf frequency
+ */
+async function loadBundledWordList(language, wordLength) {
+  const wordList = await import(/* webpackChunkName: "wordlist-[request]" */ `../data/wordlists/${language}-${wordLength}.json`);
+  return wordList.default || wordList;
+}
+
+/**
+ * LocalWordSource class
+ * Serves the bundled word lists so the game works without any network access.
+ * Every word is a valid guess; targets are drawn from words whose Zipf
+ * frequency falls in the requested range, matching the scale WordsAPI uses.
+ * With the 'fold' accent mode lookups ignore accents ("arbol" finds "árbol")
+ * while words are still returned with their accents.
+ */
+class LocalWordSource extends WordSource {
+  /**
+   * Create a LocalWordSource instance
+   * @param {Object<string, number>|null} [frequencies] - Map of word to Zipf frequency
+   *   (0 for words without frequency data). Defaults to the bundled lists for the language.
+   * @param {Object} [options] - Source options
+   * @param {string} [options.language] - Language pack code (default: LANGUAGE_CONFIG.DEFAULT)
+   * @param {string} [options.accentMode] - 'distinct' or 'fold' (default: LANGUAGE_CONFIG.DEFAULT_ACCENT_MODE)
+   */
+  constructor(frequencies = null, options = {}) {
+    super('local');
+
+    if (frequencies !== null && (typeof frequencies !== 'object' || Array.isArray(frequencies))) {
+      throw new Error('LocalWordSource requires a map of words to frequencies');
+    }
+
+    this.language = getLanguagePack(options.language || LANGUAGE_CONFIG.DEFAULT);
+    this.accentMode = options.accentMode || LANGUAGE_CONFIG.DEFAULT_ACCENT_MODE;
+
+    this.lists = new Map(); // word length -> Map(lookup key -> Zipf frequency)
+    this.spellings = new Map(); // lookup key -> word, for keys that fold accents away
+    this.pendingLoads = new Map();
+    this.rangeCache = new Map();
+
+    if (frequencies) {
+      // Caller-supplied words are the whole vocabulary; nothing is loaded later
+      this.loader = null;
+      this._addWords(frequencies);
+    } else {
+      this.loader = wordLength => loadBundledWordList(this.language.code, wordLength);
+      // Start on the default length straight away so the first game rarely waits for it
+      this.loadWordList(WORD_LENGTH_CONFIG.DEFAULT);
+    }
+  }
+
+  /**
+   * Lookup key for a word: lowercase, with accents folded in the 'fold' mode
+   * @param {string} word - The word
+   * @returns {string} Lookup key
+   * @private
+   */
+  _key(word) {
+    return this.language.normalizeWord(word, this.accentMode);
+  }
+
+  /**
+   * Word for a lookup key, with its accents
+   * @param {string} key - Lookup key
+   * @returns {string} The word
+   * @private
+   */
+  _spelling(key) {
+    return this.spellings.get(key) || key;
+  }
+
+  /**
+   * Add words to the per-length lists
+   * @param {Object<string, number>} frequencies - Map of word to Zipf frequency
+   * @private
+   */
+  _addWords(frequencies) {
+    for (const [entry, frequency] of Object.entries(frequencies)) {
+      const word = entry.normalize('NFC').toLowerCase();
+      if (!this.language.isWord(word) || !isSupportedWordLength(word.length)) {
+        continue;
+      }
+
+      if (!this.lists.has(word.length)) {
+        this.lists.set(word.length, new Map());
+      }
+
+      // Words that fold to the same key ("papa", "papá") keep the more common spelling
+      const list = this.lists.get(word.length);
+      const key = this._key(word);
+      if (list.has(key) && list.get(key) >= frequency) {
+        continue;
+      }
+      list.set(key, frequency);
+      if (key !== word) {
+        this.spellings.set(key, word);
+      } else {
+        this.spellings.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Make sure the list for a word length is loaded
+   * @param {number} wordLength - Number of letters
+   * @returns {Promise<boolean>} True if words of this length are available
+   */
+  async loadWordList(wordLength) {
+    if (this.lists.has(wordLength)) {
+      return true;
+    }
+
+    if (!this.loader || !isSupportedWordLength(wordLength)) {
+      return false;
+    }
+
+    if (!this.pendingLoads.has(wordLength)) {
+      const load = this.loader(wordLength)
+        .then(frequencies => {
+          this._addWords(frequencies);
+          console.log(`Loaded bundled ${this.language.code} ${wordLength}-letter word list (${this.getWords(wordLength).length} words)`);
+          return this.lists.has(wordLength);
+        })
+        .catch(error => {
+          console.warn(`Failed to load bundled ${this.language.code} ${wordLength}-letter word list:`, error.message);
+          return false;
+        })
+        .finally(() => {
+          this.pendingLoads.delete(wordLength);
+        });
+      this.pendingLoads.set(wordLength, load);
+    }
+
+    return this.pendingLoads.get(wordLength);
+  }
+
+  /**
+   * Lookups never touch the network
+   * @returns {boolean} Always true
+   */
+  isOffline() {
+    return true;
+  }
+
+  /**
+   * Synchronous membership check against the lists loaded so far
+   * @param {string} word - The word to look up
+   * @returns {boolean} True if the word is in a loaded list
+   */
+  has(word) {
+    return this.getFrequency(word) !== null;
+  }
+
+  /**
+   * Get the words loaded so far
+   * @param {number|null} [wordLength] - Only return words of this length
+   * @returns {string[]} Array of lowercase words
+   */
+  getWords(wordLength = null) {
+    if (wordLength !== null) {
+      const list = this.lists.get(wordLength);
+      return list ? Array.from(list.keys(), key => this._spelling(key)) : [];
+    }
+
+    return Array.from(this.lists.values()).flatMap(list => Array.from(list.keys(), key => this._spelling(key)));
+  }
+
+  /**
+   * Get the Zipf frequency of a word
+   * @param {string} word - The word to look up
+   * @returns {number|null} Zipf frequency, 0 if unknown, or null if not in a loaded list
+   */
+  getFrequency(word) {
+    if (typeof word !== 'string') {
+      return null;
+    }
+
+    const list = this.lists.get(word.length);
+    const frequency = list ? list.get(this._key(word)) : undefined;
+    return frequency === undefined ? null : frequency;
+  }
+
+  /**
+   * Get all target candidates in a frequency range
+   * @param {Object} frequencyRange - Frequency range {min, max}
+   * @param {number} wordLength - Number of letters (default: 5)
+   * @returns {string[]} Words eligible as targets
+   */
+  getWordsInRange(frequencyRange, wordLength = WORD_LENGTH_CONFIG.DEFAULT) {
+    const list = this.lists.get(wordLength);
+    if (!list) {
+      return [];
+    }
+
+    const key = `${wordLength}:${frequencyRange.min}-${frequencyRange.max}`;
+    if (!this.rangeCache.has(key)) {
+      const min = Math.max(frequencyRange.min, MIN_TARGET_ZIPF);
+      const words = [];
+      for (const [lookupKey, frequency] of list) {
+        if (frequency >= min && frequency <= frequencyRange.max) {
+          words.push(this._spelling(lookupKey));
+        }
+      }
+      this.rangeCache.set(key, words);
+    }
+
+    return this.rangeCache.get(key);
+  }
+
+  /**
+   * Check if a word is in the bundled list for its length
+   * @param {string} word - The word to validate
+   * @returns {Promise<boolean>} True if the word is in the list
+   */
+  async isValidWord(word) {
+    if (typeof word !== 'string') {
+      return false;
+    }
+
+    await this.loadWordList(word.length);
+    return this.has(word);
+  }
+
+  /**
+   * Pick a random target word in the frequency range
+   * @param {Object} frequencyRange - Frequency range {min, max}
+   * @param {number} wordLength - Number of letters (default: 5)
+   * @returns {Promise<string|null>} A lowercase word, or null if the range is empty
+   */
+  async getRandomWord(frequencyRange, wordLength = WORD_LENGTH_CONFIG.DEFAULT) {
+    await this.loadWordList(wordLength);
+
+    const candidates = this.getWordsInRange(frequencyRange, wordLength);
+    if (candidates.length === 0) {
+      console.warn(`No bundled ${this.language.code} ${wordLength}-letter words in frequency range ${frequencyRange.min}-${frequencyRange.max}`);
+      return null;
+    }
+
+    return candidates[Math.floor(Math.random() * candidates.length)];
+  }
+
+  /**
+   * Only words common enough to be targets count as having a definition
+   * @param {string} word - The word to check
+   * @returns {Promise<boolean>} True if the word could be served as a target
+   */
+  async hasDefinition(word) {
+    if (typeof word !== 'string') {
+      return false;
+    }
+
+    await this.loadWordList(word.length);
+    const frequency = this.getFrequency(word);
+    return frequency !== null && frequency >= MIN_TARGET_ZIPF;
+  }
+
+  /**
+   * Get the number of words loaded so far
+   * @returns {number} Number of words across loaded lengths
+   */
+  size() {
+    let total = 0;
+    for (const list of this.lists.values()) {
+      total += list.size;
+    }
+    return total;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LocalWordSource;
+}
+
+// ES6 export for modern bundlers
+export default LocalWordSource;
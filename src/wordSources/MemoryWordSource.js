@@ -0,0 +1,110 @@
+/**
+ * MemoryWordSource module for Hurdle
+ * Word provider backed by an in-memory word list
+ */
+
+import WordSource from './WordSource.js';
+
+/**
+ * MemoryWordSource class
+ * Answers every lookup from a Set of words; used for tests, custom lists and
+ * as the base for the bundled local list
+ */
+class MemoryWordSource extends WordSource {
+  /**
+   * Create a MemoryWordSource instance
+   * @param {string[]} words - The words this source knows about
+   * @param {string} [name] - Source identifier (default: 'memory')
+   */
+  constructor(words, name = 'memory') {
+    super(name);
+
+    if (!Array.isArray(words)) {
+      throw new Error('MemoryWordSource requires an array of words');
+    }
+
+    // Store words in a Set for O(1) lookup performance
+    this.wordSet = new Set(words.map(word => word.toLowerCase()));
+    this.wordArray = Array.from(this.wordSet);
+  }
+
+  /**
+   * In-memory lookups never touch the network
+   * @returns {boolean} Always true
+   */
+  isOffline() {
+    return true;
+  }
+
+  /**
+   * Synchronous membership check
+   * @param {string} word - The word to look up
+   * @returns {boolean} True if the word is in the list
+   */
+  has(word) {
+    return typeof word === 'string' && this.wordSet.has(word.toLowerCase());
+  }
+
+  /**
+   * Get every word known to this source
+   * @param {number|null} [wordLength] - Only return words of this length
+   * @returns {string[]} Array of lowercase words
+   */
+  getWords(wordLength = null) {
+    if (wordLength === null) {
+      return this.wordArray;
+    }
+    return this.wordArray.filter(word => word.length === wordLength);
+  }
+
+  /**
+   * Check if a word is in the list
+   * @param {string} word - The word to validate
+   * @returns {Promise<boolean>} True if the word is in the list
+   */
+  async isValidWord(word) {
+    return this.has(word);
+  }
+
+  /**
+   * Pick a random word from the list
+   * The plain in-memory list carries no frequency data, so the range is ignored
+   * @param {Object} frequencyRange - Frequency range {min, max} (unused)
+   * @param {number|null} [wordLength] - Only pick words of this length
+   * @returns {Promise<string|null>} A random word, or null if no word matches
+   */
+  async getRandomWord(frequencyRange = null, wordLength = null) {
+    const candidates = this.getWords(wordLength);
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const randomIndex = Math.floor(Math.random() * candidates.length);
+    return candidates[randomIndex];
+  }
+
+  /**
+   * Words supplied by the caller are trusted to be real words
+   * @param {string} word - The word to check
+   * @returns {Promise<boolean>} True if the word is in the list
+   */
+  async hasDefinition(word) {
+    return this.has(word);
+  }
+
+  /**
+   * Get the number of words in the list
+   * @returns {number} Number of unique words
+   */
+  size() {
+    return this.wordArray.length;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MemoryWordSource;
+}
+
+// ES6 export for modern bundlers
+export default MemoryWordSource;
@@ -0,0 +1,119 @@
+/**
+ * WordSource module for Hurdle
+ * Defines the provider interface that Dictionary delegates word operations to
+ */
+
+/**
+ * WordSource class
+ * Base class for word providers (WordsAPI, bundled list, self-hosted HTTP, in-memory).
+ * Subclasses override the async methods below; Dictionary never talks to a
+ * network or word list directly.
+ */
+class WordSource {
+  /**
+   * Create a WordSource instance
+   * @param {string} name - Short identifier used in logs and configuration
+   */
+  constructor(name) {
+    if (typeof name !== 'string' || name.length === 0) {
+      throw new Error('Word source name is required');
+    }
+
+    this.name = name;
+  }
+
+  /**
+   * Get the identifier of this source
+   * @returns {string} The source name (e.g. 'wordsapi', 'local')
+   */
+  getName() {
+    return this.name;
+  }
+
+  /**
+   * Whether this source works without network access
+   * @returns {boolean} True if every lookup is answered locally
+   */
+  isOffline() {
+    return false;
+  }
+
+  /**
+   * Whether the source is currently worth asking
+   * Networked sources report false while their circuit breaker is open
+   * @returns {boolean} True if requests are expected to get through
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Check if a word is a valid guess according to this source
+   * Rejects when the source couldn't be asked (network failure, server error),
+   * so callers can tell an unknown word from one that couldn't be checked
+   * @param {string} word - Lowercase word to check
+   * @returns {Promise<boolean>} True if the word is valid
+   */
+  async isValidWord(word) {
+    throw new Error(`${this.constructor.name}.isValidWord() is not implemented`);
+  }
+
+  /**
+   * Pick a random target word
+   * @param {Object} frequencyRange - Frequency range {min, max}
+   * @param {number} wordLength - Number of letters in the word
+   * @returns {Promise<string|null>} A lowercase word, or null if none could be found
+   */
+  async getRandomWord(frequencyRange, wordLength) {
+    throw new Error(`${this.constructor.name}.getRandomWord() is not implemented`);
+  }
+
+  /**
+   * Check that a word has at least one usable definition
+   * @param {string} word - Lowercase word to check
+   * @returns {Promise<boolean>} True if the word has a definition
+   */
+  async hasDefinition(word) {
+    throw new Error(`${this.constructor.name}.hasDefinition() is not implemented`);
+  }
+
+  /**
+   * Get the number of words known to this source
+   * @returns {number} Word count (approximate for remote sources)
+   */
+  size() {
+    return 0;
+  }
+
+  /**
+   * Get API usage statistics, for sources backed by a metered API
+   * @returns {Object|null} Usage statistics or null if not applicable
+   */
+  getUsageStats() {
+    return null;
+  }
+
+  /**
+   * Get a user-facing API usage message, for sources backed by a metered API
+   * @returns {string|null} Usage message or null if not applicable
+   */
+  getUsageMessage() {
+    return null;
+  }
+
+  /**
+   * Get lookup cache statistics, for sources that cache network lookups
+   * @returns {Object|null} Cache statistics or null if the source doesn't cache
+   */
+  getCacheStats() {
+    return null;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WordSource;
+}
+
+// ES6 export for modern bundlers
+export default WordSource;
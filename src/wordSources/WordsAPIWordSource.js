@@ -0,0 +1,339 @@
+/**
+ * WordsAPIWordSource module for Hurdle
+ * Word provider backed by WordsAPI on RapidAPI
+ */
+
+import WordSource from './WordSource.js';
+import WordsAPITracker from '../WordsAPITracker.js';
+import HttpClient from '../http/HttpClient.js';
+import DefinitionService from '../DefinitionService.js';
+import { getSharedWordCache } from '../cache/createWordCache.js';
+import { WORDS_API_CONFIG } from '../config.js';
+
+/**
+ * WordsAPIWordSource class
+ * Validates words, selects frequency-ranged targets and checks definitions
+ * through WordsAPI, tracking the monthly quota with WordsAPITracker. Every request
+ * is made for an operation ('validation', 'random' or 'definition') so the tracker
+ * can budget the quota between them and pick which configured key to use.
+ * Word lookups are cached, so a word costs one request until its cache entry expires.
+ * Requests go through the shared HttpClient; retried requests count against the quota too.
+ */
+class WordsAPIWordSource extends WordSource {
+  /**
+   * Create a WordsAPIWordSource instance
+   * @param {Object} [options] - Source options
+   * @param {string} [options.apiKey] - RapidAPI key (default: WORDS_API_CONFIG.API_KEY)
+   * @param {string[]} [options.apiKeys] - RapidAPI keys to rotate across, when no apiKey is given
+   *   (default: WORDS_API_CONFIG.API_KEYS)
+   * @param {string} [options.host] - RapidAPI host header (default: WORDS_API_CONFIG.HOST)
+   * @param {string} [options.baseUrl] - API base URL (default: WORDS_API_CONFIG.BASE_URL)
+   * @param {WordsAPITracker} [options.tracker] - Quota tracker (a new one for the keys is created if omitted)
+   * @param {WordCache} [options.cache] - Lookup cache (default: the shared word cache)
+   * @param {HttpClient} [options.client] - Client making the requests (default: the shared client)
+   */
+  constructor(options = {}) {
+    super('wordsapi');
+
+    this.apiKeys = options.apiKey ? [options.apiKey] : (options.apiKeys || WORDS_API_CONFIG.API_KEYS);
+    this.apiKey = this.apiKeys[0] || WORDS_API_CONFIG.API_KEY;
+    this.host = options.host || WORDS_API_CONFIG.HOST;
+    this.baseUrl = (options.baseUrl || WORDS_API_CONFIG.BASE_URL).replace(/\/+$/, '');
+    this.apiTracker = options.tracker || new WordsAPITracker({ keys: this.apiKeys });
+    this.cache = options.cache || getSharedWordCache();
+    this.client = options.client || HttpClient.getShared();
+    this.quotaMessagesShown = new Set(); // Operations whose budget ran out, warned about once
+  }
+
+  /**
+   * Whether WordsAPI is currently worth asking
+   * @returns {boolean} False while the client's circuit breaker is open
+   */
+  isAvailable() {
+    return !this.client.isCircuitOpen();
+  }
+
+  /**
+   * Make a GET request to WordsAPI and record rate limit information
+   * @param {string} path - Path relative to the base URL (e.g. '/words/house')
+   * @param {string} operation - 'validation', 'random' or 'definition'
+   * @returns {Promise<Response>} The fetch response (rejects once retries run out)
+   * @private
+   */
+  async _request(path, operation) {
+    const key = (typeof this.apiTracker.selectKey === 'function' && this.apiTracker.selectKey(operation)) || this.apiKey;
+
+    return this.client.get(`${this.baseUrl}${path}`, {
+      headers: {
+        'X-RapidAPI-Key': key,
+        'X-RapidAPI-Host': this.host
+      },
+      onResponse: response => this._trackResponse(response, key, operation)
+    });
+  }
+
+  /**
+   * Record rate limit information and usage from a WordsAPI response
+   * @param {Response} response - Any response, including ones that will be retried
+   * @param {string} key - The key the request was made with
+   * @param {string} operation - The operation the request was made for
+   * @private
+   */
+  _trackResponse(response, key, operation) {
+    // Extract and update rate limit information from headers
+    const rateLimitInfo = this.apiTracker.updateFromHeaders(response, key);
+    if (rateLimitInfo) {
+      // Check thresholds and log warnings
+      this.apiTracker.checkRateLimitThresholds(rateLimitInfo);
+    }
+
+    // Counted either way: the tracker falls back to the count for keys without headers,
+    // and uses it for the per-operation budget and usage projection
+    this.apiTracker.recordRequest(operation, key);
+  }
+
+  /**
+   * Check the operation's quota budget before making a request
+   * @param {string} operation - 'validation', 'random' or 'definition'
+   * @returns {boolean} True if a request may be made
+   * @private
+   */
+  _hasQuota(operation) {
+    if (this.apiTracker.shouldUseAPI(operation)) {
+      return true;
+    }
+
+    if (!this.quotaMessagesShown.has(operation)) {
+      console.warn(`WordsAPI ${operation} requests paused to keep quota for more important requests. ${this.apiTracker.getUsageMessage()}`);
+      this.quotaMessagesShown.add(operation);
+    }
+    return false;
+  }
+
+  /**
+   * Keep only the fields of a WordsAPI result that the game uses
+   * @param {Object[]} results - Results from a WordsAPI word entry
+   * @returns {Object[]} Results with the fields DefinitionService displays and filters on
+   * @private
+   */
+  _slimResults(results) {
+    return results.map(({ definition, partOfSpeech, typeOf, instanceOf, synonyms, examples, derivation }) => ({
+      definition, partOfSpeech, typeOf, instanceOf, synonyms, examples, derivation
+    }));
+  }
+
+  /**
+   * Look up a word entry, answering from the cache when possible
+   * Found words and 404s are cached; other failures are not, so they are retried
+   * @param {string} word - The word to look up
+   * @param {string} [operation] - What the lookup is for: 'validation', 'random' or 'definition'
+   *   (default: 'definition', e.g. for DefinitionService)
+   * @returns {Promise<Object|null>} {word, status, results, pronunciation} where status is the
+   *   HTTP status (200 found, 404 unknown word), or null if the operation's quota budget is used up
+   */
+  async lookupWord(word, operation = 'definition') {
+    const key = word.toLowerCase();
+
+    const cached = await this.cache.get(key);
+    if (cached) {
+      return cached.negative
+        ? { word: key, status: 404, results: [] }
+        : { word: key, status: 200, results: cached.value.results, pronunciation: cached.value.pronunciation };
+    }
+
+    if (!this._hasQuota(operation)) {
+      return null;
+    }
+
+    const response = await this._request(`/words/${key}`, operation);
+
+    if (response.status === 404) {
+      await this.cache.setNegative(key);
+      return { word: key, status: 404, results: [] };
+    }
+
+    if (!response.ok) {
+      return { word: key, status: response.status, results: [] };
+    }
+
+    const data = await response.json();
+    const entry = { results: this._slimResults(Array.isArray(data.results) ? data.results : []), pronunciation: data.pronunciation };
+    await this.cache.set(key, entry);
+    return { word: key, status: 200, ...entry };
+  }
+
+  /**
+   * Check if a word exists in WordsAPI
+   * @param {string} word - The word to validate
+   * @returns {Promise<boolean>} True if WordsAPI knows the word; rejects if it couldn't be asked
+   */
+  async isValidWord(word) {
+    const entry = await this.lookupWord(word, 'validation');
+
+    // WordsAPI returns 200 for valid words, 404 for invalid words
+    // An exhausted monthly quota plays on as if the word were unknown
+    if (entry === null || entry.status === 200 || entry.status === 404) {
+      return entry !== null && entry.status === 200;
+    }
+
+    // 403 means an API key issue, anything else a failed request - neither says the word is invalid
+    const error = new Error(`WordsAPI validation failed: ${entry.status}`);
+    error.status = entry.status;
+    throw error;
+  }
+
+  /**
+   * Get a random word in the frequency range that has a definition
+   * @param {Object} frequencyRange - Frequency range {min, max}
+   * @param {number} wordLength - Number of letters in the word (default: 5)
+   * @returns {Promise<string|null>} A word with definitions, or null if failed
+   */
+  async getRandomWord(frequencyRange, wordLength = 5) {
+    if (!this._hasQuota('random')) {
+      return null;
+    }
+
+    const freq = frequencyRange;
+    const path = `/words/?letters=${wordLength}&frequencyMin=${freq.min}&frequencyMax=${freq.max}&random=true`;
+    console.log(`Trying WordsAPI with letters=${wordLength} and frequency range ${freq.min}-${freq.max}`);
+
+    try {
+      const response = await this._request(path, 'random');
+      console.log(`WordsAPI response status: ${response.status} ${response.statusText}`);
+
+      // Handle 403 Forbidden (API key issues) gracefully
+      if (response.status === 403) {
+        console.error('WordsAPI returned 403 Forbidden - API key issue or rate limit exceeded');
+        return null;
+      }
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.warn(`WordsAPI attempt failed: ${response.status} ${response.statusText} - ${errorText}`);
+
+        // Log specific error details for debugging
+        if (response.status === 400) {
+          console.error('Bad Request - Check frequency range parameters:', freq);
+        } else if (response.status === 429) {
+          console.error('Rate limit exceeded - too many requests');
+        } else if (response.status === 500) {
+          console.error('WordsAPI server error');
+        }
+        return null;
+      }
+
+      const data = await response.json();
+
+      if (!data.word || typeof data.word !== 'string') {
+        console.log('No word found in API response');
+        return null;
+      }
+
+      const candidateWord = data.word.toLowerCase();
+
+      // Validate the word format and length (letters only, no numbers)
+      if (candidateWord.length !== wordLength || !/^[a-z]+$/.test(candidateWord)) {
+        console.log(`Word "${candidateWord}" failed format validation`);
+        return null;
+      }
+
+      // Random responses usually carry the full entry; caching it saves the definition request
+      if (Array.isArray(data.results)) {
+        await this.cache.set(candidateWord, { results: this._slimResults(data.results), pronunciation: data.pronunciation });
+      }
+
+      // Verify it has definitions before accepting it
+      const hasDefinition = await this.hasDefinition(candidateWord, 'random');
+      if (!hasDefinition) {
+        console.log(`Rejected word "${candidateWord}" - no valid definitions found`);
+        return null;
+      }
+
+      console.log(`Word "${candidateWord}" has valid definitions - SUCCESS!`);
+      return candidateWord;
+    } catch (error) {
+      console.warn('WordsAPI random word request failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Verify that a word has at least one common-concept definition
+   * Requires 'typeOf' (common concepts) and rejects 'instanceOf' (specific instances/names)
+   * @param {string} word - The word to check for definitions
+   * @param {string} [operation] - Operation the lookup is budgeted as (default: 'definition')
+   * @returns {Promise<boolean>} True if the word has definitions, false otherwise
+   */
+  async hasDefinition(word, operation = 'definition') {
+    try {
+      const data = await this.lookupWord(word, operation);
+
+      // Handle 403 Forbidden (API key issues) and exhausted quota gracefully
+      if (data === null || data.status === 403) {
+        // If we can't verify due to API limits, return false to avoid words without definitions
+        console.warn(`Could not verify definition for word: ${word} - API key limit reached`);
+        return false;
+      }
+
+      if (data.status !== 200) {
+        // 404 means the word doesn't exist
+        return false;
+      }
+
+      const hasValidDefinition = data.results.some(result => DefinitionService.isTargetDefinition(result));
+
+      if (!hasValidDefinition) {
+        const hasInstanceOf = data.results && data.results.some(result => result.instanceOf);
+        console.log(hasInstanceOf
+          ? `Word "${word}" rejected - contains instanceOf (proper noun/name)`
+          : `Word "${word}" rejected - no typeOf found (not a common concept)`);
+      }
+
+      return hasValidDefinition;
+    } catch (error) {
+      // If verification fails due to network issues, return false to be safe
+      console.warn(`Could not verify definition for word: ${word}`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get the approximate number of target words available via WordsAPI
+   * @returns {number} Representative word count
+   */
+  size() {
+    return 5000;
+  }
+
+  /**
+   * Get WordsAPI usage statistics
+   * @returns {Object} Usage statistics from the tracker
+   */
+  getUsageStats() {
+    return this.apiTracker.getUsageStats();
+  }
+
+  /**
+   * Get user-friendly API usage message
+   * @returns {string} Usage message from the tracker
+   */
+  getUsageMessage() {
+    return this.apiTracker.getUsageMessage();
+  }
+
+  /**
+   * Get lookup cache statistics
+   * @returns {Object} Hit/miss statistics from the word cache
+   */
+  getCacheStats() {
+    return this.cache.getStats();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WordsAPIWordSource;
+}
+
+// ES6 export for modern bundlers
+export default WordsAPIWordSource;
@@ -0,0 +1,73 @@
+/**
+ * Word source factory for Hurdle
+ * Builds the configured WordSource so deployments can swap providers at runtime
+ */
+
+import WordsAPIWordSource from './WordsAPIWordSource.js';
+import LocalWordSource from './LocalWordSource.js';
+import HttpWordSource from './HttpWordSource.js';
+import MemoryWordSource from './MemoryWordSource.js';
+import { WORD_SOURCE_CONFIG } from '../config.js';
+
+export const WORD_SOURCE_TYPES = ['wordsapi', 'local', 'http', 'memory'];
+
+/**
+ * Resolve the word source configuration for this deployment
+ * Later entries win: WORD_SOURCE_CONFIG in config.js, then the
+ * HURDLE_WORD_SOURCE environment variable (Node), then window.HURDLE_CONFIG
+ * (set in index.html), then a ?wordSource= URL parameter
+ * @returns {Object} Configuration with TYPE and BASE_URL
+ */
+export function resolveWordSourceConfig() {
+  const config = { ...WORD_SOURCE_CONFIG };
+
+  if (typeof process !== 'undefined' && process.env && process.env.HURDLE_WORD_SOURCE) {
+    config.TYPE = process.env.HURDLE_WORD_SOURCE;
+  }
+
+  if (typeof window !== 'undefined') {
+    const runtimeConfig = window.HURDLE_CONFIG;
+    if (runtimeConfig && runtimeConfig.wordSource) {
+      config.TYPE = runtimeConfig.wordSource;
+    }
+    if (runtimeConfig && runtimeConfig.wordSourceUrl) {
+      config.BASE_URL = runtimeConfig.wordSourceUrl;
+    }
+
+    if (window.location && window.location.search) {
+      const urlParams = new URLSearchParams(window.location.search);
+      if (urlParams.get('wordSource')) {
+        config.TYPE = urlParams.get('wordSource');
+      }
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Create a word source from configuration
+ * @param {Object} config - Source configuration
+ * @param {string} config.TYPE - One of 'wordsapi', 'local', 'http', 'memory'
+ * @param {string} [config.BASE_URL] - Base URL for the 'http' source
+ * @param {string[]} [config.WORDS] - Word list for the 'memory' source
+ * @returns {WordSource} The configured word source
+ */
+export function createWordSource(config = resolveWordSourceConfig()) {
+  const type = (config.TYPE || '').toLowerCase();
+
+  switch (type) {
+    case 'wordsapi':
+      return new WordsAPIWordSource();
+    case 'local':
+      return new LocalWordSource();
+    case 'http':
+      return new HttpWordSource({ baseUrl: config.BASE_URL });
+    case 'memory':
+      return new MemoryWordSource(config.WORDS || []);
+    default:
+      throw new Error(`Unknown word source type "${config.TYPE}". Expected one of: ${WORD_SOURCE_TYPES.join(', ')}`);
+  }
+}
+
+export default createWordSource;
@@ -0,0 +1,143 @@
+/**
+ * Tests for the adaptive difficulty and the bands recorded on completed hurdles
+ */
+
+const AdaptiveDifficulty = require('../src/AdaptiveDifficulty');
+const GameConfig = require('../src/GameConfig');
+const { useQuietConsole, createDictionary, createHurdleController } = require('./gameTestUtils');
+
+const solve = (guessCount = 2) => ({ solved: true, guessCount, maxGuesses: 4, durationMs: 30000 });
+const fail = () => ({ solved: false, guessCount: 4, maxGuesses: 4 });
+
+describe('AdaptiveDifficulty', () => {
+  useQuietConsole();
+
+  test('should start at the configured band', () => {
+    const difficulty = new AdaptiveDifficulty({ storage: null });
+
+    expect(difficulty.getLevel()).toBe(3);
+    expect(difficulty.getBand()).toEqual({ level: 3, min: 5.0, max: 5.49 });
+    expect(difficulty.getSolveRate()).toBeNull();
+  });
+
+  test('should move to rarer words after comfortable solves', () => {
+    const difficulty = new AdaptiveDifficulty({ storage: null });
+
+    expect(difficulty.recordResult(solve()).changed).toBe(false);
+    expect(difficulty.recordResult(solve()).changed).toBe(false);
+    expect(difficulty.recordResult(solve())).toEqual({ level: 4, previousLevel: 3, changed: true, solveRate: 1 });
+
+    // The new band gets a few results before it can move again
+    expect(difficulty.recordResult(solve()).changed).toBe(false);
+    expect(difficulty.getFrequencyRange()).toEqual({ min: 4.5, max: 4.99 });
+  });
+
+  test('should move to more common words after failures and close calls', () => {
+    const difficulty = new AdaptiveDifficulty({ storage: null });
+
+    difficulty.recordResult(solve(4)); // Needed the last guess
+    difficulty.recordResult({ ...solve(2), durationMs: 600000 }); // Took ten minutes
+    const result = difficulty.recordResult(fail());
+
+    expect(result.solveRate).toBeCloseTo(1 / 3);
+    expect(difficulty.getLevel()).toBe(2);
+  });
+
+  test('should hold the band while the solve rate is near the target', () => {
+    const difficulty = new AdaptiveDifficulty({ storage: null });
+
+    [solve(), solve(4), solve(), solve(4), solve(), solve(4)].forEach(result => difficulty.recordResult(result));
+
+    expect(difficulty.getLevel()).toBe(3);
+  });
+
+  test('should stay inside the configured bands', () => {
+    const difficulty = new AdaptiveDifficulty({ storage: null });
+
+    for (let i = 0; i < 40; i++) {
+      difficulty.recordResult(fail());
+    }
+    expect(difficulty.getLevel()).toBe(1);
+
+    for (let i = 0; i < 80; i++) {
+      difficulty.recordResult(solve());
+    }
+    expect(difficulty.getLevel()).toBe(difficulty.getLevelCount());
+    expect(() => difficulty.recordResult({})).toThrow('Result must say whether the hurdle was solved');
+  });
+
+  test('should remember the band and results across sessions', () => {
+    const first = new AdaptiveDifficulty();
+    [solve(), solve(), solve()].forEach(result => first.recordResult(result));
+
+    const second = new AdaptiveDifficulty();
+    expect(second.getLevel()).toBe(4);
+    expect(second.getSolveRate()).toBe(1);
+
+    second.reset();
+    expect(new AdaptiveDifficulty().getLevel()).toBe(3);
+  });
+
+  describe('in HurdleController', () => {
+    let dictionary;
+    let difficulty;
+    let hurdleController;
+
+    beforeEach(() => {
+      dictionary = createDictionary(['apple', 'bread', 'crane', 'eagle', 'flame', 'grape']);
+      difficulty = new AdaptiveDifficulty({ storage: null });
+      hurdleController = createHurdleController(dictionary, { adaptiveDifficulty: difficulty });
+    });
+
+    const solveCurrentHurdle = async () => {
+      const gameState = hurdleController.getCurrentGameController().getGameState();
+      await hurdleController.getCurrentGameController().submitGuess(gameState.getTargetWord());
+      return hurdleController.processHurdleCompletion(gameState);
+    };
+
+    test('should pick targets from the adaptive band and record it on completed hurdles', async () => {
+      const getRandomWord = jest.spyOn(dictionary, 'getRandomWord');
+      await hurdleController.startHurdleMode({ frequencyRange: { min: 0, max: 4.0 }, adaptiveDifficulty: true });
+
+      expect(getRandomWord).toHaveBeenCalledWith({ min: 5.0, max: 5.49 }, 5);
+
+      for (let i = 0; i < 3; i++) {
+        const transition = await solveCurrentHurdle();
+        expect(transition.completedHurdle.getDifficultyBand()).toEqual({ level: 3, min: 5.0, max: 5.49 });
+        await hurdleController.startNextHurdle(transition.completedHurdle.getTargetWord());
+      }
+
+      // Three comfortable solves move the band, and the next hurdle uses it
+      expect(difficulty.getLevel()).toBe(4);
+      const transition = await solveCurrentHurdle();
+      expect(transition.completedHurdle.getSummary().difficultyBand).toEqual({ level: 4, min: 4.5, max: 4.99 });
+    });
+
+    test('should count a failed hurdle but not a manual stop', async () => {
+      await hurdleController.startHurdleMode({ adaptiveDifficulty: true });
+      hurdleController.endHurdleMode('manual-stop');
+      expect(difficulty.getSolveRate()).toBeNull();
+
+      await hurdleController.startHurdleMode({ adaptiveDifficulty: true });
+      hurdleController.endHurdleMode('failure', 'crane');
+      expect(difficulty.getSolveRate()).toBe(0);
+    });
+
+    test('should record fixed difficulties without a level and leave the band alone', async () => {
+      await hurdleController.startHurdleMode({ frequencyRange: { min: 5.5, max: 7.0 } });
+      const transition = await solveCurrentHurdle();
+
+      expect(transition.completedHurdle.getDifficultyBand()).toEqual({ level: null, min: 5.5, max: 7.0 });
+      expect(difficulty.getSolveRate()).toBeNull();
+    });
+  });
+
+  test('should be offered as a difficulty setting', () => {
+    const gameConfig = new GameConfig();
+
+    gameConfig.setDifficulty('adaptive');
+
+    expect(gameConfig.isAdaptiveDifficulty()).toBe(true);
+    expect(GameConfig.getDifficultyDisplayName('adaptive')).toBe('Adaptive (Follows Your Results)');
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for the blitz clock, hurdle timing and speed bonuses
+ */
+
+const ScoreCalculator = require('../src/ScoreCalculator');
+const CompletedHurdle = require('../src/CompletedHurdle');
+const HurdleSession = require('../src/HurdleSession');
+const GameConfig = require('../src/GameConfig');
+const Guess = require('../src/Guess');
+const { useQuietConsole, createHurdleController } = require('./gameTestUtils');
+
+describe('Blitz mode', () => {
+  let now;
+
+  useQuietConsole();
+
+  beforeEach(() => {
+    now = new Date('2026-03-10T18:30:00Z').getTime();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  const createGuess = (word) => new Guess(word, Array.from(word, letter => ({ letter, status: 'absent' })));
+  const createHurdle = (elapsedMs, speedBonus = 0) =>
+    new CompletedHurdle(1, 'apple', 2, 100, [createGuess('crane'), createGuess('apple')], { timing: { elapsedMs, speedBonus } });
+
+  test('should give the full bonus for fast solves and none for slow ones', () => {
+    expect(ScoreCalculator.calculateSpeedBonus(100, 0)).toBe(50);
+    expect(ScoreCalculator.calculateSpeedBonus(100, 15000)).toBe(50);
+    expect(ScoreCalculator.calculateSpeedBonus(100, 52500)).toBe(25);
+    expect(ScoreCalculator.calculateSpeedBonus(100, 90000)).toBe(0);
+    expect(ScoreCalculator.calculateSpeedBonus(100, 300000)).toBe(0);
+
+    expect(() => ScoreCalculator.calculateSpeedBonus(-1, 1000)).toThrow('Hurdle score must be a non-negative number');
+    expect(() => ScoreCalculator.calculateSpeedBonus(100, -1)).toThrow('Elapsed time must be a non-negative number');
+  });
+
+  test('should summarize hurdle times and bonuses', () => {
+    expect(ScoreCalculator.getTimingSummary([createHurdle(12000, 50), createHurdle(30000, 40), createHurdle(null)])).toEqual({
+      totalTimeMs: 42000,
+      averageTimeMs: 21000,
+      fastestTimeMs: 12000,
+      speedBonus: 90
+    });
+    expect(ScoreCalculator.getTimingSummary([])).toEqual({ totalTimeMs: null, averageTimeMs: null, fastestTimeMs: null, speedBonus: 0 });
+  });
+
+  test('should fill the duration of game records', () => {
+    expect(createHurdle(12400).toGameRecord()).toEqual({
+      targetWord: 'apple',
+      guesses: ['crane', 'apple'],
+      attemptsUsed: 2,
+      won: true,
+      durationSeconds: 12,
+      hintsUsed: 0
+    });
+    expect(createHurdle(null).toGameRecord().durationSeconds).toBeNull();
+    expect(() => createHurdle(-5)).toThrow('Elapsed time must be a non-negative number');
+
+    const session = new HurdleSession();
+    session.endSession('time-up');
+    expect(session.getEndReason()).toBe('time-up');
+    expect(session.getDurationSeconds()).toBeGreaterThanOrEqual(0);
+  });
+
+  test('should only allow the offered clock lengths', () => {
+    const gameConfig = new GameConfig();
+
+    expect(gameConfig.getBlitzDuration()).toBe(0);
+    gameConfig.setBlitzDuration(5);
+    expect(new GameConfig().getBlitzDuration()).toBe(5);
+    expect(() => gameConfig.setBlitzDuration(3)).toThrow('Blitz duration must be one of: 0, 2, 5, 10 minutes');
+  });
+
+  describe('in HurdleController', () => {
+    let hurdleController;
+
+    beforeEach(() => {
+      hurdleController = createHurdleController();
+    });
+
+    const solveCurrentHurdle = async (afterMs) => {
+      const gameState = hurdleController.getCurrentGameController().getGameState();
+      now += afterMs;
+      await hurdleController.getCurrentGameController().submitGuess(gameState.getTargetWord());
+      return hurdleController.processHurdleCompletion(gameState);
+    };
+
+    test('should time each hurdle and add the speed bonus to the score', async () => {
+      await hurdleController.startHurdleMode({ blitzDuration: 5 });
+      expect(hurdleController.isBlitz()).toBe(true);
+      expect(hurdleController.getBlitzTimeRemaining()).toBe(5 * 60 * 1000);
+
+      const firstScore = ScoreCalculator.calculateHurdleScore(1, 1);
+      const fast = (await solveCurrentHurdle(10000)).completedHurdle;
+      expect(fast.getElapsedMs()).toBe(10000);
+      expect(fast.getSpeedBonus()).toBe(Math.round(firstScore / 2));
+      expect(fast.getScore()).toBe(firstScore + fast.getSpeedBonus());
+
+      await hurdleController.startNextHurdle(fast.getTargetWord());
+      const slow = (await solveCurrentHurdle(120000)).completedHurdle;
+      expect(slow.getSpeedBonus()).toBe(0);
+      // Solved on the auto-guess and one more, so the combo from the first hurdle carries on
+      expect(slow.getScore()).toBe(ScoreCalculator.calculateHurdleScore(2, slow.getGuessCount()) + slow.getComboBonus());
+      expect(slow.getComboBonus()).toBe(ScoreCalculator.calculateComboBonus(ScoreCalculator.calculateHurdleScore(2, slow.getGuessCount()), 2));
+
+      expect(hurdleController.getBlitzTimeRemaining()).toBe(170000);
+      expect(hurdleController.getTimingSummary()).toMatchObject({ totalTimeMs: 130000, fastestTimeMs: 10000, speedBonus: fast.getSpeedBonus() });
+      expect(hurdleController.getHurdleState().getTotalScore()).toBe(fast.getScore() + slow.getScore());
+    });
+
+    test('should not count words solved after the clock runs out', async () => {
+      await hurdleController.startHurdleMode({ blitzDuration: 2 });
+
+      now += 2 * 60 * 1000;
+      expect(hurdleController.isBlitzTimeUp()).toBe(true);
+      await expect(solveCurrentHurdle(0)).rejects.toThrow('The blitz clock has run out');
+
+      const session = hurdleController.endHurdleMode('time-up');
+      expect(session.getEndReason()).toBe('time-up');
+      expect(session.getCompletedHurdlesCount()).toBe(0);
+    });
+
+    test('should time hurdles without a bonus when the clock is off', async () => {
+      await hurdleController.startHurdleMode();
+      expect(hurdleController.isBlitz()).toBe(false);
+      expect(hurdleController.getBlitzTimeRemaining()).toBeNull();
+
+      const completed = (await solveCurrentHurdle(5000)).completedHurdle;
+      expect(completed.getElapsedMs()).toBe(5000);
+      expect(completed.getSpeedBonus()).toBe(0);
+      expect(completed.getScore()).toBe(ScoreCalculator.calculateHurdleScore(1, 1));
+
+      await expect(hurdleController.startHurdleMode({ blitzDuration: -1 }))
+        .rejects.toThrow('Blitz duration must be a non-negative number of minutes');
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for challenge codes and seeded hurdle chains
+ */
+
+const Challenge = require('../src/Challenge');
+const CustomWordList = require('../src/CustomWordList');
+const GameConfig = require('../src/GameConfig');
+const { WORDS, useQuietConsole, createDictionary, createHurdleController } = require('./gameTestUtils');
+
+describe('Challenge', () => {
+  useQuietConsole();
+
+  const createChallenge = (changes = {}, seed = 'friendly-seed') => {
+    const gameConfig = new GameConfig();
+    gameConfig.setMaxGuesses(5);
+    gameConfig.setDifficulty('hard');
+    gameConfig.setHardMode(true);
+    return Challenge.create({ ...gameConfig.getAllSettings(), ...changes }, gameConfig.getFrequencyRange(), { seed });
+  };
+
+  test('should carry the settings that shape the chain through a code', () => {
+    const challenge = createChallenge();
+    const decoded = Challenge.fromCode(challenge.toCode());
+
+    expect(decoded.getSeed()).toBe('friendly-seed');
+    expect(decoded.getSettings()).toMatchObject({
+      maxGuesses: 5,
+      difficulty: 'hard',
+      frequencyRange: { min: 0, max: 4.0 },
+      hardMode: true,
+      wordLength: 5,
+      varyWordLength: false,
+      language: 'en'
+    });
+    expect(decoded.getSettings()).not.toHaveProperty('showDefinitions');
+    expect(decoded.getResult()).toBeNull();
+  });
+
+  test('should carry a score to beat through a link', () => {
+    const challenge = createChallenge().withResult({ score: 420, completedHurdles: 3 });
+    const link = challenge.toURL('https://hurdle.example/play/?lang=en');
+
+    expect(link.startsWith('https://hurdle.example/play/?lang=en&challenge=H1-')).toBe(true);
+    expect(Challenge.getCodeFromURL(link)).toMatch(/^H1-/);
+    expect(Challenge.fromCode(link).getResult()).toEqual({ score: 420, completedHurdles: 3 });
+    expect(Challenge.getCodeFromURL('https://hurdle.example/play/')).toBeNull();
+  });
+
+  test('should not give the words of a custom list away', () => {
+    const list = new CustomWordList({ name: 'Team words', targets: ['zebra', 'quilt', 'vixen'] });
+    const code = createChallenge({ customWordList: list.toJSON() }).toCode();
+    const readable = [code, atob(code.slice(7).replace(/-/g, '+').replace(/_/g, '/'))].join(' ');
+
+    ['zebra', 'quilt', 'vixen', 'friendly-seed'].forEach(word => expect(readable).not.toContain(word));
+    expect(Challenge.fromCode(code).getCustomWordList().getTargets()).toEqual(['zebra', 'quilt', 'vixen']);
+  });
+
+  test('should reject codes that are mistyped or not challenges', () => {
+    const code = createChallenge().toCode();
+    const mistyped = code.slice(0, 12) + (code[12] === 'A' ? 'B' : 'A') + code.slice(13);
+
+    expect(() => Challenge.fromCode(mistyped)).toThrow('Challenge code is not valid');
+    expect(() => Challenge.fromCode('HURDLE')).toThrow('Challenge code is not valid');
+    expect(() => Challenge.fromCode('  ')).toThrow('Challenge code is required');
+  });
+
+  describe('in HurdleController', () => {
+    const playChain = async (challenge, hurdles = 4, words = WORDS) => {
+      const hurdleController = createHurdleController(createDictionary(words), { prefetchSize: 2 });
+      await hurdleController.startChallenge(challenge);
+
+      const targets = [];
+      for (let i = 0; i < hurdles; i++) {
+        const gameState = hurdleController.getCurrentGameController().getGameState();
+        targets.push(gameState.getTargetWord());
+        if (i < hurdles - 1) {
+          await hurdleController.getCurrentGameController().submitGuess(gameState.getTargetWord());
+          const transition = await hurdleController.processHurdleCompletion(gameState);
+          await hurdleController.startNextHurdle(transition.completedHurdle.getTargetWord());
+        }
+      }
+      return { hurdleController, targets };
+    };
+
+    test('should give everyone with the code the same chain', async () => {
+      const challenge = createChallenge({ difficulty: 'medium', hardMode: false });
+      const sender = await playChain(challenge);
+      const friend = await playChain(Challenge.fromCode(challenge.toCode()), 4, [...WORDS].reverse());
+
+      expect(friend.targets).toEqual(sender.targets);
+      expect(new Set(sender.targets).size).toBe(4);
+      expect((await playChain(createChallenge({ hardMode: false }, 'another-seed'))).targets).not.toEqual(sender.targets);
+
+      // The challenge's number of guesses is used, not the player's
+      const gameController = friend.hurdleController.getCurrentGameController();
+      expect(gameController.getGameState().getRemainingAttempts()).toBe(4);
+      expect(friend.hurdleController.getChallenge().getSeed()).toBe('friendly-seed');
+    });
+
+    test('should replay mixed word lengths and leave challenges on a new game', async () => {
+      const words = [...WORDS, 'tree', 'lamp', 'moon', 'garden', 'planet', 'silver', 'kitchen', 'morning', 'elephant', 'mountain'];
+      const challenge = createChallenge({ varyWordLength: true, hardMode: false });
+      const first = await playChain(challenge, 5, words);
+      const second = await playChain(challenge, 5, words);
+
+      expect(second.targets).toEqual(first.targets);
+
+      await first.hurdleController.startHurdleMode();
+      expect(first.hurdleController.getChallenge()).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests for the content filter and its use in Dictionary
+ */
+
+const ContentFilter = require('../src/ContentFilter');
+const Dictionary = require('../src/Dictionary');
+const MemoryWordSource = require('../src/wordSources/MemoryWordSource');
+
+describe('ContentFilter', () => {
+  let filter;
+
+  beforeEach(() => {
+    filter = new ContentFilter();
+  });
+
+  test('should list every category enabled by default', () => {
+    expect(filter.getCategories().map(({ category, enabled }) => [category, enabled])).toEqual([
+      ['slurs', true],
+      ['profanity', true],
+      ['sexual', true]
+    ]);
+  });
+
+  test('should block listed words, their plurals and roots', () => {
+    expect(filter.screenWord('BITCH')).toEqual({ allowed: false, category: 'profanity', match: 'bitch' });
+    expect(filter.screenWord('bitches').allowed).toBe(false);
+    expect(filter.screenWord('motherfucker')).toEqual({ allowed: false, category: 'profanity', match: 'fuck' });
+    expect(filter.screenWord('crane')).toEqual({ allowed: true, category: null, match: null });
+    expect(filter.screenWord('grapes').allowed).toBe(true);
+  });
+
+  test('should only block words in the language they are offensive in', () => {
+    expect(filter.screenWord('bite', 'en').allowed).toBe(true);
+    expect(filter.screenWord('bite', 'fr')).toMatchObject({ allowed: false, category: 'sexual' });
+    expect(filter.screenWord('Scheiße', 'de').allowed).toBe(false);
+  });
+
+  test('should let switched off categories through', () => {
+    filter.setCategoryEnabled('profanity', false);
+
+    expect(filter.screenWord('bitch').allowed).toBe(true);
+    expect(filter.screenWord('porno').allowed).toBe(false);
+
+    filter.setCategories({ sexual: false, unknown: true });
+    expect(filter.isCategoryEnabled('sexual')).toBe(false);
+    expect(filter.isCategoryEnabled('slurs')).toBe(true);
+    expect(() => filter.setCategoryEnabled('violence', true)).toThrow('Unknown content filter category "violence"');
+  });
+
+  test('should screen definition labels and words in definition text', () => {
+    expect(filter.screenText('(ethnic slur) a term for someone')).toEqual({ allowed: false, category: 'slurs', match: '(ethnic slur)' });
+    expect(filter.screenText('(vulgar) a contemptible person')).toMatchObject({ allowed: false, category: 'profanity' });
+    expect(filter.screenText('slang for a bastard')).toMatchObject({ allowed: false, match: 'bastard' });
+    expect(filter.screenText('a small round juicy fruit')).toMatchObject({ allowed: true });
+  });
+
+  describe('in Dictionary', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation();
+      jest.spyOn(console, 'warn').mockImplementation();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should reject blocked targets and report them in the logs', async () => {
+      const source = new MemoryWordSource(['bitch', 'crane']);
+      jest.spyOn(source, 'getRandomWord').mockResolvedValueOnce('bitch').mockResolvedValueOnce('crane');
+      const dictionary = new Dictionary(null, { source });
+
+      expect(await dictionary.getRandomWord({ min: 0, max: 7 }, 5)).toBe('crane');
+      expect(console.warn).toHaveBeenCalledWith('Content filter rejected target "bitch" (profanity: "bitch")');
+    });
+
+    test('should accept targets in switched off categories', async () => {
+      const dictionary = new Dictionary(['bitch']);
+      dictionary.setContentFilterCategories({ profanity: false });
+
+      expect(await dictionary.isAllowedTarget('bitch')).toBe(true);
+      expect(await dictionary.isAllowedTarget('porno')).toBe(false);
+    });
+
+    test('should reject targets whose every definition is filtered', async () => {
+      const source = new MemoryWordSource(['crane']);
+      source.lookupWord = jest.fn().mockResolvedValue({
+        status: 200,
+        results: [{ definition: '(offensive) a disparaging term', partOfSpeech: 'noun', typeOf: ['term'] }]
+      });
+      const dictionary = new Dictionary(null, { source, fallbackSource: null });
+
+      expect(await dictionary.isAllowedTarget('crane')).toBe(false);
+
+      dictionary.setContentFilterCategories({ profanity: false });
+      expect(await dictionary.isAllowedTarget('crane')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for custom word lists and private games played from them
+ */
+
+const CustomWordList = require('../src/CustomWordList');
+const Dictionary = require('../src/Dictionary');
+const HurdleController = require('../src/HurdleController');
+
+describe('CustomWordList', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parse', () => {
+    test('should read words separated by lines, spaces and commas', () => {
+      const result = CustomWordList.parse('# Pirate night\nPirate, parrot\nanchor  plank\r\n', '', { name: 'pirates' });
+
+      expect(result.isValid).toBe(true);
+      expect(result.list.getName()).toBe('pirates');
+      expect(result.list.getTargets()).toEqual(['pirate', 'parrot', 'anchor', 'plank']);
+      expect(result.list.getWordLengths()).toEqual([5, 6]);
+      expect(result.list.hasAllowedGuesses()).toBe(false);
+    });
+
+    test('should read JSON arrays and objects with allowed guesses', () => {
+      const fromArray = CustomWordList.parse('["pirate", "parrot"]', 'cutlass\nbooty');
+      const fromObject = CustomWordList.parse(JSON.stringify({
+        name: 'Pirates',
+        targets: ['pirate', 'parrot'],
+        guesses: ['cutlass']
+      }));
+
+      expect(fromArray.list.getGuesses()).toEqual(['cutlass', 'booty']);
+      expect(fromObject.list.getName()).toBe('Pirates');
+      expect(fromObject.list.getGuesses()).toEqual(['cutlass']);
+    });
+
+    test('should report words of the wrong length or with other characters', () => {
+      const result = CustomWordList.parse('pirate\nrum\nswashbuckler\nsea-dog\nparrot');
+
+      expect(result.isValid).toBe(false);
+      expect(result.list).toBeNull();
+      expect(result.errors).toEqual([
+        '2 words are not 4 to 8 letters long: "rum", "swashbuckler"',
+        '1 word has letters outside the English alphabet: "sea-dog"'
+      ]);
+    });
+
+    test('should drop duplicates with a warning', () => {
+      const result = CustomWordList.parse('pirate\nparrot\nPIRATE', 'parrot');
+
+      expect(result.isValid).toBe(true);
+      expect(result.list.getTargets()).toEqual(['pirate', 'parrot']);
+      expect(result.list.getGuesses()).toEqual([]);
+      expect(result.warnings).toEqual(['Ignored 2 duplicate words: "pirate", "parrot"']);
+    });
+
+    test('should need at least two targets and valid JSON', () => {
+      expect(CustomWordList.parse('pirate').errors).toEqual(['The target list needs at least 2 different words']);
+      expect(CustomWordList.parse('["pirate",').errors[0]).toMatch(/^Target list is not valid JSON/);
+      expect(CustomWordList.parse('{"words": "pirate"}').errors[0]).toMatch(/must be an array of words/);
+    });
+
+    test('should check characters against the language of the list', () => {
+      expect(CustomWordList.parse('señor\nniños').isValid).toBe(false);
+
+      const spanish = CustomWordList.parse('señor\nniños', '', { language: 'es' });
+      expect(spanish.isValid).toBe(true);
+      expect(spanish.list.getLanguage()).toBe('es');
+    });
+  });
+
+  test('should survive a round trip through toJSON', () => {
+    const { list } = CustomWordList.parse('pirate\nparrot', 'cutlass', { name: 'Pirates' });
+    const restored = CustomWordList.fromJSON(JSON.parse(JSON.stringify(list)));
+
+    expect(restored.toJSON()).toEqual(list.toJSON());
+    expect(CustomWordList.fromJSON({ targets: ['rum'] })).toBeNull();
+    expect(CustomWordList.fromJSON(null)).toBeNull();
+  });
+
+  describe('private games', () => {
+    let dictionary;
+
+    beforeEach(() => {
+      dictionary = new Dictionary(['apple', 'bread', 'crane', 'eagle', 'flame']);
+    });
+
+    test('should accept list words as guesses alongside the dictionary', async () => {
+      const { list } = CustomWordList.parse('kraken\nparrot');
+      expect(dictionary.setCustomWordList(list)).toBe(true);
+
+      expect(await dictionary.isValidWord('KRAKEN')).toBe(true);
+      expect(await dictionary.isValidWord('apple')).toBe(true);
+      expect(dictionary.isValidWordSync('kraken')).toBe(true);
+    });
+
+    test('should only accept list words when an allowed-guess list is given', async () => {
+      const { list } = CustomWordList.parse('kraken\nparrot', 'cutlass');
+      dictionary.setCustomWordList(list);
+
+      expect(await dictionary.isValidWord('cutlass')).toBe(true);
+      expect(await dictionary.isValidWord('apple')).toBe(false);
+
+      dictionary.setCustomWordList(null);
+      expect(await dictionary.isValidWord('apple')).toBe(true);
+    });
+
+    test('should ignore lists in another language', () => {
+      const { list } = CustomWordList.parse('señor\nniños', '', { language: 'es' });
+
+      expect(dictionary.setCustomWordList(list)).toBe(false);
+      expect(dictionary.getCustomWordList()).toBeNull();
+    });
+
+    test('should choose every hurdle target from the list', async () => {
+      const { list } = CustomWordList.parse('kraken\nparrot\npirate\nanchor\nplank\nhook');
+      dictionary.setCustomWordList(list);
+      const hurdleController = new HurdleController(dictionary);
+
+      await hurdleController.startHurdleMode({ wordLength: 6 });
+      const targets = [hurdleController.getCurrentGameController().getGameState().getTargetWord()];
+
+      for (let i = 0; i < 3; i++) {
+        const gameState = hurdleController.getCurrentGameController().getGameState();
+        await hurdleController.getCurrentGameController().submitGuess(gameState.getTargetWord());
+        const transition = await hurdleController.processHurdleCompletion(gameState);
+        const nextState = await hurdleController.startNextHurdle(transition.completedHurdle.getTargetWord());
+        targets.push(nextState.getTargetWord());
+      }
+
+      // Four hurdles of 6 letters play through all four 6 letter targets
+      expect(targets.sort()).toEqual(['anchor', 'kraken', 'parrot', 'pirate']);
+    });
+
+    test('should play the lengths the list has targets for', async () => {
+      const { list } = CustomWordList.parse('plank\nhooks');
+      dictionary.setCustomWordList(list);
+      const hurdleController = new HurdleController(dictionary);
+
+      await hurdleController.startHurdleMode({ wordLength: 7 });
+
+      expect(['plank', 'hooks']).toContain(hurdleController.getCurrentGameController().getGameState().getTargetWord());
+    });
+  });
+});
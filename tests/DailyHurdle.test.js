@@ -0,0 +1,177 @@
+/**
+ * Tests for the Daily Hurdle chain, the one attempt per day and daily stats
+ */
+
+const DailyHurdle = require('../src/DailyHurdle');
+const { WORDS, useQuietConsole, createDictionary, createHurdleController } = require('./gameTestUtils');
+
+describe('DailyHurdle', () => {
+  let now;
+
+  const createDaily = (options = {}) => new DailyHurdle(createDictionary(), { now: () => now, ...options });
+
+  useQuietConsole();
+
+  beforeEach(() => {
+    now = new Date('2026-03-10T18:30:00Z');
+  });
+
+  const getChain = async (daily, dateKey, length = 6) => {
+    const chain = [];
+    for (let n = 1; n <= length; n++) {
+      chain.push(await daily.getTarget(dateKey, n));
+    }
+    return chain;
+  };
+
+  test('should give every player the same chain for a date', async () => {
+    const first = await getChain(createDaily({ storage: null }), '2026-03-10');
+    const second = createDaily({ storage: null });
+
+    // Asking for a later hurdle first builds the same chain
+    expect(await second.getTarget('2026-03-10', 6)).toBe(first[5]);
+    expect(await getChain(second, '2026-03-10')).toEqual(first);
+    expect(new Set(first).size).toBe(first.length);
+    first.forEach(word => expect(WORDS).toContain(word));
+  });
+
+  test('should give different dates different chains', async () => {
+    const daily = createDaily({ storage: null });
+
+    expect(await getChain(daily, '2026-03-10')).not.toEqual(await getChain(daily, '2026-03-11'));
+    await expect(daily.getTarget('2026-03-10', 0)).rejects.toThrow('Hurdle number must be a positive whole number');
+  });
+
+  test('should not depend on the order the word list was loaded in', async () => {
+    const reversed = new DailyHurdle(createDictionary([...WORDS].reverse()), { storage: null, now: () => now });
+
+    expect(await getChain(reversed, '2026-03-10')).toEqual(await getChain(createDaily({ storage: null }), '2026-03-10'));
+    expect((await createDictionary(['plant', 'apple', 'apple']).getSharedWords(5, { min: 0, max: 7 })).words)
+      .toEqual(['apple', 'plant']);
+  });
+
+  test('should number dailies and count down to the next one', () => {
+    const daily = createDaily({ storage: null });
+
+    expect(daily.getDateKey()).toBe('2026-03-10');
+    expect(daily.getDailyNumber()).toBe(69);
+    expect(daily.getDailyNumber('2026-01-01')).toBe(1);
+    expect(daily.getTimeUntilNext()).toBe(5.5 * 60 * 60 * 1000);
+    expect(DailyHurdle.formatCountdown(daily.getTimeUntilNext())).toBe('05:30:00');
+    expect(DailyHurdle.formatCountdown(61500)).toBe('00:01:02');
+  });
+
+  test('should allow one attempt per day, even after a reload', () => {
+    const daily = createDaily();
+
+    expect(daily.hasPlayed()).toBe(false);
+    expect(daily.startAttempt()).toMatchObject({ date: '2026-03-10', number: 69, completedHurdles: 0, finishedAt: null });
+
+    const reloaded = createDaily();
+    expect(reloaded.hasPlayed()).toBe(true);
+    expect(() => reloaded.startAttempt()).toThrow('Daily Hurdle #69 has already been played');
+
+    reloaded.finishAttempt('2026-03-10', { completedHurdles: 3, score: 420, endReason: 'failure' });
+    expect(() => reloaded.updateAttempt('2026-03-10', { completedHurdles: 4, score: 500 }))
+      .toThrow('No Daily Hurdle attempt in progress for 2026-03-10');
+
+    now = new Date('2026-03-11T00:00:01Z');
+    expect(reloaded.hasPlayed()).toBe(false);
+  });
+
+  test('should keep daily stats and streaks', () => {
+    const daily = createDaily();
+    const play = (date, completedHurdles, score) => {
+      daily.startAttempt(date);
+      daily.finishAttempt(date, { completedHurdles, score, endReason: 'failure' });
+    };
+
+    play('2026-03-04', 5, 700);
+    play('2026-03-05', 1, 100);
+    play('2026-03-06', 3, 400);
+    play('2026-03-09', 2, 250);
+
+    expect(daily.getStats()).toEqual({
+      played: 4,
+      totalHurdles: 11,
+      averageHurdles: 2.8,
+      bestHurdles: 5,
+      bestScore: 700,
+      currentStreak: 1,
+      maxStreak: 3,
+      lastPlayed: '2026-03-09'
+    });
+
+    // Missing a whole day ends the current streak
+    now = new Date('2026-03-11T09:00:00Z');
+    expect(daily.getStats().currentStreak).toBe(0);
+  });
+
+  describe('in HurdleController', () => {
+    let dictionary;
+    let daily;
+    let hurdleController;
+
+    beforeEach(() => {
+      dictionary = createDictionary();
+      daily = new DailyHurdle(dictionary, { storage: null, now: () => now });
+      hurdleController = createHurdleController(dictionary, { prefetchSize: 2 });
+    });
+
+    const solveCurrentHurdle = async () => {
+      const gameState = hurdleController.getCurrentGameController().getGameState();
+      await hurdleController.getCurrentGameController().submitGuess(gameState.getTargetWord());
+      return hurdleController.processHurdleCompletion(gameState);
+    };
+
+    test('should play the day\'s chain and save progress on the attempt', async () => {
+      const chain = await getChain(createDaily({ storage: null }), '2026-03-10', 3);
+      const getRandomWord = jest.spyOn(dictionary, 'getRandomWord');
+
+      await hurdleController.startDailyHurdle(daily);
+      expect(hurdleController.isDailySession()).toBe(true);
+      expect(hurdleController.getDailyDateKey()).toBe('2026-03-10');
+      expect(hurdleController.getCurrentGameController().getGameState().getRemainingAttempts()).toBe(4);
+
+      const played = [];
+      for (let i = 0; i < 2; i++) {
+        const transition = await solveCurrentHurdle();
+        played.push(transition.completedHurdle.getTargetWord());
+        await hurdleController.startNextHurdle(transition.completedHurdle.getTargetWord());
+      }
+      played.push(hurdleController.getCurrentGameController().getGameState().getTargetWord());
+
+      expect(played).toEqual(chain);
+      expect(getRandomWord).not.toHaveBeenCalled();
+      expect(daily.getAttempt()).toMatchObject({ completedHurdles: 2, finishedAt: null });
+
+      hurdleController.endHurdleMode('failure', chain[2]);
+      expect(daily.getAttempt()).toMatchObject({ completedHurdles: 2, endReason: 'failure' });
+      expect(hurdleController.isDailySession()).toBe(true);
+
+      await expect(hurdleController.startDailyHurdle(daily)).rejects.toThrow('has already been played');
+    });
+
+    test('should keep the day\'s attempt when the first hurdle cannot be set up', async () => {
+      jest.spyOn(daily, 'getTarget').mockRejectedValueOnce(new Error('Word source unavailable'));
+
+      await expect(hurdleController.startDailyHurdle(daily)).rejects.toThrow('Word source unavailable');
+      expect(daily.hasPlayed()).toBe(false);
+      expect(hurdleController.isDailySession()).toBe(false);
+
+      await hurdleController.startDailyHurdle(daily);
+      expect(daily.getAttempt()).toMatchObject({ completedHurdles: 0, finishedAt: null });
+      expect(() => daily.cancelAttempt('2026-03-11')).toThrow('No unplayed Daily Hurdle attempt to cancel for 2026-03-11');
+    });
+
+    test('should leave the daily when free play starts', async () => {
+      await hurdleController.startDailyHurdle(daily);
+      hurdleController.endHurdleMode('manual-stop');
+
+      await hurdleController.startHurdleMode();
+
+      expect(hurdleController.isDailySession()).toBe(false);
+      expect(daily.getAttempt().endReason).toBe('manual-stop');
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Tests for DefinitionService
+ */
+
+import DefinitionService from '../src/DefinitionService.js';
+import Dictionary from '../src/Dictionary.js';
+
+const { MESSAGES } = DefinitionService;
+
+const lookupReturning = (...responses) => {
+  const lookupWord = jest.fn();
+  responses.forEach(response => {
+    if (response instanceof Error) {
+      lookupWord.mockRejectedValueOnce(response);
+    } else {
+      lookupWord.mockResolvedValueOnce(response);
+    }
+  });
+  return { lookupWord };
+};
+
+describe('DefinitionService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should require a source with lookupWord', () => {
+    expect(() => new DefinitionService({})).toThrow('lookupWord');
+  });
+
+  test('should shape results into structured entries', async () => {
+    const service = new DefinitionService(lookupReturning({
+      word: 'grape',
+      status: 200,
+      pronunciation: { all: 'greɪp' },
+      results: [{
+        definition: 'any of various juicy fruit of the genus Vitis',
+        partOfSpeech: 'noun',
+        typeOf: ['edible fruit'],
+        synonyms: ['vine'],
+        examples: ['a bunch of grapes'],
+        derivation: ['grapey']
+      }]
+    }));
+
+    expect(await service.getDefinition('GRAPE')).toEqual({
+      word: 'grape',
+      found: true,
+      pronunciation: 'greɪp',
+      entries: [{
+        partOfSpeech: 'noun',
+        definition: 'any of various juicy fruit of the genus Vitis',
+        synonyms: ['vine'],
+        examples: ['a bunch of grapes'],
+        derivation: ['grapey']
+      }],
+      message: null
+    });
+  });
+
+  test('should prefer common-concept definitions over named instances', async () => {
+    const service = new DefinitionService(lookupReturning({
+      status: 200,
+      results: [
+        { definition: 'a city in northern Texas', partOfSpeech: 'noun', instanceOf: ['town'] },
+        { definition: 'a source of illumination', partOfSpeech: 'noun', typeOf: ['source of light'] }
+      ]
+    }));
+
+    const result = await service.getDefinition('lamp');
+
+    expect(result.entries.map(entry => entry.definition)).toEqual(['a source of illumination']);
+  });
+
+  test('should hide inappropriate definitions', async () => {
+    const service = new DefinitionService(lookupReturning({
+      status: 200,
+      results: [{ definition: '(offensive) a disparaging term', partOfSpeech: 'noun', typeOf: ['term'] }]
+    }));
+
+    expect(await service.getDefinition('slurs')).toMatchObject({ found: false, entries: [], message: MESSAGES.RESTRICTED });
+  });
+
+  test('should report unknown words as not found', async () => {
+    const service = new DefinitionService(lookupReturning({ status: 404, results: [] }));
+
+    expect(await service.getDefinition('xqzzt')).toMatchObject({ found: false, message: MESSAGES.NOT_FOUND });
+  });
+
+  test('should resolve failed lookups as unavailable and retry them later', async () => {
+    const lookup = lookupReturning(
+      new Error('network down'),
+      { status: 200, results: [{ definition: 'a dwelling that serves as living quarters', typeOf: ['building'] }] }
+    );
+    const service = new DefinitionService(lookup);
+
+    expect(await service.getDefinition('house')).toMatchObject({ found: false, message: MESSAGES.UNAVAILABLE });
+    expect((await service.getDefinition('house')).found).toBe(true);
+    expect(lookup.lookupWord).toHaveBeenCalledTimes(2);
+  });
+
+  test('should share one lookup between concurrent and repeated requests', async () => {
+    const lookup = lookupReturning({ status: 200, results: [{ definition: 'a dwelling that serves as living quarters', typeOf: ['building'] }] });
+    const service = new DefinitionService(lookup);
+
+    const [first, second] = await Promise.all([service.getDefinition('house'), service.getDefinition('HOUSE')]);
+    await service.getDefinition('house');
+
+    expect(first).toBe(second);
+    expect(lookup.lookupWord).toHaveBeenCalledTimes(1);
+  });
+
+  test('should only accept common-concept definitions as target definitions', async () => {
+    const service = new DefinitionService(lookupReturning(
+      { status: 200, results: [{ definition: 'the capital and largest city of France', instanceOf: ['national capital'] }] },
+      { status: 200, results: [{ definition: 'any of various juicy fruit', typeOf: ['edible fruit'] }] }
+    ));
+
+    expect(await service.hasTargetDefinition('paris')).toBe(false);
+    expect(await service.hasTargetDefinition('grape')).toBe(true);
+  });
+
+  test('should be used by Dictionary.getDefinition', async () => {
+    const definitionService = { getDefinition: jest.fn().mockResolvedValue({ word: 'grape', found: true }) };
+    const dictionary = new Dictionary(['grape'], { definitionService });
+
+    expect(await dictionary.getDefinition('grape')).toEqual({ word: 'grape', found: true });
+    expect(definitionService.getDefinition).toHaveBeenCalledWith('grape');
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests for evil mode: targets that are only picked as the guesses come in
+ */
+
+const CandidateSet = require('../src/CandidateSet');
+const EvilGameState = require('../src/EvilGameState');
+const FeedbackGenerator = require('../src/FeedbackGenerator');
+const GameController = require('../src/GameController');
+const Challenge = require('../src/Challenge');
+const GameConfig = require('../src/GameConfig');
+const { WORDS, useQuietConsole, createDictionary, createHurdleController } = require('./gameTestUtils');
+
+describe('Evil mode', () => {
+  useQuietConsole();
+
+  describe('CandidateSet', () => {
+    test('should keep the bucket with the most words', () => {
+      const candidates = new CandidateSet(WORDS);
+      const buckets = [...candidates.partition('crane').values()];
+      const largest = Math.max(...buckets.map(bucket => bucket.words.length));
+
+      const feedback = candidates.narrow('crane');
+
+      expect(candidates.size()).toBe(largest);
+      candidates.getWords().forEach(word => {
+        expect(FeedbackGenerator.generateFeedback('crane', word)).toEqual(feedback);
+      });
+    });
+
+    test('should only give up the answer when it is forced to', () => {
+      const candidates = new CandidateSet(['house', 'music']);
+
+      // Both buckets hold one word, so the one that doesn't solve the game wins
+      expect(CandidateSet.getPatternKey(candidates.narrow('house'))).not.toBe('ccccc');
+      expect(candidates.getWords()).toEqual(['music']);
+      expect(candidates.isCommitted()).toBe(true);
+
+      expect(CandidateSet.getPatternKey(candidates.narrow('music'))).toBe('ccccc');
+      expect(() => new CandidateSet([])).toThrow('Candidate set needs at least one word');
+    });
+
+    test('should break ties towards the bucket revealing the fewest letters', () => {
+      const candidates = new CandidateSet(['plant', 'light']);
+
+      // "light" shows a yellow and two greens, "plant" three greens
+      expect(CandidateSet.getPatternKey(candidates.narrow('giant'))).toBe('pcaac');
+      expect(candidates.getWords()).toEqual(['light']);
+    });
+  });
+
+  describe('EvilGameState', () => {
+    test('should settle the target as each guess is scored', async () => {
+      const controller = new GameController(createDictionary(), false, true);
+      const gameState = await controller.startNewGame(4, null, 5, [...WORDS]);
+
+      expect(gameState).toBeInstanceOf(EvilGameState);
+      expect(gameState.getCandidateCount()).toBe(WORDS.length);
+
+      const first = await controller.submitGuess(gameState.getCandidates()[0]);
+      expect(first.gameStatus).toBe('in-progress');
+      expect(gameState.getCandidateCount()).toBeLessThan(WORDS.length);
+
+      // Every guess's feedback still holds for the target the game ends up on
+      while (!gameState.isGameOver()) {
+        await controller.submitGuess(gameState.getCandidates()[0]);
+      }
+      gameState.getGuesses().forEach(guess => {
+        expect(FeedbackGenerator.generateFeedback(guess.getWord(), gameState.getTargetWord())).toEqual(guess.getFeedback());
+      });
+      expect(() => gameState.resolveGuess('apple')).toThrow('Cannot resolve guess: game is already over');
+    });
+
+    test('should hold guesses to the revealed hints in hard mode', async () => {
+      const controller = new GameController(createDictionary([...WORDS, 'giant']), true, true);
+      const gameState = await controller.startNewGame(6, null, 5, ['plant', 'light']);
+
+      expect((await controller.submitGuess('giant')).success).toBe(true);
+      // The "g", "i" and "t" were revealed, so a guess without them breaks hard mode
+      const result = await controller.submitGuess('bread');
+
+      expect(result.success).toBe(false);
+      expect(gameState.getGuesses()).toHaveLength(1);
+
+      // Replayed answers don't have to keep to the hints
+      expect((await controller.submitGuess('bread', { autoGuess: true })).success).toBe(true);
+      expect(() => new EvilGameState(['crane'], 4, 6)).toThrow('Evil games need at least one 6 letter candidate word');
+    });
+  });
+
+  describe('in HurdleController', () => {
+    const createController = () => createHurdleController();
+
+    const solveCurrentHurdle = async (hurdleController) => {
+      const controller = hurdleController.getCurrentGameController();
+      const gameState = controller.getGameState();
+      while (!gameState.isGameOver()) {
+        await controller.submitGuess(gameState.getCandidates()[0]);
+      }
+      return gameState;
+    };
+
+    test('should pick the answer from unsolved words and record it once solved', async () => {
+      const hurdleController = createController();
+      await hurdleController.startHurdleMode({ maxGuesses: 6, evilMode: true });
+
+      expect(hurdleController.isEvilMode()).toBe(true);
+      expect(hurdleController.getTargetHistory().size()).toBe(0);
+
+      const gameState = await solveCurrentHurdle(hurdleController);
+      expect(gameState.getGameStatus()).toBe('won');
+
+      const transition = await hurdleController.processHurdleCompletion(gameState);
+      const answer = transition.completedHurdle.getTargetWord();
+      expect(hurdleController.getTargetHistory().hasSeen(answer)).toBe(true);
+
+      const nextGameState = await hurdleController.startNextHurdle(answer);
+      expect(nextGameState.getGuesses()[0].getWord()).toBe(answer);
+      expect(nextGameState.getRemainingAttempts()).toBe(5);
+      expect(nextGameState.getCandidates()).not.toContain(answer);
+    });
+
+    test('should only be played on a single board', async () => {
+      await expect(createController().startHurdleMode({ boardCount: 2, evilMode: true }))
+        .rejects.toThrow('Evil mode is played on a single board');
+
+      const gameConfig = new GameConfig();
+      expect(gameConfig.getEvilMode()).toBe(false);
+      gameConfig.setEvilMode(true);
+      expect(new GameConfig().getEvilMode()).toBe(true);
+    });
+
+    test('should start challenges from the same candidates', async () => {
+      const gameConfig = new GameConfig();
+      gameConfig.setEvilMode(true);
+      const challenge = Challenge.create(gameConfig.getAllSettings(), gameConfig.getFrequencyRange(), { seed: 'evil-seed' });
+
+      const hurdleController = createController();
+      await hurdleController.startChallenge(Challenge.fromCode(challenge.toCode()));
+
+      expect(hurdleController.isEvilMode()).toBe(true);
+      expect(hurdleController.getCurrentGameController().getGameState().getCandidates()).toEqual([...WORDS].sort());
+    });
+  });
+});
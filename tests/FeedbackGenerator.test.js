@@ -99,6 +99,17 @@ describe('FeedbackGenerator', () => {
         FeedbackGenerator.generateFeedback(123, 'crane');
       }).toThrow('Both guess and targetWord must be strings');
     });
+
+    test('should treat accented letters as distinct unless a normalizer folds them', () => {
+      const fold = letter => ({ 'á': 'a', 'é': 'e' }[letter] || letter);
+
+      expect(FeedbackGenerator.generateFeedback('arbol', 'árbol').map(f => f.status))
+        .toEqual(['absent', 'correct', 'correct', 'correct', 'correct']);
+
+      const folded = FeedbackGenerator.generateFeedback('arbol', 'árbol', fold);
+      expect(folded.map(f => f.status)).toEqual(['correct', 'correct', 'correct', 'correct', 'correct']);
+      expect(folded.map(f => f.letter).join('')).toBe('arbol');
+    });
   });
 
   describe('Property-Based Tests', () => {
@@ -3,6 +3,7 @@
  */
 
 const GameConfig = require('../src/GameConfig');
+const CustomWordList = require('../src/CustomWordList');
 
 // Mock localStorage for testing
 const localStorageMock = {
@@ -160,6 +161,98 @@ describe('GameConfig', () => {
     });
   });
 
+  describe('language configuration', () => {
+    beforeEach(() => {
+      gameConfig = new GameConfig();
+    });
+
+    it('should default to English with folded accents', () => {
+      expect(gameConfig.getLanguage()).toBe('en');
+      expect(gameConfig.getAccentMode()).toBe('fold');
+    });
+
+    it('should set supported languages and accent modes', () => {
+      gameConfig.setLanguage('de');
+      gameConfig.setAccentMode('distinct');
+
+      expect(gameConfig.getLanguage()).toBe('de');
+      expect(gameConfig.getAccentMode()).toBe('distinct');
+    });
+
+    it('should throw error for unknown languages and accent modes', () => {
+      expect(() => gameConfig.setLanguage('xx')).toThrow('Language must be one of: en, es, fr, de');
+      expect(() => gameConfig.setAccentMode('strip')).toThrow('Accent mode must be one of: distinct, fold');
+    });
+  });
+
+  describe('custom word list configuration', () => {
+    beforeEach(() => {
+      gameConfig = new GameConfig();
+    });
+
+    it('should default to no custom word list', () => {
+      expect(gameConfig.getCustomWordList()).toBeNull();
+    });
+
+    it('should save custom word lists as plain data', () => {
+      const { list } = CustomWordList.parse('pirate\nparrot\nanchor', '', { name: 'Pirates' });
+
+      gameConfig.setCustomWordList(list);
+
+      expect(gameConfig.getAllSettings().customWordList).toEqual({
+        name: 'Pirates',
+        language: 'en',
+        targets: ['pirate', 'parrot', 'anchor'],
+        guesses: []
+      });
+      expect(gameConfig.getCustomWordList().getTargets(6)).toEqual(['pirate', 'parrot', 'anchor']);
+
+      gameConfig.setCustomWordList(null);
+      expect(gameConfig.getCustomWordList()).toBeNull();
+    });
+
+    it('should reject values that are not word lists', () => {
+      expect(() => gameConfig.setCustomWordList(['pirate', 'parrot'])).toThrow('Custom word list must be a CustomWordList or null');
+    });
+  });
+
+  describe('content filter configuration', () => {
+    beforeEach(() => {
+      gameConfig = new GameConfig();
+    });
+
+    it('should enable every category by default', () => {
+      expect(gameConfig.getContentFilterCategories()).toEqual({ slurs: true, profanity: true, sexual: true });
+    });
+
+    it('should switch single categories', () => {
+      gameConfig.setContentFilterCategory('profanity', false);
+
+      expect(gameConfig.getContentFilterCategories()).toEqual({ slurs: true, profanity: false, sexual: true });
+    });
+
+    it('should throw error for unknown categories', () => {
+      expect(() => gameConfig.setContentFilterCategory('violence', false)).toThrow('Content filter category must be one of: slurs, profanity, sexual');
+    });
+  });
+
+  describe('target cooldown configuration', () => {
+    beforeEach(() => {
+      gameConfig = new GameConfig();
+    });
+
+    it('should default to 500 targets and accept the listed options', () => {
+      expect(gameConfig.getTargetCooldown()).toBe(500);
+
+      gameConfig.setTargetCooldown(0);
+      expect(gameConfig.getTargetCooldown()).toBe(0);
+    });
+
+    it('should throw error for other cooldowns', () => {
+      expect(() => gameConfig.setTargetCooldown(250)).toThrow('Target cooldown must be one of: 0, 100, 500, 1000');
+    });
+  });
+
   describe('persistence', () => {
     beforeEach(() => {
       gameConfig = new GameConfig();
@@ -219,7 +312,18 @@ describe('GameConfig', () => {
         maxGuesses: 4,
         difficulty: 'medium',
         showDefinitions: true,
-        hardMode: false
+        hardMode: false,
+        hardModeLevel: 'normal',
+        wordLength: 5,
+        varyWordLength: false,
+        language: 'en',
+        accentMode: 'fold',
+        customWordList: null,
+        contentFilter: { slurs: true, profanity: true, sexual: true },
+        targetCooldown: 500,
+        blitzDuration: 0,
+        boardCount: 1,
+        evilMode: false
       });
     });
   });
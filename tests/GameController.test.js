@@ -62,6 +62,34 @@ describe('GameController (via HurdleController)', () => {
     });
   });
 
+  describe('word length', () => {
+    test('should start hurdles with the requested word length', async () => {
+      const mixedDictionary = new Dictionary(['lamp', 'fork', 'garden', 'planet']);
+      const controller = new HurdleController(mixedDictionary);
+
+      await controller.startHurdleMode({ wordLength: 6 });
+      const gameState = controller.getCurrentGameController().getGameState();
+
+      expect(gameState.getWordLength()).toBe(6);
+      expect(['garden', 'planet']).toContain(gameState.getTargetWord());
+    });
+
+    test('should reject guesses that do not match the target length', async () => {
+      const mixedDictionary = new Dictionary(['lamp', 'fork', 'garden', 'planet']);
+      const controller = new HurdleController(mixedDictionary);
+
+      await controller.startHurdleMode({ wordLength: 4 });
+      const result = await controller.getCurrentGameController().submitGuess('garden');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Word must be exactly 4 letters');
+    });
+
+    test('should reject unsupported word lengths', async () => {
+      await expect(hurdleController.startHurdleMode({ wordLength: 9 })).rejects.toThrow('Word length must be between 4 and 8');
+    });
+  });
+
   describe('submitGuess', () => {
     test('should reject guess if no hurdle session has been started', async () => {
       const newHurdleController = new HurdleController(dictionary);
@@ -40,6 +40,14 @@ describe('GameState (Hurdle Mode Context)', () => {
       expect(() => new GameState('elephant')).toThrow('Target word must be exactly 5 letters');
     });
 
+    test('should support 4 to 8 letter target words', () => {
+      expect(new GameState('lamp', 4, 4).getWordLength()).toBe(4);
+      expect(new GameState('garden', 4, 6).getTargetWord()).toBe('garden');
+      expect(new GameState('elephant', 4, 8).getWordLength()).toBe(8);
+      expect(() => new GameState('garden', 4, 5)).toThrow('Target word must be exactly 5 letters');
+      expect(() => new GameState('cat', 4, 3)).toThrow('Word length must be between 4 and 8');
+    });
+
     test('should throw error if maxAttempts is not a positive number', () => {
       expect(() => new GameState('apple', 0)).toThrow('Max attempts must be a positive number');
       expect(() => new GameState('apple', -1)).toThrow('Max attempts must be a positive number');
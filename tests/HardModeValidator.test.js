@@ -169,4 +169,54 @@ describe('HardModeValidator', () => {
       expect(constraints.excludedLetters).toHaveLength(0);
     });
   });
+
+  describe('strict level', () => {
+    const feedbackFor = (word, statuses) =>
+      Array.from(word, (letter, i) => ({ letter, status: { c: 'correct', p: 'present', a: 'absent' }[statuses[i]] }));
+
+    beforeEach(() => {
+      validator = new HardModeValidator('strict');
+    });
+
+    test('should ban grey letters and yellows in spots they were tried in', () => {
+      validator.updateFromFeedback('crane', feedbackFor('crane', 'apcaa'));
+
+      const result = validator.validateGuess('brand');
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual(["R can't be the 2nd letter", "Guess can't contain N"]);
+      expect(result.error).toBe(result.errors.join('; '));
+      expect(validator.validateGuess('tiara').isValid).toBe(true);
+
+      // Normal hard mode only asks for the green A and the yellow R
+      const normal = new HardModeValidator();
+      normal.updateFromFeedback('crane', feedbackFor('crane', 'apcaa'));
+      expect(normal.validateGuess('brand')).toEqual({ isValid: true });
+    });
+
+    test('should enforce letter counts revealed by duplicate feedback', () => {
+      validator.updateFromFeedback('seems', feedbackFor('seems', 'acpaa'));
+
+      expect(validator.validateGuess('beach').errors).toEqual(['Guess must contain 2 Es']);
+      expect(validator.validateGuess('geese').errors).toEqual(["E can't be the 3rd letter", "Guess can't contain S"]);
+      expect(validator.validateGuess('tepee').isValid).toBe(true);
+
+      validator.reset();
+      validator.updateFromFeedback('eerie', feedbackFor('eerie', 'caaaa'));
+      expect(validator.getConstraints().maxLetterCounts).toEqual({ e: 1, r: 0, i: 0 });
+      expect(validator.validateGuess('edges').errors).toEqual(["Guess can't contain more than 1 E"]);
+      expect(validator.validateGuess('ethos')).toEqual({ isValid: true });
+    });
+
+    test('should clear the strict constraints on reset', () => {
+      validator.updateFromFeedback('seems', feedbackFor('seems', 'acpaa'));
+      validator.reset();
+
+      const constraints = validator.getConstraints();
+      expect(constraints.minLetterCounts).toEqual({});
+      expect(constraints.maxLetterCounts).toEqual({});
+      expect(constraints.bannedPositions).toEqual({});
+      expect(validator.getLevel()).toBe('strict');
+      expect(() => new HardModeValidator('brutal')).toThrow('Hard mode level must be one of: normal, strict');
+    });
+  });
 });
\ No newline at end of file
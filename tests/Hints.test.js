@@ -0,0 +1,170 @@
+/**
+ * Tests for hints: revealed letters, eliminated letters and definition clues paid for with points
+ */
+
+const ScoreCalculator = require('../src/ScoreCalculator');
+const GameController = require('../src/GameController');
+const { WORDS, useQuietConsole, createDictionary: createWordDictionary, createHurdleController } = require('./gameTestUtils');
+
+const createDictionary = (definitionText = null) => createWordDictionary(WORDS, {
+  definitionService: {
+    getDefinition: async word => ({
+      word,
+      found: definitionText !== null,
+      pronunciation: null,
+      entries: definitionText !== null ? [{ partOfSpeech: 'noun', definition: definitionText }] : [],
+      message: null
+    })
+  }
+});
+
+describe('Hints', () => {
+  useQuietConsole();
+
+  describe('GameController', () => {
+    test('should reveal letters the player has not placed yet', async () => {
+      const controller = new GameController(createDictionary());
+      await controller.startNewGame(4, null, 5, 'plant');
+
+      // "grape" places the "a", so the first letter without a green is revealed
+      await controller.submitGuess('grape');
+      expect(controller.revealLetter()).toEqual({ position: 0, letter: 'p' });
+      expect(controller.revealLetter()).toEqual({ position: 1, letter: 'l' });
+
+      const eliminated = controller.eliminateLetters(3);
+      expect(eliminated).toHaveLength(3);
+      eliminated.forEach(letter => expect('plantgrpe').not.toContain(letter));
+      expect(controller.getHints().revealed).toEqual([{ position: 0, letter: 'p' }, { position: 1, letter: 'l' }]);
+    });
+
+    test('should give the first definition line as a clue without the answer', async () => {
+      const controller = new GameController(createDictionary('A young Plant grows here\nSecond line'));
+      await controller.startNewGame(4, null, 5, 'plant');
+
+      expect(await controller.getDefinitionClue()).toBe('A young _____ grows here');
+      await expect(controller.getDefinitionClue()).rejects.toThrow('The definition clue has already been shown');
+
+      const undefinedController = new GameController(createDictionary());
+      await undefinedController.startNewGame(4, null, 5, 'plant');
+      await expect(undefinedController.getDefinitionClue()).rejects.toThrow('No definition clue is available for this word');
+    });
+
+    test('should not give hints in evil mode or after the game is over', async () => {
+      const evilController = new GameController(createDictionary(), false, true);
+      await evilController.startNewGame(4, null, 5, [...WORDS]);
+      expect(() => evilController.revealLetter()).toThrow('Hints are not available in evil mode');
+
+      const controller = new GameController(createDictionary());
+      await controller.startNewGame(4, null, 5, 'plant');
+      await controller.submitGuess('plant');
+      expect(() => controller.eliminateLetters()).toThrow('Hints can only be used while a game is in progress');
+    });
+  });
+
+  describe('ScoreCalculator', () => {
+    test('should charge hints in order without taking the hurdle below zero', () => {
+      const hints = [{ type: 'reveal', cost: 50 }, { type: 'eliminate', cost: 25 }, { type: 'definition', cost: 35 }];
+
+      expect(ScoreCalculator.chargeHints(175, hints)).toEqual(hints);
+      expect(ScoreCalculator.chargeHints(60, hints)).toEqual([
+        { type: 'reveal', cost: 50 },
+        { type: 'eliminate', cost: 10 },
+        { type: 'definition', cost: 0 }
+      ]);
+      expect(ScoreCalculator.calculateHintCost(ScoreCalculator.chargeHints(0, hints))).toBe(0);
+      expect(() => ScoreCalculator.chargeHints(-1, hints)).toThrow('Hurdle score must be a non-negative number');
+    });
+  });
+
+  describe('in HurdleController', () => {
+    test('should charge hints to the hurdle they were bought on and record them', async () => {
+      const hurdleController = createHurdleController(createDictionary('A kind of thing'));
+      await hurdleController.startHurdleMode();
+
+      // Hints are available from the first hurdle, before any points are banked
+      const first = hurdleController.getCurrentGameController().getGameState();
+      expect((await hurdleController.useHint('reveal')).cost).toBe(50);
+      await expect(hurdleController.useHint('peek')).rejects.toThrow('Hint type must be one of: reveal, eliminate, definition');
+      expect(hurdleController.getHurdleState().getTotalScore()).toBe(0);
+
+      await hurdleController.getCurrentGameController().submitGuess(first.getTargetWord());
+      const { completedHurdle } = await hurdleController.processHurdleCompletion(first);
+      expect(completedHurdle.getScore()).toBe(175 - 50);
+      await hurdleController.startNextHurdle(completedHurdle.getTargetWord());
+      expect(hurdleController.getHurdleState().getTotalScore()).toBe(125);
+
+      const gameState = hurdleController.getCurrentGameController().getGameState();
+      const reveal = await hurdleController.useHint('reveal');
+      expect(reveal.cost).toBe(ScoreCalculator.getHintCost('reveal', 2));
+      expect(reveal.letter).toBe(gameState.getTargetWord()[reveal.position]);
+
+      const eliminate = await hurdleController.useHint('eliminate');
+      eliminate.letters.forEach(letter => expect(gameState.getTargetWord()).not.toContain(letter));
+      expect((await hurdleController.useHint('definition')).clue).toBe('A kind of thing');
+      expect(hurdleController.getHurdleState().getTotalScore()).toBe(125);
+
+      await hurdleController.getCurrentGameController().submitGuess(gameState.getTargetWord());
+      const second = (await hurdleController.processHurdleCompletion(gameState)).completedHurdle;
+
+      // Two guesses with the combo running, less the three hints
+      expect(second.getScore()).toBe(300 + 75 - 220);
+      expect(second.getHints()).toEqual([
+        { type: 'reveal', cost: 100 },
+        { type: 'eliminate', cost: 50 },
+        { type: 'definition', cost: 70 }
+      ]);
+      expect(second.toGameRecord().hintsUsed).toBe(3);
+
+      const summary = hurdleController.getHurdleState().getSessionSummary();
+      expect(summary.totalScore).toBe(280);
+      expect(summary.hintsUsed).toBe(4);
+      expect(summary.scoreBreakdown).toEqual({ hurdlePoints: 475, comboBonus: 75, speedBonus: 0, hintCost: 270 });
+    });
+
+    test('should not let hints take a hurdle below zero', async () => {
+      const hurdleController = createHurdleController(createDictionary('A kind of thing'));
+      await hurdleController.startHurdleMode();
+      const gameState = hurdleController.getCurrentGameController().getGameState();
+      const target = gameState.getTargetWord();
+
+      for (const type of ['reveal', 'eliminate', 'definition']) {
+        await hurdleController.useHint(type);
+      }
+      // Use every guess, so the hurdle earns less than the hints cost
+      for (const word of WORDS.filter(word => word !== target).slice(0, 3)) {
+        await hurdleController.getCurrentGameController().submitGuess(word);
+      }
+      await hurdleController.getCurrentGameController().submitGuess(target);
+      const { completedHurdle } = await hurdleController.processHurdleCompletion(gameState);
+
+      expect(completedHurdle.getScore()).toBe(0);
+      expect(completedHurdle.getHintCost()).toBe(ScoreCalculator.calculateHurdleScore(1, 4));
+      expect(hurdleController.calculateFinalScore()).toBe(0);
+    });
+
+    test('should not charge hints bought on the hurdle that ends the run', async () => {
+      const hurdleController = createHurdleController(createDictionary('A kind of thing'));
+      await hurdleController.startHurdleMode();
+      const first = hurdleController.getCurrentGameController().getGameState();
+      await hurdleController.getCurrentGameController().submitGuess(first.getTargetWord());
+      const { completedHurdle } = await hurdleController.processHurdleCompletion(first);
+      await hurdleController.startNextHurdle(completedHurdle.getTargetWord());
+
+      const gameState = hurdleController.getCurrentGameController().getGameState();
+      await hurdleController.useHint('reveal');
+      await hurdleController.useHint('definition');
+      for (const word of WORDS.filter(word => word !== gameState.getTargetWord()).slice(0, 3)) {
+        await hurdleController.getCurrentGameController().submitGuess(word);
+      }
+      expect(gameState.getGameStatus()).toBe('lost');
+      hurdleController.endHurdleMode('failure', gameState.getTargetWord());
+
+      // The hints still count as used, but the failed hurdle had no points for them to take
+      const summary = hurdleController.getHurdleState().getSessionSummary();
+      expect(hurdleController.calculateFinalScore()).toBe(175);
+      expect(summary.totalScore).toBe(175);
+      expect(summary.hintsUsed).toBe(2);
+      expect(summary.scoreBreakdown.hintCost).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Tests for the shared HTTP client, its circuit breaker and "couldn't verify" guesses
+ */
+
+const HttpClient = require('../src/http/HttpClient');
+const CircuitBreaker = require('../src/http/CircuitBreaker');
+const HttpWordSource = require('../src/wordSources/HttpWordSource');
+const MemoryWordSource = require('../src/wordSources/MemoryWordSource');
+const WordCache = require('../src/cache/WordCache');
+const Dictionary = require('../src/Dictionary');
+const GameController = require('../src/GameController');
+
+const jsonResponse = (status, body, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: name => headers[name] || null },
+  json: () => Promise.resolve(body)
+});
+
+describe('HttpClient', () => {
+  let fetch;
+  let sleep;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    fetch = jest.fn();
+    sleep = jest.fn().mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should retry server errors with growing, jittered delays', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse(500, {}))
+      .mockResolvedValueOnce(jsonResponse(503, {}))
+      .mockResolvedValueOnce(jsonResponse(200, { valid: true }));
+    const client = new HttpClient({ fetch, sleep, random: () => 0.5, baseDelayMs: 100 });
+
+    const response = await client.get('/api/words/validate/grape');
+
+    expect(response.status).toBe(200);
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(sleep.mock.calls).toEqual([[50], [100]]);
+  });
+
+  test('should return client errors without retrying', async () => {
+    fetch.mockResolvedValue(jsonResponse(404, {}));
+    const client = new HttpClient({ fetch, sleep });
+
+    expect((await client.get('/api/words/xqzzt/definition')).status).toBe(404);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should honor Retry-After and give up on waits that are too long', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse(429, {}, { 'Retry-After': '2' }))
+      .mockResolvedValueOnce(jsonResponse(429, {}, { 'Retry-After': '60' }));
+    const client = new HttpClient({ fetch, sleep });
+
+    await expect(client.get('/api/words/random')).rejects.toMatchObject({ status: 429 });
+    expect(sleep.mock.calls).toEqual([[2000]]);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('should reject with a null status when the network keeps failing', async () => {
+    fetch.mockRejectedValue(new Error('Network error'));
+    const client = new HttpClient({ fetch, sleep, maxRetries: 1 });
+
+    await expect(client.get('/api/words/validate/grape')).rejects.toMatchObject({
+      status: null,
+      message: expect.stringContaining('failed after 2 attempts: Network error')
+    });
+  });
+
+  test('should stop making requests once the circuit opens', async () => {
+    let now = 0;
+    fetch.mockRejectedValue(new Error('Network error'));
+    const circuitBreaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 1000, now: () => now });
+    const client = new HttpClient({ fetch, sleep, maxRetries: 0, circuitBreaker });
+
+    await expect(client.get('/a')).rejects.toThrow();
+    await expect(client.get('/b')).rejects.toThrow();
+    expect(client.isCircuitOpen()).toBe(true);
+
+    await expect(client.get('/c')).rejects.toThrow('the service failed 2 times in a row');
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    // After the reset timeout one request is let through and closes the circuit again
+    now = 1000;
+    fetch.mockResolvedValueOnce(jsonResponse(200, {}));
+    expect(circuitBreaker.getState()).toBe('half-open');
+    expect((await client.get('/d')).status).toBe(200);
+    expect(circuitBreaker.getState()).toBe('closed');
+  });
+
+  test('should open the circuit again when the half-open request fails', () => {
+    let now = 0;
+    const circuitBreaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000, now: () => now });
+
+    circuitBreaker.recordFailure();
+    now = 1500;
+    circuitBreaker.recordFailure();
+
+    expect(circuitBreaker.getState()).toBe('open');
+  });
+
+  describe('in Dictionary and GameController', () => {
+    let client;
+    let dictionary;
+
+    beforeEach(() => {
+      client = new HttpClient({
+        fetch,
+        sleep,
+        maxRetries: 0,
+        circuitBreaker: new CircuitBreaker({ failureThreshold: 2 })
+      });
+      dictionary = new Dictionary(null, {
+        source: new HttpWordSource({ baseUrl: '/api/words', cache: new WordCache(), client }),
+        fallbackSource: new MemoryWordSource(['grape', 'crane'])
+      });
+    });
+
+    test('should tell words the service rejected from words it could not check', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse(200, { valid: false }))
+        .mockResolvedValueOnce(jsonResponse(503, {}));
+
+      expect(await dictionary.checkWord('xqzzt')).toBe(Dictionary.WORD_CHECK.INVALID);
+      expect(await dictionary.checkWord('grape')).toBe(Dictionary.WORD_CHECK.UNVERIFIED);
+      expect(await dictionary.isValidWord('xqzzt')).toBe(false);
+    });
+
+    test('should switch to the offline source once the circuit opens', async () => {
+      fetch.mockRejectedValue(new Error('Network error'));
+
+      expect(await dictionary.checkWord('grape')).toBe(Dictionary.WORD_CHECK.UNVERIFIED);
+      expect(await dictionary.checkWord('grape')).toBe(Dictionary.WORD_CHECK.VALID);
+      expect(dictionary.isOffline()).toBe(true);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should report unchecked guesses without using an attempt', async () => {
+      fetch.mockResolvedValueOnce(jsonResponse(500, {}));
+      const gameController = new GameController(dictionary);
+      await gameController.startNewGame(4, null, 5, 'crane');
+
+      const result = await gameController.submitGuess('grape');
+
+      expect(result).toMatchObject({ success: false, unverified: true, gameStatus: 'in-progress' });
+      expect(result.error).toContain('Couldn\'t check "GRAPE" right now');
+      expect(gameController.getGameState().getRemainingAttempts()).toBe(4);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Tests for language packs and playing in other languages
+ */
+
+const LanguagePack = require('../src/languages/LanguagePack');
+const { getLanguagePack, LANGUAGE_CODES } = require('../src/languages/languagePacks');
+const LocalWordSource = require('../src/wordSources/LocalWordSource');
+const Dictionary = require('../src/Dictionary');
+const GameController = require('../src/GameController');
+
+describe('LanguagePack', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should provide English, Spanish, French and German packs', () => {
+    expect(LANGUAGE_CODES).toEqual(['en', 'es', 'fr', 'de']);
+    expect(getLanguagePack().code).toBe('en');
+    expect(getLanguagePack('fr').name).toBe('Français');
+    expect(() => getLanguagePack('xx')).toThrow('Unknown language "xx"');
+  });
+
+  test('should require a complete pack definition', () => {
+    expect(() => new LanguagePack({ code: 'it', name: 'Italiano' })).toThrow('LanguagePack requires');
+  });
+
+  test('should check words against the alphabet', () => {
+    const spanish = getLanguagePack('es');
+
+    expect(spanish.isWord('niño', 4)).toBe(true);
+    expect(spanish.isWord('NIÑO', 4)).toBe(true);
+    expect(spanish.isWord('straße')).toBe(false);
+    expect(getLanguagePack('en').isWord('niño')).toBe(false);
+    expect(getLanguagePack('de').isWord('straße', 6)).toBe(true);
+  });
+
+  test('should fold accents only in the fold mode and never fold ñ', () => {
+    const spanish = getLanguagePack('es');
+
+    expect(spanish.normalizeWord('Árbol', 'fold')).toBe('arbol');
+    expect(spanish.normalizeWord('Árbol', 'distinct')).toBe('árbol');
+    expect(spanish.normalizeWord('niño', 'fold')).toBe('niño');
+    // Decomposed input (a + combining acute) is composed first
+    expect(spanish.normalizeWord('árbol', 'distinct')).toBe('árbol');
+  });
+
+  test('should lay out the keyboard for each accent mode', () => {
+    const french = getLanguagePack('fr');
+    const german = getLanguagePack('de');
+
+    expect(french.getKeyboardLayout('fold')[0][0]).toBe('A');
+    expect(french.getKeyboardLayout('fold').flat()).not.toContain('É');
+    expect(french.getKeyboardLayout('distinct')).toHaveLength(5);
+    expect(french.getKeyboardLayout('distinct').flat()).toContain('Ç');
+    expect(german.getKeyboardLayout('fold').flat()).not.toContain('Ä');
+    expect(german.getKeyboardLayout('fold').flat()).toContain('ẞ');
+    expect(german.getKeyboardLayout('distinct').flat()).toContain('Ä');
+  });
+
+  test('should uppercase one character per letter', () => {
+    expect(getLanguagePack('de').toUpperCase('straße')).toBe('STRAẞE');
+    expect('STRAẞE'.toLowerCase()).toBe('straße');
+  });
+
+  test('should have emergency words of every length for every pack', () => {
+    for (const code of LANGUAGE_CODES) {
+      const pack = getLanguagePack(code);
+      for (let length = 4; length <= 8; length++) {
+        const words = pack.getEmergencyWords(length);
+        expect(words.length).toBeGreaterThan(0);
+        words.forEach(word => expect(pack.isWord(word, length)).toBe(true));
+      }
+    }
+  });
+});
+
+describe('Dictionary in other languages', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should switch to the bundled list of the language and back', async () => {
+    const dictionary = new Dictionary(['crane']);
+    const englishSource = dictionary.getSource();
+
+    dictionary.setLanguage('es', 'distinct');
+    expect(dictionary.getSource()).toBeInstanceOf(LocalWordSource);
+    expect(await dictionary.isValidWord('señor')).toBe(true);
+    expect(dictionary.validateWordFormat('señor', 5)).toBe(true);
+    expect(dictionary.getEmergencyFallbackWord(5)).toMatch(/^[a-zñáéíóúü]{5}$/);
+    expect((await dictionary.getDefinition('señor')).message).toMatch(/only available for English/);
+
+    dictionary.setLanguage('en');
+    expect(dictionary.getSource()).toBe(englishSource);
+    expect(dictionary.validateWordFormat('señor', 5)).toBe(false);
+  });
+
+  test('should reject unknown accent modes', () => {
+    const dictionary = new Dictionary(['crane']);
+
+    expect(() => dictionary.setLanguage('es', 'strip')).toThrow('Accent mode must be one of');
+  });
+
+  test('should win with folded accents and score accented letters as distinct otherwise', async () => {
+    const frequencies = { 'árbol': 4.2, arbol: 0, perro: 4.4 };
+
+    const range = { min: 4.1, max: 4.3 };
+    const folding = new Dictionary(null, {
+      source: new LocalWordSource(frequencies, { language: 'es', accentMode: 'fold' }),
+      language: 'es',
+      accentMode: 'fold'
+    });
+    const foldingGame = new GameController(folding);
+    await foldingGame.startNewGame(4, range, 5);
+    const won = await foldingGame.submitGuess('ARBOL');
+
+    expect(foldingGame.getGameState().getTargetWord()).toBe('árbol');
+    expect(won.success).toBe(true);
+    expect(won.gameStatus).toBe('won');
+
+    const distinct = new Dictionary(null, {
+      source: new LocalWordSource(frequencies, { language: 'es', accentMode: 'distinct' }),
+      language: 'es',
+      accentMode: 'distinct'
+    });
+    const distinctGame = new GameController(distinct);
+    await distinctGame.startNewGame(4, range, 5);
+    const guess = await distinctGame.submitGuess('arbol');
+
+    expect(guess.guess.getFeedback()[0].status).toBe('absent');
+    expect(guess.gameStatus).toBe('in-progress');
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for multi-board hurdles: one guess played on several boards at once
+ */
+
+const MultiBoardController = require('../src/MultiBoardController');
+const ScoreCalculator = require('../src/ScoreCalculator');
+const Challenge = require('../src/Challenge');
+const GameConfig = require('../src/GameConfig');
+const { useQuietConsole, createDictionary, createHurdleController } = require('./gameTestUtils');
+
+describe('Multi-board hurdles', () => {
+  useQuietConsole();
+
+  describe('MultiBoardController', () => {
+    test('should play each guess on the boards that are not solved yet', async () => {
+      const controller = new MultiBoardController(createDictionary(), false, 2);
+      const gameState = await controller.startNewGame(5, null, 5, ['apple', 'river']);
+
+      const first = await controller.submitGuess('crane');
+      expect(first.success).toBe(true);
+      expect(first.guesses.map(guess => guess.getWord())).toEqual(['crane', 'crane']);
+
+      const solved = await controller.submitGuess('apple');
+      expect(solved.gameStatus).toBe('in-progress');
+      expect(gameState.getSolvedBoardCount()).toBe(1);
+
+      const next = await controller.submitGuess('house');
+      expect(next.guesses[0]).toBeNull();
+      expect(gameState.getBoards()[0].getGuesses()).toHaveLength(2);
+      expect(gameState.getRemainingAttempts()).toBe(2);
+
+      expect((await controller.submitGuess('river')).gameStatus).toBe('won');
+      expect(gameState.getTargetWords()).toEqual(['apple', 'river']);
+      expect(gameState.getGuesses().map(guess => guess.getWord())).toEqual(['crane', 'apple', 'house', 'river']);
+    });
+
+    test('should look each guess up once and keep the boards in step when it cannot be checked', async () => {
+      const dictionary = createDictionary();
+      const controller = new MultiBoardController(dictionary, false, 3);
+      const gameState = await controller.startNewGame(5, null, 5, ['apple', 'river', 'ocean']);
+      const checkWord = jest.spyOn(dictionary, 'checkWord');
+
+      await controller.submitGuess('crane');
+      expect(checkWord).toHaveBeenCalledTimes(1);
+
+      checkWord.mockResolvedValueOnce('unverified');
+      const result = await controller.submitGuess('house');
+
+      expect(result).toMatchObject({ success: false, unverified: true, gameStatus: 'in-progress' });
+      expect(gameState.getBoards().map(board => board.getGuesses().length)).toEqual([1, 1, 1]);
+      expect((await controller.submitGuess('crane')).error).toBe('You have already guessed this word');
+    });
+
+    test('should lose when a board runs out of guesses', async () => {
+      const controller = new MultiBoardController(createDictionary(), false, 3);
+      const gameState = await controller.startNewGame(2, null, 5, ['apple', 'river', 'ocean']);
+
+      await controller.submitGuess('apple');
+      const result = await controller.submitGuess('river');
+
+      expect(result.gameStatus).toBe('lost');
+      expect(gameState.isGameOver()).toBe(true);
+      expect((await controller.submitGuess('ocean')).error).toBe('Game is over. Start a new game!');
+      expect((await new MultiBoardController(createDictionary(), false, 2).submitGuess('apple')).success).toBe(false);
+    });
+
+    test('should hold guesses to the hints of every open board in hard mode', async () => {
+      const controller = new MultiBoardController(createDictionary(), true, 2);
+      const gameState = await controller.startNewGame(6, null, 5, ['plant', 'light']);
+
+      await controller.submitGuess('eagle');
+      // Keeps to the first board's "a" but not the second board's "l"
+      const result = await controller.submitGuess('crane');
+
+      expect(result.success).toBe(false);
+      expect(gameState.getGuesses()).toHaveLength(1);
+
+      // Replayed answers don't have to keep to the hints
+      expect((await controller.submitGuess('music', { autoGuess: true })).success).toBe(true);
+      expect(() => new MultiBoardController(createDictionary(), false, 1)).toThrow('Board count must be a whole number of at least 2');
+    });
+  });
+
+  describe('in HurdleController', () => {
+    const createController = () => createHurdleController();
+
+    const solveAllBoards = async (hurdleController) => {
+      const controller = hurdleController.getCurrentGameController();
+      for (const target of controller.getGameState().getTargetWords()) {
+        if (!controller.getGameState().isGameOver()) {
+          await controller.submitGuess(target);
+        }
+      }
+      return hurdleController.processHurdleCompletion(controller.getGameState());
+    };
+
+    test('should clear a hurdle when every board is solved and score each board', async () => {
+      const hurdleController = createController();
+      await hurdleController.startHurdleMode({ boardCount: 3 });
+
+      const gameState = hurdleController.getCurrentGameController().getGameState();
+      expect(hurdleController.getBoardCount()).toBe(3);
+      expect(new Set(gameState.getTargetWords()).size).toBe(3);
+      expect(gameState.getRemainingAttempts()).toBe(6);
+
+      const transition = await solveAllBoards(hurdleController);
+      const completedHurdle = transition.completedHurdle;
+
+      // Three guesses on three boards is as good as one guess on one board
+      expect(completedHurdle.getGuessCount()).toBe(1);
+      expect(completedHurdle.getScore()).toBe(ScoreCalculator.calculateHurdleScore(1, 1) * 3);
+      expect(completedHurdle.getTargetWords()).toEqual(gameState.getTargetWords());
+      expect(hurdleController.getHurdleState().getSolvedWords()).toEqual(gameState.getTargetWords());
+      expect(transition.animationData.autoGuesses).toEqual(gameState.getTargetWords());
+    });
+
+    test('should auto-guess every previous answer on the next hurdle', async () => {
+      const hurdleController = createController();
+      await hurdleController.startHurdleMode({ boardCount: 2 });
+
+      const transition = await solveAllBoards(hurdleController);
+      const previousAnswers = transition.completedHurdle.getTargetWords();
+      const nextGameState = await hurdleController.startNextHurdle(previousAnswers);
+
+      expect(nextGameState.getGuesses().map(guess => guess.getWord())).toEqual(previousAnswers);
+      expect(nextGameState.getRemainingAttempts()).toBe(3);
+      nextGameState.getTargetWords().forEach(target => expect(previousAnswers).not.toContain(target));
+
+      await expect(hurdleController.startHurdleMode({ boardCount: 5 }))
+        .rejects.toThrow('Board count must be one of: 1, 2, 3, 4');
+    });
+
+    test('should replay the same boards from a challenge code', async () => {
+      const gameConfig = new GameConfig();
+      gameConfig.setBoardCount(2);
+      const challenge = Challenge.create(gameConfig.getAllSettings(), gameConfig.getFrequencyRange(), { seed: 'board-seed' });
+
+      const playChallenge = async (code) => {
+        const hurdleController = createController();
+        await hurdleController.startChallenge(Challenge.fromCode(code));
+        return hurdleController.getCurrentGameController().getGameState().getTargetWords();
+      };
+
+      const targets = await playChallenge(challenge.toCode());
+      expect(targets).toHaveLength(2);
+      expect(await playChallenge(challenge.toCode())).toEqual(targets);
+      expect(new GameConfig().getBoardCount()).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for the scoring rules: multipliers for every max-guess setting, hard mode, difficulty
+ * and combos
+ */
+
+const ScoreCalculator = require('../src/ScoreCalculator');
+const CompletedHurdle = require('../src/CompletedHurdle');
+const HurdleSession = require('../src/HurdleSession');
+const { SCORING_RULES } = require('../src/config');
+const { WORDS, useQuietConsole, createHurdleController } = require('./gameTestUtils');
+
+describe('Scoring rules', () => {
+  useQuietConsole();
+
+  describe('ScoreCalculator', () => {
+    test('should keep the four guess multipliers and stretch them to other max guesses', () => {
+      expect(ScoreCalculator.getGuessMultipliers(4)).toEqual([1.75, 1.5, 1.25, 1.0]);
+      expect(ScoreCalculator.getGuessMultipliers(3)).toEqual([1.75, 1.38, 1.0]);
+
+      SCORING_RULES.MAX_GUESS_OPTIONS.forEach(maxGuesses => {
+        const multipliers = ScoreCalculator.getGuessMultipliers(maxGuesses);
+        expect(multipliers[0]).toBe(SCORING_RULES.GUESS_MULTIPLIER.FIRST);
+        expect(multipliers[maxGuesses - 1]).toBe(SCORING_RULES.GUESS_MULTIPLIER.LAST);
+      });
+
+      expect(ScoreCalculator.calculateHurdleScore(2, 6, 1, { maxGuesses: 6 })).toBe(200);
+      expect(() => ScoreCalculator.calculateHurdleScore(2, 5)).toThrow('Guess count must be between 1 and 4');
+      expect(() => ScoreCalculator.getGuessMultiplier(1, 0)).toThrow('Max guesses must be a positive whole number');
+    });
+
+    test('should apply hard mode and difficulty multipliers', () => {
+      expect(ScoreCalculator.calculateHurdleScore(1, 1)).toBe(175);
+      expect(ScoreCalculator.calculateHurdleScore(1, 4, 1, { hardMode: true })).toBe(110);
+      expect(ScoreCalculator.calculateHurdleScore(1, 4, 1, { hardMode: 'strict' })).toBe(125);
+
+      expect(ScoreCalculator.getDifficultyMultiplier({ min: 5.5, max: null })).toBe(0.9);
+      expect(ScoreCalculator.getDifficultyMultiplier({ min: 4.0, max: 5.5 })).toBe(1.0);
+      expect(ScoreCalculator.getDifficultyMultiplier({ min: 2.5, max: 4.0 })).toBe(1.25);
+      expect(ScoreCalculator.getDifficultyMultiplier(null)).toBe(1);
+
+      const breakdown = ScoreCalculator.getScoreBreakdown(2, 4, { hardMode: 'strict', difficultyBand: { min: 2.5, max: 4.0 } });
+      expect(breakdown.finalScore).toBe(313);
+      expect(breakdown.formula).toBe('2 × 100 × 1 × 1.25 × 1.25 = 313');
+      expect(ScoreCalculator.getScoreBreakdown(10, 4).formula).toBe('10 × 100 × 1 = 1000');
+    });
+  });
+
+  test('should let hurdles use every guess they were allowed', async () => {
+    const hurdleController = createHurdleController();
+    await hurdleController.startHurdleMode({ maxGuesses: 6 });
+
+    const controller = hurdleController.getCurrentGameController();
+    const gameState = controller.getGameState();
+    const misses = WORDS.filter(word => word !== gameState.getTargetWord()).slice(0, 5);
+    for (const word of misses) {
+      await controller.submitGuess(word);
+    }
+    await controller.submitGuess(gameState.getTargetWord());
+
+    const { completedHurdle } = await hurdleController.processHurdleCompletion(gameState);
+    expect(completedHurdle.getGuessCount()).toBe(6);
+    expect(completedHurdle.getMaxGuesses()).toBe(6);
+    expect(completedHurdle.getGuessMultiplier()).toBe(1.0);
+    expect(completedHurdle.getScore()).toBe(100);
+
+    const guesses = gameState.getGuesses().slice(0, 5);
+    expect(() => new CompletedHurdle(1, 'apple', 5, 100, guesses)).toThrow('Guess count must be between 1 and 4');
+  });
+
+  describe('combos', () => {
+    test('should build the combo multiplier on quick solves and reset it on slower ones', () => {
+      expect(ScoreCalculator.getNextCombo(0, 1)).toBe(1);
+      expect(ScoreCalculator.getNextCombo(3, 2)).toBe(4);
+      expect(ScoreCalculator.getNextCombo(3, 3)).toBe(0);
+
+      expect([0, 1, 2, 3, 5, 9].map(combo => ScoreCalculator.getComboMultiplier(combo))).toEqual([1, 1, 1.25, 1.5, 2, 2]);
+      expect(ScoreCalculator.calculateComboBonus(300, 2)).toBe(75);
+      expect(() => ScoreCalculator.getNextCombo(-1, 1)).toThrow('Combo must be a non-negative whole number');
+    });
+
+    test('should add combo bonuses to hurdle scores and break them down in the summary', async () => {
+      const hurdleController = createHurdleController();
+      await hurdleController.startHurdleMode();
+
+      const solveHurdle = async (missCount) => {
+        const controller = hurdleController.getCurrentGameController();
+        const gameState = controller.getGameState();
+        const played = gameState.getGuesses().map(guess => guess.getWord());
+        const misses = WORDS.filter(word => word !== gameState.getTargetWord() && !played.includes(word)).slice(0, missCount);
+        for (const word of [...misses, gameState.getTargetWord()]) {
+          await controller.submitGuess(word);
+        }
+        const { completedHurdle } = await hurdleController.processHurdleCompletion(gameState);
+        await hurdleController.startNextHurdle(completedHurdle.getTargetWord());
+        return completedHurdle;
+      };
+
+      expect((await solveHurdle(0)).getComboBonus()).toBe(0);
+
+      // The auto-guess counts, so the second hurdle is solved in two guesses
+      const second = await solveHurdle(0);
+      expect(second.getComboCount()).toBe(2);
+      expect(second.getComboMultiplier()).toBe(1.25);
+      expect(second.getScore()).toBe(375);
+
+      const third = await solveHurdle(1);
+      expect(third.getComboCount()).toBe(0);
+      expect(third.getScore()).toBe(375);
+
+      const summary = hurdleController.getHurdleState().getSessionSummary();
+      expect(summary.totalScore).toBe(925);
+      expect(summary.comboCount).toBe(0);
+      expect(summary.bestCombo).toBe(2);
+      expect(summary.scoreBreakdown).toEqual({ hurdlePoints: 850, comboBonus: 75, speedBonus: 0, hintCost: 0 });
+
+      const session = new HurdleSession();
+      hurdleController.getHurdleState().getCompletedHurdles().forEach(hurdle => session.addCompletedHurdle(hurdle));
+      expect(session.getBestCombo()).toBe(2);
+      expect(session.getComboBonus()).toBe(75);
+    });
+  });
+});
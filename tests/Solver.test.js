@@ -0,0 +1,111 @@
+/**
+ * Tests for the solver: candidate filtering, entropy ranking and the worker client
+ */
+
+const Solver = require('../src/Solver');
+const SolverClient = require('../src/SolverClient');
+const FeedbackGenerator = require('../src/FeedbackGenerator');
+const GameController = require('../src/GameController');
+const { WORDS, useQuietConsole, createDictionary, createHurdleController } = require('./gameTestUtils');
+
+const played = (word, target) => ({ word, feedback: FeedbackGenerator.generateFeedback(word, target) });
+
+describe('Solver', () => {
+  useQuietConsole();
+
+  test('should keep only the words that give the same feedback', () => {
+    const solver = new Solver(WORDS);
+
+    expect(solver.getCandidates([])).toEqual(WORDS);
+    expect(solver.getCandidates([played('music', 'plant')])).toEqual(['apple', 'bread', 'eagle', 'grape', 'plant']);
+    expect(solver.getCandidates([played('music', 'plant'), played('grape', 'plant')])).toEqual(['plant']);
+    expect(solver.getCandidates([], { correctPositions: { 2: 'a' } })).toEqual(['crane', 'flame', 'grape', 'plant']);
+    expect(solver.getCandidates([], { maxLetterCounts: { e: 0 }, minLetterCounts: { a: 1 } })).toEqual(['plant']);
+
+    expect(() => new Solver([])).toThrow('Solver needs a non-empty word list');
+    expect(() => solver.getCandidates('music')).toThrow('Guesses must be an array');
+  });
+
+  test('should rank guesses by expected information', () => {
+    const solver = new Solver(WORDS);
+    const candidates = ['apple', 'bread', 'eagle', 'grape', 'plant'];
+
+    // Five candidates hold at most log2(5) bits
+    const suggestions = solver.rankGuesses(candidates, { limit: 3 });
+    expect(suggestions).toHaveLength(3);
+    suggestions.forEach(suggestion => expect(suggestion.entropy).toBeLessThanOrEqual(2.322));
+    expect(suggestions.map(suggestion => suggestion.entropy)).toEqual([...suggestions.map(suggestion => suggestion.entropy)].sort((a, b) => b - a));
+
+    // Every candidate gets its own feedback from "grape", so nothing is left to guess after it
+    const best = solver.rankGuesses(candidates, { guessPool: ['grape', 'music'] });
+    expect(best[0]).toEqual({ word: 'grape', entropy: 2.322, expectedRemaining: 1, isCandidate: true });
+    expect(best[1]).toEqual({ word: 'music', entropy: 0, expectedRemaining: 5, isCandidate: false });
+
+    // With two words left only they are worth guessing
+    expect(solver.rankGuesses(['grape', 'plant']).map(suggestion => suggestion.word)).toEqual(['grape', 'plant']);
+    expect(solver.rankGuesses([])).toEqual([]);
+  });
+
+  test('should solve game states with hard mode constraints', async () => {
+    const controller = new GameController(createDictionary(), true);
+    await controller.startNewGame(4, null, 5, 'plant');
+    await controller.submitGuess('music');
+
+    const constraints = controller.getConstraints();
+    expect(constraints.maxLetterCounts).toEqual({ m: 0, u: 0, s: 0, i: 0, c: 0 });
+
+    const analysis = new Solver(WORDS).solveGameState(controller.getGameState(), constraints);
+    expect(analysis.candidates).toEqual(['apple', 'bread', 'eagle', 'grape', 'plant']);
+    expect(analysis.candidateCount).toBe(5);
+    expect(analysis.suggestions[0].entropy).toBeGreaterThan(0);
+
+    const easyController = new GameController(createDictionary());
+    expect(easyController.getConstraints()).toBeNull();
+    await easyController.startNewGame(4, null, 5, 'plant');
+    await easyController.submitGuess('music');
+    expect(easyController.getConstraints()).toEqual(constraints);
+  });
+
+  describe('SolverClient', () => {
+    test('should solve in-process without a worker', async () => {
+      const hurdleController = createHurdleController();
+      await hurdleController.startHurdleMode();
+      const gameController = hurdleController.getCurrentGameController();
+      const target = gameController.getGameState().getTargetWord();
+      await gameController.submitGuess(WORDS.find(word => word !== target));
+
+      const input = await hurdleController.getSolverInput();
+      expect(input).toMatchObject({ language: 'en', wordLength: 5, guesses: [{ word: expect.any(String) }] });
+
+      const client = new SolverClient();
+      expect(client.usesWorker()).toBe(false);
+      const analysis = await client.solve(input);
+      expect(analysis.candidates).toContain(target);
+      expect(analysis).toEqual(Solver.run(input));
+      await expect(client.solve(null)).rejects.toThrow('Solver request is required');
+    });
+
+    test('should pass requests to the worker and back', async () => {
+      const worker = {
+        postMessage: jest.fn(({ id, request }) => {
+          setTimeout(() => worker.onmessage({ data: request.words ? { id, result: Solver.run(request) } : { id, error: 'Solver needs a non-empty word list' } }));
+        }),
+        terminate: jest.fn()
+      };
+      const client = new SolverClient({ createWorker: () => worker });
+      expect(client.usesWorker()).toBe(true);
+
+      const analysis = await client.solve({ words: WORDS, guesses: [played('music', 'plant')] });
+      expect(analysis.candidates).toEqual(['apple', 'bread', 'eagle', 'grape', 'plant']);
+      await expect(client.solve({ guesses: [] })).rejects.toThrow('Solver needs a non-empty word list');
+      expect(worker.postMessage).toHaveBeenCalledTimes(2);
+
+      client.terminate();
+      expect(worker.terminate).toHaveBeenCalled();
+      expect(client.usesWorker()).toBe(false);
+
+      const fallback = new SolverClient({ createWorker: () => { throw new Error('Workers are not supported'); } });
+      expect(fallback.usesWorker()).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for the cross-session target history
+ */
+
+const TargetHistory = require('../src/TargetHistory');
+const Dictionary = require('../src/Dictionary');
+const HurdleController = require('../src/HurdleController');
+
+// Minimal Storage stand-in shared by the instances of one test
+const createStorage = () => {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+};
+
+describe('TargetHistory', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should only report targets inside the cooldown window', () => {
+    const history = new TargetHistory({ storage: null, cooldown: 2 });
+
+    history.record('Apple');
+    history.record('bread');
+    history.record('crane');
+
+    expect(history.hasSeen('crane')).toBe(true);
+    expect(history.hasSeen('BREAD')).toBe(true);
+    expect(history.hasSeen('apple')).toBe(false);
+    expect(history.size()).toBe(3);
+
+    history.setCooldown(0);
+    expect(history.hasSeen('crane')).toBe(false);
+    expect(() => history.setCooldown(-1)).toThrow('Target cooldown must be a whole number from 0 to 1000');
+  });
+
+  test('should move repeated targets to the end of the history', () => {
+    const history = new TargetHistory({ storage: null, cooldown: 2 });
+
+    history.record('apple');
+    history.record('bread');
+    history.record('apple');
+    history.record('crane');
+
+    expect(history.getRecent()).toEqual(['apple', 'crane']);
+  });
+
+  test('should keep the history across sessions and clear it', () => {
+    const storage = createStorage();
+    new TargetHistory({ storage }).record('grape');
+
+    const nextSession = new TargetHistory({ storage });
+    expect(nextSession.hasSeen('grape')).toBe(true);
+
+    new TargetHistory({ storage }).clear();
+    expect(nextSession.hasSeen('grape')).toBe(true);
+    nextSession.reload();
+    expect(nextSession.hasSeen('grape')).toBe(false);
+  });
+
+  test('should cap the history at the largest cooldown', () => {
+    const history = new TargetHistory({ storage: null, cooldown: 1000 });
+
+    for (let i = 0; i < 1005; i++) {
+      history.record(`word${i}`);
+    }
+
+    expect(history.size()).toBe(1000);
+    expect(history.hasSeen('word4')).toBe(false);
+    expect(history.hasSeen('word5')).toBe(true);
+  });
+
+  describe('in HurdleController', () => {
+    let dictionary;
+    let history;
+
+    beforeEach(() => {
+      dictionary = new Dictionary(['apple', 'bread', 'crane', 'eagle']);
+      history = new TargetHistory({ storage: null });
+      history.record('apple');
+      history.record('bread');
+    });
+
+    test('should skip targets seen in earlier sessions', async () => {
+      jest.spyOn(dictionary, 'getRandomWord')
+        .mockResolvedValueOnce('apple')
+        .mockResolvedValueOnce('bread')
+        .mockResolvedValueOnce('crane');
+      const hurdleController = new HurdleController(dictionary, { targetHistory: history });
+
+      await hurdleController.startHurdleMode();
+
+      expect(hurdleController.getCurrentGameController().getGameState().getTargetWord()).toBe('crane');
+      expect(history.getRecent()).toEqual(['apple', 'bread', 'crane']);
+    });
+
+    test('should record every hurdle and avoid them in later hurdles', async () => {
+      jest.spyOn(dictionary, 'getRandomWord')
+        .mockResolvedValueOnce('eagle')
+        .mockResolvedValueOnce('eagle')
+        .mockResolvedValueOnce('apple')
+        .mockResolvedValueOnce('crane');
+      const hurdleController = new HurdleController(dictionary, { targetHistory: history });
+
+      await hurdleController.startHurdleMode();
+      const gameState = hurdleController.getCurrentGameController().getGameState();
+      await hurdleController.getCurrentGameController().submitGuess('eagle');
+      await hurdleController.processHurdleCompletion(gameState);
+      const nextState = await hurdleController.startNextHurdle('eagle');
+
+      expect(nextState.getTargetWord()).toBe('crane');
+      expect(hurdleController.getTargetHistory().getRecent()).toEqual(['apple', 'bread', 'eagle', 'crane']);
+    });
+
+    test('should reuse a seen target rather than fail when every word was seen', async () => {
+      history.record('crane');
+      history.record('eagle');
+      const hurdleController = new HurdleController(dictionary, { targetHistory: history });
+
+      await hurdleController.startHurdleMode();
+
+      expect(['apple', 'bread', 'crane', 'eagle']).toContain(hurdleController.getCurrentGameController().getGameState().getTargetWord());
+    });
+  });
+});
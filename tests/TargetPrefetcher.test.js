@@ -0,0 +1,153 @@
+/**
+ * Tests for prefetching the next hurdle's target
+ */
+
+const TargetPrefetcher = require('../src/TargetPrefetcher');
+const TargetHistory = require('../src/TargetHistory');
+const Dictionary = require('../src/Dictionary');
+const HurdleController = require('../src/HurdleController');
+
+describe('TargetPrefetcher', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should keep the pool filled per word length', async () => {
+    const selectTarget = jest.fn()
+      .mockResolvedValueOnce('apple')
+      .mockResolvedValueOnce('bread')
+      .mockResolvedValueOnce('planet');
+    const prefetcher = new TargetPrefetcher(selectTarget, { poolSize: 2 });
+
+    await prefetcher.fill(5, 'crane');
+    await prefetcher.fill(6, 'crane');
+
+    expect(selectTarget).toHaveBeenCalledWith(5, 'crane');
+    expect(prefetcher.size(5)).toBe(2);
+    expect(prefetcher.size(6)).toBe(1);
+    expect(await prefetcher.take(5)).toBe('apple');
+    expect(await prefetcher.take(6)).toBe('planet');
+    expect(await prefetcher.take(7)).toBeNull();
+  });
+
+  test('should wait for a fill that is still running', async () => {
+    let resolveTarget;
+    const prefetcher = new TargetPrefetcher(() => new Promise(resolve => { resolveTarget = resolve; }));
+
+    prefetcher.fill(5, null);
+    const taken = prefetcher.take(5);
+    resolveTarget('grape');
+
+    expect(await taken).toBe('grape');
+  });
+
+  test('should skip targets that are no longer usable', async () => {
+    const selectTarget = jest.fn().mockResolvedValueOnce('apple').mockResolvedValueOnce('bread');
+    const prefetcher = new TargetPrefetcher(selectTarget, { poolSize: 2 });
+
+    await prefetcher.fill(5, null);
+
+    expect(await prefetcher.take(5, word => word !== 'apple')).toBe('bread');
+    expect(prefetcher.size(5)).toBe(0);
+  });
+
+  test('should discard fills in flight when cleared', async () => {
+    let resolveTarget;
+    const prefetcher = new TargetPrefetcher(() => new Promise(resolve => { resolveTarget = resolve; }));
+
+    const filling = prefetcher.fill(5, null);
+    prefetcher.clear();
+    resolveTarget('apple');
+    await filling;
+
+    expect(prefetcher.size(5)).toBe(0);
+  });
+
+  test('should report failed fills without rejecting', async () => {
+    const prefetcher = new TargetPrefetcher(jest.fn().mockRejectedValue(new Error('Network down')));
+
+    await expect(prefetcher.fill(5, null)).resolves.toBeUndefined();
+
+    expect(prefetcher.getLastError().message).toBe('Network down');
+    expect(await prefetcher.take(5)).toBeNull();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Prefetching a 5 letter target failed'), 'Network down');
+  });
+
+  test('should do nothing with a pool size of 0', async () => {
+    const selectTarget = jest.fn();
+    const prefetcher = new TargetPrefetcher(selectTarget, { poolSize: 0 });
+
+    await prefetcher.fill(5, null);
+
+    expect(prefetcher.isEnabled()).toBe(false);
+    expect(selectTarget).not.toHaveBeenCalled();
+    expect(() => new TargetPrefetcher(selectTarget, { poolSize: -1 })).toThrow('Prefetch pool size must be a whole number of 0 or more');
+  });
+
+  describe('in HurdleController', () => {
+    let dictionary;
+
+    beforeEach(() => {
+      dictionary = new Dictionary(['apple', 'bread', 'crane', 'eagle']);
+    });
+
+    test('should prefetch the next target while the hurdle is played', async () => {
+      jest.spyOn(dictionary, 'getRandomWord')
+        .mockResolvedValueOnce('eagle')
+        .mockResolvedValueOnce('crane');
+      const hurdleController = new HurdleController(dictionary, { targetHistory: new TargetHistory({ storage: null }) });
+
+      await hurdleController.startHurdleMode();
+      await hurdleController.getPrefetcher().fill(5, 'eagle');
+      expect(hurdleController.getPrefetcher().size(5)).toBe(1);
+
+      const gameState = hurdleController.getCurrentGameController().getGameState();
+      await hurdleController.getCurrentGameController().submitGuess('eagle');
+      await hurdleController.processHurdleCompletion(gameState);
+      const nextState = await hurdleController.startNextHurdle('eagle');
+
+      expect(nextState.getTargetWord()).toBe('crane');
+      expect(hurdleController.getTargetHistory().getRecent()).toEqual(['eagle', 'crane']);
+    });
+
+    test('should plan the next word length before the hurdle is completed', async () => {
+      const hurdleController = new HurdleController(dictionary, { targetHistory: new TargetHistory({ storage: null }) });
+      jest.spyOn(hurdleController, '_chooseWordLength')
+        .mockReturnValueOnce(5)
+        .mockReturnValueOnce(6)
+        .mockReturnValue(7);
+
+      await hurdleController.startHurdleMode();
+      await hurdleController.getPrefetcher().fill(6, null);
+
+      const gameState = hurdleController.getCurrentGameController().getGameState();
+      await hurdleController.getCurrentGameController().submitGuess(gameState.getTargetWord());
+      const transition = await hurdleController.processHurdleCompletion(gameState);
+
+      expect(transition.animationData.nextWordLength).toBe(6);
+      expect(transition.animationData.autoGuess).toBeNull();
+    });
+
+    test('should pick a target when the hurdle starts if prefetching is off', async () => {
+      const hurdleController = new HurdleController(dictionary, {
+        targetHistory: new TargetHistory({ storage: null }),
+        prefetchSize: 0
+      });
+
+      await hurdleController.startHurdleMode();
+      const gameState = hurdleController.getCurrentGameController().getGameState();
+      const firstTarget = gameState.getTargetWord();
+      await hurdleController.getCurrentGameController().submitGuess(firstTarget);
+      await hurdleController.processHurdleCompletion(gameState);
+      const nextState = await hurdleController.startNextHurdle(firstTarget);
+
+      expect(hurdleController.getPrefetcher().size(5)).toBe(0);
+      expect(nextState.getTargetWord()).not.toBe(firstTarget);
+    });
+  });
+});
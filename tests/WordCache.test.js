@@ -0,0 +1,164 @@
+/**
+ * Tests for the word lookup cache and its stores
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WordCache = require('../src/cache/WordCache');
+const MemoryCacheStore = require('../src/cache/MemoryCacheStore');
+const FileCacheStore = require('../src/cache/FileCacheStore');
+const WordsAPIWordSource = require('../src/wordSources/WordsAPIWordSource');
+const HttpClient = require('../src/http/HttpClient');
+const Dictionary = require('../src/Dictionary');
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: () => null },
+  json: () => Promise.resolve(body),
+  text: () => Promise.resolve(JSON.stringify(body))
+});
+
+describe('WordCache', () => {
+  let now;
+  let clock;
+
+  beforeEach(() => {
+    now = 1000;
+    clock = () => now;
+    jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('should return cached values until they expire', async () => {
+    const cache = new WordCache({ ttl: 100, negativeTtl: 10, now: clock });
+
+    await cache.set('grape', { results: [] });
+    expect(await cache.get('grape')).toEqual({ value: { results: [] }, negative: false });
+
+    now += 100;
+    expect(await cache.get('grape')).toBeNull();
+    expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1, expired: 1, size: 0 });
+  });
+
+  test('should cache not-found answers with their own TTL', async () => {
+    const cache = new WordCache({ ttl: 100, negativeTtl: 10, now: clock });
+
+    await cache.setNegative('xqzzt');
+    expect(await cache.get('xqzzt')).toEqual({ value: null, negative: true });
+    expect(cache.getStats().negativeHits).toBe(1);
+
+    now += 10;
+    expect(await cache.get('xqzzt')).toBeNull();
+  });
+
+  test('should evict the least recently used entry when full', async () => {
+    const cache = new WordCache({ maxEntries: 2, now: clock });
+
+    await cache.set('apple', 1);
+    await cache.set('bread', 2);
+    await cache.get('apple');
+    await cache.set('crane', 3);
+
+    expect(await cache.get('bread')).toBeNull();
+    expect(await cache.get('apple')).not.toBeNull();
+    expect(cache.getStats()).toMatchObject({ evictions: 1, size: 2, maxEntries: 2 });
+  });
+
+  test('should reload persisted entries and drop expired ones', async () => {
+    const store = new MemoryCacheStore();
+    const first = new WordCache({ store, ttl: 100, now: clock });
+    await first.set('apple', 1);
+    now += 50;
+    await first.set('bread', 2);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    now += 60;
+    const second = new WordCache({ store, ttl: 100, now: clock });
+
+    expect(await second.get('apple')).toBeNull();
+    expect(await second.get('bread')).toEqual({ value: 2, negative: false });
+  });
+
+  test('should keep working when the store fails', async () => {
+    jest.spyOn(console, 'warn').mockImplementation();
+    const store = {
+      name: 'broken',
+      getAll: () => Promise.reject(new Error('quota exceeded')),
+      put: () => Promise.reject(new Error('quota exceeded')),
+      delete: () => Promise.reject(new Error('quota exceeded')),
+      clear: () => Promise.reject(new Error('quota exceeded'))
+    };
+    const cache = new WordCache({ store, now: clock });
+
+    await cache.set('apple', 1);
+    expect(await cache.get('apple')).toEqual({ value: 1, negative: false });
+    console.warn.mockRestore();
+  });
+
+  test('should persist entries to a file', async () => {
+    const filePath = path.join(os.tmpdir(), `hurdle-word-cache-${process.pid}.json`);
+    try {
+      const store = new FileCacheStore(filePath);
+      await store.put({ key: 'apple', value: 1, negative: false, accessedAt: 1, expiresAt: 2 });
+      store.flush();
+
+      const reloaded = new FileCacheStore(filePath);
+      expect(await reloaded.getAll()).toEqual([{ key: 'apple', value: 1, negative: false, accessedAt: 1, expiresAt: 2 }]);
+    } finally {
+      fs.rmSync(filePath, { force: true });
+    }
+  });
+
+  describe('WordsAPIWordSource caching', () => {
+    const tracker = {
+      shouldUseAPI: () => true,
+      updateFromHeaders: () => null,
+      recordRequest: jest.fn()
+    };
+
+    test('should answer repeat lookups without another request', async () => {
+      const source = new WordsAPIWordSource({ tracker, cache: new WordCache(), baseUrl: 'https://words.example' });
+      global.fetch = jest.fn()
+        .mockResolvedValueOnce(jsonResponse(200, {
+          word: 'grape',
+          results: [{ definition: 'a small round juicy fruit', typeOf: ['edible fruit'], synonyms: ['vine'] }]
+        }))
+        .mockResolvedValueOnce(jsonResponse(404, { message: 'word not found' }));
+
+      expect(await source.isValidWord('grape')).toBe(true);
+      expect(await source.hasDefinition('grape')).toBe(true);
+      expect(await source.isValidWord('xqzzt')).toBe(false);
+      expect(await source.isValidWord('XQZZT')).toBe(false);
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(source.getCacheStats()).toMatchObject({ hits: 1, negativeHits: 1, misses: 2 });
+    });
+
+    test('should not cache failures other than unknown words', async () => {
+      jest.spyOn(console, 'warn').mockImplementation();
+      const client = new HttpClient({ maxRetries: 0 });
+      const source = new WordsAPIWordSource({ tracker, cache: new WordCache(), baseUrl: 'https://words.example', client });
+      global.fetch = jest.fn()
+        .mockResolvedValueOnce(jsonResponse(500, {}))
+        .mockResolvedValueOnce(jsonResponse(200, { word: 'grape', results: [] }));
+
+      await expect(source.isValidWord('grape')).rejects.toThrow('HTTP 500');
+      expect(await source.isValidWord('grape')).toBe(true);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      console.warn.mockRestore();
+    });
+
+    test('should expose cache statistics through the dictionary', () => {
+      const cache = new WordCache();
+      const dictionary = new Dictionary(null, { source: new WordsAPIWordSource({ tracker, cache }) });
+
+      expect(dictionary.getCacheStats()).toMatchObject({ hits: 0, misses: 0, store: 'memory' });
+      expect(new Dictionary(['apple']).getCacheStats()).toBeNull();
+    });
+  });
+});
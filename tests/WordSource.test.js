@@ -0,0 +1,273 @@
+/**
+ * Tests for the word source providers and Dictionary delegation
+ */
+
+const Dictionary = require('../src/Dictionary');
+const WordSource = require('../src/wordSources/WordSource');
+const MemoryWordSource = require('../src/wordSources/MemoryWordSource');
+const LocalWordSource = require('../src/wordSources/LocalWordSource');
+const HttpWordSource = require('../src/wordSources/HttpWordSource');
+const WordsAPIWordSource = require('../src/wordSources/WordsAPIWordSource');
+const { createWordSource } = require('../src/wordSources/createWordSource');
+const WordCache = require('../src/cache/WordCache');
+const HttpClient = require('../src/http/HttpClient');
+
+// Client with its own circuit breaker that retries without waiting
+const createClient = () => new HttpClient({ sleep: () => Promise.resolve() });
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: () => null },
+  json: () => Promise.resolve(body),
+  text: () => Promise.resolve(JSON.stringify(body))
+});
+
+describe('WordSource', () => {
+  describe('base class', () => {
+    test('should require a name', () => {
+      expect(() => new WordSource()).toThrow('Word source name is required');
+    });
+
+    test('should throw for unimplemented lookups', async () => {
+      const source = new WordSource('custom');
+      await expect(source.isValidWord('apple')).rejects.toThrow('not implemented');
+      await expect(source.getRandomWord({ min: 0, max: 7 })).rejects.toThrow('not implemented');
+      await expect(source.hasDefinition('apple')).rejects.toThrow('not implemented');
+    });
+  });
+
+  describe('MemoryWordSource', () => {
+    test('should validate case-insensitively and pick from its list', async () => {
+      const source = new MemoryWordSource(['APPLE', 'bread']);
+
+      expect(source.isOffline()).toBe(true);
+      expect(await source.isValidWord('apple')).toBe(true);
+      expect(await source.isValidWord('crane')).toBe(false);
+      expect(['apple', 'bread']).toContain(await source.getRandomWord({ min: 0, max: 7 }));
+      expect(source.size()).toBe(2);
+    });
+
+    test('should return null when the list is empty', async () => {
+      const source = new MemoryWordSource([]);
+      expect(await source.getRandomWord({ min: 0, max: 7 })).toBeNull();
+    });
+  });
+
+  describe('LocalWordSource', () => {
+    test('should serve the bundled list without network access', async () => {
+      global.fetch = jest.fn();
+      const source = new LocalWordSource();
+
+      expect(source.getName()).toBe('local');
+      // Even the default list is loaded on demand, outside the main bundle
+      expect(await source.loadWordList(5)).toBe(true);
+      expect(source.size()).toBeGreaterThan(100);
+      expect(await source.isValidWord('house')).toBe(true);
+      expect(await source.getRandomWord({ min: 4, max: 5.49 })).toHaveLength(5);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('should pick targets inside each difficulty frequency range', async () => {
+      const source = new LocalWordSource();
+      const ranges = {
+        easy: { min: 5.5, max: 7.0 },
+        medium: { min: 4.0, max: 5.49 },
+        hard: { min: 0, max: 4.0 }
+      };
+
+      for (const range of Object.values(ranges)) {
+        for (let i = 0; i < 20; i++) {
+          const word = await source.getRandomWord(range);
+          const frequency = source.getFrequency(word);
+
+          expect(word).toMatch(/^[a-z]{5}$/);
+          expect(frequency).toBeGreaterThanOrEqual(Math.max(range.min, 2.0));
+          expect(frequency).toBeLessThanOrEqual(range.max);
+        }
+      }
+    });
+
+    test('should accept rare words as guesses but never choose them as targets', async () => {
+      const source = new LocalWordSource({ aahed: 1.29, aalii: 0, crane: 3.1 });
+
+      expect(await source.isValidWord('aahed')).toBe(true);
+      expect(await source.isValidWord('aalii')).toBe(true);
+      expect(await source.getRandomWord({ min: 0, max: 4.0 })).toBe('crane');
+      expect(await source.hasDefinition('aalii')).toBe(false);
+      expect(await source.getRandomWord({ min: 5.5, max: 7.0 })).toBeNull();
+    });
+
+    test('should load other word lengths on first use', async () => {
+      const source = new LocalWordSource();
+
+      expect(source.getWords(6)).toEqual([]);
+      const word = await source.getRandomWord({ min: 4, max: 5.49 }, 6);
+
+      expect(word).toMatch(/^[a-z]{6}$/);
+      expect(await source.isValidWord('garden')).toBe(true);
+      expect(source.getWords(6).length).toBeGreaterThan(100);
+    });
+
+    test('should require a frequency map', () => {
+      expect(() => new LocalWordSource(['crane'])).toThrow('LocalWordSource requires a map of words to frequencies');
+    });
+
+    test('should load the word lists of other languages', async () => {
+      const source = new LocalWordSource(null, { language: 'de', accentMode: 'distinct' });
+
+      expect(source.getWords(5)).toEqual([]);
+      expect(await source.isValidWord('straße')).toBe(true);
+      expect(await source.isValidWord('about')).toBe(false);
+      expect(await source.getRandomWord({ min: 4, max: 5.49 }, 6)).toMatch(/^[a-zäöüß]{6}$/);
+    });
+
+    test('should match words without their accents when folding', async () => {
+      const frequencies = { 'árbol': 4.2, 'papá': 4.6, papa: 3.9, perro: 4.4 };
+      const folding = new LocalWordSource(frequencies, { language: 'es', accentMode: 'fold' });
+      const distinct = new LocalWordSource(frequencies, { language: 'es', accentMode: 'distinct' });
+
+      expect(await folding.isValidWord('arbol')).toBe(true);
+      expect(await distinct.isValidWord('arbol')).toBe(false);
+      expect(await distinct.isValidWord('árbol')).toBe(true);
+      expect(folding.getWords(4)).toEqual(['papá']);
+      expect(distinct.getWords(4).sort()).toEqual(['papa', 'papá']);
+      expect(await folding.getRandomWord({ min: 4.1, max: 4.3 })).toBe('árbol');
+    });
+  });
+
+  describe('HttpWordSource', () => {
+    let source;
+
+    beforeEach(() => {
+      source = new HttpWordSource({ baseUrl: '/api/words/', cache: new WordCache(), client: createClient() });
+      global.fetch = jest.fn();
+    });
+
+    test('should require a base URL', () => {
+      expect(() => new HttpWordSource()).toThrow('HttpWordSource requires a baseUrl');
+    });
+
+    test('should validate words through the validate endpoint', async () => {
+      global.fetch.mockResolvedValue(jsonResponse(200, { valid: true }));
+
+      expect(await source.isValidWord('House')).toBe(true);
+      expect(global.fetch.mock.calls[0][0]).toBe('/api/words/validate/house');
+    });
+
+    test('should request random words with the frequency range', async () => {
+      global.fetch.mockResolvedValue(jsonResponse(200, { word: 'Grape' }));
+
+      expect(await source.getRandomWord({ min: 4, max: 5.49 })).toBe('grape');
+      expect(global.fetch.mock.calls[0][0]).toBe('/api/words/random?min=4&max=5.49&length=5');
+    });
+
+    test('should report definitions from the definition endpoint', async () => {
+      global.fetch.mockResolvedValue(jsonResponse(200, { word: 'grape', results: [{ definition: 'a fruit' }] }));
+
+      expect(await source.hasDefinition('grape')).toBe(true);
+      expect(global.fetch.mock.calls[0][0]).toBe('/api/words/grape/definition');
+    });
+
+    test('should reuse entries returned by the proxy instead of asking again', async () => {
+      global.fetch
+        .mockResolvedValueOnce(jsonResponse(200, { word: 'grape', valid: true, results: [{ definition: 'a fruit' }] }))
+        .mockResolvedValueOnce(jsonResponse(200, { word: 'xqzzt', valid: false }));
+
+      expect(await source.isValidWord('grape')).toBe(true);
+      expect(await source.hasDefinition('grape')).toBe(true);
+      expect(await source.isValidWord('xqzzt')).toBe(false);
+      expect(await source.isValidWord('xqzzt')).toBe(false);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should report network failures instead of treating the word as invalid', async () => {
+      jest.spyOn(console, 'warn').mockImplementation();
+      global.fetch.mockRejectedValue(new Error('Network error'));
+
+      await expect(source.isValidWord('house')).rejects.toThrow('Network error');
+      expect(await source.getRandomWord({ min: 4, max: 5.49 })).toBeNull();
+      console.warn.mockRestore();
+    });
+  });
+
+  describe('WordsAPIWordSource', () => {
+    test('should return a random word only after its definition is verified', async () => {
+      jest.spyOn(console, 'log').mockImplementation();
+      const tracker = {
+        shouldUseAPI: () => true,
+        updateFromHeaders: () => null,
+        recordRequest: jest.fn()
+      };
+      const source = new WordsAPIWordSource({ tracker, baseUrl: 'https://words.example' });
+      global.fetch = jest.fn()
+        .mockResolvedValueOnce(jsonResponse(200, { word: 'grape' }))
+        .mockResolvedValueOnce(jsonResponse(200, {
+          results: [{ definition: 'a small round juicy fruit', typeOf: ['edible fruit'] }]
+        }));
+
+      expect(await source.getRandomWord({ min: 4, max: 5.49 })).toBe('grape');
+      expect(global.fetch.mock.calls[0][0]).toBe('https://words.example/words/?letters=5&frequencyMin=4&frequencyMax=5.49&random=true');
+      expect(tracker.recordRequest).toHaveBeenCalledTimes(2);
+      console.log.mockRestore();
+    });
+  });
+
+  describe('createWordSource', () => {
+    test('should build each configured source type', () => {
+      expect(createWordSource({ TYPE: 'local' })).toBeInstanceOf(LocalWordSource);
+      expect(createWordSource({ TYPE: 'http', BASE_URL: '/api/words' })).toBeInstanceOf(HttpWordSource);
+      expect(createWordSource({ TYPE: 'memory', WORDS: ['apple'] })).toBeInstanceOf(MemoryWordSource);
+      expect(createWordSource({ TYPE: 'wordsapi' })).toBeInstanceOf(WordsAPIWordSource);
+    });
+
+    test('should reject unknown source types', () => {
+      expect(() => createWordSource({ TYPE: 'carrier-pigeon' })).toThrow('Unknown word source type');
+    });
+  });
+
+  describe('Dictionary delegation', () => {
+    test('should delegate to an explicitly supplied source', async () => {
+      const source = new MemoryWordSource(['crane']);
+      const dictionary = new Dictionary(null, { source });
+
+      expect(dictionary.getSource()).toBe(source);
+      expect(await dictionary.isValidWord('CRANE')).toBe(true);
+      expect(await dictionary.getRandomWord()).toBe('crane');
+    });
+
+    test('should fall back to the fallback source when the primary source has no word', async () => {
+      jest.spyOn(console, 'warn').mockImplementation();
+      const dictionary = new Dictionary(null, {
+        source: new HttpWordSource({ baseUrl: '/api/words' }),
+        fallbackSource: new MemoryWordSource(['eagle'])
+      });
+      global.fetch = jest.fn().mockResolvedValue(jsonResponse(500, {}));
+
+      expect(await dictionary.getRandomWord({ min: 4, max: 5.49 })).toBe('eagle');
+      console.warn.mockRestore();
+    });
+
+    test('should only return words of the requested length', async () => {
+      const dictionary = new Dictionary(['lamp', 'crane', 'garden']);
+
+      expect(await dictionary.getRandomWord(null, 6)).toBe('garden');
+      expect(await dictionary.isValidWord('lamp')).toBe(true);
+      await expect(dictionary.getRandomWord(null, 3)).rejects.toThrow('Word length must be between 4 and 8');
+    });
+
+    test('should validate and select words offline after switching to the bundled list', async () => {
+      jest.spyOn(console, 'warn').mockImplementation();
+      const dictionary = new Dictionary(null, { source: new HttpWordSource({ baseUrl: '/api/words', client: createClient() }) });
+      global.fetch = jest.fn().mockRejectedValue(new Error('Network error'));
+
+      expect(await dictionary.isValidWord('house')).toBe(false);
+      expect(dictionary.switchToOfflineSource()).toBe(true);
+      expect(dictionary.isOffline()).toBe(true);
+      expect(await dictionary.isValidWord('house')).toBe(true);
+      expect(await dictionary.getRandomWord({ min: 5.5, max: 7.0 })).toMatch(/^[a-z]{5}$/);
+      expect(global.fetch).toHaveBeenCalledTimes(3); // The first request and its two retries
+      console.warn.mockRestore();
+    });
+  });
+});
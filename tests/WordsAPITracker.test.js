@@ -0,0 +1,185 @@
+/**
+ * Tests for WordsAPI quota budgeting, key rotation and the usage projection
+ */
+
+const WordsAPITracker = require('../src/WordsAPITracker');
+const WordsAPIWordSource = require('../src/wordSources/WordsAPIWordSource');
+const WordCache = require('../src/cache/WordCache');
+const HttpClient = require('../src/http/HttpClient');
+
+const budget = {
+  MONTHLY_LIMIT: 10,
+  OPERATIONS: ['validation', 'random', 'definition'],
+  COSTS: { validation: 1, random: 2, definition: 1 },
+  RESERVES: { validation: 0, random: 2, definition: 4 },
+  PROJECTION_DAYS: 7
+};
+
+const headerResponse = (remaining, limit = 10) => ({
+  headers: {
+    get: name => ({
+      'x-ratelimit-requests-remaining': String(remaining),
+      'x-ratelimit-requests-limit': String(limit)
+    })[name] || null
+  }
+});
+
+describe('WordsAPITracker', () => {
+  let now;
+
+  const createTracker = (keys = ['key-aaaa']) => new WordsAPITracker({ keys, budget, now: () => now });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    localStorage.clear();
+    now = new Date('2026-03-10T12:00:00Z');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should keep each operation above its reserve', () => {
+    const tracker = createTracker();
+
+    tracker.updateFromHeaders(headerResponse(5));
+    expect(tracker.shouldUseAPI('definition')).toBe(true);
+    expect(tracker.shouldUseAPI('random')).toBe(true);
+
+    tracker.updateFromHeaders(headerResponse(4));
+    expect(tracker.shouldUseAPI('definition')).toBe(false);
+    expect(tracker.shouldUseAPI('random')).toBe(true);
+
+    tracker.updateFromHeaders(headerResponse(3));
+    expect(tracker.shouldUseAPI('random')).toBe(false);
+    expect(tracker.shouldUseAPI('validation')).toBe(true);
+
+    tracker.updateFromHeaders(headerResponse(0));
+    expect(tracker.shouldUseAPI('validation')).toBe(false);
+  });
+
+  test('should report the budget of each operation', () => {
+    const tracker = createTracker();
+    tracker.recordRequest('validation');
+    tracker.recordRequest('definition');
+    tracker.updateFromHeaders(headerResponse(8));
+
+    expect(tracker.getUsageStats().operations).toEqual({
+      validation: { used: 1, reserve: 0, available: 8 },
+      random: { used: 0, reserve: 2, available: 6 },
+      definition: { used: 1, reserve: 4, available: 4 }
+    });
+  });
+
+  test('should rotate requests to the key with the most left', () => {
+    const tracker = createTracker(['key-aaaa', 'key-bbbb']);
+
+    tracker.updateFromHeaders(headerResponse(3), 'key-aaaa');
+    tracker.updateFromHeaders(headerResponse(6), 'key-bbbb');
+    expect(tracker.selectKey('validation')).toBe('key-bbbb');
+
+    tracker.updateFromHeaders(headerResponse(2), 'key-bbbb');
+    expect(tracker.selectKey('validation')).toBe('key-aaaa');
+
+    // The reserve is kept across both keys: 5 left, so a definition would leave 4
+    expect(tracker.selectKey('definition')).toBe('key-aaaa');
+    tracker.updateFromHeaders(headerResponse(1), 'key-bbbb');
+    expect(tracker.selectKey('definition')).toBeNull();
+
+    const stats = tracker.getUsageStats();
+    expect(stats).toMatchObject({ used: 16, limit: 20, remaining: 4, source: 'headers' });
+    expect(stats.keys.map(key => key.key)).toEqual(['…aaaa', '…bbbb']);
+  });
+
+  test('should count requests per key when headers are missing', () => {
+    const tracker = createTracker(['key-aaaa', 'key-bbbb']);
+
+    tracker.recordRequest('validation', 'key-aaaa');
+    tracker.recordRequest('validation', 'key-aaaa');
+    tracker.recordRequest('definition', 'key-bbbb');
+
+    const stats = tracker.getUsageStats();
+    expect(stats.keys.map(key => key.used)).toEqual([2, 1]);
+    expect(stats).toMatchObject({ used: 3, remaining: 17, source: 'storage', reliable: false });
+    expect(tracker.selectKey('validation')).toBe('key-bbbb');
+    expect(JSON.stringify(tracker.getUsageData())).not.toContain('key-aaaa');
+  });
+
+  test('should project the days until the quota is used up', () => {
+    const tracker = createTracker();
+    expect(tracker.getUsageStats().daysUntilExhausted).toBeNull();
+
+    tracker.recordRequest('validation');
+    tracker.recordRequest('validation');
+    now = new Date('2026-03-11T12:00:00Z');
+    tracker.recordRequest('random');
+    tracker.recordRequest('random');
+
+    // 4 requests over 2 days leaves 6 requests for 3 days
+    expect(tracker.getUsageStats()).toMatchObject({ dailyAverage: 2, daysUntilExhausted: 3 });
+    expect(tracker.getUsageMessage()).toContain('lasts about 3 days');
+
+    // Days outside the projection window stop counting
+    now = new Date('2026-03-20T12:00:00Z');
+    expect(tracker.getUsageStats().daysUntilExhausted).toBeNull();
+  });
+
+  test('should carry recent daily usage into a new month', () => {
+    now = new Date('2026-03-31T12:00:00Z');
+    const tracker = createTracker();
+    tracker.recordRequest('validation');
+    tracker.recordRequest('validation');
+
+    now = new Date('2026-04-01T12:00:00Z');
+    const stats = tracker.getUsageStats();
+
+    expect(stats).toMatchObject({ used: 0, month: '2026-04', dailyAverage: 1 });
+  });
+
+  test('should read usage saved before keys were tracked', () => {
+    localStorage.setItem('wordsapi_usage', JSON.stringify({ count: 7, month: '2026-03', lastReset: '2026-03-01T00:00:00Z' }));
+    const tracker = createTracker();
+
+    expect(tracker.getUsageStats()).toMatchObject({ used: 7, remaining: 3 });
+    expect(tracker.recordRequest('validation')).toMatchObject({ count: 8, keys: { '…aaaa': 8 } });
+  });
+
+  test('should count in memory only without storage', () => {
+    const tracker = new WordsAPITracker({ keys: ['key-aaaa'], budget, now: () => now, storage: null });
+
+    tracker.recordRequest('validation');
+    tracker.recordRequest('random');
+
+    expect(tracker.getUsageStats()).toMatchObject({ used: 2, remaining: 8 });
+    expect(localStorage.getItem('wordsapi_usage')).toBeNull();
+    expect(createTracker().getUsageStats().used).toBe(0);
+  });
+
+  test('should make WordsAPIWordSource requests with the selected key for each operation', async () => {
+    const tracker = createTracker(['key-aaaa', 'key-bbbb']);
+    tracker.updateFromHeaders(headerResponse(1), 'key-aaaa');
+    tracker.updateFromHeaders(headerResponse(4), 'key-bbbb');
+    const fetch = jest.fn().mockResolvedValue({
+      ...headerResponse(3),
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({ word: 'grape', results: [{ definition: 'a small juicy fruit', typeOf: ['edible fruit'] }] })
+    });
+    const source = new WordsAPIWordSource({
+      apiKeys: ['key-aaaa', 'key-bbbb'],
+      tracker,
+      cache: new WordCache(),
+      client: new HttpClient({ fetch, maxRetries: 0 })
+    });
+
+    // 5 left across both keys: a definition would leave 4, so it is allowed once
+    expect(await source.hasDefinition('grape')).toBe(true);
+    expect(fetch.mock.calls[0][1].headers['X-RapidAPI-Key']).toBe('key-bbbb');
+    expect(tracker.getUsageStats().operations.definition.used).toBe(1);
+
+    expect(await source.lookupWord('crane')).toBeNull();
+    expect(await source.isValidWord('crane')).toBe(true);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+});
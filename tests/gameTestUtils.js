@@ -0,0 +1,58 @@
+/**
+ * Shared fixtures for the game logic tests
+ * Unlike testUtils.js this doesn't load the App component, so logic tests stay fast
+ */
+
+const Dictionary = require('../src/Dictionary');
+const HurdleController = require('../src/HurdleController');
+const TargetHistory = require('../src/TargetHistory');
+
+// Known five-letter words most logic tests play with
+const WORDS = ['apple', 'bread', 'crane', 'eagle', 'flame', 'grape', 'house', 'light', 'music', 'ocean', 'plant', 'river'];
+
+/**
+ * Silence console.log and console.warn and start each test with empty localStorage
+ * Call inside a describe block; spies and other mocks are restored after each test
+ */
+function useQuietConsole() {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+}
+
+/**
+ * Create a dictionary backed by a word list
+ * @param {string[]} [words] - Words in the dictionary (default: WORDS)
+ * @param {Object} [options] - Dictionary options
+ * @returns {Dictionary} The dictionary
+ */
+function createDictionary(words = WORDS, options = {}) {
+  return new Dictionary([...words], options);
+}
+
+/**
+ * Create a hurdle controller that doesn't remember targets or prefetch them
+ * @param {Dictionary} [dictionary] - Dictionary to play with (default: one with WORDS)
+ * @param {Object} [options] - HurdleController options, overriding the defaults
+ * @returns {HurdleController} The controller
+ */
+function createHurdleController(dictionary = createDictionary(), options = {}) {
+  return new HurdleController(dictionary, {
+    targetHistory: new TargetHistory({ storage: null }),
+    prefetchSize: 0,
+    ...options
+  });
+}
+
+module.exports = {
+  WORDS,
+  useQuietConsole,
+  createDictionary,
+  createHurdleController
+};
@@ -0,0 +1,106 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the local WordsAPI stand-in
+ */
+
+const { createMockWordsApi } = require('../server/mockWordsApi');
+const { WordsApiProxy, ServerQuota } = require('../server/wordsApiProxy');
+const WordsAPIWordSource = require('../src/wordSources/WordsAPIWordSource');
+const WordsAPITracker = require('../src/WordsAPITracker');
+const WordCache = require('../src/cache/WordCache');
+
+const fixtures = [
+  { word: 'grape', frequency: 3.6, results: [{ definition: 'any of various juicy fruit of the genus Vitis', partOfSpeech: 'noun', typeOf: ['edible fruit'] }] },
+  { word: 'house', frequency: 5.71, results: [{ definition: 'a dwelling that serves as living quarters', partOfSpeech: 'noun', typeOf: ['building'] }] },
+  { word: 'paris', frequency: 4.84, results: [{ definition: 'the capital and largest city of France', instanceOf: ['national capital'] }] }
+];
+
+describe('mock WordsAPI', () => {
+  let app;
+  let server;
+  let baseUrl;
+
+  const start = async (options = {}) => {
+    app = createMockWordsApi({ fixtures, limit: 100, ...options });
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should serve fixture entries with rate-limit headers the tracker understands', async () => {
+    await start();
+    const tracker = new WordsAPITracker({ storage: null });
+    const source = new WordsAPIWordSource({ baseUrl, tracker, cache: new WordCache() });
+
+    expect(await source.isValidWord('grape')).toBe(true);
+    expect(await source.isValidWord('zzzzz')).toBe(false);
+    expect(tracker.getUsageStats()).toMatchObject({ used: 2, limit: 100, remaining: 98 });
+  });
+
+  test('should return random words in the frequency range', async () => {
+    await start();
+    const source = new WordsAPIWordSource({ baseUrl, tracker: new WordsAPITracker({ storage: null }), cache: new WordCache() });
+
+    expect(await source.getRandomWord({ min: 5.5, max: 7.0 })).toBe('house');
+    expect(await source.getRandomWord({ min: 0, max: 3.0 })).toBeNull();
+  });
+
+  test('should play scripted failures in order', async () => {
+    await start({ failures: [{ status: 429, path: '/words/grape' }, { status: 500, times: 2 }] });
+
+    const statuses = [];
+    for (const word of ['house', 'grape', 'grape', 'house', 'house']) {
+      statuses.push((await fetch(`${baseUrl}/words/${word}`)).status);
+    }
+
+    expect(statuses).toEqual([500, 429, 500, 200, 200]);
+  });
+
+  test('should add scripted latency and accept failures at runtime', async () => {
+    await start();
+    await fetch(`${baseUrl}/__mock/failures`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ latencyMs: 100, status: 403 })
+    });
+
+    const startedAt = Date.now();
+    const response = await fetch(`${baseUrl}/words/house`);
+
+    expect(response.status).toBe(403);
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(90);
+    expect((await fetch(`${baseUrl}/words/house`)).status).toBe(200);
+  });
+
+  test('should answer 429 once the quota is spent', async () => {
+    await start({ limit: 1 });
+
+    expect((await fetch(`${baseUrl}/words/house`)).status).toBe(200);
+    expect((await fetch(`${baseUrl}/words/house`)).status).toBe(429);
+  });
+
+  test('should back the server proxy', async () => {
+    await start();
+    const proxy = new WordsApiProxy({ apiKey: 'mock', baseUrl, quota: new ServerQuota({ usageFile: null }) });
+
+    const result = await proxy.random({ min: '5.5', max: '7' });
+
+    expect(result.body.word).toBe('house');
+    expect(proxy.quota.getStats()).toMatchObject({ remaining: 99, reliable: true });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the server-side WordsAPI proxy
+ */
+
+const http = require('http');
+const express = require('express');
+const { WordsApiProxy, ServerQuota, ClientRateLimiter, createWordsApiRouter } = require('../server/wordsApiProxy');
+
+const apiResponse = (status, body, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: name => (name in headers ? headers[name] : null) },
+  json: () => Promise.resolve(body)
+});
+
+// GET a path from a local server and parse the JSON body
+const get = (port, path, headers = {}) => new Promise((resolve, reject) => {
+  http.get({ host: '127.0.0.1', port, path, headers }, res => {
+    let data = '';
+    res.on('data', chunk => { data += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, json: JSON.parse(data) }));
+  }).on('error', reject);
+});
+
+// Serve a router on a free port for the length of a test
+const withServer = async (router, run) => {
+  const app = express();
+  app.use('/api/words', router);
+  const server = app.listen(0);
+  try {
+    await run(server.address().port);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+};
+
+const grapeEntry = {
+  word: 'grape',
+  results: [{ definition: 'a small round juicy fruit', typeOf: ['edible fruit'], synonyms: ['vine'] }],
+  frequency: 3.4
+};
+
+describe('WordsApiProxy', () => {
+  let fetch;
+  let proxy;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation();
+    fetch = jest.fn();
+    proxy = new WordsApiProxy({
+      apiKey: 'server-key',
+      baseUrl: 'https://words.example',
+      quota: new ServerQuota({ usageFile: null }),
+      fetch
+    });
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('should call WordsAPI with the server-held key', async () => {
+    fetch.mockResolvedValue(apiResponse(200, grapeEntry));
+
+    const result = await proxy.validate('Grape');
+
+    expect(result).toEqual({
+      status: 200,
+      body: { word: 'grape', valid: true, results: [{ definition: 'a small round juicy fruit', typeOf: ['edible fruit'], synonyms: ['vine'] }] }
+    });
+    expect(fetch.mock.calls[0][0]).toBe('https://words.example/words/grape');
+    expect(fetch.mock.calls[0][1].headers['X-RapidAPI-Key']).toBe('server-key');
+  });
+
+  test('should report unknown words as invalid and answer repeats from memory', async () => {
+    fetch.mockResolvedValue(apiResponse(404, { message: 'word not found' }));
+
+    expect((await proxy.validate('xqzzt')).body.valid).toBe(false);
+    expect((await proxy.definition('xqzzt')).status).toBe(404);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should only return random words with a common definition', async () => {
+    fetch
+      .mockResolvedValueOnce(apiResponse(200, {
+        word: 'paris',
+        results: [{ definition: 'the capital of France', instanceOf: ['national capital'] }]
+      }))
+      .mockResolvedValueOnce(apiResponse(200, grapeEntry));
+
+    const result = await proxy.random({ min: '4', max: '5.49', length: '5' });
+
+    expect(result.status).toBe(200);
+    expect(result.body.word).toBe('grape');
+    expect(fetch.mock.calls[0][0]).toBe('https://words.example/words/?letters=5&frequencyMin=4&frequencyMax=5.49&random=true');
+  });
+
+  test('should reject bad requests without calling WordsAPI', async () => {
+    expect((await proxy.validate('abc')).status).toBe(400);
+    expect((await proxy.random({ min: '6', max: '2' })).status).toBe(400);
+    expect((await proxy.random({ min: '0', max: '4', length: '12' })).status).toBe(400);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('should answer 503 without a key', async () => {
+    const unconfigured = new WordsApiProxy({ apiKey: '', quota: new ServerQuota({ usageFile: null }), fetch });
+
+    expect((await unconfigured.validate('grape')).status).toBe(503);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('should stop calling WordsAPI once the quota is spent', async () => {
+    fetch.mockResolvedValue(apiResponse(200, grapeEntry, { 'x-ratelimit-requests-remaining': '0' }));
+
+    expect((await proxy.validate('grape')).status).toBe(200);
+    expect((await proxy.validate('crane')).status).toBe(503);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(proxy.quota.getStats()).toMatchObject({ remaining: 0, reliable: true });
+  });
+
+  test('should serve the proxy routes over HTTP', async () => {
+    fetch.mockResolvedValue(apiResponse(200, grapeEntry));
+
+    await withServer(createWordsApiRouter(proxy), async port => {
+      const body = await get(port, '/api/words/grape/definition');
+
+      expect(body.status).toBe(200);
+      expect(body.json.word).toBe('grape');
+    });
+  });
+
+  test('should limit how often each client may call the word routes', async () => {
+    fetch.mockResolvedValue(apiResponse(200, grapeEntry));
+    const randomLimiter = new ClientRateLimiter({ limit: 1, windowMs: 30000 });
+
+    await withServer(createWordsApiRouter(proxy, { randomLimiter }), async port => {
+      expect((await get(port, '/api/words/random?min=4&max=5.49')).status).toBe(200);
+
+      const limited = await get(port, '/api/words/random?min=4&max=5.49');
+      expect(limited.status).toBe(429);
+      expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      // Other routes have their own limit
+      expect((await get(port, '/api/words/grape/definition')).status).toBe(200);
+    });
+  });
+
+  test('should start a client over once its window ends', () => {
+    let now = 0;
+    const limiter = new ClientRateLimiter({ limit: 2, windowMs: 1000, now: () => now });
+
+    expect(limiter.take('1.2.3.4').allowed).toBe(true);
+    expect(limiter.take('1.2.3.4').allowed).toBe(true);
+    expect(limiter.take('1.2.3.4')).toEqual({ allowed: false, retryAfterMs: 1000 });
+    expect(limiter.take('5.6.7.8').allowed).toBe(true);
+
+    now = 1000;
+    expect(limiter.take('1.2.3.4').allowed).toBe(true);
+  });
+
+  test('should only show quota usage to requests with the usage token', async () => {
+    await withServer(createWordsApiRouter(proxy, { usageToken: 'secret' }), async port => {
+      expect((await get(port, '/api/words/usage')).status).toBe(404);
+      expect((await get(port, '/api/words/usage', { Authorization: 'Bearer wrong' })).status).toBe(404);
+
+      const usage = await get(port, '/api/words/usage', { Authorization: 'Bearer secret' });
+      expect(usage.status).toBe(200);
+      expect(usage.json).toMatchObject({ used: 0, reliable: false });
+    });
+
+    await withServer(createWordsApiRouter(proxy, { usageToken: '' }), async port => {
+      expect((await get(port, '/api/words/usage', { Authorization: 'Bearer ' })).status).toBe(404);
+    });
+  });
+});
@@ -70,6 +70,13 @@ module.exports = {
     },
     compress: true,
     port: 3000,
-    hot: true
+    hot: true,
+    // Word service calls go to server.js; run `PORT=3001 npm start` alongside the dev server
+    proxy: [
+      {
+        context: ['/api'],
+        target: process.env.API_PROXY_TARGET || 'http://localhost:3001'
+      }
+    ]
   }
 };